@@ -0,0 +1,59 @@
+/**
+ * Activity Module
+ * Tells the reporting server which sections are read and what is exported, for the
+ * admins' activity view (see server/activity.js). Events go to our own server only,
+ * never to a third-party analytics service, and carry just the project, the event
+ * and its section or export format: the server adds who (from the session) and when.
+ *
+ *   open     a project's data was loaded; `section` is the one on screen
+ *   view     another section was opened
+ *   refresh  the data was reloaded (refresh button, or back online)
+ *   export   `kind` 'csv', 'xlsx', 'pdf' or 'print'
+ *
+ * Events are sent in batches a few seconds apart, and right away when the page is
+ * hidden or the user logs out. Unsent events are kept in memory only.
+ */
+
+const Activity = {
+    FLUSH_DELAY: 5000,
+    MAX_QUEUE: 50,
+
+    queue: [],
+    timer: null,
+
+    /**
+     * Queue an event for a project of the session.
+     */
+    track(project, type, details = {}) {
+        if (!project || !Auth.token) return;
+        this.queue.push({ project: project.key, type, ...details });
+        // Offline for a long while: keep the latest events only
+        if (this.queue.length > this.MAX_QUEUE) this.queue.splice(0, this.queue.length - this.MAX_QUEUE);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.FLUSH_DELAY);
+    },
+
+    /**
+     * Send the queued events. `keepalive` lets the request outlive the page.
+     * If the server can't be reached they are queued again for the next attempt.
+     */
+    async flush({ keepalive = false } = {}) {
+        clearTimeout(this.timer);
+        if (!this.queue.length || !Auth.token) return;
+        const events = this.queue.splice(0);
+        try {
+            await Api.request('/api/activity', { method: 'POST', body: { events }, keepalive });
+        } catch (err) {
+            if (!err.status) this.queue = [...events, ...this.queue].slice(-this.MAX_QUEUE);
+            console.warn('Could not send activity:', err.message);
+        }
+    },
+
+    /**
+     * Drop the queued events (the session they belong to has ended).
+     */
+    clear() {
+        clearTimeout(this.timer);
+        this.queue = [];
+    }
+};
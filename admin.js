@@ -0,0 +1,524 @@
+/**
+ * Admin Console
+ * Project management for admin accounts (admin.html): list, create, edit and
+ * archive projects, rotate their passwords, test-fetch each sheet with a
+ * preview of how it parses before saving, and see who reads each project's
+ * dashboard. Everything goes through the admin API (server/admin.js) and the
+ * activity log (server/activity.js); the session is the dashboard's, opened
+ * there with an admin account.
+ */
+
+const Admin = {
+    SHEETS: [
+        { key: 'budget', label: 'BUDGET', required: true },
+        { key: 'desglose', label: 'DESGLOSE', required: true },
+        { key: 'capital', label: 'CAPITAL', required: true },
+        { key: 'ventas', label: 'VENTAS', required: false },
+        { key: 'hitos', label: 'HITOS', required: false }
+    ],
+    PREVIEW_ROWS: 5,
+    PREVIEW_COLUMNS: 8,
+
+    projects: [],
+    editing: null,  // key of the project open in the editor; null for a new project
+    denied: null,   // { key, params } of the message shown instead of the console
+    activity: null, // { project, summary, error } shown in the activity card
+    previews: {},   // sheet -> rows fetched by its "Probar" button
+
+
+    // ========== INITIALIZATION ==========
+
+    async init() {
+        I18n.init();
+        this.markActiveLocale();
+        this.renderSheetFields();
+        this.bindEvents();
+        Auth.onExpired = () => this.showDenied('admin.expired');
+
+        const session = await Auth.getSession();
+        if (!session) {
+            this.showDenied('admin.denied');
+            return;
+        }
+        try {
+            await this.loadProjects();
+        } catch (err) {
+            if (err.status === 403) {
+                this.showDenied('admin.denied');
+            } else {
+                this.showDenied('admin.loadFailed', { message: err.message });
+            }
+            return;
+        }
+        document.getElementById('admin-console').classList.remove('hidden');
+    },
+
+    bindEvents() {
+        // Working in the console keeps the session from expiring while idle
+        ['pointerdown', 'keydown', 'scroll', 'mousemove', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => Auth.touch(), { capture: true, passive: true });
+        });
+
+        document.querySelectorAll('[data-locale]').forEach(btn => {
+            btn.addEventListener('click', () => this.setLocale(btn.dataset.locale));
+        });
+
+        document.getElementById('new-project-btn').addEventListener('click', () => this.openEditor(null));
+        document.getElementById('cancel-edit-btn').addEventListener('click', () => this.closeEditor());
+        document.getElementById('project-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProject();
+        });
+        document.getElementById('password-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.rotatePassword();
+        });
+
+        document.getElementById('admin-projects').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'edit') this.openEditor(btn.dataset.key);
+            if (btn.dataset.action === 'archive') this.setArchived(btn.dataset.key, true);
+            if (btn.dataset.action === 'restore') this.setArchived(btn.dataset.key, false);
+            if (btn.dataset.action === 'activity') this.showActivity(btn.dataset.key);
+        });
+        document.getElementById('close-activity-btn').addEventListener('click', () => {
+            this.activity = null;
+            document.getElementById('admin-activity').classList.add('hidden');
+        });
+        document.getElementById('sheet-fields').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-test-sheet]');
+            if (btn) this.testSheet(btn.dataset.testSheet);
+        });
+    },
+
+    /**
+     * Switch the console's language and render what is on screen again. Messages
+     * already shown (notices, errors) stay in the language they were shown in.
+     */
+    setLocale(locale) {
+        if (!I18n.setLocale(locale)) return;
+        this.markActiveLocale();
+        if (this.denied) this.showDenied(this.denied.key, this.denied.params);
+        this.renderProjects();
+        if (this.activity) this.renderActivityCard();
+        this.renderEditorText();
+        Object.entries(this.previews).forEach(([sheet, rows]) => {
+            document.getElementById(`preview-${sheet}`).innerHTML = this.renderPreview(sheet, rows);
+        });
+    },
+
+    markActiveLocale() {
+        document.querySelectorAll('[data-locale]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.locale === I18n.locale);
+        });
+    },
+
+    /**
+     * Show the catalog message `key` instead of the console.
+     */
+    showDenied(key, params) {
+        this.denied = { key, params };
+        document.getElementById('admin-console').classList.add('hidden');
+        document.getElementById('admin-denied').classList.remove('hidden');
+        document.getElementById('admin-denied-message').textContent = I18n.t(key, params);
+    },
+
+    /**
+     * A short confirmation above the project list.
+     */
+    notify(message) {
+        const notice = document.getElementById('admin-notice');
+        notice.textContent = message;
+        notice.classList.remove('hidden');
+    },
+
+    // ========== PROJECT LIST ==========
+
+    async loadProjects() {
+        const { projects } = await Api.request('/api/admin/projects');
+        this.projects = projects.sort((a, b) => a.key.localeCompare(b.key));
+        this.denied = null;
+        this.renderProjects();
+    },
+
+    renderProjects() {
+        const container = document.getElementById('admin-projects');
+        if (!this.projects.length) {
+            container.innerHTML = Html.html`<p class="no-data">${I18n.t('admin.noProjects')}</p>`;
+            return;
+        }
+        container.innerHTML = Html.html`
+            <table class="expenses-table admin-table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('admin.key')}</th>
+                        <th>${I18n.t('admin.name')}</th>
+                        <th>${I18n.t('admin.source')}</th>
+                        <th>${I18n.t('admin.photos')}</th>
+                        <th>${I18n.t('admin.status')}</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.projects.map(p => Html.html`
+                        <tr class="${p.archived ? 'admin-archived' : ''}">
+                            <td><strong>${p.key}</strong></td>
+                            <td>${p.name}</td>
+                            <td>${this.describeSource(p)}</td>
+                            <td>${p.driveFolder ? 'Google Drive' : Html.html`<span class="text-muted">${I18n.t('admin.noFolder')}</span>`}</td>
+                            <td><span class="badge ${p.archived ? 'badge-orange' : 'badge-green'}">${I18n.t(p.archived ? 'admin.archived' : 'admin.active')}</span></td>
+                            <td class="text-right admin-row-actions">
+                                ${p.archived ? '' : Html.html`<button type="button" class="btn-secondary" data-action="activity" data-key="${p.key}">${I18n.t('admin.activity')}</button>`}
+                                <button type="button" class="btn-secondary" data-action="edit" data-key="${p.key}">${I18n.t('admin.edit')}</button>
+                                <button type="button" class="btn-secondary" data-action="${p.archived ? 'restore' : 'archive'}" data-key="${p.key}">${I18n.t(p.archived ? 'admin.restore' : 'admin.archive')}</button>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `;
+    },
+
+    describeSource(project) {
+        const type = project.dataSource && project.dataSource.type;
+        if (type === 'file' || type === 'json') return I18n.t(`admin.sources.${type}`);
+        const configured = this.SHEETS.filter(s => project.sheets && project.sheets[s.key]);
+        return I18n.t('admin.sources.sheets', { sheets: configured.map(s => s.label).join(', ') || I18n.t('admin.sources.noSheets') });
+    },
+
+    async setArchived(key, archived) {
+        const project = this.projects.find(p => p.key === key);
+        if (archived && !window.confirm(I18n.t('admin.confirmArchive', { name: project.name }))) return;
+        try {
+            await Api.request(`/api/admin/projects/archive?project=${encodeURIComponent(key)}`, { method: 'POST', body: { archived } });
+            await this.loadProjects();
+            this.notify(I18n.t(archived ? 'admin.wasArchived' : 'admin.wasRestored', { name: project.name }));
+        } catch (err) {
+            this.notify(I18n.t('admin.updateFailed', { message: err.message }));
+        }
+    },
+
+    // ========== ACTIVITY ==========
+
+    /**
+     * Who has opened a project lately and which sections are read the most.
+     */
+    async showActivity(key) {
+        const project = this.projects.find(p => p.key === key);
+        const card = document.getElementById('admin-activity');
+        const activity = this.activity = { project, summary: null, error: null };
+        this.renderActivityCard();
+        card.classList.remove('hidden');
+        card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        try {
+            activity.summary = await Api.request(`/api/activity/summary?project=${encodeURIComponent(key)}`);
+        } catch (err) {
+            activity.error = err.message;
+        }
+        // Another project's activity may have been opened meanwhile
+        if (this.activity === activity) this.renderActivityCard();
+    },
+
+    renderActivityCard() {
+        const { project, summary, error } = this.activity;
+        document.getElementById('activity-title').textContent = I18n.t('adminActivity.title', { name: project.name });
+        document.getElementById('activity-content').innerHTML = error
+            ? Html.html`<p class="admin-preview-error">${I18n.t('adminActivity.failed', { message: error })}</p>`
+            : summary
+                ? this.renderActivity(summary)
+                : Html.html`<p class="text-muted">${I18n.t('adminActivity.loading')}</p>`;
+    },
+
+    renderActivity({ since, users, sections }) {
+        if (!users.length) {
+            return Html.html`<p class="no-data">${I18n.t('adminActivity.none')}</p>`;
+        }
+        const formatDate = (iso) => I18n.formatDateTime(new Date(iso), { dateStyle: 'medium', timeStyle: 'short' });
+        const count = (value) => I18n.formatNumber(value);
+        const role = (value) => I18n.label('admin.roles', value);
+        const sectionName = (section) => I18n.label('nav', section);
+        const maxViews = Math.max(...sections.map(s => s.views), 1);
+
+        return Html.html`
+            <p class="text-muted admin-note">${I18n.t('adminActivity.since', { date: I18n.formatDate(new Date(since), { dateStyle: 'long' }) })}</p>
+            <div class="table-wrapper">
+                <table class="expenses-table admin-table">
+                    <thead>
+                        <tr>
+                            <th>${I18n.t('adminActivity.user')}</th>
+                            <th>${I18n.t('adminActivity.lastAccess')}</th>
+                            <th class="text-right">${I18n.t('adminActivity.accesses')}</th>
+                            <th class="text-right">${I18n.t('adminActivity.views')}</th>
+                            <th>${I18n.t('adminActivity.topSection')}</th>
+                            <th class="text-right">${I18n.t('adminActivity.exports')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${users.map(u => Html.html`
+                            <tr>
+                                <td>
+                                    <strong>${u.user ? u.investor || u.user : role('viewer')}</strong>
+                                    ${u.user ? Html.html`<br><span class="text-muted">${u.user} · ${role(u.role)}</span>` : ''}
+                                </td>
+                                <td>${formatDate(u.lastAccess)}</td>
+                                <td class="text-right">${count(u.accesses)}</td>
+                                <td class="text-right">${count(u.views)}</td>
+                                <td>${u.topSection ? sectionName(u.topSection) : Html.html`<span class="text-muted">—</span>`}</td>
+                                <td class="text-right">${count(u.exports)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+
+            <h3 class="admin-subtitle admin-activity-subtitle">${I18n.t('adminActivity.sections')}</h3>
+            ${sections.length ? Html.html`
+                <div class="admin-activity-sections">
+                    ${sections.map(s => Html.html`
+                        <div class="admin-activity-section">
+                            <span class="admin-activity-name">${sectionName(s.section)}</span>
+                            <div class="progress-bar-bg"><div class="progress-bar-fill blue" style="width: ${(s.views / maxViews * 100).toFixed(1)}%"></div></div>
+                            <span class="text-muted">${I18n.t('adminActivity.sectionViews', { count: s.views })} · ${I18n.t('adminActivity.sectionUsers', { count: s.users })}</span>
+                        </div>
+                    `)}
+                </div>
+            ` : Html.html`<p class="no-data">${I18n.t('adminActivity.noSections')}</p>`}
+        `;
+    },
+
+    // ========== EDITOR ==========
+
+    renderSheetFields() {
+        document.getElementById('sheet-fields').innerHTML = Html.html`${this.SHEETS.map(sheet => Html.html`
+            <div class="admin-sheet">
+                <div class="filter-group">
+                    <label for="sheet-${sheet.key}">${sheet.label}${sheet.required ? '' : Html.html` <span class="label-optional" data-i18n="login.optional">${I18n.t('login.optional')}</span>`}</label>
+                    <div class="admin-sheet-input">
+                        <input type="url" id="sheet-${sheet.key}" data-sheet="${sheet.key}" placeholder="https://docs.google.com/spreadsheets/d/e/…/pub?output=csv&amp;gid=…" autocomplete="off">
+                        <button type="button" class="btn-secondary" data-test-sheet="${sheet.key}" data-i18n="adminEditor.test">${I18n.t('adminEditor.test')}</button>
+                    </div>
+                </div>
+                <div class="admin-preview hidden" id="preview-${sheet.key}"></div>
+            </div>
+        `)}`;
+    },
+
+    /**
+     * Open the editor on a project, or empty for a new one (key null).
+     */
+    openEditor(key) {
+        const project = key ? this.projects.find(p => p.key === key) : null;
+        this.editing = key;
+        this.previews = {};
+        const keyInput = document.getElementById('project-key');
+        keyInput.value = key || '';
+        keyInput.disabled = !!project;
+        document.getElementById('project-name').value = project ? project.name : '';
+        document.getElementById('project-password').value = '';
+        document.getElementById('password-field').classList.toggle('hidden', !!project);
+        document.getElementById('password-form').classList.toggle('hidden', !project);
+        document.getElementById('new-password').value = '';
+        document.getElementById('project-drive').value = project ? project.driveFolder || '' : '';
+        this.SHEETS.forEach(sheet => {
+            document.getElementById(`sheet-${sheet.key}`).value = (project && project.sheets && project.sheets[sheet.key]) || '';
+            const preview = document.getElementById(`preview-${sheet.key}`);
+            preview.innerHTML = '';
+            preview.classList.add('hidden');
+        });
+
+        this.renderEditorText();
+
+        this.showError('editor-error', null);
+        this.showError('password-error', null);
+        const editor = document.getElementById('admin-editor');
+        editor.classList.remove('hidden');
+        editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        (project ? document.getElementById('project-name') : keyInput).focus();
+    },
+
+    /**
+     * The editor's title and, for projects not loading from sheets, the note on where their data comes from.
+     */
+    renderEditorText() {
+        const project = this.editing ? this.projects.find(p => p.key === this.editing) : null;
+        document.getElementById('editor-title').textContent = project
+            ? I18n.t('adminEditor.editProject', { name: project.name })
+            : I18n.t('adminEditor.newProject');
+        const type = project && project.dataSource && project.dataSource.type;
+        const note = document.getElementById('data-source-note');
+        note.classList.toggle('hidden', !type || type === 'sheets');
+        note.textContent = type === 'file' || type === 'json' ? I18n.t(`adminEditor.${type}Source`) : '';
+    },
+
+    closeEditor() {
+        this.editing = null;
+        document.getElementById('admin-editor').classList.add('hidden');
+    },
+
+    showError(id, message) {
+        const el = document.getElementById(id);
+        el.classList.toggle('hidden', !message);
+        el.textContent = message || '';
+    },
+
+    async saveProject() {
+        const sheets = {};
+        this.SHEETS.forEach(sheet => {
+            sheets[sheet.key] = document.getElementById(`sheet-${sheet.key}`).value.trim();
+        });
+        const body = {
+            name: document.getElementById('project-name').value.trim(),
+            sheets,
+            driveFolder: document.getElementById('project-drive').value.trim()
+        };
+
+        const saveBtn = document.getElementById('save-project-btn');
+        saveBtn.disabled = true;
+        try {
+            let project;
+            if (this.editing) {
+                ({ project } = await Api.request(`/api/admin/projects?project=${encodeURIComponent(this.editing)}`, { method: 'PUT', body }));
+            } else {
+                body.key = document.getElementById('project-key').value.trim();
+                body.password = document.getElementById('project-password').value;
+                ({ project } = await Api.request('/api/admin/projects', { method: 'POST', body }));
+            }
+            await this.loadProjects();
+            this.notify(I18n.t(this.editing ? 'adminEditor.saved' : 'adminEditor.created', { name: project.name, key: project.key }));
+            this.closeEditor();
+        } catch (err) {
+            this.showError('editor-error', err.message);
+        } finally {
+            saveBtn.disabled = false;
+        }
+    },
+
+    async rotatePassword() {
+        const input = document.getElementById('new-password');
+        const btn = document.getElementById('rotate-password-btn');
+        btn.disabled = true;
+        try {
+            const { project } = await Api.request(`/api/admin/projects/password?project=${encodeURIComponent(this.editing)}`, {
+                method: 'POST',
+                body: { password: input.value }
+            });
+            input.value = '';
+            this.showError('password-error', null);
+            this.notify(I18n.t('adminEditor.passwordChanged', { name: project.name }));
+        } catch (err) {
+            this.showError('password-error', err.message);
+        } finally {
+            btn.disabled = false;
+        }
+    },
+
+    // ========== SHEET PREVIEW ==========
+
+    /**
+     * Fetch a sheet as entered (saved or not) and show how the dashboard would read it.
+     */
+    async testSheet(sheet) {
+        const url = document.getElementById(`sheet-${sheet}`).value.trim();
+        const preview = document.getElementById(`preview-${sheet}`);
+        preview.classList.remove('hidden');
+        delete this.previews[sheet];
+        if (!url) {
+            preview.innerHTML = Html.html`<p class="admin-preview-error">${I18n.t('adminEditor.enterUrl')}</p>`;
+            return;
+        }
+        preview.innerHTML = Html.html`<p class="text-muted">${I18n.t('adminEditor.fetching')}</p>`;
+        try {
+            const { body } = await Api.request('/api/admin/test-fetch', { method: 'POST', body: { url } });
+            const rows = DataService.parseCSV(body);
+            this.previews[sheet] = rows;
+            preview.innerHTML = this.renderPreview(sheet, rows);
+        } catch (err) {
+            preview.innerHTML = Html.html`<p class="admin-preview-error">${err.message}</p>`;
+        }
+    },
+
+    /**
+     * What the parser found in a sheet, any schema problems (see schema.js), and its first rows.
+     */
+    renderPreview(sheet, rows) {
+        const project = this.editing ? this.projects.find(p => p.key === this.editing) : null;
+        const schema = SheetSchema.resolve(project);
+        const { facts, issues } = this.inspect(sheet, rows, schema);
+        const shown = rows.slice(0, this.PREVIEW_ROWS);
+        const width = Math.min(Math.max(0, ...shown.map(row => row.length)), this.PREVIEW_COLUMNS);
+        const columns = Array.from({ length: width }, (_, i) => String.fromCharCode(65 + i));
+
+        return Html.html`
+            <p class="admin-preview-facts">${[I18n.t('adminEditor.rows', { count: rows.length }), ...facts].join(' · ')}</p>
+            ${issues.length ? Html.html`
+                <ul class="admin-preview-issues">
+                    ${issues.map(issue => Html.html`<li>${issue.message}</li>`)}
+                </ul>
+            ` : Html.html`<p class="admin-preview-ok">${I18n.t('adminEditor.structureOk')}</p>`}
+            ${width ? Html.html`
+                <div class="table-wrapper">
+                    <table class="expenses-table admin-preview-table">
+                        <thead><tr><th></th>${columns.map(col => Html.html`<th>${col}</th>`)}</tr></thead>
+                        <tbody>
+                            ${shown.map((row, i) => Html.html`
+                                <tr><td class="text-muted">${i + 1}</td>${columns.map((_, c) => Html.html`<td>${row[c] || ''}</td>`)}</tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
+    },
+
+    /**
+     * Headline figures of a parsed sheet, and the schema issues for the sheets that have a schema check.
+     */
+    inspect(sheet, rows, schema) {
+        const currency = (value) => DataService.formatCurrency(value);
+        switch (sheet) {
+            case 'budget': {
+                const budget = DataService.parseBudget(rows, schema.budget);
+                return {
+                    facts: [
+                        I18n.t('adminEditor.houses', { count: budget.houses.length }),
+                        `${I18n.category('Hard Cost')} ${currency(budget.hardCosts.total || 0)}`,
+                        `${I18n.category('Soft Cost')} ${currency(budget.softCosts.total || 0)}`,
+                        `${I18n.category('Terreno')} ${currency(budget.terreno.total || 0)}`
+                    ],
+                    issues: SheetSchema.validateBudget(rows, schema.budget)
+                };
+            }
+            case 'desglose': {
+                const expenses = DataService.parseExpenses(rows, schema.desglose);
+                return {
+                    facts: [
+                        I18n.t('adminEditor.expenses', { count: expenses.length }),
+                        I18n.t('adminEditor.total', { amount: currency(expenses.reduce((sum, e) => sum + e.amount, 0)) }),
+                        I18n.t('adminEditor.undated', { count: expenses.filter(e => !e.dateObj).length })
+                    ],
+                    issues: SheetSchema.validateDesglose(rows, schema.desglose)
+                };
+            }
+            case 'capital': {
+                const capital = DataService.parseCapital(rows, schema.capital);
+                return {
+                    facts: [
+                        I18n.t('adminEditor.investors', { count: capital.investors.length }),
+                        I18n.t('adminEditor.contributed', { amount: currency(capital.investors.reduce((sum, i) => sum + i.amount, 0)) })
+                    ],
+                    issues: SheetSchema.validateCapital(rows, schema.capital)
+                };
+            }
+            case 'ventas':
+                return { facts: [I18n.t('adminEditor.sales', { count: DataService.parseSales(rows, schema.ventas).length })], issues: [] };
+            case 'hitos':
+                return { facts: [I18n.t('adminEditor.milestones', { count: DataService.parseMilestones(rows, schema.hitos).length })], issues: [] };
+            default:
+                return { facts: [], issues: [] };
+        }
+    }
+};
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => Admin.init());
@@ -0,0 +1,63 @@
+/**
+ * API Module
+ * Thin wrapper around fetch() for the reporting server.
+ * Adds the session token and turns { error: { code, message, params } } responses into
+ * Errors, with the message in the current language (the `errors` group of i18n.js).
+ */
+
+const Api = {
+    /**
+     * Call a JSON endpoint. Resolves with the parsed body (or null for 204).
+     * Rejects with an Error carrying `status` and `code` when the server reports one
+     * (and `retryAfter`, in seconds, when it says to wait).
+     * `keepalive` lets the request finish after the page is hidden or closed.
+     */
+    async request(path, { method = 'GET', body, keepalive = false } = {}) {
+        const response = await this.fetch(path, { method, body, keepalive });
+        if (response.status === 204) return null;
+        return response.json();
+    },
+
+    /**
+     * Authenticated fetch() that resolves with the raw Response when it is OK
+     * and rejects with a structured Error otherwise.
+     */
+    async fetch(path, { method = 'GET', body, keepalive = false } = {}) {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (Auth.token) headers['Authorization'] = `Bearer ${Auth.token}`;
+
+        const response = await fetch(path, {
+            method,
+            headers,
+            keepalive,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        if (response.ok) return response;
+
+        let json = null;
+        try {
+            json = await response.json();
+        } catch (e) {
+            // Non-JSON error response: fall back to the status line
+        }
+        const err = new Error(json?.error ? this.errorMessage(json.error) : `HTTP ${response.status}: ${response.statusText}`);
+        err.status = response.status;
+        err.code = json?.error?.code || 'HTTP_ERROR';
+        // Seconds to wait before retrying (login throttling)
+        err.retryAfter = Number(response.headers.get('Retry-After')) || null;
+        // The session ran out or was revoked mid-session: back to the login screen
+        if (err.code === 'UNAUTHORIZED') Auth.expire();
+        throw err;
+    },
+
+    /**
+     * The catalog's message for a server error code, or the server's own (Spanish)
+     * message for a code the catalog doesn't have.
+     */
+    errorMessage({ code, message, params }) {
+        const key = `errors.${code}`;
+        const text = I18n.t(key, params || {});
+        return text === key ? message : text;
+    }
+};
@@ -7,15 +7,31 @@ const App = {
     project: null,
     data: null,
     currentSection: 'resumen',
+    showingSavedData: false,
+    snapshots: [],
+    unitViews: {},   // 'houses' / 'sales' -> 'cards' | 'table' once the user picks one
+    tableSorts: {},  // sortable table id -> { key, dir }
+    forecast: null,
+    waterfallBasis: 'sheet',  // profit run through the waterfall: 'sheet' | 'projected' | 'custom'
     photos: [],
+    photosRequest: null,  // pending or settled gallery listing, shared by Galería and Avance
+    galleryFolderUrl: '',
+    galleryGrouping: 'date',  // Galería albums: 'date' (month taken) | 'stage' (Drive subfolder)
     currentPhotoIndex: 0,
 
     // ========== INITIALIZATION ==========
 
-    init() {
+    async init() {
+        I18n.init();
+        this.markActiveLocale();
         this.bindEvents();
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js')
+                .catch(err => console.warn('Service worker not registered:', err));
+        }
+        Auth.onExpired = () => this.handleSessionExpired();
         // Check for existing session
-        const session = Auth.getSession();
+        const session = await Auth.getSession();
         if (session) {
             this.project = session;
             this.showDashboard();
@@ -29,6 +45,11 @@ const App = {
             this.handleLogin();
         });
 
+        // Language switchers (login screen and header)
+        document.querySelectorAll('[data-locale]').forEach(btn => {
+            btn.addEventListener('click', () => this.setLocale(btn.dataset.locale));
+        });
+
         // Toggle password visibility
         document.getElementById('toggle-password').addEventListener('click', () => {
             const input = document.getElementById('password-input');
@@ -39,19 +60,65 @@ const App = {
             document.querySelector('.eye-off-icon').classList.toggle('hidden', !isPassword);
         });
 
+        // Any interaction counts as activity and keeps the session from expiring while idle
+        ['pointerdown', 'keydown', 'scroll', 'mousemove', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => Auth.touch(), { capture: true, passive: true });
+        });
+
         // Navigation
         document.querySelectorAll('.nav-btn').forEach(btn => {
             btn.addEventListener('click', () => this.navigateTo(btn.dataset.section));
         });
 
+        document.getElementById('retry-btn').addEventListener('click', () => this.loadData());
+
         // Header buttons
         document.getElementById('refresh-btn').addEventListener('click', () => {
             DataService.clearCache();
+            if (this.currentSection === 'portafolio') this.loadPortfolio();
             this.loadData();
         });
         document.getElementById('print-btn').addEventListener('click', () => window.print());
+        // Also catches printing from the browser's menu
+        window.addEventListener('beforeprint', () => Activity.track(this.project, 'export', { kind: 'print' }));
+        document.getElementById('download-report-btn').addEventListener('click', () => this.downloadReport());
+        document.getElementById('project-switcher').addEventListener('change', (e) => {
+            if (e.target.value === '__add__') {
+                e.target.value = this.project.key;
+                this.showAddProject();
+            } else {
+                this.switchProject(e.target.value);
+            }
+        });
+        document.getElementById('login-cancel').addEventListener('click', () => this.showDashboard());
+
+        // Portfolio rows open their project
+        document.getElementById('portfolio-tbody').addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-key]');
+            if (row) this.switchProject(row.dataset.key, 'resumen');
+        });
         document.getElementById('logout-btn').addEventListener('click', () => this.handleLogout());
 
+        // Saved data on screen: retry now, or as soon as the connection comes back
+        document.getElementById('offline-retry').addEventListener('click', () => this.refreshSavedData());
+        window.addEventListener('online', () => this.refreshSavedData());
+
+        // Send pending activity before the page is closed or put in the background
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') Activity.flush({ keepalive: true });
+        });
+
+        // Snapshot comparison
+        document.getElementById('compare-base').addEventListener('change', () => this.renderComparison());
+        document.getElementById('compare-target').addEventListener('change', () => this.renderComparison());
+
+        // Data quality alert opens the detail panel
+        document.getElementById('quality-alert').addEventListener('click', (e) => {
+            if (!e.target.closest('.btn-link')) return;
+            this.navigateTo('resumen');
+            document.getElementById('quality-card').scrollIntoView({ behavior: 'smooth' });
+        });
+
         // Expense filters
         document.getElementById('filter-category').addEventListener('change', () => this.filterExpenses());
         document.getElementById('filter-subcategory').addEventListener('change', () => this.filterExpenses());
@@ -59,6 +126,66 @@ const App = {
         document.getElementById('filter-date-to').addEventListener('change', () => this.filterExpenses());
         document.getElementById('clear-filters').addEventListener('click', () => this.clearFilters());
 
+        // Casas / Ventas: cards or a sortable table
+        document.querySelectorAll('.view-toggle[data-units]').forEach(toggle => {
+            toggle.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-view]');
+                if (!btn || !this.data) return;
+                this.unitViews[toggle.dataset.units] = btn.dataset.view;
+                this.renderUnits();
+            });
+        });
+        document.addEventListener('click', (e) => {
+            const btn = e.target.closest('.sortable-table [data-sort]');
+            if (!btn || !this.data) return;
+            const id = btn.closest('table').dataset.table;
+            this.sortTable(id, btn.dataset.sort);
+            if (id === 'distributions') {
+                this.renderWaterfall();
+            } else {
+                this.renderUnits();
+            }
+        });
+
+        // Distribution waterfall: profit from the sheet, the forecast or typed in
+        document.getElementById('waterfall-basis').addEventListener('change', (e) => {
+            this.waterfallBasis = e.target.value;
+            if (this.data) this.renderWaterfall();
+        });
+        document.getElementById('waterfall-profit').addEventListener('input', () => {
+            this.waterfallBasis = 'custom';
+            if (this.data) this.renderWaterfall();
+        });
+
+        // Exports
+        document.getElementById('export-expenses-csv').addEventListener('click', () => this.exportCSV('expenses'));
+        document.getElementById('export-budget-csv').addEventListener('click', () => this.exportCSV('budget'));
+        document.getElementById('export-expenses-xlsx').addEventListener('click', () => this.exportWorkbook(['expenses', 'budget']));
+        document.getElementById('export-budget-xlsx').addEventListener('click', () => this.exportWorkbook(['budget', 'expenses']));
+
+        // Galería: albums by date or stage; photos open the lightbox
+        document.getElementById('gallery-grouping').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-grouping]');
+            if (!btn || !this.photos.length) return;
+            this.galleryGrouping = btn.dataset.grouping;
+            this.renderGallery();
+        });
+        document.getElementById('gallery-albums').addEventListener('click', (e) => {
+            const item = e.target.closest('.gallery-item[data-index]');
+            if (item) this.openLightbox(parseInt(item.dataset.index, 10));
+        });
+        // Thumbnails that fail to load are hidden (error doesn't bubble, so capture it)
+        document.getElementById('gallery-albums').addEventListener('error', (e) => {
+            const item = e.target.closest && e.target.closest('.gallery-item');
+            if (item) item.style.display = 'none';
+        }, true);
+        document.getElementById('milestones-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-photo-id]');
+            if (!item) return;
+            const index = this.photos.findIndex(photo => photo.id === item.dataset.photoId);
+            if (index >= 0) this.openLightbox(index);
+        });
+
         // Lightbox keyboard navigation
         document.addEventListener('keydown', (e) => {
             const lightbox = document.getElementById('lightbox');
@@ -72,52 +199,207 @@ const App = {
         document.getElementById('lightbox').addEventListener('click', (e) => {
             if (e.target.id === 'lightbox') this.closeLightbox();
         });
+        document.querySelector('.lightbox-close').addEventListener('click', () => this.closeLightbox());
+        document.querySelector('.lightbox-prev').addEventListener('click', () => this.prevPhoto());
+        document.querySelector('.lightbox-next').addEventListener('click', () => this.nextPhoto());
     },
 
     // ========== AUTH ==========
 
-    handleLogin() {
+    async handleLogin() {
+        const username = document.getElementById('username-input').value;
         const password = document.getElementById('password-input').value;
         const errorEl = document.getElementById('login-error');
+        const loginBtn = document.getElementById('login-btn');
 
         if (!password.trim()) {
             errorEl.classList.remove('hidden');
-            errorEl.textContent = 'Por favor ingresa una contraseña.';
+            errorEl.textContent = I18n.t('login.passwordRequired');
+            return;
+        }
+
+        let project;
+        loginBtn.disabled = true;
+        try {
+            project = await Auth.login(password, username.trim());
+        } catch (err) {
+            console.error('Error during login:', err);
+            errorEl.classList.remove('hidden');
+            errorEl.textContent = this.loginErrorMessage(err);
             return;
+        } finally {
+            loginBtn.disabled = false;
         }
 
-        const project = Auth.login(password);
         if (project) {
+            if (this.project && this.project.key !== project.key) {
+                this.photos = [];
+                this.photosRequest = null;
+                this.snapshots = [];
+                this.waterfallBasis = 'sheet';
+                this.resetFilterInputs();
+            }
             this.project = project;
             errorEl.classList.add('hidden');
             this.showDashboard();
         } else {
             errorEl.classList.remove('hidden');
-            errorEl.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg> Contraseña incorrecta. Intenta de nuevo.';
+            errorEl.innerHTML = Html.html`<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg> ${I18n.t('login.invalid')}`;
             document.getElementById('password-input').value = '';
             document.getElementById('password-input').focus();
         }
     },
 
-    handleLogout() {
-        Auth.logout();
+    /**
+     * The login error to show for a failed request, in the current language.
+     */
+    loginErrorMessage(err) {
+        if (err.code === 'NO_PROJECTS') return I18n.t('login.noProjects');
+        // Too many failed attempts: the server says how long to wait
+        if (err.code === 'TOO_MANY_ATTEMPTS' || err.code === 'LOGIN_LOCKED') {
+            if (!err.retryAfter) return err.message;
+            const wait = err.retryAfter >= 120
+                ? I18n.t('login.minutes', { count: Math.ceil(err.retryAfter / 60) })
+                : I18n.t('login.seconds', { count: err.retryAfter });
+            return I18n.t(err.code === 'LOGIN_LOCKED' ? 'login.locked' : 'login.tooMany', { wait });
+        }
+        return I18n.t('login.failed', { message: err.message });
+    },
+
+    /**
+     * Log out and return to the login screen. `expired`: the session already ended
+     * (see handleSessionExpired), so the server isn't told and the reason is shown.
+     */
+    async handleLogout({ expired = false } = {}) {
+        if (expired) {
+            Activity.clear();
+            Auth.clear();
+        } else {
+            await Activity.flush();
+            await Auth.logout();
+        }
+        // Don't leave the latest figures on a shared device; dated snapshots are kept
+        // (they hold project totals only, see snapshots.js, and are only shown after
+        // logging in to their project again)
+        DataService.clearCache();
+        DataStore.clear('latest').catch(err => console.warn('Could not clear saved data:', err));
         this.project = null;
         this.data = null;
         document.getElementById('dashboard').classList.add('hidden');
         document.getElementById('login-screen').classList.remove('hidden');
+        document.getElementById('login-cancel').classList.add('hidden');
+        document.getElementById('username-input').value = '';
+        document.getElementById('password-input').value = '';
+        this.photos = [];
+        this.photosRequest = null;
+        this.snapshots = [];
+        this.waterfallBasis = 'sheet';
+        this.resetFilterInputs();
+        this.navigateTo('resumen');
+        const errorEl = document.getElementById('login-error');
+        errorEl.classList.toggle('hidden', !expired);
+        errorEl.textContent = expired ? I18n.t('login.expired') : '';
+    },
+
+    /**
+     * The session ran out (idle or too long since login) or the server rejected it.
+     */
+    handleSessionExpired() {
+        if (!this.project) return;
+        document.getElementById('lightbox').classList.add('hidden');
+        this.handleLogout({ expired: true });
+    },
+
+    /**
+     * Show the login screen on top of an active session to add another project.
+     */
+    showAddProject() {
+        document.getElementById('dashboard').classList.add('hidden');
+        document.getElementById('login-screen').classList.remove('hidden');
+        document.getElementById('login-cancel').classList.remove('hidden');
+        document.getElementById('login-error').classList.add('hidden');
+        document.getElementById('username-input').value = '';
         document.getElementById('password-input').value = '';
+        document.getElementById('password-input').focus();
+    },
+
+    // ========== LANGUAGE ==========
+
+    /**
+     * Switch the dashboard's language and render what is on screen again.
+     */
+    setLocale(locale) {
+        if (!I18n.setLocale(locale)) return;
+        this.markActiveLocale();
+        if (this.project) this.renderProjectSwitcher();
+        if (this.data) {
+            this.showSavedDataBanner(this.showingSavedData ? this.data.fetchedAt : null);
+            this.renderAll();
+            this.loadSnapshots();
+        }
+        if (this.photos.length) this.renderGallery();
+        if (this.currentSection === 'portafolio') this.loadPortfolio();
+    },
+
+    markActiveLocale() {
+        document.querySelectorAll('[data-locale]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.locale === I18n.locale);
+        });
     },
 
     // ========== NAVIGATION ==========
 
     showDashboard() {
         document.getElementById('login-screen').classList.add('hidden');
+        document.getElementById('login-cancel').classList.add('hidden');
         document.getElementById('dashboard').classList.remove('hidden');
         document.getElementById('project-name').textContent = this.project.name;
+        this.renderProjectSwitcher();
+        if (this.currentSection === 'portafolio') {
+            this.loadPortfolio();
+        }
         this.loadData();
     },
 
+    renderProjectSwitcher() {
+        const switcher = document.getElementById('project-switcher');
+        switcher.innerHTML = Auth.projects.map(p => Html.html`
+            <option value="${p.key}" ${p.key === this.project.key ? 'selected' : ''}>${p.name}</option>
+        `).join('') + Html.html`<option value="__add__">${I18n.t('header.addProject')}</option>`;
+
+        const hasPortfolio = Auth.projects.length > 1;
+        document.getElementById('nav-portafolio').classList.toggle('hidden', !hasPortfolio);
+        // Admin accounts get the project admin console (admin.html)
+        document.getElementById('admin-link').classList.toggle('hidden', !Auth.projects.some(p => p.role === 'admin'));
+        if (!hasPortfolio && this.currentSection === 'portafolio') {
+            this.navigateTo('resumen');
+        }
+    },
+
+    /**
+     * Switch the dashboard to another project of the session without logging out.
+     */
+    switchProject(key, section = this.currentSection) {
+        if (this.project && key === this.project.key) {
+            if (section !== this.currentSection) this.navigateTo(section);
+            return;
+        }
+        this.project = Auth.selectProject(key);
+        this.data = null;
+        this.photos = [];
+        this.photosRequest = null;
+        this.snapshots = [];
+        this.waterfallBasis = 'sheet';
+        this.resetFilterInputs();
+        this.navigateTo(section);
+        this.showDashboard();
+    },
+
     navigateTo(section) {
+        // Views are counted once the data is on screen; the first section comes with 'open'
+        if (this.data && section !== this.currentSection) {
+            Activity.track(this.project, 'view', { section });
+        }
         this.currentSection = section;
         // Update nav buttons
         document.querySelectorAll('.nav-btn').forEach(btn => {
@@ -127,35 +409,99 @@ const App = {
         document.querySelectorAll('.section').forEach(sec => {
             sec.classList.toggle('hidden', sec.id !== `section-${section}`);
         });
-        // Load gallery photos on first visit
-        if (section === 'galeria' && this.photos.length === 0) {
+        document.getElementById('compare-bar').classList.toggle('hidden', !['resumen', 'presupuesto'].includes(section));
+        // Gallery photos are loaded on the first visit to Galería or Avance
+        if (section === 'galeria') {
             this.loadGallery();
         }
+        if (section === 'avance') {
+            this.loadMilestonePhotos();
+        }
+        if (section === 'portafolio') {
+            this.loadPortfolio();
+        }
     },
 
     // ========== DATA LOADING ==========
 
-    async loadData() {
+    /**
+     * Fetch and render the active project's data. If it cannot be fetched (offline,
+     * server or sheets unreachable), the last copy saved on this device is shown instead.
+     * A background load keeps the current screen until new data arrives.
+     */
+    async loadData({ background = false } = {}) {
         const loadingEl = document.getElementById('loading-state');
         const errorEl = document.getElementById('error-state');
         const mainEl = document.getElementById('main-content');
 
-        loadingEl.classList.remove('hidden');
-        errorEl.classList.add('hidden');
-        mainEl.classList.add('hidden');
+        if (!background) {
+            loadingEl.classList.remove('hidden');
+            errorEl.classList.add('hidden');
+            mainEl.classList.add('hidden');
+        }
 
+        const project = this.project;
+        const opening = !this.data;
+        const track = () => Activity.track(project, opening ? 'open' : 'refresh', opening ? { section: this.currentSection } : {});
         try {
-            this.data = await DataService.fetchAllData(this.project);
+            const data = await DataService.fetchAllData(project);
+            if (project !== this.project) return; // switched project meanwhile
+            this.data = data;
+            this.showSavedDataBanner(null);
             loadingEl.classList.add('hidden');
             mainEl.classList.remove('hidden');
             this.renderAll();
+            this.loadSnapshots();
+            track();
         } catch (err) {
             console.error('Error loading data:', err);
+            if (project !== this.project) return;
+            // Server-side refusals (expired session, no access) must not fall back to saved data
+            const canUseSaved = !err.status || err.status >= 500;
+            const saved = canUseSaved && !background && await DataService.loadSavedData(project);
+            if (saved) {
+                this.data = saved;
+                this.showSavedDataBanner(saved.fetchedAt);
+                loadingEl.classList.add('hidden');
+                mainEl.classList.remove('hidden');
+                this.renderAll();
+                this.loadSnapshots();
+                track();
+                return;
+            }
+            if (background) return; // keep what is on screen
             loadingEl.classList.add('hidden');
             errorEl.classList.remove('hidden');
-            document.getElementById('error-message').textContent =
-                `No se pudieron obtener los datos del proyecto. Error: ${err.message}. Verifica tu conexión e intenta de nuevo.`;
+            document.getElementById('error-message').textContent = I18n.t('state.errorDetail', { message: err.message });
+        }
+    },
+
+    /**
+     * Show (with the date of the saved copy) or hide the banner for data saved on the device.
+     */
+    showSavedDataBanner(fetchedAt) {
+        this.showingSavedData = !!fetchedAt;
+        document.getElementById('offline-banner').classList.toggle('hidden', !fetchedAt);
+        if (!fetchedAt) return;
+        const date = I18n.formatDateTime(fetchedAt, { dateStyle: 'medium', timeStyle: 'short' });
+        document.getElementById('offline-message').textContent = I18n.t(navigator.onLine ? 'state.savedData' : 'state.offline', { date });
+    },
+
+    /**
+     * Replace saved data with fresh data once the server can be reached again.
+     */
+    async refreshSavedData() {
+        if (!this.project || !this.showingSavedData) return;
+        if (Auth.offline) {
+            const session = await Auth.getSession();
+            if (!session) {
+                this.handleLogout();
+                return;
+            }
+            this.project = session;
         }
+        DataService.clearCache();
+        this.loadData({ background: true });
     },
 
     // ========== RENDER ALL ==========
@@ -166,44 +512,321 @@ const App = {
 
         // Update timestamp
         document.getElementById('last-updated').textContent =
-            `Datos actualizados: ${fetchedAt.toLocaleString('es-MX')}`;
+            I18n.t('header.updated', { date: I18n.formatDateTime(fetchedAt) });
 
+        this.renderDataQuality(DataQuality.check(this.data));
         this.renderSummary(budget, expSummary, capital);
-        this.renderBudgetVsExecuted(budget, expSummary);
-        this.renderFinancials(capital);
-        this.renderHouses(budget);
-        this.renderSales(budget);
+        const forecast = Forecast.calculate(budget, expenses, capital, this.data.milestones || []);
+        this.forecast = forecast;
+        this.renderBudgetVsExecuted(budget, expSummary, forecast);
+        this.renderFinancials(capital, forecast);
+        this.renderUnits();
+        this.renderMilestones();
         this.renderExpensesTable(expenses);
+        this.renderComparison();
+        if (this.currentSection === 'avance') this.loadMilestonePhotos();
+    },
+
+    /**
+     * Show the data quality checks (see quality.js) in the Resumen panel, grouped by area,
+     * and a short alert above every section when any of them is an error.
+     */
+    renderDataQuality(issues) {
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        const warnings = issues.length - errors;
+
+        const badge = document.getElementById('quality-badge');
+        badge.className = `badge ${errors ? 'badge-red' : warnings ? 'badge-orange' : 'badge-green'}`;
+        badge.textContent = issues.length
+            ? [errors && I18n.t('quality.errors', { count: errors }), warnings && I18n.t('quality.warnings', { count: warnings })].filter(Boolean).join(' · ')
+            : I18n.t('quality.ok');
+
+        const list = document.getElementById('quality-list');
+        if (!issues.length) {
+            list.innerHTML = Html.html`<p class="text-muted">${I18n.t('quality.allGood')}</p>`;
+        } else {
+            const areas = [...new Set(issues.map(issue => issue.area))];
+            list.innerHTML = areas.map(area => Html.html`
+                <div class="quality-group">
+                    <h4 class="quality-area">${area}</h4>
+                    <ul class="quality-issues">
+                        ${issues.filter(issue => issue.area === area).map(issue => Html.html`
+                            <li class="quality-issue ${issue.severity}">${issue.message}</li>
+                        `)}
+                    </ul>
+                </div>
+            `).join('');
+        }
+
+        const alert = document.getElementById('quality-alert');
+        alert.classList.toggle('hidden', errors === 0);
+        alert.innerHTML = errors ? Html.html`
+            <strong>${I18n.t('quality.alert', { count: errors })}</strong>
+            ${I18n.t('quality.alertNote')}
+            <button type="button" class="btn-link">${I18n.t('quality.alertLink')}</button>
+        ` : '';
+    },
+
+    // ========== SNAPSHOT COMPARISON ==========
+
+    /**
+     * Load the active project's snapshots (see snapshots.js) into the comparison selectors.
+     */
+    async loadSnapshots() {
+        const project = this.project;
+        let snapshots = [];
+        try {
+            snapshots = await Snapshots.list(project.key);
+        } catch (err) {
+            console.warn('Could not load snapshots:', err);
+        }
+        if (project !== this.project) return;
+        this.snapshots = snapshots;
+
+        const baseSelect = document.getElementById('compare-base');
+        const targetSelect = document.getElementById('compare-target');
+        const base = baseSelect.value;
+        const target = targetSelect.value;
+        const options = snapshots.map(s => Html.html`<option value="${s.id}">${this.formatSnapshotDate(s)}</option>`).join('');
+        baseSelect.innerHTML = Html.html`<option value="">${I18n.t('compare.none')}</option>` + options;
+        targetSelect.innerHTML = Html.html`<option value="current">${I18n.t('compare.current')}</option>` + options;
+        // Ids include the project key, so selections from another project fall back to the defaults
+        baseSelect.value = snapshots.some(s => s.id === base) ? base : '';
+        targetSelect.value = snapshots.some(s => s.id === target) ? target : 'current';
+        document.getElementById('compare-hint').textContent = snapshots.length < 2
+            ? I18n.t('compare.hint')
+            : '';
+        this.renderComparison();
+    },
+
+    formatSnapshotDate(snapshot) {
+        return I18n.formatDate(snapshot.fetchedAt, { day: 'numeric', month: 'short', year: 'numeric' });
+    },
+
+    /**
+     * "+$1,000.00 MXN" / "−1.5 pts": a change with its sign, formatted by `format`.
+     */
+    formatDelta(value, format) {
+        const sign = value > 0 ? '+' : value < 0 ? '−' : '';
+        return sign + format(Math.abs(value));
+    },
+
+    /**
+     * Render the comparison cards of Resumen and Presupuesto for the selected snapshots,
+     * or hide them when no comparison is selected.
+     */
+    renderComparison() {
+        const targetSelect = document.getElementById('compare-target');
+        const base = this.snapshots.find(s => s.id === document.getElementById('compare-base').value);
+        targetSelect.disabled = !base;
+        document.getElementById('comparison-summary').classList.toggle('hidden', !base || !this.data);
+        document.getElementById('comparison-budget').classList.toggle('hidden', !base || !this.data);
+        if (!base || !this.data) return;
+
+        const target = this.snapshots.find(s => s.id === targetSelect.value);
+        const diff = Snapshots.compare(base, target || this.data, Progress.config(this.project));
+        const period = `${this.formatSnapshotDate(base)} → ${target ? this.formatSnapshotDate(target) : I18n.t('compare.currentLower')}`;
+
+        this.renderComparisonSummary(diff, period);
+        this.renderBudgetChanges(diff.budgetLines, period);
+    },
+
+    renderComparisonSummary(diff, period) {
+        const money = (v) => DataService.formatCurrency(v);
+        const points = (v) => I18n.t('compare.points', { value: I18n.formatNumber(v, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+        // `better` says which direction of change is good news, for colouring
+        const kpis = [
+            { label: I18n.t('kpi.totalBudget'), change: diff.kpis.totalBudget, format: money, better: 'down' },
+            { label: I18n.t('compare.spentInPeriod'), change: diff.kpis.totalSpent, format: money, better: null },
+            { label: I18n.t('kpi.progress'), change: diff.kpis.progress, format: points, better: 'up' },
+            { label: I18n.t('kpi.roi'), change: diff.kpis.roi, format: points, better: 'up' }
+        ];
+        const deltaClass = (delta, better) => {
+            if (!better || Math.abs(delta) < 0.005) return '';
+            return (delta > 0) === (better === 'up') ? 'delta-good' : 'delta-bad';
+        };
+
+        document.getElementById('comparison-summary').innerHTML = Html.html`
+            <div class="card-header">
+                <h3 class="card-title">${I18n.t('compare.periodChanges')}</h3>
+                <span class="badge badge-blue">${period}</span>
+            </div>
+            <div class="comparison-kpis">
+                ${kpis.map(({ label, change, format, better }) => Html.html`
+                    <div class="comparison-kpi">
+                        <span class="comparison-kpi-label">${label}</span>
+                        <span class="comparison-kpi-delta ${deltaClass(change.delta, better)}">${this.formatDelta(change.delta, format)}</span>
+                    </div>
+                `)}
+            </div>
+            <h4 class="comparison-subtitle">${I18n.t('compare.spentByCategory')}</h4>
+            ${diff.spentByCategory.map(cat => Html.html`
+                <div class="comparison-row">
+                    <span>${I18n.category(cat.category)}</span>
+                    <span>${this.formatDelta(cat.delta, money)}</span>
+                </div>
+            `)}
+        `;
+    },
+
+    /**
+     * Budget lines that changed between the snapshots; lines revised upward are flagged.
+     */
+    renderBudgetChanges(lines, period) {
+        const money = (v) => DataService.formatCurrency(v);
+        const upward = lines.filter(line => line.delta > 0 && !line.isTotal);
+        const upwardTotal = upward.reduce((sum, line) => sum + line.delta, 0);
+
+        let body;
+        if (!lines.length) {
+            body = Html.html`<p class="text-muted">${I18n.t('compare.budgetUnchanged')}</p>`;
+        } else {
+            body = Html.html`
+                ${upward.length ? Html.html`<p class="comparison-note">${I18n.t('compare.revisedUp', { count: upward.length, amount: this.formatDelta(upwardTotal, money) })}</p>` : ''}
+                <div class="table-wrapper">
+                    <table class="expenses-table comparison-table">
+                        <thead>
+                            <tr>
+                                <th>${I18n.t('compare.section')}</th>
+                                <th>${I18n.t('compare.line')}</th>
+                                <th class="text-right">${I18n.t('compare.before')}</th>
+                                <th class="text-right">${I18n.t('compare.now')}</th>
+                                <th class="text-right">${I18n.t('compare.change')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${lines.map(line => Html.html`
+                                <tr class="${line.isTotal ? 'comparison-total' : ''} ${line.delta > 0 ? 'revised-up' : ''}">
+                                    <td>${line.section}</td>
+                                    <td>
+                                        ${line.name}
+                                        ${line.delta > 0 && !line.isTotal ? Html.html`<span class="badge badge-red">${I18n.t('compare.upward')}</span>` : ''}
+                                    </td>
+                                    <td class="text-right">${money(line.from)}</td>
+                                    <td class="text-right">${money(line.to)}</td>
+                                    <td class="text-right">${this.formatDelta(line.delta, money)}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        document.getElementById('comparison-budget').innerHTML = Html.html`
+            <div class="card-header">
+                <h3 class="card-title">${I18n.t('compare.budgetChanges')}</h3>
+                <span class="badge badge-blue">${period}</span>
+            </div>
+            ${body}
+        `;
+    },
+
+    // ========== SECTION: PORTAFOLIO ==========
+
+    /**
+     * Load every project of the session and compare their headline figures.
+     * Projects that fail to load are listed with their error instead of blocking the rest.
+     */
+    async loadPortfolio() {
+        const loadingEl = document.getElementById('portfolio-loading');
+        const tbody = document.getElementById('portfolio-tbody');
+        const tfoot = document.getElementById('portfolio-tfoot');
+        const projects = [...Auth.projects];
+
+        loadingEl.classList.remove('hidden');
+        tbody.innerHTML = '';
+        tfoot.innerHTML = '';
+
+        const results = await Promise.allSettled(projects.map(p => DataService.fetchAllData(p)));
+        if (this.currentSection !== 'portafolio') return;
+        loadingEl.classList.add('hidden');
+
+        const rows = projects.map((project, i) => {
+            const result = results[i];
+            if (result.status === 'rejected') {
+                console.error(`Error loading project ${project.key}:`, result.reason);
+                return { project, error: result.reason.message };
+            }
+            const { budget, expenses, capital, milestones } = result.value;
+            const expSummary = DataService.calculateExpenseSummary(expenses);
+            return {
+                project,
+                kpis: DataService.calculateProjectKPIs(budget, expSummary, capital, { progress: Progress.config(project), milestones })
+            };
+        });
+
+        tbody.innerHTML = rows.map(({ project, kpis, error }) => {
+            const isActive = project.key === this.project.key;
+            if (error) {
+                return Html.html`
+                    <tr data-key="${project.key}" class="portfolio-row">
+                        <td><strong>${project.name}</strong></td>
+                        <td colspan="4" class="text-muted">${I18n.t('portfolio.loadError', { message: error })}</td>
+                    </tr>
+                `;
+            }
+            const spentPct = kpis.totalBudget > 0 ? (kpis.totalSpent / kpis.totalBudget) * 100 : 0;
+            return Html.html`
+                <tr data-key="${project.key}" class="portfolio-row ${isActive ? 'active' : ''}">
+                    <td><strong>${project.name}</strong></td>
+                    <td class="text-right">${DataService.formatCurrency(kpis.totalBudget)}</td>
+                    <td class="text-right">
+                        ${DataService.formatCurrency(kpis.totalSpent)}
+                        <div class="portfolio-sub">${I18n.t('common.ofBudget', { percent: DataService.formatPercent(spentPct) })}</div>
+                    </td>
+                    <td>
+                        <div class="portfolio-progress">
+                            <div class="progress-bar-bg">
+                                <div class="progress-bar-fill green" style="width: ${Math.min(kpis.progress, 100)}%"></div>
+                            </div>
+                            <span>${DataService.formatPercent(kpis.progress)}</span>
+                        </div>
+                    </td>
+                    <td class="text-right">${DataService.formatPercent(kpis.roi)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        // Portfolio totals: progress weighted by each project's budget
+        const loaded = rows.filter(r => r.kpis);
+        const totalBudget = loaded.reduce((sum, r) => sum + r.kpis.totalBudget, 0);
+        const totalSpent = loaded.reduce((sum, r) => sum + r.kpis.totalSpent, 0);
+        const weightedProgress = totalBudget > 0
+            ? loaded.reduce((sum, r) => sum + r.kpis.progress * r.kpis.totalBudget, 0) / totalBudget
+            : 0;
+        tfoot.innerHTML = Html.html`
+            <tr>
+                <td><strong>${I18n.t('portfolio.total', { count: loaded.length })}</strong></td>
+                <td class="text-right"><strong>${DataService.formatCurrency(totalBudget)}</strong></td>
+                <td class="text-right"><strong>${DataService.formatCurrency(totalSpent)}</strong></td>
+                <td><strong>${DataService.formatPercent(weightedProgress)}</strong></td>
+                <td></td>
+            </tr>
+        `;
     },
 
     // ========== SECTION: RESUMEN ==========
 
     renderSummary(budget, expSummary, capital) {
+        const kpis = DataService.calculateProjectKPIs(budget, expSummary, capital, {
+            progress: Progress.config(this.project),
+            milestones: this.data.milestones
+        });
+
         // Total Investment
-        const totalBudget = (budget.hardCosts.total || 0) +
-                            (budget.softCosts.total || 0) +
-                            (budget.terreno.total || 0);
-        document.getElementById('total-investment').textContent = DataService.formatCurrency(totalBudget);
+        document.getElementById('total-investment').textContent = DataService.formatCurrency(kpis.totalBudget);
 
         // Total Spent
-        document.getElementById('total-spent').textContent = DataService.formatCurrency(expSummary.total);
+        document.getElementById('total-spent').textContent = DataService.formatCurrency(kpis.totalSpent);
 
-        // General Progress - Weighted: 80% Hard Cost + 20% Soft Cost (excludes Terreno)
-        const hardCostBudget = budget.hardCosts.total || 0;
-        const softCostBudget = budget.softCosts.total || 0;
-        const hardCostSpent = expSummary.byCategory['Hard Cost'] || 0;
-        const softCostSpent = expSummary.byCategory['Soft Cost'] || 0;
-
-        const hardCostProgress = hardCostBudget > 0 ? (hardCostSpent / hardCostBudget) * 100 : 0;
-        const softCostProgress = softCostBudget > 0 ? (softCostSpent / softCostBudget) * 100 : 0;
-
-        // Weighted average: 80% weight for Hard Cost, 20% weight for Soft Cost
-        const weightedProgress = (hardCostProgress * 0.80) + (softCostProgress * 0.20);
-        document.getElementById('general-progress').textContent = DataService.formatPercent(weightedProgress);
+        // General Progress - per the project's progress strategy (see progress.js)
+        document.getElementById('general-progress').textContent = DataService.formatPercent(kpis.progress);
+        document.getElementById('general-progress-method').textContent = I18n.label('progressStrategy', kpis.progressDetail.strategy);
+        document.getElementById('general-progress-card').title = Progress.describe(kpis.progressDetail);
 
         // ROI
-        const roi = capital.capitalIndicators.roi || 0;
-        document.getElementById('expected-roi').textContent = DataService.formatPercent(roi);
+        document.getElementById('expected-roi').textContent = DataService.formatPercent(kpis.roi);
 
         // Category Progress Summary
         this.renderCategoryProgressSummary(budget, expSummary);
@@ -216,19 +839,19 @@ const App = {
         const container = document.getElementById('category-progress-summary');
         const categories = [
             {
-                name: 'Hard Costs',
+                name: I18n.category('Hard Cost'),
                 budget: budget.hardCosts.total || 0,
                 spent: expSummary.byCategory['Hard Cost'] || 0,
                 color: 'blue'
             },
             {
-                name: 'Soft Costs',
+                name: I18n.category('Soft Cost'),
                 budget: budget.softCosts.total || 0,
                 spent: expSummary.byCategory['Soft Cost'] || 0,
                 color: 'purple'
             },
             {
-                name: 'Terreno',
+                name: I18n.category('Terreno'),
                 budget: budget.terreno.total || 0,
                 spent: expSummary.byCategory['Terreno'] || 0,
                 color: 'orange'
@@ -238,7 +861,7 @@ const App = {
         container.innerHTML = categories.map(cat => {
             const pct = cat.budget > 0 ? (cat.spent / cat.budget) * 100 : 0;
             const colorClass = pct > 100 ? 'red' : cat.color;
-            return `
+            return Html.html`
                 <div class="progress-item">
                     <div class="progress-header">
                         <span class="progress-label">${cat.name}</span>
@@ -248,8 +871,8 @@ const App = {
                         <div class="progress-bar-fill ${colorClass}" style="width: ${Math.min(pct, 100)}%"></div>
                     </div>
                     <div class="progress-amounts">
-                        <span>Gastado: ${DataService.formatCurrencyShort(cat.spent)}</span>
-                        <span>Presupuesto: ${DataService.formatCurrencyShort(cat.budget)}</span>
+                        <span>${I18n.t('common.spentAmount', { amount: DataService.formatCurrencyShort(cat.spent) })}</span>
+                        <span>${I18n.t('common.budgetAmount', { amount: DataService.formatCurrencyShort(cat.budget) })}</span>
                     </div>
                 </div>
             `;
@@ -262,9 +885,9 @@ const App = {
         const total = (uses.hardCosts?.amount || 0) + (uses.softCosts?.amount || 0) + (uses.terreno?.amount || 0);
 
         const segments = [
-            { name: 'Hard Costs', amount: uses.hardCosts?.amount || 0, pct: uses.hardCosts?.pct || 0, color: '#3182ce' },
-            { name: 'Soft Costs', amount: uses.softCosts?.amount || 0, pct: uses.softCosts?.pct || 0, color: '#6b46c1' },
-            { name: 'Terreno', amount: uses.terreno?.amount || 0, pct: uses.terreno?.pct || 0, color: '#dd6b20' }
+            { name: I18n.category('Hard Cost'), amount: uses.hardCosts?.amount || 0, pct: uses.hardCosts?.pct || 0, color: '#3182ce' },
+            { name: I18n.category('Soft Cost'), amount: uses.softCosts?.amount || 0, pct: uses.softCosts?.pct || 0, color: '#6b46c1' },
+            { name: I18n.category('Terreno'), amount: uses.terreno?.amount || 0, pct: uses.terreno?.pct || 0, color: '#dd6b20' }
         ];
 
         // Calculate conic gradient for pie chart
@@ -276,18 +899,18 @@ const App = {
             currentAngle += pctOfTotal;
         });
 
-        container.innerHTML = `
+        container.innerHTML = Html.html`
             <div class="pie-chart-container">
                 <div class="pie-chart" style="background: conic-gradient(${gradientStops.join(', ')});"></div>
                 <div class="pie-chart-center">
                     <span class="pie-chart-center-value">${DataService.formatCurrencyShort(total)}</span>
-                    <span class="pie-chart-center-label">Total</span>
+                    <span class="pie-chart-center-label">${I18n.t('common.total')}</span>
                 </div>
             </div>
             <div class="capital-legend">
                 ${segments.map(s => {
                     const pctOfTotal = total > 0 ? (s.amount / total) * 100 : 0;
-                    return `
+                    return Html.html`
                     <div class="capital-legend-item">
                         <div class="capital-legend-left">
                             <span class="legend-dot" style="background:${s.color}"></span>
@@ -296,20 +919,23 @@ const App = {
                         <span class="capital-legend-amount">${DataService.formatCurrencyShort(s.amount)}</span>
                         <span class="capital-legend-pct">${DataService.formatPercent(pctOfTotal)}</span>
                     </div>
-                `}).join('')}
+                `})}
             </div>
         `;
     },
 
     // ========== SECTION: PRESUPUESTO VS EJECUTADO ==========
 
-    renderBudgetVsExecuted(budget, expSummary) {
+    renderBudgetVsExecuted(budget, expSummary, forecast) {
+        this.renderForecast(forecast);
+
         // Hard Costs
         this.renderBudgetCategory(
             'hard-cost-progress', 'hard-cost-badge',
             budget.hardCosts.total || 0,
             expSummary.byCategory['Hard Cost'] || 0,
-            'blue'
+            'blue',
+            forecast.categories['Hard Cost']
         );
 
         // Soft Costs
@@ -317,18 +943,20 @@ const App = {
             'soft-cost-progress', 'soft-cost-badge',
             budget.softCosts.total || 0,
             expSummary.byCategory['Soft Cost'] || 0,
-            'purple'
+            'purple',
+            forecast.categories['Soft Cost']
         );
-        this.renderSubcategoryBreakdown('soft-cost-breakdown', budget.softCosts.items || [], expSummary, 'Soft Cost', 'purple');
+        this.renderSubcategoryBreakdown('soft-cost-breakdown', budget.softCosts.items || [], expSummary, 'Soft Cost', 'purple', forecast);
 
         // Terreno
         this.renderBudgetCategory(
             'terreno-progress', 'terreno-badge',
             budget.terreno.total || 0,
             expSummary.byCategory['Terreno'] || 0,
-            'orange'
+            'orange',
+            forecast.categories['Terreno']
         );
-        this.renderSubcategoryBreakdown('terreno-breakdown', budget.terreno.items || [], expSummary, 'Terreno', 'orange');
+        this.renderSubcategoryBreakdown('terreno-breakdown', budget.terreno.items || [], expSummary, 'Terreno', 'orange', forecast);
 
         // Total summary
         const totalBudget = (budget.hardCosts.total || 0) + (budget.softCosts.total || 0) + (budget.terreno.total || 0);
@@ -336,41 +964,92 @@ const App = {
         const remaining = totalBudget - totalSpent;
         const pct = totalBudget > 0 ? (totalSpent / totalBudget) * 100 : 0;
 
-        document.getElementById('total-budget-summary').innerHTML = `
+        document.getElementById('total-budget-summary').innerHTML = Html.html`
             <div class="budget-total-item">
-                <div class="budget-total-label">Presupuesto Total</div>
+                <div class="budget-total-label">${I18n.t('kpi.totalBudget')}</div>
                 <div class="budget-total-value">${DataService.formatCurrency(totalBudget)}</div>
             </div>
             <div class="budget-total-item">
-                <div class="budget-total-label">Ejecutado</div>
+                <div class="budget-total-label">${I18n.t('budget.executed')}</div>
                 <div class="budget-total-value" style="color: var(--secondary)">${DataService.formatCurrency(totalSpent)}</div>
-                <div class="budget-total-sub">${DataService.formatPercent(pct)} del presupuesto</div>
+                <div class="budget-total-sub">${I18n.t('common.ofBudget', { percent: DataService.formatPercent(pct) })}</div>
             </div>
             <div class="budget-total-item">
-                <div class="budget-total-label">Restante</div>
+                <div class="budget-total-label">${I18n.t('budget.remaining')}</div>
                 <div class="budget-total-value" style="color: ${remaining >= 0 ? 'var(--warning)' : 'var(--danger)'}">${DataService.formatCurrency(remaining)}</div>
-                <div class="budget-total-sub">${DataService.formatPercent(100 - pct)} por ejecutar</div>
+                <div class="budget-total-sub">${I18n.t('budget.toExecute', { percent: DataService.formatPercent(100 - pct) })}</div>
+            </div>
+        `;
+    },
+
+    /**
+     * Cost-to-complete forecast (see forecast.js): completion date, projected final
+     * cost per category and alerts for lines on track to exceed their budget.
+     */
+    renderForecast(forecast) {
+        const container = document.getElementById('forecast-content');
+        if (forecast.completionDate === null) {
+            container.innerHTML = Html.html`<p class="text-muted">${I18n.t('forecast.noData')}</p>`;
+            return;
+        }
+
+        const { total } = forecast;
+        const monthlyBurn = Object.values(forecast.categories).reduce((sum, c) => sum + c.burnRate, 0);
+        const dateLabel = (d) => I18n.formatDate(d, { year: 'numeric', month: 'long', day: 'numeric' });
+
+        container.innerHTML = Html.html`
+            <div class="budget-total-summary forecast-summary">
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('forecast.completion')}</div>
+                    <div class="budget-total-value">${I18n.formatDate(forecast.completionDate, { year: 'numeric', month: 'short' })}</div>
+                    <div class="budget-total-sub">${I18n.t(`forecast.monthsLeft.${forecast.schedule}`, { months: I18n.formatNumber(forecast.monthsToComplete, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}</div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('forecast.finalCost')}</div>
+                    <div class="budget-total-value" style="color: ${total.overrun > 0 ? 'var(--danger)' : 'var(--primary)'}">${DataService.formatCurrency(total.projected)}</div>
+                    <div class="budget-total-sub">${total.overrun > 0 ? I18n.t('budget.overBudget', { amount: DataService.formatCurrency(total.overrun) }) : I18n.t('forecast.withinBudget')}</div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('forecast.burnRate')}</div>
+                    <div class="budget-total-value">${I18n.t('forecast.perMonth', { amount: DataService.formatCurrencyShort(monthlyBurn) })}</div>
+                    <div class="budget-total-sub">${I18n.t('forecast.window', { days: Forecast.WINDOW_DAYS, date: dateLabel(forecast.asOf) })}</div>
+                </div>
             </div>
+            ${forecast.alerts.length ? Html.html`
+                <ul class="forecast-alerts">
+                    ${forecast.alerts.map(alert => Html.html`
+                        <li class="forecast-alert ${alert.severity}">
+                            <strong>${alert.name}</strong> <span class="text-muted">(${I18n.category(alert.category)})</span>: ${alert.message}
+                        </li>
+                    `)}
+                </ul>
+            ` : Html.html`<p class="forecast-ok">${I18n.t('forecast.ok')}</p>`}
         `;
     },
 
-    renderBudgetCategory(progressId, badgeId, budgetAmount, spentAmount, color) {
+    renderBudgetCategory(progressId, badgeId, budgetAmount, spentAmount, color, forecast = null) {
         const pct = budgetAmount > 0 ? (spentAmount / budgetAmount) * 100 : 0;
         const colorClass = pct > 100 ? 'red' : color;
 
-        document.getElementById(progressId).innerHTML = `
+        document.getElementById(progressId).innerHTML = Html.html`
             <div class="progress-item">
                 <div class="progress-header">
-                    <span class="progress-label">Ejecutado vs Presupuestado</span>
+                    <span class="progress-label">${I18n.t('budget.executedVsBudget')}</span>
                     <span class="progress-values">${DataService.formatPercent(pct)}</span>
                 </div>
                 <div class="progress-bar-bg">
                     <div class="progress-bar-fill ${colorClass}" style="width: ${Math.min(pct, 100)}%"></div>
                 </div>
                 <div class="progress-amounts">
-                    <span>Ejecutado: ${DataService.formatCurrency(spentAmount)}</span>
-                    <span>Presupuesto: ${DataService.formatCurrency(budgetAmount)}</span>
+                    <span>${I18n.t('budget.executedAmount', { amount: DataService.formatCurrency(spentAmount) })}</span>
+                    <span>${I18n.t('common.budgetAmount', { amount: DataService.formatCurrency(budgetAmount) })}</span>
                 </div>
+                ${forecast ? Html.html`
+                    <div class="forecast-line ${forecast.overrun > 0 ? 'over' : ''}">
+                        ${I18n.t('budget.projection', { amount: DataService.formatCurrency(forecast.projected) })}
+                        ${forecast.overrun > 0 ? `(${I18n.t('budget.overBudget', { amount: DataService.formatCurrency(forecast.overrun) })})` : ''}
+                    </div>
+                ` : ''}
             </div>
         `;
 
@@ -379,7 +1058,7 @@ const App = {
         badge.className = 'badge ' + (pct > 100 ? 'badge-red' : pct > 75 ? 'badge-orange' : 'badge-green');
     },
 
-    renderSubcategoryBreakdown(containerId, items, expSummary, categoryKey, color) {
+    renderSubcategoryBreakdown(containerId, items, expSummary, categoryKey, color, forecast = null) {
         const container = document.getElementById(containerId);
         if (!items.length) {
             container.innerHTML = '';
@@ -391,13 +1070,17 @@ const App = {
             const spent = expSummary.bySubcategory[subKey] || 0;
             const pct = item.amount > 0 ? (spent / item.amount) * 100 : 0;
             const barColor = pct > 100 ? 'var(--danger)' : `var(--${color === 'purple' ? 'purple' : color === 'orange' ? 'warning' : 'blue'})`;
+            const alert = forecast && forecast.alerts.find(a => a.category === categoryKey && a.name === item.name);
 
-            return `
+            return Html.html`
                 <div class="subcategory-item">
-                    <span class="subcategory-name">${item.name}</span>
+                    <span class="subcategory-name">
+                        ${item.name}
+                        ${alert ? Html.html`<span class="badge ${alert.severity === 'error' ? 'badge-red' : 'badge-orange'} subcat-flag" title="${alert.message}">${I18n.t(alert.severity === 'error' ? 'budget.exceeded' : 'budget.projectedToExceed')}</span>` : ''}
+                    </span>
                     <div class="subcategory-values">
-                        <span class="subcat-budget">Pres: ${DataService.formatCurrencyShort(item.amount)}</span>
-                        <span class="subcat-spent">Gast: ${DataService.formatCurrencyShort(spent)}</span>
+                        <span class="subcat-budget">${I18n.t('budget.budgetShort', { amount: DataService.formatCurrencyShort(item.amount) })}</span>
+                        <span class="subcat-spent">${I18n.t('budget.spentShort', { amount: DataService.formatCurrencyShort(spent) })}</span>
                         <div class="subcat-bar">
                             <div class="subcat-bar-fill" style="width: ${Math.min(pct, 100)}%; background: ${barColor}"></div>
                         </div>
@@ -409,102 +1092,461 @@ const App = {
 
     // ========== SECTION: FINANCIEROS ==========
 
-    renderFinancials(capital) {
+    renderFinancials(capital, forecast) {
         const pi = capital.projectIndicators;
         const ci = capital.capitalIndicators;
 
         // Project Indicators
-        document.getElementById('project-indicators').innerHTML = `
+        document.getElementById('project-indicators').innerHTML = Html.html`
             <div class="indicator-row">
-                <span class="indicator-label">${pi.totalIncomeLabel || 'Ingresos Totales'}</span>
+                <span class="indicator-label">${I18n.sheetLabel(pi.totalIncomeLabel, 'financials.totalIncome')}</span>
                 <span class="indicator-value highlight">${DataService.formatCurrency(pi.totalIncome || 0)}</span>
             </div>
             <div class="indicator-row">
-                <span class="indicator-label">${pi.projectCostLabel || 'Costo del Proyecto'}</span>
+                <span class="indicator-label">${I18n.sheetLabel(pi.projectCostLabel, 'financials.projectCost')}</span>
                 <span class="indicator-value">${DataService.formatCurrency(pi.projectCost || 0)}</span>
             </div>
             <div class="indicator-row">
-                <span class="indicator-label">${pi.profitLabel || 'Utilidad'}</span>
+                <span class="indicator-label">${I18n.sheetLabel(pi.profitLabel, 'financials.profit')}</span>
                 <span class="indicator-value positive">${DataService.formatCurrency(pi.profit || 0)}</span>
             </div>
             <div class="indicator-row">
-                <span class="indicator-label">${pi.marginLabel || 'Margen de Utilidad'}</span>
+                <span class="indicator-label">${I18n.sheetLabel(pi.marginLabel, 'financials.margin')}</span>
                 <span class="indicator-value positive">${DataService.formatPercent(pi.margin || 0)}</span>
             </div>
+            ${this.renderProjectedIndicator(I18n.t('financials.projectedProfit'), forecast.profit, v => DataService.formatCurrency(v))}
         `;
 
         // Capital Indicators
-        document.getElementById('capital-indicators').innerHTML = `
+        document.getElementById('capital-indicators').innerHTML = Html.html`
             <div class="indicator-row">
-                <span class="indicator-label">${ci.capitalContributedLabel || 'Capital Aportado'}</span>
+                <span class="indicator-label">${I18n.sheetLabel(ci.capitalContributedLabel, 'financials.capitalContributed')}</span>
                 <span class="indicator-value">${DataService.formatCurrency(ci.capitalContributed || 0)}</span>
             </div>
             <div class="indicator-row">
-                <span class="indicator-label">${ci.totalReturnLabel || 'Retorno Total'}</span>
+                <span class="indicator-label">${I18n.sheetLabel(ci.totalReturnLabel, 'financials.totalReturn')}</span>
                 <span class="indicator-value positive">${DataService.formatCurrency(ci.totalReturn || 0)}</span>
             </div>
             <div class="indicator-row">
-                <span class="indicator-label">${ci.roiLabel || 'ROI'}</span>
+                <span class="indicator-label">${I18n.sheetLabel(ci.roiLabel, 'financials.roi')}</span>
                 <span class="indicator-value positive">${DataService.formatPercent(ci.roi || 0)}</span>
             </div>
+            ${this.renderProjectedIndicator(I18n.t('financials.projectedRoi'), forecast.roi, v => DataService.formatPercent(v))}
             <div class="indicator-row">
-                <span class="indicator-label">${ci.capitalMultipleLabel || 'Múltiplo de Capital'}</span>
-                <span class="indicator-value highlight">${(ci.capitalMultiple || 0).toFixed(2)}x</span>
+                <span class="indicator-label">${I18n.sheetLabel(ci.capitalMultipleLabel, 'financials.capitalMultiple')}</span>
+                <span class="indicator-value highlight">${I18n.formatNumber(ci.capitalMultiple || 0, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}x</span>
             </div>
         `;
 
-        // Investors
-        const investorsEl = document.getElementById('investors-list');
-        if (capital.investors.length > 0) {
-            investorsEl.innerHTML = capital.investors.map(inv => {
-                const initials = inv.name.split(' ').map(w => w[0]).join('').substring(0, 2).toUpperCase();
-                return `
-                    <div class="investor-card">
-                        <div class="investor-avatar">${initials}</div>
-                        <div>
-                            <div class="investor-name">${inv.name}</div>
-                            <div class="investor-amount">${DataService.formatCurrency(inv.amount)}</div>
-                        </div>
-                    </div>
-                `;
-            }).join('');
+        this.renderCashFlow(capital, forecast);
+
+        // Waterfall and investors
+        this.renderWaterfall();
+    },
+
+    // Cash-flow figures further than this from the sheet's are flagged
+    CASHFLOW_DIVERGENCE: 0.05,
+
+    /**
+     * Monthly cash flow (see cashflow.js) and its timing-aware figures next to the
+     * CAPITAL sheet's static ones, flagging those that diverge.
+     */
+    renderCashFlow(capital, forecast) {
+        const flow = CashFlow.build(this.data, forecast);
+        const indicatorsEl = document.getElementById('cashflow-indicators');
+        const chartEl = document.getElementById('cashflow-chart');
+        const tableEl = document.getElementById('cashflow-table');
+        if (!flow) {
+            indicatorsEl.innerHTML = Html.html`<p class="no-data">${I18n.t('cashflow.needsDates')}</p>`;
+            chartEl.innerHTML = Charts.empty();
+            tableEl.innerHTML = '';
+            return;
+        }
+
+        const pi = capital.projectIndicators;
+        const ci = capital.capitalIndicators;
+        const currency = (v) => DataService.formatCurrency(v);
+        const month = (date) => date ? I18n.formatDate(date, { month: 'long', year: 'numeric' }) : '—';
+        const row = (label, note, value, sheetLabel, sheetValue, diverges) => Html.html`
+            <tr>
+                <td>${label}${note ? Html.html`<span class="indicator-note">${note}</span>` : ''}</td>
+                <td class="text-right"><strong>${value}</strong></td>
+                <td>${sheetLabel}</td>
+                <td class="text-right">${sheetValue}${diverges ? Html.html` <span class="badge badge-orange">${I18n.t('cashflow.differs')}</span>` : ''}</td>
+            </tr>
+        `;
+        const differs = (value, sheet) => value !== null && sheet !== undefined &&
+            Math.abs(value - sheet) > Math.abs(sheet) * this.CASHFLOW_DIVERGENCE;
+
+        const minBalance = Math.min(...flow.months.map(m => m.balance));
+        indicatorsEl.innerHTML = Html.html`
+            <div class="table-wrapper cashflow-compare">
+                <table class="expenses-table">
+                    <thead>
+                        <tr>
+                            <th>${I18n.t('cashflow.flow')}</th>
+                            <th class="text-right">${I18n.t('cashflow.value')}</th>
+                            <th>${I18n.t('cashflow.sheet')}</th>
+                            <th class="text-right">${I18n.t('cashflow.value')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row(I18n.t('cashflow.irr'), I18n.t('cashflow.irrNote'), this.formatIrr(flow.irr),
+                            Html.html`${I18n.sheetLabel(ci.roiLabel, 'financials.roi')} <span class="indicator-note">${I18n.t('cashflow.roiNote')}</span>`, DataService.formatPercent(ci.roi || 0), false)}
+                        ${row(I18n.t('financials.profit'), I18n.t('cashflow.profitNote'), currency(flow.totals.profit),
+                            I18n.sheetLabel(pi.profitLabel, 'financials.profit'), currency(pi.profit || 0), differs(flow.totals.profit, pi.profit))}
+                        ${row(I18n.t('cashflow.multiple'), I18n.t('cashflow.multipleNote'), this.formatMultiple(flow.multiple),
+                            I18n.sheetLabel(ci.capitalMultipleLabel, 'financials.capitalMultiple'), this.formatMultiple(ci.capitalMultiple || 0), differs(flow.multiple, ci.capitalMultiple))}
+                        ${row(I18n.t('cashflow.peak'), flow.peakMonth ? I18n.t('cashflow.peakNote', { month: month(flow.peakMonth) }) : '', currency(flow.peakEquity),
+                            I18n.sheetLabel(ci.capitalContributedLabel, 'financials.capitalContributed'), currency(ci.capitalContributed || 0), differs(flow.peakEquity, ci.capitalContributed))}
+                        ${row(I18n.t('cashflow.payback'), I18n.t('cashflow.paybackNote'), flow.payback ? month(flow.payback) : I18n.t('cashflow.noPayback'), '', '', false)}
+                        ${flow.hasCapitalCalls ? row(I18n.t('cashflow.minBalance'), I18n.t('cashflow.minBalanceNote'), currency(minBalance), '', '', false) : ''}
+                    </tbody>
+                </table>
+            </div>
+            ${flow.hasCapitalCalls && minBalance < 0 ? Html.html`
+                <p class="quality-issue error">${I18n.t('cashflow.shortfall', { amount: currency(minBalance) })}</p>
+            ` : ''}
+            ${flow.undated ? Html.html`<p class="chart-note">${I18n.t('cashflow.undated', { count: flow.undated })}</p>` : ''}
+        `;
+        chartEl.innerHTML = Charts.cashFlow(flow.months);
+        tableEl.innerHTML = Html.html`
+            <div class="table-wrapper">
+                <table class="expenses-table cashflow-table">
+                    <thead>
+                        <tr>
+                            <th>${I18n.t('cashflow.month')}</th>
+                            <th class="text-right">${I18n.t('cashflow.costs')}</th>
+                            <th class="text-right">${I18n.t('cashflow.sales')}</th>
+                            <th class="text-right">${I18n.t('cashflow.net')}</th>
+                            <th class="text-right">${I18n.t('cashflow.cumulative')}</th>
+                            ${flow.hasCapitalCalls ? Html.html`<th class="text-right">${I18n.t('cashflow.contributions')}</th><th class="text-right">${I18n.t('cashflow.balance')}</th>` : ''}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${flow.months.map(m => Html.html`
+                            <tr class="${m.projected ? 'projected' : ''}">
+                                <td>${Charts.monthLabel(m.date, true)}${m.projected ? ` ${I18n.t('cashflow.projectedShort')}` : ''}</td>
+                                <td class="text-right">${currency(m.costs)}</td>
+                                <td class="text-right">${currency(m.sales)}</td>
+                                <td class="text-right ${m.net < 0 ? 'negative' : ''}">${currency(m.net)}</td>
+                                <td class="text-right ${m.cumulative < 0 ? 'negative' : ''}">${currency(m.cumulative)}</td>
+                                ${flow.hasCapitalCalls ? Html.html`
+                                    <td class="text-right">${currency(m.capital)}</td>
+                                    <td class="text-right ${m.balance < 0 ? 'negative' : ''}">${currency(m.balance)}</td>
+                                ` : ''}
+                            </tr>
+                        `)}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td><strong>${I18n.t('common.total')}</strong></td>
+                            <td class="text-right"><strong>${currency(flow.totals.costs)}</strong></td>
+                            <td class="text-right"><strong>${currency(flow.totals.sales)}</strong></td>
+                            <td class="text-right"><strong>${currency(flow.totals.profit)}</strong></td>
+                            <td></td>
+                            ${flow.hasCapitalCalls ? Html.html`<td class="text-right"><strong>${currency(flow.totals.capital)}</strong></td><td></td>` : ''}
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Indicator row for a figure re-estimated with the cost forecast, next to the sheet's value.
+     */
+    renderProjectedIndicator(label, { sheet, projected }, format) {
+        const change = projected - sheet;
+        return Html.html`
+            <div class="indicator-row projected">
+                <span class="indicator-label">
+                    ${label}
+                    <span class="indicator-note">${I18n.t('financials.projectedNote')}</span>
+                </span>
+                <span class="indicator-value ${change < -0.005 ? 'negative' : 'positive'}">${format(projected)}</span>
+            </div>
+        `;
+    },
+
+    /**
+     * Distribution waterfall (see waterfall.js) of the selected profit. The tiers
+     * are aggregate figures shown to every role; the per-investor rows follow
+     * renderInvestors' scoping.
+     */
+    renderWaterfall() {
+        const { capital } = this.data;
+        const forecast = this.forecast;
+        const basis = document.getElementById('waterfall-basis');
+        const input = document.getElementById('waterfall-profit');
+        basis.value = this.waterfallBasis;
+
+        let profit;
+        if (this.waterfallBasis === 'custom') {
+            profit = parseFloat(input.value) || 0;
+        } else {
+            profit = this.waterfallBasis === 'projected' ? forecast.profit.projected : forecast.profit.sheet;
+            input.value = Math.round(profit);
+        }
+
+        const terms = Waterfall.terms(this.project);
+        const result = Waterfall.calculate({
+            investors: capital.investors,
+            profit,
+            terms,
+            ...Waterfall.dates(terms, this.data, forecast)
+        });
+
+        const formatDate = (date) => date ? I18n.formatDate(date, { day: 'numeric', month: 'short', year: 'numeric' }) : I18n.t('waterfall.noDate');
+        document.getElementById('waterfall-terms').innerHTML = Html.html`
+            ${Waterfall.describe(terms)}.
+            <span class="indicator-note">
+                ${I18n.t('waterfall.dates', { investment: formatDate(result.investmentDate), distribution: formatDate(result.distributionDate) })}
+                ${result.years > 0 ? I18n.t('waterfall.years', { years: I18n.formatNumber(result.years, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) }) : I18n.t('waterfall.noIrr')}
+            </span>
+        `;
+
+        const tiersEl = document.getElementById('waterfall-tiers');
+        if (!capital.investors.length) {
+            tiersEl.innerHTML = Html.html`<p class="no-data">${I18n.t('waterfall.noInvestors')}</p>`;
         } else {
-            investorsEl.innerHTML = '<p class="no-data">No se encontraron datos de inversionistas.</p>';
+            tiersEl.innerHTML = Html.html`
+                <div class="table-wrapper">
+                    <table class="expenses-table waterfall-table">
+                        <thead>
+                            <tr>
+                                <th>${I18n.t('waterfall.tier')}</th>
+                                <th class="text-right">${I18n.t('waterfall.distributed')}</th>
+                                <th class="text-right">${I18n.t('waterfall.investors')}</th>
+                                <th class="text-right">${terms.sponsor}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${result.tiers.map(tier => Html.html`
+                                <tr>
+                                    <td>${tier.name}</td>
+                                    <td class="text-right">${DataService.formatCurrency(tier.total)}</td>
+                                    <td class="text-right">${DataService.formatCurrency(tier.investors)}</td>
+                                    <td class="text-right">${DataService.formatCurrency(tier.sponsor)}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td><strong>${I18n.t('common.total')}</strong></td>
+                                <td class="text-right"><strong>${DataService.formatCurrency(result.distributable)}</strong></td>
+                                <td class="text-right"><strong>${DataService.formatCurrency(result.totals.investors)}</strong></td>
+                                <td class="text-right"><strong>${DataService.formatCurrency(result.totals.sponsor)}</strong></td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+                <div class="indicator-row">
+                    <span class="indicator-label">${I18n.t('waterfall.multiple')}</span>
+                    <span class="indicator-value highlight">${this.formatMultiple(result.totals.multiple)}</span>
+                </div>
+                <div class="indicator-row">
+                    <span class="indicator-label">${I18n.t('waterfall.irr')}</span>
+                    <span class="indicator-value ${result.totals.irr < 0 ? 'negative' : 'positive'}">${this.formatIrr(result.totals.irr)}</span>
+                </div>
+            `;
+        }
+
+        this.renderInvestors(capital, result);
+    },
+
+    formatMultiple(multiple) {
+        return multiple === null ? '—' : `${I18n.formatNumber(multiple, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}x`;
+    },
+
+    formatIrr(irr) {
+        return irr === null ? '—' : DataService.formatPercent(irr);
+    },
+
+    /**
+     * Investors are role-scoped: admins see the full table, investors only their
+     * own position, and the shared project password sees neither.
+     */
+    renderInvestors(capital, waterfall) {
+        const investorsCard = document.getElementById('investors-card');
+        const myCard = document.getElementById('my-investment-card');
+        investorsCard.classList.toggle('hidden', !Auth.hasRole('admin'));
+        myCard.classList.toggle('hidden', !Auth.hasRole('investor'));
+
+        if (Auth.hasRole('investor')) {
+            this.renderMyInvestment(capital, waterfall);
         }
+        if (!Auth.hasRole('admin')) return;
+
+        const investorsEl = document.getElementById('investors-list');
+        if (!waterfall.investors.length) {
+            investorsEl.innerHTML = Html.html`<p class="no-data">${I18n.t('investors.none')}</p>`;
+            return;
+        }
+        const sumOf = (key) => waterfall.investors.reduce((sum, inv) => sum + inv[key], 0);
+        this.renderSortableTable(investorsEl, 'distributions', [
+            { key: 'name', label: I18n.t('investors.investor') },
+            { key: 'amount', label: I18n.t('investors.contribution'), align: 'right', format: (inv) => DataService.formatCurrency(inv.amount) },
+            { key: 'ownership', label: I18n.t('investors.ownership'), align: 'right', format: (inv) => DataService.formatPercent(inv.ownership) },
+            { key: 'distribution', label: I18n.t('investors.projectedDistribution'), align: 'right', format: (inv) => DataService.formatCurrency(inv.distribution) },
+            { key: 'profit', label: I18n.t('financials.profit'), align: 'right', format: (inv) => DataService.formatCurrency(inv.profit) },
+            { key: 'multiple', label: I18n.t('cashflow.multiple'), align: 'right', format: (inv) => this.formatMultiple(inv.multiple) },
+            { key: 'irr', label: I18n.t('investors.irr'), align: 'right', format: (inv) => this.formatIrr(inv.irr) }
+        ], waterfall.investors, {
+            name: I18n.t('common.totalCount', { count: waterfall.investors.length }),
+            amount: DataService.formatCurrency(sumOf('amount')),
+            ownership: DataService.formatPercent(100),
+            distribution: DataService.formatCurrency(sumOf('distribution')),
+            profit: DataService.formatCurrency(sumOf('profit')),
+            multiple: this.formatMultiple(waterfall.totals.multiple),
+            irr: this.formatIrr(waterfall.totals.irr)
+        });
+    },
+
+    renderMyInvestment(capital, waterfall) {
+        const container = document.getElementById('my-investment');
+        const position = DataService.calculateInvestorPosition(capital, this.project.investor);
+
+        if (!position) {
+            container.innerHTML = Html.html`<p class="no-data">${I18n.t('investors.notFound', { name: this.project.investor })}</p>`;
+            return;
+        }
+        const distribution = waterfall.investors.find(inv => inv.name === position.name);
+
+        container.innerHTML = Html.html`
+            <div class="indicator-row">
+                <span class="indicator-label">${I18n.t('investors.investor')}</span>
+                <span class="indicator-value">${position.name}</span>
+            </div>
+            <div class="indicator-row">
+                <span class="indicator-label">${I18n.t('investors.contribution')}</span>
+                <span class="indicator-value">${DataService.formatCurrency(position.amount)}</span>
+            </div>
+            <div class="indicator-row">
+                <span class="indicator-label">${I18n.t('investors.ownership')}</span>
+                <span class="indicator-value highlight">${DataService.formatPercent(position.ownership)}</span>
+            </div>
+            <div class="indicator-row">
+                <span class="indicator-label">${I18n.t('investors.projectedReturn')}</span>
+                <span class="indicator-value positive">${DataService.formatCurrency(position.projectedReturn)}</span>
+            </div>
+            <div class="indicator-row projected">
+                <span class="indicator-label">
+                    ${I18n.t('investors.waterfallDistribution')}
+                    <span class="indicator-note">${I18n.t('investors.waterfallNote')}</span>
+                </span>
+                <span class="indicator-value positive">${DataService.formatCurrency(distribution.distribution)}</span>
+            </div>
+            <div class="indicator-row">
+                <span class="indicator-label">${I18n.t('cashflow.multiple')}</span>
+                <span class="indicator-value">${this.formatMultiple(distribution.multiple)}</span>
+            </div>
+            <div class="indicator-row">
+                <span class="indicator-label">${I18n.t('investors.irr')}</span>
+                <span class="indicator-value">${this.formatIrr(distribution.irr)}</span>
+            </div>
+        `;
     },
 
     // ========== SECTION: CASAS ==========
 
+    // Above this many units, Casas and Ventas open as a table instead of cards
+    UNIT_CARDS_MAX: 6,
+
+    renderUnits() {
+        this.renderHouses(this.data.budget);
+        this.renderSales(this.data.budget, this.data.sales || []);
+    },
+
+    /**
+     * The view picked for Casas or Ventas, else cards for a few units and a table for many.
+     * Also marks the active button of the section's view toggle.
+     */
+    getUnitsView(kind, count) {
+        const view = this.unitViews[kind] || (count > this.UNIT_CARDS_MAX ? 'table' : 'cards');
+        document.querySelectorAll(`.view-toggle[data-units="${kind}"] [data-view]`).forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+        });
+        return view;
+    },
+
     renderHouses(budget) {
+        const { houses } = budget;
         const container = document.getElementById('houses-grid');
-        if (!budget.houses.length) {
-            container.innerHTML = '<p class="no-data">No se encontraron datos de las casas.</p>';
+        const summary = document.getElementById('houses-summary');
+        if (!houses.length) {
+            summary.classList.add('hidden');
+            container.innerHTML = Html.html`<p class="no-data">${I18n.t('houses.none')}</p>`;
+            return;
+        }
+
+        const totals = DataService.calculateUnitTotals(houses);
+        summary.classList.remove('hidden');
+        summary.innerHTML = Html.html`
+            <div class="budget-total-summary units-summary">
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('houses.units')}</div>
+                    <div class="budget-total-value">${totals.count}</div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('houses.totalArea')}</div>
+                    <div class="budget-total-value">${I18n.formatNumber(totals.sqm)} m&sup2;</div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('houses.avgPrice')}</div>
+                    <div class="budget-total-value">${DataService.formatCurrency(totals.avgPricePerSqm)}</div>
+                    <div class="budget-total-sub">${I18n.t('houses.weighted')}</div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('houses.totalValue')}</div>
+                    <div class="budget-total-value" style="color: var(--primary)">${DataService.formatCurrency(totals.totalCommercial)}</div>
+                    <div class="budget-total-sub">${I18n.t('houses.netIncomeAmount', { amount: DataService.formatCurrency(totals.netIncome) })}</div>
+                </div>
+            </div>
+        `;
+
+        const view = this.getUnitsView('houses', houses.length);
+        container.classList.toggle('grid-2', view === 'cards');
+        if (view === 'table') {
+            this.renderSortableTable(container, 'houses', [
+                { key: 'name', label: I18n.t('houses.unit') },
+                { key: 'sqm', label: I18n.t('houses.area'), align: 'right', format: (h) => Html.html`${I18n.formatNumber(h.sqm)} m&sup2;` },
+                { key: 'pricePerSqm', label: I18n.t('houses.pricePerSqm'), align: 'right', format: (h) => DataService.formatCurrency(h.pricePerSqm) },
+                { key: 'totalCommercial', label: I18n.t('houses.salePrice'), align: 'right', format: (h) => DataService.formatCurrency(h.totalCommercial) },
+                { key: 'netIncome', label: I18n.t('houses.netIncome'), align: 'right', format: (h) => DataService.formatCurrency(h.netIncome) }
+            ], houses, {
+                name: I18n.t('common.totalCount', { count: totals.count }),
+                sqm: Html.html`${I18n.formatNumber(totals.sqm)} m&sup2;`,
+                pricePerSqm: I18n.t('houses.average', { amount: DataService.formatCurrency(totals.avgPricePerSqm) }),
+                totalCommercial: DataService.formatCurrency(totals.totalCommercial),
+                netIncome: DataService.formatCurrency(totals.netIncome)
+            });
             return;
         }
 
-        container.innerHTML = budget.houses.map((house, i) => `
+        container.innerHTML = houses.map(house => Html.html`
             <div class="house-card">
                 <div class="house-header">
                     <div class="house-icon">
                         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/></svg>
                     </div>
-                    <span class="house-name">Casa ${i + 1}</span>
+                    <span class="house-name">${house.name}</span>
                 </div>
                 <div class="house-details">
                     <div class="house-detail">
-                        <div class="house-detail-label">Superficie</div>
-                        <div class="house-detail-value">${house.sqm.toLocaleString('en-US')} m&sup2;</div>
+                        <div class="house-detail-label">${I18n.t('houses.area')}</div>
+                        <div class="house-detail-value">${I18n.formatNumber(house.sqm)} m&sup2;</div>
                     </div>
                     <div class="house-detail">
-                        <div class="house-detail-label">Precio por m&sup2;</div>
+                        <div class="house-detail-label">${I18n.t('houses.pricePerSqm')}</div>
                         <div class="house-detail-value">${DataService.formatCurrency(house.pricePerSqm)}</div>
                     </div>
                     <div class="house-detail">
-                        <div class="house-detail-label">Precio de Venta</div>
+                        <div class="house-detail-label">${I18n.t('houses.salePrice')}</div>
                         <div class="house-detail-value">${DataService.formatCurrency(house.totalCommercial)}</div>
                     </div>
                     <div class="house-detail">
-                        <div class="house-detail-label">Ingreso Neto</div>
+                        <div class="house-detail-label">${I18n.t('houses.netIncome')}</div>
                         <div class="house-detail-value">${DataService.formatCurrency(house.netIncome)}</div>
                     </div>
                 </div>
@@ -512,157 +1554,573 @@ const App = {
         `).join('');
     },
 
-    // ========== SECTION: VENTAS (Placeholder) ==========
+    // ========== SORTABLE TABLES ==========
+
+    /**
+     * Table whose column headers sort it (clicking the sorted column reverses it).
+     * columns: [{ key, label, align, format(row) }]; rows sort by row[key], text in
+     * natural order ("Casa 2" before "Casa 10"). totals: footer cells by column key.
+     */
+    renderSortableTable(container, id, columns, rows, totals = null) {
+        const sort = this.tableSorts[id] || { key: columns[0].key, dir: 1 };
+        const compare = (a, b) => {
+            const x = a[sort.key];
+            const y = b[sort.key];
+            if (typeof x === 'number' && typeof y === 'number') return x - y;
+            return String(x ?? '').localeCompare(String(y ?? ''), I18n.intl(), { numeric: true, sensitivity: 'base' });
+        };
+        const sorted = [...rows].sort((a, b) => compare(a, b) * sort.dir);
+        const align = (col) => col.align === 'right' ? Html.html` class="text-right"` : '';
+
+        container.innerHTML = Html.html`
+            <div class="table-wrapper">
+                <table class="expenses-table sortable-table" data-table="${id}">
+                    <thead>
+                        <tr>
+                            ${columns.map(col => Html.html`
+                                <th${align(col)} aria-sort="${col.key === sort.key ? (sort.dir > 0 ? 'ascending' : 'descending') : 'none'}">
+                                    <button class="sort-btn" data-sort="${col.key}">${col.label}</button>
+                                </th>
+                            `)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sorted.map(row => Html.html`
+                            <tr>${columns.map(col => Html.html`<td${align(col)}>${col.format ? col.format(row) : row[col.key]}</td>`)}</tr>
+                        `)}
+                    </tbody>
+                    ${totals ? Html.html`
+                        <tfoot>
+                            <tr>${columns.map(col => Html.html`<td${align(col)}><strong>${totals[col.key] ?? ''}</strong></td>`)}</tr>
+                        </tfoot>
+                    ` : ''}
+                </table>
+            </div>
+        `;
+    },
 
-    renderSales(budget) {
-        const container = document.getElementById('sales-grid');
-        const houses = budget.houses.length ? budget.houses : [
-            { totalCommercial: 0 }, { totalCommercial: 0 }
-        ];
+    sortTable(id, key) {
+        const sort = this.tableSorts[id];
+        this.tableSorts[id] = { key, dir: sort && sort.key === key ? -sort.dir : 1 };
+    },
 
-        const statuses = [
-            { label: 'Disponible', class: 'status-available' },
-            { label: 'Disponible', class: 'status-available' }
-        ];
+    // ========== SECTION: VENTAS ==========
 
-        container.innerHTML = houses.map((house, i) => `
-            <div class="sale-card">
-                <div class="sale-header">
-                    <span class="sale-name">Casa ${i + 1}</span>
-                    <span class="sale-status ${statuses[i].class}">${statuses[i].label}</span>
-                </div>
-                <div class="sale-info">
-                    <div class="sale-row">
-                        <span class="sale-row-label">Precio de venta</span>
-                        <span class="sale-row-value">${DataService.formatCurrency(house.totalCommercial)}</span>
-                    </div>
-                    <div class="sale-row">
-                        <span class="sale-row-label">Estado</span>
-                        <span class="sale-row-value">${statuses[i].label}</span>
+    SALE_STATUS_CLASSES: {
+        disponible: 'status-available',
+        apartada: 'status-in-process',
+        vendida: 'status-sold',
+        escriturada: 'status-deeded'
+    },
+
+    renderSales(budget, sales) {
+        const summary = DataService.calculateSalesSummary(budget.houses, sales);
+        this.renderSalesSummary(summary, sales.length > 0);
+
+        const container = document.getElementById('sales-grid');
+        if (!summary.units.length) {
+            container.innerHTML = Html.html`<p class="text-muted">${I18n.t('sales.noHouses')}</p>`;
+            return;
+        }
+        const view = this.getUnitsView('sales', summary.units.length);
+        container.classList.toggle('grid-2', view === 'cards');
+        if (view === 'table') {
+            this.renderSalesTable(container, summary);
+            return;
+        }
+        const formatDate = (d) => I18n.formatDate(d, { year: 'numeric', month: 'short', day: 'numeric' });
+        const muted = (text) => Html.html`<span class="sale-row-value" style="color: var(--text-muted)">${text}</span>`;
+
+        container.innerHTML = summary.units.map(unit => {
+            const { sale } = unit;
+            const statusLabel = I18n.label('saleStatus', unit.status);
+            const statusClass = this.SALE_STATUS_CLASSES[unit.status] || 'status-unknown';
+            const priceDiff = unit.committed && unit.listPrice > 0 ? ((unit.price - unit.listPrice) / unit.listPrice) * 100 : 0;
+            const paidPct = unit.price > 0 ? (unit.received / unit.price) * 100 : 0;
+
+            return Html.html`
+                <div class="sale-card">
+                    <div class="sale-header">
+                        <span class="sale-name">${unit.name}</span>
+                        <span class="sale-status ${statusClass}">${statusLabel}</span>
                     </div>
-                    <div class="sale-row">
-                        <span class="sale-row-label">Comprador</span>
-                        <span class="sale-row-value" style="color: var(--text-muted)">Pendiente</span>
+                    <div class="sale-info">
+                        <div class="sale-row">
+                            <span class="sale-row-label">${I18n.t('sales.listPrice')}</span>
+                            ${unit.listPrice > 0 ? Html.html`<span class="sale-row-value">${DataService.formatCurrency(unit.listPrice)}</span>` : muted(I18n.t('sales.noListPrice'))}
+                        </div>
+                        ${unit.committed ? Html.html`
+                            <div class="sale-row">
+                                <span class="sale-row-label">${I18n.t('sales.agreedPrice')}</span>
+                                <span class="sale-row-value">
+                                    ${DataService.formatCurrency(unit.price)}
+                                    ${Math.abs(priceDiff) >= 0.05 ? Html.html`<span class="sale-price-diff ${priceDiff < 0 ? 'negative' : ''}">${I18n.t('sales.vsList', { diff: (priceDiff > 0 ? '+' : '−') + DataService.formatPercent(Math.abs(priceDiff)) })}</span>` : ''}
+                                </span>
+                            </div>
+                        ` : ''}
+                        <div class="sale-row">
+                            <span class="sale-row-label">${I18n.t('sales.buyer')}</span>
+                            ${sale && sale.buyer ? Html.html`<span class="sale-row-value">${sale.buyer}</span>` : muted(I18n.t('sales.pending'))}
+                        </div>
+                        <div class="sale-row">
+                            <span class="sale-row-label">${I18n.t(unit.status === 'escriturada' ? 'sales.deedDate' : 'sales.closeDate')}</span>
+                            ${sale && sale.closeDateObj ? Html.html`<span class="sale-row-value">${formatDate(sale.closeDateObj)}</span>` : muted(sale && sale.closeDate ? sale.closeDate : I18n.t('sales.tbd'))}
+                        </div>
+                        ${unit.committed || unit.received > 0 ? Html.html`
+                            <div class="sale-row">
+                                <span class="sale-row-label">${I18n.t('sales.collected')}</span>
+                                <span class="sale-row-value">${DataService.formatCurrency(unit.received)} (${DataService.formatPercent(paidPct)})</span>
+                            </div>
+                            <div class="progress-bar-bg sale-progress">
+                                <div class="progress-bar-fill green" style="width: ${Math.min(paidPct, 100)}%"></div>
+                            </div>
+                        ` : ''}
                     </div>
-                    <div class="sale-row">
-                        <span class="sale-row-label">Fecha estimada de cierre</span>
-                        <span class="sale-row-value" style="color: var(--text-muted)">Por definir</span>
+                    ${sale && sale.payments.length ? this.renderPaymentSchedule(sale.payments) : ''}
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Sales pipeline as a sortable table, one row per unit.
+     */
+    renderSalesTable(container, summary) {
+        const statusKeys = Object.keys(DataService.SALE_STATUSES);
+        const rows = summary.units.map(unit => ({
+            ...unit,
+            // Sort statuses in pipeline order, unknown ones last
+            statusRank: statusKeys.includes(unit.status) ? statusKeys.indexOf(unit.status) : statusKeys.length,
+            buyer: unit.sale ? unit.sale.buyer : '',
+            agreedPrice: unit.committed ? unit.price : 0
+        }));
+        const committed = summary.units.filter(u => u.committed);
+
+        this.renderSortableTable(container, 'sales', [
+            { key: 'name', label: I18n.t('houses.unit') },
+            {
+                key: 'statusRank',
+                label: I18n.t('sales.status'),
+                format: (u) => Html.html`<span class="sale-status ${this.SALE_STATUS_CLASSES[u.status] || 'status-unknown'}">${I18n.label('saleStatus', u.status)}</span>`
+            },
+            { key: 'listPrice', label: I18n.t('sales.listPriceColumn'), align: 'right', format: (u) => DataService.formatCurrency(u.listPrice) },
+            { key: 'agreedPrice', label: I18n.t('sales.agreedPriceColumn'), align: 'right', format: (u) => u.committed ? DataService.formatCurrency(u.price) : '-' },
+            { key: 'buyer', label: I18n.t('sales.buyer'), format: (u) => u.buyer || Html.html`<span class="text-muted">${I18n.t('sales.pending')}</span>` },
+            { key: 'received', label: I18n.t('sales.collected'), align: 'right', format: (u) => DataService.formatCurrency(u.received) },
+            { key: 'pending', label: I18n.t('sales.toCollect'), align: 'right', format: (u) => DataService.formatCurrency(u.pending) }
+        ], rows, {
+            name: I18n.t('common.totalCount', { count: summary.units.length }),
+            statusRank: I18n.t('sales.committedCount', { count: committed.length }),
+            listPrice: DataService.formatCurrency(summary.listRevenue),
+            agreedPrice: DataService.formatCurrency(summary.committedRevenue),
+            received: DataService.formatCurrency(summary.realizedRevenue),
+            pending: DataService.formatCurrency(summary.pendingRevenue)
+        });
+    },
+
+    /**
+     * Revenue against the houses' list prices: projected, committed, collected and pending.
+     */
+    renderSalesSummary(summary, hasSalesData) {
+        const container = document.getElementById('sales-summary');
+        const soldCount = summary.units.filter(u => u.committed).length;
+        const pctOf = (value) => summary.projectedRevenue > 0 ? (value / summary.projectedRevenue) * 100 : 0;
+        const listDiff = summary.projectedRevenue - summary.listRevenue;
+
+        container.innerHTML = Html.html`
+            <div class="budget-total-summary sales-summary">
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('sales.projectedRevenue')}</div>
+                    <div class="budget-total-value">${DataService.formatCurrency(summary.projectedRevenue)}</div>
+                    <div class="budget-total-sub">
+                        ${Math.abs(listDiff) > 0.5
+                            ? I18n.t('sales.vsListPrices', { diff: (listDiff > 0 ? '+' : '−') + DataService.formatCurrency(Math.abs(listDiff)) })
+                            : I18n.t('sales.atListPrices')}
                     </div>
                 </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('sales.committed')}</div>
+                    <div class="budget-total-value" style="color: var(--blue)">${DataService.formatCurrency(summary.committedRevenue)}</div>
+                    <div class="budget-total-sub">${I18n.t('sales.committedUnits', { sold: soldCount, total: summary.units.length })}</div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('sales.collected')}</div>
+                    <div class="budget-total-value" style="color: var(--secondary)">${DataService.formatCurrency(summary.realizedRevenue)}</div>
+                    <div class="budget-total-sub">${I18n.t('sales.ofProjected', { percent: DataService.formatPercent(pctOf(summary.realizedRevenue)) })}</div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('sales.toCollect')}</div>
+                    <div class="budget-total-value" style="color: var(--warning)">${DataService.formatCurrency(summary.pendingRevenue)}</div>
+                    <div class="budget-total-sub">${I18n.t('sales.fromCommitted')}</div>
+                </div>
             </div>
-        `).join('');
+            <div class="progress-item">
+                <div class="progress-header">
+                    <span class="progress-label">${I18n.t('sales.realizedVsProjected')}</span>
+                    <span class="progress-values">${DataService.formatPercent(pctOf(summary.realizedRevenue))}</span>
+                </div>
+                <div class="progress-bar-bg sales-bar">
+                    <div class="progress-bar-fill green" style="width: ${Math.min(pctOf(summary.realizedRevenue), 100)}%"></div>
+                    <div class="progress-bar-fill blue" style="width: ${Math.min(pctOf(summary.pendingRevenue), Math.max(100 - pctOf(summary.realizedRevenue), 0))}%"></div>
+                </div>
+                <div class="chart-legend">
+                    <span><span class="category-dot green"></span> ${I18n.t('sales.collected')}</span>
+                    <span><span class="category-dot hard"></span> ${I18n.t('sales.committedToCollect')}</span>
+                </div>
+            </div>
+            ${hasSalesData ? '' : Html.html`<p class="text-muted sales-note">${I18n.t('sales.noSalesData')}</p>`}
+        `;
+    },
+
+    /**
+     * A sale's deposit schedule: each payment with its due date and whether it was received.
+     */
+    renderPaymentSchedule(payments) {
+        const today = new Date();
+        const formatDate = (d, fallback) => d ? I18n.formatDate(d, { year: 'numeric', month: 'short', day: 'numeric' }) : (fallback || '-');
+        const state = (p) => {
+            if (p.paidAmount > 0 && p.paidAmount >= p.amount) return 'paid';
+            if (p.paidAmount > 0) return 'partial';
+            if (p.dueDateObj && p.dueDateObj < today) return 'overdue';
+            return 'pending';
+        };
+
+        return Html.html`
+            <table class="payment-schedule">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('sales.concept')}</th>
+                        <th>${I18n.t('sales.due')}</th>
+                        <th class="text-right">${I18n.t('expenses.amount')}</th>
+                        <th class="text-right">${I18n.t('sales.received')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${payments.map(p => {
+                        const st = state(p);
+                        return Html.html`
+                            <tr>
+                                <td>${p.concept || I18n.t('sales.payment')}</td>
+                                <td>${formatDate(p.dueDateObj, p.dueDate)}</td>
+                                <td class="text-right">${DataService.formatCurrency(p.amount)}</td>
+                                <td class="text-right">
+                                    <span class="payment-state ${st}" title="${p.paidDate ? I18n.t('sales.paidOn', { date: formatDate(p.paidDateObj, p.paidDate) }) : ''}">${I18n.label('paymentState', st)}</span>
+                                    ${p.paidAmount > 0 ? DataService.formatCurrency(p.paidAmount) : ''}
+                                </td>
+                            </tr>
+                        `;
+                    })}
+                </tbody>
+            </table>
+        `;
+    },
+
+    // ========== SECTION: AVANCE DE OBRA ==========
+
+    MILESTONE_STATUS_CLASSES: {
+        completado: 'status-available',
+        'en-curso': 'status-sold',
+        retrasado: 'status-late',
+        pendiente: 'status-unknown'
+    },
+    MILESTONE_PROGRESS_COLORS: {
+        completado: 'green',
+        'en-curso': 'blue',
+        retrasado: 'red',
+        pendiente: 'blue'
+    },
+    // Photos shown per milestone before the "+N" link
+    MILESTONE_PHOTOS_MAX: 6,
+
+    /**
+     * Physical progress (the HITOS sheet) next to financial progress (spend, as in
+     * Resumen): the milestones on a timeline, and per milestone its dates, the spend
+     * dated within its window and its photos.
+     */
+    renderMilestones() {
+        const summaryEl = document.getElementById('milestones-summary');
+        const listEl = document.getElementById('milestones-list');
+        const { budget, expenses, capital } = this.data;
+        const milestones = this.data.milestones || [];
+
+        document.getElementById('milestones-timeline').classList.toggle('hidden', !milestones.length);
+        if (!milestones.length) {
+            summaryEl.innerHTML = Html.html`
+                <p class="no-data">${I18n.t('milestones.none')}</p>
+            `;
+            listEl.innerHTML = '';
+            return;
+        }
+
+        const today = new Date();
+        const result = DataService.calculateMilestones(milestones, expenses, this.photos, today);
+        // Financial progress as in Resumen, or the default formula when Resumen shows physical progress
+        const config = Progress.config(this.project);
+        const kpis = DataService.calculateProjectKPIs(budget, DataService.calculateExpenseSummary(expenses), capital, {
+            progress: config.strategy === 'physical' ? Progress.DEFAULTS : config
+        });
+        const gap = result.progress - kpis.progress;
+        const count = (status) => result.milestones.filter(m => m.status === status).length;
+        const formatDate = (d) => I18n.formatDate(d, { day: 'numeric', month: 'short', year: 'numeric' });
+        const range = (from, to) => from || to ? `${from ? formatDate(from) : '?'} – ${to ? formatDate(to) : '?'}` : I18n.t('milestones.noDates');
+
+        summaryEl.innerHTML = Html.html`
+            <div class="budget-total-summary milestones-summary">
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('milestones.physical')}</div>
+                    <div class="budget-total-value" style="color: var(--primary)">${DataService.formatPercent(result.progress)}</div>
+                    <div class="progress-bar-bg"><div class="progress-bar-fill blue" style="width: ${Math.min(result.progress, 100)}%"></div></div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('milestones.financial')}</div>
+                    <div class="budget-total-value" title="${Progress.describe(kpis.progressDetail)}">${DataService.formatPercent(kpis.progress)}</div>
+                    <div class="progress-bar-bg"><div class="progress-bar-fill orange" style="width: ${Math.min(kpis.progress, 100)}%"></div></div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('milestones.gap')}</div>
+                    <div class="budget-total-value" style="color: ${gap < 0 ? 'var(--danger)' : 'var(--secondary)'}">${this.formatDelta(gap, v => I18n.t('compare.points', { value: I18n.formatNumber(v, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) }))}</div>
+                    <div class="budget-total-sub">${I18n.t(gap < 0 ? 'milestones.spendAhead' : 'milestones.workAhead')}</div>
+                </div>
+                <div class="budget-total-item">
+                    <div class="budget-total-label">${I18n.t('milestones.completed')}</div>
+                    <div class="budget-total-value">${I18n.t('common.countOf', { count: count('completado'), total: result.milestones.length })}</div>
+                    <div class="budget-total-sub">${I18n.t('milestones.statusCounts', { inProgress: count('en-curso'), delayed: count('retrasado') })}</div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('milestones-chart').innerHTML = Charts.gantt(result.milestones, today);
+
+        listEl.innerHTML = result.milestones.map(m => {
+            const actual = m.actualStartObj
+                ? `${formatDate(m.actualStartObj)} – ${m.actualEndObj ? formatDate(m.actualEndObj) : I18n.t('milestones.inProgress')}`
+                : I18n.t('milestones.notStarted');
+            const spentPct = kpis.totalSpent > 0 ? (m.spent / kpis.totalSpent) * 100 : 0;
+            const extra = m.photos.length - this.MILESTONE_PHOTOS_MAX;
+            return Html.html`
+                <div class="card milestone-card">
+                    <div class="sale-header">
+                        <span class="sale-name">${m.name}</span>
+                        <span class="sale-status ${this.MILESTONE_STATUS_CLASSES[m.status]}">${I18n.label('milestoneStatus', m.status)}</span>
+                    </div>
+                    <div class="sale-info">
+                        <div class="sale-row">
+                            <span class="sale-row-label">${I18n.t('milestones.planned')}</span>
+                            <span class="sale-row-value">${range(m.plannedStartObj, m.plannedEndObj)}</span>
+                        </div>
+                        <div class="sale-row">
+                            <span class="sale-row-label">${I18n.t('milestones.actual')}</span>
+                            <span class="sale-row-value">
+                                ${actual}
+                                ${m.delayDays > 0 ? Html.html`<span class="sale-price-diff negative">${I18n.t('milestones.delay', { count: m.delayDays })}</span>` : ''}
+                            </span>
+                        </div>
+                        <div class="sale-row">
+                            <span class="sale-row-label">${I18n.t('milestones.progress')}</span>
+                            <span class="sale-row-value">${DataService.formatPercent(m.progress)}</span>
+                        </div>
+                        <div class="progress-bar-bg">
+                            <div class="progress-bar-fill ${this.MILESTONE_PROGRESS_COLORS[m.status]}" style="width: ${m.progress}%"></div>
+                        </div>
+                        <div class="sale-row">
+                            <span class="sale-row-label">${I18n.t('milestones.periodSpend')}</span>
+                            <span class="sale-row-value">
+                                ${m.spent === null ? Html.html`<span class="text-muted">${I18n.t('milestones.notStarted')}</span>`
+                                    : m.windowStart ? I18n.t('milestones.ofSpend', { amount: DataService.formatCurrency(m.spent), percent: DataService.formatPercent(spentPct) })
+                                    : Html.html`<span class="text-muted">${I18n.t('milestones.noDates')}</span>`}
+                            </span>
+                        </div>
+                    </div>
+                    ${m.photos.length ? Html.html`
+                        <div class="milestone-photos">
+                            ${m.photos.slice(0, this.MILESTONE_PHOTOS_MAX).map(photo => Html.html`
+                                <button type="button" class="milestone-photo" data-photo-id="${photo.id}" title="${this.photoCaption(photo)}">
+                                    <img src="${Html.url(photo.thumbnail)}" alt="${this.photoCaption(photo) || I18n.t('milestones.photo')}" loading="lazy">
+                                </button>
+                            `)}
+                            ${extra > 0 ? Html.html`<button type="button" class="milestone-photo more" data-photo-id="${m.photos[this.MILESTONE_PHOTOS_MAX].id}">+${extra}</button>` : ''}
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Load the gallery photos for the milestones and render them again once they arrive.
+     * Without a gallery the milestones are shown without photos.
+     */
+    async loadMilestonePhotos() {
+        if (!this.data || !(this.data.milestones || []).length) return;
+        const project = this.project;
+        try {
+            await this.fetchPhotos();
+        } catch (err) {
+            console.warn('Could not load the photos for the milestones:', err);
+            return;
+        }
+        if (project === this.project && this.data) this.renderMilestones();
     },
 
     // ========== SECTION: GALERÍA ==========
 
+    /**
+     * Fetch the project's photo listing from the server (see server/gallery.js) into
+     * this.photos, once per project; a failed request is retried on the next call.
+     */
+    fetchPhotos() {
+        if (!this.photosRequest) {
+            const project = this.project;
+            this.photosRequest = Api.request(`/api/gallery?project=${encodeURIComponent(project.key)}`).then(listing => {
+                if (project !== this.project) return;
+                this.galleryFolderUrl = listing.folderUrl;
+                this.photos = listing.photos.map(photo => ({
+                    ...photo,
+                    takenAtObj: photo.takenAt ? new Date(photo.takenAt) : null,
+                    createdAtObj: photo.createdAt ? new Date(photo.createdAt) : null
+                }));
+            });
+            this.photosRequest.catch(() => {
+                if (project === this.project) this.photosRequest = null;
+            });
+        }
+        return this.photosRequest;
+    },
+
+    /**
+     * Show the project's photos, or a link to the Drive folder when the server has none.
+     */
     async loadGallery() {
         const loadingEl = document.getElementById('gallery-loading');
-        const gridEl = document.getElementById('gallery-grid');
+        const albumsEl = document.getElementById('gallery-albums');
         const emptyEl = document.getElementById('gallery-empty');
 
         loadingEl.classList.remove('hidden');
-        gridEl.classList.add('hidden');
+        albumsEl.classList.add('hidden');
         emptyEl.classList.add('hidden');
 
+        const project = this.project;
         try {
-            // Google Drive folder approach:
-            // We'll use the folder ID to construct thumbnail URLs.
-            // Since we can't list files from a public folder without API key easily from client-side,
-            // we embed the folder as an iframe or use known image IDs.
-            // For now, we'll try to use the Google Drive embed approach.
-
-            const folderId = this.extractFolderId(this.project.driveFolder);
-            if (!folderId) {
-                throw new Error('No se pudo obtener el ID de la carpeta de Drive.');
-            }
-
-            // Try fetching the folder page to extract file IDs
-            const photos = await this.fetchDrivePhotos(folderId);
-
-            if (photos.length === 0) {
-                loadingEl.classList.add('hidden');
-                emptyEl.classList.remove('hidden');
-                // Show fallback embed
-                emptyEl.innerHTML = `
-                    <p>Las fotos se pueden ver directamente en Google Drive:</p>
-                    <a href="${this.project.driveFolder}" target="_blank" rel="noopener" style="color: var(--primary); text-decoration: underline; margin-top: 0.5rem;">
-                        Abrir carpeta de fotos en Google Drive
-                    </a>
-                `;
+            await this.fetchPhotos();
+            if (project !== this.project) return;
+            loadingEl.classList.add('hidden');
+            if (!this.photos.length) {
+                this.showGalleryFallback(I18n.t('gallery.empty'));
                 return;
             }
-
-            this.photos = photos;
-            gridEl.innerHTML = photos.map((photo, idx) => `
-                <div class="gallery-item" onclick="App.openLightbox(${idx})">
-                    <img src="${photo.thumbnail}" alt="${photo.name || 'Foto de avance'}" loading="lazy" onerror="this.parentElement.style.display='none'">
-                    <div class="gallery-item-overlay">${photo.name || ''}</div>
-                </div>
-            `).join('');
-
-            loadingEl.classList.add('hidden');
-            gridEl.classList.remove('hidden');
+            this.renderGallery();
         } catch (err) {
             console.error('Error loading gallery:', err);
+            if (project !== this.project) return;
             loadingEl.classList.add('hidden');
-            emptyEl.classList.remove('hidden');
-            emptyEl.innerHTML = `
-                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#a0aec0" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg>
-                <p style="margin-top: 1rem;">Las fotos se pueden ver directamente en Google Drive:</p>
-                <a href="${this.project.driveFolder}" target="_blank" rel="noopener" style="color: var(--primary); text-decoration: underline; margin-top: 0.5rem; font-weight: 500;">
-                    Abrir carpeta de fotos en Google Drive
-                </a>
-            `;
+            this.galleryFolderUrl = this.project.driveFolder;
+            this.showGalleryFallback(err.code === 'GALLERY_NOT_CONFIGURED' ? '' : I18n.t('gallery.loadError', { message: err.message }));
         }
     },
 
-    extractFolderId(url) {
-        if (!url) return null;
-        const match = url.match(/folders\/([a-zA-Z0-9_-]+)/);
-        return match ? match[1] : null;
+    showGalleryFallback(message) {
+        const emptyEl = document.getElementById('gallery-empty');
+        emptyEl.classList.remove('hidden');
+        emptyEl.innerHTML = Html.html`
+            <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#a0aec0" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg>
+            ${message ? Html.html`<p style="margin-top: 1rem;">${message}</p>` : ''}
+            ${this.galleryFolderUrl ? Html.html`
+                <p style="margin-top: 1rem;">${I18n.t('gallery.driveNote')}</p>
+                <a href="${Html.url(this.galleryFolderUrl)}" target="_blank" rel="noopener" style="color: var(--primary); text-decoration: underline; margin-top: 0.5rem; font-weight: 500;">
+                    ${I18n.t('gallery.openDrive')}
+                </a>
+            ` : ''}
+        `;
     },
 
-    async fetchDrivePhotos(folderId) {
-        // Since Google Drive public folders can't be easily listed via client-side JS without an API key,
-        // we use a workaround: fetch the folder HTML page and parse image IDs from it.
-        // Alternative: embed the folder or use Google Picker.
+    /**
+     * Photos grouped into albums: by month taken (newest first) or by stage, the
+     * subfolder they are in (in the order the stages started). this.photos is
+     * reordered to match, so the lightbox steps through them as shown.
+     */
+    renderGallery() {
+        const albumsEl = document.getElementById('gallery-albums');
+        document.querySelectorAll('#gallery-grouping [data-grouping]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.grouping === this.galleryGrouping);
+        });
+
+        const albums = this.groupPhotos(this.photos, this.galleryGrouping);
+        this.photos = albums.flatMap(album => album.photos);
+        let index = 0;
+        albumsEl.innerHTML = albums.map(album => Html.html`
+            <div class="gallery-album">
+                <h3 class="gallery-album-title">
+                    ${album.title}
+                    <span class="gallery-album-count">${I18n.t('gallery.photos', { count: album.photos.length })}${album.range ? ` · ${album.range}` : ''}</span>
+                </h3>
+                <div class="gallery-grid">
+                    ${album.photos.map(photo => Html.html`
+                        <div class="gallery-item" data-index="${index++}">
+                            <img src="${Html.url(photo.thumbnail)}" alt="${this.photoCaption(photo) || I18n.t('milestones.photo')}" loading="lazy">
+                            <div class="gallery-item-overlay">${this.photoCaption(photo)}</div>
+                        </div>
+                    `)}
+                </div>
+            </div>
+        `).join('');
+        albumsEl.classList.remove('hidden');
+    },
 
-        // Approach: use Google Drive API with the folder embed page
-        // We'll try to get file listings from the public folder embed
-        const url = `https://drive.google.com/embeddedfolderview?id=${folderId}#grid`;
+    groupPhotos(photos, grouping) {
+        const dateOf = (photo) => photo.takenAtObj || photo.createdAtObj;
+        const byDate = (a, b) => (dateOf(a) || 0) - (dateOf(b) || 0);
+        const groups = new Map();
+        for (const photo of [...photos].sort(byDate)) {
+            const date = dateOf(photo);
+            const key = grouping === 'stage'
+                ? photo.folder || ''
+                : date ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}` : '';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(photo);
+        }
 
-        try {
-            const response = await fetch(url);
-            const html = await response.text();
-
-            // Extract file IDs from the HTML
-            const fileIdRegex = /data-id="([a-zA-Z0-9_-]+)"/g;
-            const ids = [];
-            let match;
-            while ((match = fileIdRegex.exec(html)) !== null) {
-                ids.push(match[1]);
+        const albums = [...groups.entries()].map(([key, list]) => {
+            const dated = list.map(dateOf).filter(Boolean);
+            const format = (d) => I18n.formatDate(d, { day: 'numeric', month: 'short', year: 'numeric' });
+            let title;
+            if (grouping === 'stage') {
+                title = key ? key.split('/').join(' › ') : I18n.t('gallery.general');
+            } else {
+                title = key ? Charts.monthLabel(dated[0], true) : I18n.t('gallery.undated');
             }
+            return {
+                key,
+                title: title.charAt(0).toUpperCase() + title.slice(1),
+                photos: list,
+                first: dated[0] || null,
+                range: grouping === 'stage' && dated.length
+                    ? (format(dated[0]) === format(dated[dated.length - 1]) ? format(dated[0]) : `${format(dated[0])} – ${format(dated[dated.length - 1])}`)
+                    : ''
+            };
+        });
 
-            if (ids.length === 0) {
-                // Try another pattern
-                const altRegex = /\/file\/d\/([a-zA-Z0-9_-]+)/g;
-                while ((match = altRegex.exec(html)) !== null) {
-                    if (!ids.includes(match[1])) {
-                        ids.push(match[1]);
-                    }
-                }
-            }
+        // Undated albums last; months newest first, stages in the order they started
+        return albums.sort((a, b) => {
+            if (!a.first || !b.first) return (a.first ? 0 : 1) - (b.first ? 0 : 1);
+            return grouping === 'stage' ? a.first - b.first : b.first - a.first;
+        });
+    },
 
-            return ids.map(id => ({
-                id,
-                name: '',
-                thumbnail: `https://drive.google.com/thumbnail?id=${id}&sz=w800`,
-                full: `https://drive.google.com/thumbnail?id=${id}&sz=w1600`
+    /**
+     * Caption for a photo: its name without the extension, the stage and when it was taken.
+     */
+    photoCaption(photo) {
+        const name = (photo.name || '').replace(/\.[a-z0-9]+$/i, '');
+        const parts = [name];
+        if (photo.folder) parts.push(photo.folder.split('/').join(' › '));
+        if (photo.takenAtObj) {
+            // Dates taken from a file name have no time of day
+            const withTime = !photo.takenAt.endsWith('T00:00:00');
+            parts.push(I18n.formatDateTime(photo.takenAtObj, {
+                day: 'numeric', month: 'short', year: 'numeric', ...(withTime && { hour: '2-digit', minute: '2-digit' })
             }));
-        } catch (e) {
-            console.warn('Could not fetch Drive folder contents:', e);
-            return [];
         }
+        return parts.filter(Boolean).join(' · ');
     },
 
     openLightbox(index) {
@@ -670,7 +2128,8 @@ const App = {
         this.currentPhotoIndex = index;
         const photo = this.photos[index];
         document.getElementById('lightbox-img').src = photo.full || photo.thumbnail;
-        document.getElementById('lightbox-caption').textContent = photo.name || `Foto ${index + 1} de ${this.photos.length}`;
+        const caption = this.photoCaption(photo);
+        document.getElementById('lightbox-caption').textContent = `${caption ? `${caption} — ` : ''}${I18n.t('lightbox.position', { index: index + 1, total: this.photos.length })}`;
         document.getElementById('lightbox').classList.remove('hidden');
         document.body.style.overflow = 'hidden';
     },
@@ -692,25 +2151,123 @@ const App = {
         this.openLightbox(this.currentPhotoIndex);
     },
 
+    // ========== PDF REPORT ==========
+
+    /**
+     * Build the investor report for the data on screen and download it.
+     * The expense ledger follows the Gastos filters.
+     */
+    downloadReport() {
+        if (!this.data) return;
+        const btn = document.getElementById('download-report-btn');
+        btn.disabled = true;
+        try {
+            const pdf = Report.build({
+                project: this.project,
+                data: this.data,
+                expenses: this.getFilteredExpenses(),
+                filtersLabel: this.describeExpenseFilters()
+            });
+            this.downloadBlob(new Blob([pdf], { type: 'application/pdf' }), Report.fileName(this.project));
+            Activity.track(this.project, 'export', { kind: 'pdf' });
+        } catch (err) {
+            console.error('Error generating report:', err);
+            alert(I18n.t('report.error'));
+        } finally {
+            btn.disabled = false;
+        }
+    },
+
+    /**
+     * Human-readable summary of the active Gastos filters ('' when none).
+     */
+    describeExpenseFilters() {
+        const { category, subcategory, dateFrom, dateTo } = this.getExpenseFilters();
+        const formatDay = (value) => I18n.formatDate(new Date(`${value}T00:00:00`), { year: 'numeric', month: 'short', day: 'numeric' });
+        const parts = [];
+        if (category !== 'all') parts.push(I18n.category(category));
+        if (subcategory !== 'all') parts.push(subcategory);
+        if (dateFrom && dateTo) parts.push(I18n.t('expenses.range', { from: formatDay(dateFrom), to: formatDay(dateTo) }));
+        else if (dateFrom) parts.push(I18n.t('expenses.since', { date: formatDay(dateFrom) }));
+        else if (dateTo) parts.push(I18n.t('expenses.until', { date: formatDay(dateTo) }));
+        return parts.join(', ');
+    },
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // ========== CSV / XLSX EXPORT ==========
+
+    /**
+     * One of the exportable tables (see export.js) for the data on screen.
+     * The expense table follows the Gastos filters.
+     */
+    getExportTable(kind) {
+        if (kind === 'expenses') return Export.expensesTable(this.getFilteredExpenses());
+        const { budget, expenses, capital, milestones = [] } = this.data;
+        return Export.budgetTable(budget, DataService.calculateExpenseSummary(expenses), Forecast.calculate(budget, expenses, capital, milestones));
+    },
+
+    exportCSV(kind) {
+        if (!this.data) return;
+        const csv = Export.toCSV(this.getExportTable(kind));
+        const prefix = I18n.t(kind === 'expenses' ? 'export.expenses' : 'export.budget');
+        this.downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), Export.fileName(prefix, this.project, 'csv'));
+        Activity.track(this.project, 'export', { kind: 'csv' });
+    },
+
+    exportWorkbook(kinds) {
+        if (!this.data) return;
+        const workbook = XLSX.write(kinds.map(kind => this.getExportTable(kind)));
+        this.downloadBlob(
+            new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+            Export.fileName(I18n.t('export.report'), this.project, 'xlsx')
+        );
+        Activity.track(this.project, 'export', { kind: 'xlsx' });
+    },
+
     // ========== SECTION: GASTOS ==========
 
     renderExpensesTable(expenses) {
         // Populate subcategory filter
         const subcategories = [...new Set(expenses.map(e => e.subcategory).filter(Boolean))].sort();
         const subSelect = document.getElementById('filter-subcategory');
-        subSelect.innerHTML = '<option value="all">Todas</option>' +
-            subcategories.map(s => `<option value="${s}">${s}</option>`).join('');
+        const selected = subSelect.value;
+        subSelect.innerHTML = Html.html`<option value="all">${I18n.t('expenses.all')}</option>` +
+            subcategories.map(s => Html.html`<option value="${s}">${s}</option>`).join('');
+        // Rendering again (refresh, language change) keeps the selection
+        subSelect.value = subcategories.includes(selected) ? selected : 'all';
 
         this.filterExpenses();
     },
 
-    filterExpenses() {
-        if (!this.data) return;
+    /**
+     * Current values of the Gastos filters.
+     */
+    getExpenseFilters() {
+        return {
+            category: document.getElementById('filter-category').value,
+            subcategory: document.getElementById('filter-subcategory').value,
+            dateFrom: document.getElementById('filter-date-from').value,
+            dateTo: document.getElementById('filter-date-to').value
+        };
+    },
 
-        const category = document.getElementById('filter-category').value;
-        const subcategory = document.getElementById('filter-subcategory').value;
-        const dateFrom = document.getElementById('filter-date-from').value;
-        const dateTo = document.getElementById('filter-date-to').value;
+    /**
+     * Expenses matching the Gastos filters. `ignoreDates` applies only the
+     * category and subcategory filters.
+     */
+    getFilteredExpenses({ ignoreDates = false } = {}) {
+        if (!this.data) return [];
+        const { category, subcategory, dateFrom, dateTo } = this.getExpenseFilters();
 
         let filtered = [...this.data.expenses];
 
@@ -720,19 +2277,29 @@ const App = {
         if (subcategory !== 'all') {
             filtered = filtered.filter(e => e.subcategory === subcategory);
         }
-        if (dateFrom) {
+        if (dateFrom && !ignoreDates) {
             const from = new Date(dateFrom);
             filtered = filtered.filter(e => e.dateObj && e.dateObj >= from);
         }
-        if (dateTo) {
+        if (dateTo && !ignoreDates) {
             const to = new Date(dateTo);
             to.setHours(23, 59, 59, 999);
             filtered = filtered.filter(e => e.dateObj && e.dateObj <= to);
         }
+        return filtered;
+    },
+
+    filterExpenses() {
+        if (!this.data) return;
+        const filtered = this.getFilteredExpenses();
+        this.renderExpenseRows(filtered);
+        this.renderExpenseCharts(filtered);
+    },
 
+    renderExpenseRows(filtered) {
         const tbody = document.getElementById('expenses-tbody');
         const noExpenses = document.getElementById('no-expenses');
-        const tableWrapper = document.querySelector('.table-wrapper');
+        const tableWrapper = document.getElementById('expenses-table').closest('.table-wrapper');
 
         if (filtered.length === 0) {
             tbody.innerHTML = '';
@@ -745,7 +2312,7 @@ const App = {
         tableWrapper.classList.remove('hidden');
 
         // Sort by date descending
-        filtered.sort((a, b) => {
+        filtered = [...filtered].sort((a, b) => {
             if (!a.dateObj && !b.dateObj) return 0;
             if (!a.dateObj) return 1;
             if (!b.dateObj) return -1;
@@ -759,28 +2326,70 @@ const App = {
             const tagClass = normCat === 'Hard Cost' ? 'tag-hard' :
                              normCat === 'Soft Cost' ? 'tag-soft' : 'tag-terreno';
             const formattedDate = exp.dateObj
-                ? exp.dateObj.toLocaleDateString('es-MX', { year: 'numeric', month: 'short', day: 'numeric' })
+                ? I18n.formatDate(exp.dateObj, { year: 'numeric', month: 'short', day: 'numeric' })
                 : exp.date || '-';
 
-            return `
+            return Html.html`
                 <tr>
                     <td>${formattedDate}</td>
-                    <td><span class="category-tag ${tagClass}">${normCat}</span></td>
+                    <td><span class="category-tag ${tagClass}">${I18n.category(normCat)}</span></td>
                     <td>${exp.subcategory}</td>
                     <td class="text-right">${DataService.formatCurrency(exp.amount)}</td>
                 </tr>
             `;
         }).join('');
 
-        document.getElementById('expenses-total').innerHTML = `<strong>${DataService.formatCurrency(total)}</strong>`;
+        document.getElementById('expenses-total').innerHTML = Html.html`<strong>${DataService.formatCurrency(total)}</strong>`;
+    },
+
+    /**
+     * Monthly spend by category and the cumulative curve against the budget, both
+     * for the filtered expenses. With a "Desde" date, the curve starts from what
+     * was already spent before it, so it stays comparable with the budget line.
+     */
+    renderExpenseCharts(filtered) {
+        const { budget } = this.data;
+        const { category, dateFrom } = this.getExpenseFilters();
+        const months = DataService.calculateMonthlySpend(filtered);
+
+        document.getElementById('chart-monthly').innerHTML = Charts.monthlyBars(months, DataService.CATEGORIES);
+
+        let opening = 0;
+        if (dateFrom) {
+            const from = new Date(dateFrom);
+            opening = this.getFilteredExpenses({ ignoreDates: true })
+                .filter(e => e.dateObj && e.dateObj < from)
+                .reduce((sum, e) => sum + e.amount, 0);
+        }
+        let cumulative = opening;
+        const points = months.map(m => ({ date: m.date, value: (cumulative += m.total) }));
+
+        // Compare a single category against its own budget
+        const budgetKeys = { 'Hard Cost': 'hardCosts', 'Soft Cost': 'softCosts', 'Terreno': 'terreno' };
+        const budgetTotal = category !== 'all'
+            ? budget[budgetKeys[category]].total || 0
+            : (budget.hardCosts.total || 0) + (budget.softCosts.total || 0) + (budget.terreno.total || 0);
+        const budgetLabel = category !== 'all' ? I18n.t('expenses.budgetOf', { category: I18n.category(category) }) : I18n.t('expenses.budgetTotal');
+        document.getElementById('chart-cumulative').innerHTML = Charts.cumulativeLine(points, budgetTotal, budgetLabel);
+
+        const undated = filtered.filter(e => !e.dateObj);
+        const note = document.getElementById('chart-note');
+        note.classList.toggle('hidden', undated.length === 0);
+        note.textContent = undated.length
+            ? I18n.t('expenses.undated', { count: undated.length, amount: DataService.formatCurrency(undated.reduce((sum, e) => sum + e.amount, 0)) })
+            : '';
     },
 
     clearFilters() {
+        this.resetFilterInputs();
+        this.filterExpenses();
+    },
+
+    resetFilterInputs() {
         document.getElementById('filter-category').value = 'all';
         document.getElementById('filter-subcategory').value = 'all';
         document.getElementById('filter-date-from').value = '';
         document.getElementById('filter-date-to').value = '';
-        this.filterExpenses();
     }
 };
 
@@ -1,60 +1,200 @@
 /**
  * Authentication Module
- * Handles project-level password authentication.
- * Each project has its own password configured in PROJECTS.
+ * Handles authentication against the reporting server, either with a personal
+ * account (username + password) or with the shared project password.
+ * Passwords are verified server-side; the browser only keeps a signed session token
+ * and receives a project's sheet/drive configuration after a successful login.
+ *
+ * One session can hold several projects: logging in again while a session is
+ * active adds the new project(s) to it. `projects` lists them all and
+ * `currentProject` is the one on screen.
+ *
+ * currentProject.role is 'viewer' (project password), 'investor' or 'admin';
+ * currentProject.investor is the investor's name in the CAPITAL sheet.
+ *
+ * The token and the session's projects are kept in localStorage so an installed
+ * app can reopen without a connection. While the server is unreachable the saved
+ * projects are used as-is and `offline` is true; the session is verified again
+ * once the server answers.
+ *
+ * Sessions expire on the server after a while idle and at a fixed time after login.
+ * While the user is active (see touch()) the token is renewed; when it runs out,
+ * or the server rejects it, the session is cleared and `onExpired` is called.
+ * Without a connection an expired token is kept: the saved data stays readable
+ * offline (e.g. on a site visit) and the session is checked once back online.
  */
 
-const PROJECTS = {
-    'ARBOLEDAS': {
-        name: 'Casa Arboledas',
-        password: 'ARBOLEDAS',
-        sheets: {
-            budget: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTtH6vXsUOaCMZESDh4kKBgu4GKkQwwbXWh_KL8ZGhC5uLciBEBnDLMadWkXkVe0PKT2CeZB2PbE042/pub?output=csv&gid=0',
-            desglose: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTtH6vXsUOaCMZESDh4kKBgu4GKkQwwbXWh_KL8ZGhC5uLciBEBnDLMadWkXkVe0PKT2CeZB2PbE042/pub?output=csv&gid=1025952285',
-            capital: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTtH6vXsUOaCMZESDh4kKBgu4GKkQwwbXWh_KL8ZGhC5uLciBEBnDLMadWkXkVe0PKT2CeZB2PbE042/pub?output=csv&gid=508913285'
-        },
-        driveFolder: 'https://drive.google.com/drive/folders/1W_97MPUnXqRHkX-Xp_HoGjVNu8sjoYP6'
-    }
-    // Add more projects here in the future:
-    // 'PROJECT_KEY': { name: '...', password: '...', sheets: {...}, driveFolder: '...' }
-};
-
 const Auth = {
+    RENEW_AFTER: 5 * 60 * 1000, // renew an active session's token at most this often
+
     currentProject: null,
+    projects: [],
+    token: null,
+    expiresAt: null,
+    renewedAt: 0,
+    renewing: null,
+    expiryTimer: null,
+    offline: false,
+    onExpired: null, // called when the session runs out or is rejected
+
+    /**
+     * Attempt to authenticate. Without a username, the password is checked
+     * against the project passwords.
+     * Resolves with the project config if the credentials match, null otherwise.
+     * Other failures (network, server errors) reject.
+     */
+    async login(password, username = '') {
+        try {
+            const { token, expiresAt, project, projects } = await Api.request('/api/login', {
+                method: 'POST',
+                body: { username, password }
+            });
+            this.setToken(token, expiresAt);
+            this.setProjects(projects);
+            return this.selectProject(project.key);
+        } catch (err) {
+            if (err.code === 'INVALID_CREDENTIALS') return null;
+            throw err;
+        }
+    },
 
     /**
-     * Attempt to authenticate with a password.
-     * Returns the project config if the password matches, null otherwise.
+     * Check if there's an active session on this device.
+     * Resolves with the active project config, or null if there is no valid token.
+     * If the server cannot be reached, the projects saved at the last check are used,
+     * even past the saved token's expiry while the device is offline.
      */
-    login(password) {
-        const trimmed = password.trim().toUpperCase();
-        for (const key of Object.keys(PROJECTS)) {
-            if (PROJECTS[key].password.toUpperCase() === trimmed) {
-                this.currentProject = { key, ...PROJECTS[key] };
-                sessionStorage.setItem('activeProject', key);
-                return this.currentProject;
+    async getSession() {
+        this.token = localStorage.getItem('sessionToken');
+        this.expiresAt = Number(localStorage.getItem('sessionExpires')) || null;
+        if (!this.token) return null;
+        if (this.expiresAt && this.expiresAt <= Date.now() && navigator.onLine) {
+            this.clear();
+            return null;
+        }
+        try {
+            const { token, expiresAt, projects } = await Api.request('/api/session');
+            this.setToken(token, expiresAt);
+            this.setProjects(projects);
+        } catch (err) {
+            // Errors with a status come from the server (e.g. expired token); others are network failures
+            const saved = err.status ? null : JSON.parse(localStorage.getItem('sessionProjects') || 'null');
+            if (!saved) {
+                console.warn('Session could not be restored:', err);
+                this.clear();
+                return null;
             }
+            this.projects = saved;
+            this.offline = true;
+            this.scheduleExpiry();
         }
-        return null;
+        return this.selectProject(localStorage.getItem('activeProject'));
+    },
+
+    setToken(token, expiresAt) {
+        this.token = token;
+        this.expiresAt = expiresAt;
+        this.renewedAt = Date.now();
+        localStorage.setItem('sessionToken', token);
+        localStorage.setItem('sessionExpires', String(expiresAt));
+        this.scheduleExpiry();
     },
 
     /**
-     * Check if there's an active session (within the browser tab session).
+     * Note user activity: renews the token once RENEW_AFTER has passed since the
+     * last renewal, so only an idle session expires.
      */
-    getSession() {
-        const key = sessionStorage.getItem('activeProject');
-        if (key && PROJECTS[key]) {
-            this.currentProject = { key, ...PROJECTS[key] };
-            return this.currentProject;
+    touch() {
+        if (!this.token || this.offline || this.renewing || Date.now() - this.renewedAt < this.RENEW_AFTER) return;
+        this.renewing = Api.request('/api/session')
+            .then(({ token, expiresAt, projects }) => {
+                this.setToken(token, expiresAt);
+                this.setProjects(projects);
+            })
+            .catch(err => console.warn('Session could not be renewed:', err))
+            .finally(() => { this.renewing = null; });
+    },
+
+    /**
+     * Expire the session when its token runs out. Another tab may have renewed it
+     * in the meantime; its newer token is taken over instead. Offline, the check
+     * waits for the connection to come back.
+     */
+    scheduleExpiry() {
+        clearTimeout(this.expiryTimer);
+        if (!this.expiresAt) return;
+        this.expiryTimer = setTimeout(() => {
+            const savedExpiry = Number(localStorage.getItem('sessionExpires'));
+            if (savedExpiry > Date.now()) {
+                this.token = localStorage.getItem('sessionToken');
+                this.expiresAt = savedExpiry;
+                this.scheduleExpiry();
+                return;
+            }
+            if (!navigator.onLine) {
+                window.addEventListener('online', () => this.scheduleExpiry(), { once: true });
+                return;
+            }
+            this.expire();
+        }, Math.max(this.expiresAt - Date.now(), 0));
+    },
+
+    /**
+     * End a session the server no longer accepts (expired, or rejected mid-session).
+     */
+    expire() {
+        if (!this.token) return;
+        this.clear();
+        if (this.onExpired) this.onExpired();
+    },
+
+    setProjects(projects) {
+        this.projects = projects;
+        this.offline = false;
+        localStorage.setItem('sessionProjects', JSON.stringify(projects));
+    },
+
+    /**
+     * Make one of the session's projects the active one.
+     * Falls back to the first project if the key is not part of the session.
+     */
+    selectProject(key) {
+        this.currentProject = this.projects.find(p => p.key === key) || this.projects[0] || null;
+        if (this.currentProject) {
+            localStorage.setItem('activeProject', this.currentProject.key);
         }
-        return null;
+        return this.currentProject;
+    },
+
+    /**
+     * Check the current user's role in the active project.
+     */
+    hasRole(role) {
+        return !!this.currentProject && this.currentProject.role === role;
     },
 
     /**
-     * Log out: clear session and current project.
+     * Log out: notify the server, then clear session and current project.
      */
-    logout() {
+    async logout() {
+        try {
+            if (this.token) await Api.request('/api/logout', { method: 'POST' });
+        } catch (err) {
+            console.warn('Logout request failed:', err);
+        }
+        this.clear();
+    },
+
+    clear() {
+        clearTimeout(this.expiryTimer);
         this.currentProject = null;
-        sessionStorage.removeItem('activeProject');
+        this.projects = [];
+        this.token = null;
+        this.expiresAt = null;
+        this.offline = false;
+        localStorage.removeItem('sessionToken');
+        localStorage.removeItem('sessionExpires');
+        localStorage.removeItem('sessionProjects');
+        localStorage.removeItem('activeProject');
     }
 };
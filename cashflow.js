@@ -0,0 +1,130 @@
+/**
+ * Cash Flow Module
+ * Monthly project cash flow built from dated data, and the timing-aware figures
+ * the CAPITAL sheet's static cells cannot give: IRR, peak equity and payback.
+ *
+ * Flows:
+ *   - Costs: the expense ledger by month (undated expenses in the ledger's latest
+ *     month), then what the forecast still expects to spend (see forecast.js),
+ *     spread evenly up to its completion date.
+ *   - Sales: payments received on their paid date; the rest of each payment on its
+ *     due date; what a unit's price still leaves uncovered on its close date (from
+ *     the VENTAS sheet, so unsold units can carry an expected sale date), else on
+ *     the completion date. Unsold units count at their list price.
+ *   - Capital calls: investor contributions dated by the CAPITAL sheet's optional
+ *     `investors.dateColumn`. They are financing, so they only move the cash balance,
+ *     not the project's IRR. Flows due before the ledger's month land in the next one.
+ *
+ * Figures:
+ *   irr          annual IRR of the monthly net flows (XIRR, in percentage points)
+ *   multiple     sales over costs
+ *   peakEquity   deepest cumulative net outflow: the capital the project needs
+ *   payback      first month the cumulative net flow is back to zero or above
+ */
+
+const CashFlow = {
+    /**
+     * Build the cash flow. Returns:
+     *   months   [{ month, date, costs, sales, capital, net, cumulative, balance, projected }]
+     *   totals   { costs, sales, capital, profit }
+     *   irr, multiple, peakEquity, peakMonth, payback, hasCapitalCalls, undated
+     * or null when nothing is dated.
+     */
+    build({ budget, expenses, capital, sales }, forecast) {
+        const asOf = forecast.asOf;
+        if (!asOf) return null;
+
+        const monthKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+        const firstOfMonth = (d) => new Date(d.getFullYear(), d.getMonth(), 1);
+        const nextMonth = firstOfMonth(new Date(asOf.getFullYear(), asOf.getMonth() + 1, 1));
+        const future = (date) => date && date >= nextMonth ? date : nextMonth;
+        const flows = [];
+        const add = (date, field, amount) => {
+            if (amount) flows.push({ date, field, amount });
+        };
+
+        // Costs: spent to date, then the forecast's remaining cost
+        const undated = expenses.filter(exp => !exp.dateObj);
+        for (const exp of expenses) add(exp.dateObj || asOf, 'costs', exp.amount);
+        const remainingCost = forecast.total.projected - forecast.total.spent;
+        const completion = forecast.completionDate && forecast.completionDate >= nextMonth ? forecast.completionDate : nextMonth;
+        const costMonths = Math.max(
+            (completion.getFullYear() - nextMonth.getFullYear()) * 12 + completion.getMonth() - nextMonth.getMonth() + 1,
+            1
+        );
+        for (let i = 0; i < costMonths; i++) {
+            add(new Date(nextMonth.getFullYear(), nextMonth.getMonth() + i, 1), 'costs', remainingCost / costMonths);
+        }
+
+        // Sales: received, scheduled, then the rest of the price at the close date
+        for (const unit of DataService.calculateSalesSummary(budget.houses, sales || []).units) {
+            let covered = 0;
+            for (const payment of unit.sale ? unit.sale.payments : []) {
+                if (payment.paidAmount) add(payment.paidDateObj || asOf, 'sales', payment.paidAmount);
+                const due = Math.max(payment.amount - payment.paidAmount, 0);
+                if (unit.committed && due) add(future(payment.dueDateObj), 'sales', due);
+                covered += unit.committed ? Math.max(payment.amount, payment.paidAmount) : payment.paidAmount;
+            }
+            const closeDate = (unit.sale && unit.sale.closeDateObj) || forecast.completionDate;
+            add(future(closeDate), 'sales', Math.max(unit.price - covered, 0));
+        }
+
+        // Capital calls (financing)
+        const calls = capital.investors.filter(inv => inv.dateObj);
+        for (const inv of calls) add(inv.dateObj, 'capital', inv.amount);
+
+        // Monthly buckets from the first flow to the last
+        const times = flows.map(f => f.date.getTime());
+        const months = new Map();
+        const last = new Date(Math.max(...times));
+        for (let d = firstOfMonth(new Date(Math.min(...times))); d <= last; d.setMonth(d.getMonth() + 1)) {
+            months.set(monthKey(d), {
+                month: monthKey(d),
+                date: new Date(d),
+                costs: 0,
+                sales: 0,
+                capital: 0,
+                projected: d >= nextMonth
+            });
+        }
+        for (const flow of flows) months.get(monthKey(flow.date))[flow.field] += flow.amount;
+
+        let cumulative = 0;
+        let balance = 0;
+        let peakEquity = 0;
+        let peakMonth = null;
+        let payback = null;
+        const list = [...months.values()].map(m => {
+            m.net = m.sales - m.costs;
+            cumulative += m.net;
+            balance += m.net + m.capital;
+            m.cumulative = cumulative;
+            m.balance = balance;
+            if (-cumulative > peakEquity) {
+                peakEquity = -cumulative;
+                peakMonth = m.date;
+                payback = null;
+            } else if (peakEquity > 0 && !payback && cumulative >= 0) {
+                payback = m.date;
+            }
+            return m;
+        });
+
+        const sum = (field) => list.reduce((total, m) => total + m[field], 0);
+        const totals = { costs: sum('costs'), sales: sum('sales'), capital: sum('capital') };
+        totals.profit = totals.sales - totals.costs;
+        const irr = Finance.xirr(list.map(m => ({ date: m.date, amount: m.net })));
+
+        return {
+            months: list,
+            totals,
+            irr: irr === null ? null : irr * 100,
+            multiple: totals.costs > 0 ? totals.sales / totals.costs : null,
+            peakEquity,
+            peakMonth,
+            payback,
+            hasCapitalCalls: calls.length > 0,
+            undated: undated.length
+        };
+    }
+};
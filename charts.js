@@ -0,0 +1,290 @@
+/**
+ * Charts Module
+ * Small SVG chart builders for the expense and cash-flow time series and the construction
+ * timeline. Each returns SVG markup
+ * with a fixed viewBox that scales to its container, so charts stay sharp on
+ * screen and in print without any external library.
+ */
+
+const Charts = {
+    WIDTH: 640,
+    HEIGHT: 260,
+    PADDING: { top: 16, right: 16, bottom: 36, left: 64 },
+    COLORS: {
+        'Hard Cost': '#3182ce',
+        'Soft Cost': '#6b46c1',
+        'Terreno': '#dd6b20',
+        other: '#a0aec0',
+        line: '#1a365d',
+        budget: '#e53e3e',
+        positive: '#38a169',
+        planned: '#cbd5e0',
+        grid: '#edf2f7',
+        axis: '#718096'
+    },
+
+    /**
+     * Monthly spend as stacked bars, one segment per category.
+     * months: output of DataService.calculateMonthlySpend.
+     */
+    monthlyBars(months, categories) {
+        if (!months.length) return this.empty();
+        const plot = this.plotArea();
+        const max = this.niceMax(Math.max(...months.map(m => m.total)));
+        const slot = plot.width / months.length;
+        const barWidth = Math.max(2, Math.min(40, slot * 0.7));
+        const y = (value) => plot.bottom - (value / max) * plot.height;
+
+        const bars = months.map((m, i) => {
+            const x = plot.left + slot * i + (slot - barWidth) / 2;
+            let base = 0;
+            const segments = [...categories, null].map(cat => {
+                // null collects categories outside the known ones
+                const value = cat
+                    ? (m.byCategory[cat] || 0)
+                    : Object.entries(m.byCategory).filter(([c]) => !categories.includes(c)).reduce((sum, [, v]) => sum + v, 0);
+                if (value <= 0) return '';
+                const top = y(base + value);
+                const rect = `<rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(y(base) - top).toFixed(1)}" fill="${this.COLORS[cat] || this.COLORS.other}"/>`;
+                base += value;
+                return rect;
+            }).join('');
+            const tooltip = `${this.monthLabel(m.date, true)}: ${DataService.formatCurrency(m.total)}`;
+            return `<g><title>${tooltip}</title>${segments}</g>`;
+        }).join('');
+
+        return this.svg(`
+            ${this.yAxis(plot, max)}
+            ${this.xLabels(plot, months.map(m => m.date), slot)}
+            ${bars}
+        `, I18n.t('charts.monthly'));
+    },
+
+    /**
+     * Cumulative spend line with the budget as a dashed horizontal reference.
+     * points: [{ date, value }] oldest first; budget: amount to compare against.
+     */
+    cumulativeLine(points, budget, budgetLabel) {
+        if (!points.length) return this.empty();
+        const plot = this.plotArea();
+        const max = this.niceMax(Math.max(budget || 0, ...points.map(p => p.value)));
+        const slot = plot.width / points.length;
+        const x = (i) => plot.left + slot * i + slot / 2;
+        const y = (value) => plot.bottom - (value / max) * plot.height;
+
+        const path = points.map((p, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+        const dots = points.map((p, i) => `
+            <circle cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3" fill="${this.COLORS.line}">
+                <title>${this.monthLabel(p.date, true)}: ${DataService.formatCurrency(p.value)}</title>
+            </circle>
+        `).join('');
+        const budgetLine = budget > 0 ? `
+            <line x1="${plot.left}" x2="${plot.right}" y1="${y(budget).toFixed(1)}" y2="${y(budget).toFixed(1)}"
+                  stroke="${this.COLORS.budget}" stroke-width="1.5" stroke-dasharray="6 4"/>
+            <text x="${plot.right}" y="${(y(budget) - 6).toFixed(1)}" text-anchor="end" font-size="11" fill="${this.COLORS.budget}">
+                ${Html.escape(budgetLabel)}: ${DataService.formatCurrencyShort(budget)}
+            </text>
+        ` : '';
+
+        return this.svg(`
+            ${this.yAxis(plot, max)}
+            ${this.xLabels(plot, points.map(p => p.date), slot)}
+            ${budgetLine}
+            <path d="${path}" fill="none" stroke="${this.COLORS.line}" stroke-width="2.5" stroke-linejoin="round"/>
+            ${dots}
+        `, I18n.t('charts.cumulative'));
+    },
+
+    /**
+     * Net cash flow per month as bars around zero (projected months lighter) with
+     * the cumulative net flow as a line. months: CashFlow.build(...).months.
+     */
+    cashFlow(months) {
+        if (!months.length) return this.empty();
+        const plot = this.plotArea();
+        const values = months.flatMap(m => [m.net, m.cumulative]);
+        const max = this.niceMax(Math.max(0, ...values));
+        const min = -this.niceMax(-Math.min(0, ...values));
+        const slot = plot.width / months.length;
+        const barWidth = Math.max(2, Math.min(40, slot * 0.7));
+        const y = (value) => plot.bottom - ((value - min) / (max - min)) * plot.height;
+        const x = (i) => plot.left + slot * i + slot / 2;
+
+        const grid = [0, 1, 2, 3, 4].map(i => {
+            const value = min + ((max - min) / 4) * i;
+            return `
+                <line x1="${plot.left}" x2="${plot.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" stroke="${this.COLORS.grid}"/>
+                <text x="${plot.left - 8}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end" font-size="11" fill="${this.COLORS.axis}">${DataService.formatCurrencyShort(value)}</text>
+            `;
+        }).join('');
+        const bars = months.map((m, i) => {
+            const top = y(Math.max(m.net, 0));
+            const height = Math.abs(y(m.net) - y(0));
+            const tooltip = I18n.t('charts.cashFlowTooltip', {
+                month: this.monthLabel(m.date, true),
+                projected: m.projected ? I18n.t('charts.projected') : '',
+                net: DataService.formatCurrency(m.net),
+                cumulative: DataService.formatCurrency(m.cumulative)
+            });
+            return `<rect x="${(x(i) - barWidth / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}"
+                fill="${m.net < 0 ? this.COLORS.budget : this.COLORS.positive}" fill-opacity="${m.projected ? 0.45 : 1}"><title>${tooltip}</title></rect>`;
+        }).join('');
+        const path = months.map((m, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(m.cumulative).toFixed(1)}`).join(' ');
+
+        return this.svg(`
+            ${grid}
+            ${this.xLabels(plot, months.map(m => m.date), slot)}
+            <line x1="${plot.left}" x2="${plot.right}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="${this.COLORS.axis}"/>
+            ${bars}
+            <path d="${path}" fill="none" stroke="${this.COLORS.line}" stroke-width="2.5" stroke-linejoin="round"/>
+        `, I18n.t('charts.cashFlow'));
+    },
+
+    /**
+     * Gantt-style timeline: per milestone, the planned window (light bar) and the
+     * actual one up to today if under way (bar colored by status), with a marker
+     * for today. milestones: DataService.calculateMilestones(...).milestones.
+     */
+    gantt(milestones, today = new Date()) {
+        const STATUS_COLORS = {
+            completado: this.COLORS.positive,
+            'en-curso': this.COLORS['Hard Cost'],
+            retrasado: this.COLORS.budget,
+            pendiente: this.COLORS.other
+        };
+        const rows = milestones.map(m => ({
+            ...m,
+            actualFrom: m.actualStartObj,
+            actualTo: m.actualEndObj || (m.actualStartObj ? today : null)
+        }));
+        const times = rows.flatMap(m => [m.plannedStartObj, m.plannedEndObj, m.actualFrom, m.actualTo]).filter(Boolean).map(d => d.getTime());
+        if (!times.length) {
+            return `<p class="text-muted chart-empty">${I18n.t('charts.noMilestoneDates')}</p>`;
+        }
+
+        const ROW = 30;
+        const labelWidth = 150;
+        const top = 28;
+        const height = top + rows.length * ROW + 8;
+        const first = new Date(Math.min(...times));
+        const start = new Date(first.getFullYear(), first.getMonth(), 1);
+        const last = new Date(Math.max(...times));
+        const end = new Date(last.getFullYear(), last.getMonth() + 1, 1);
+        const left = labelWidth;
+        const right = this.WIDTH - this.PADDING.right;
+        const x = (date) => left + ((date - start) / (end - start)) * (right - left);
+        const format = (d) => d ? I18n.formatDate(d, { day: 'numeric', month: 'short', year: 'numeric' }) : '';
+
+        const months = [];
+        for (let d = new Date(start); d < end; d = new Date(d.getFullYear(), d.getMonth() + 1, 1)) months.push(d);
+        const every = Math.ceil(months.length / 10);
+        const ticks = months.map((d, i) => `
+            <line x1="${x(d).toFixed(1)}" x2="${x(d).toFixed(1)}" y1="${top - 4}" y2="${height - 8}" stroke="${this.COLORS.grid}"/>
+            ${i % every === 0 ? `<text x="${(x(d) + 3).toFixed(1)}" y="${top - 10}" font-size="11" fill="${this.COLORS.axis}">${this.monthLabel(d)}</text>` : ''}
+        `).join('');
+
+        const bar = (from, to, y, barHeight, color, tooltip) => {
+            if (!from || !to) return '';
+            const x1 = x(from);
+            const width = Math.max(x(new Date(to.getTime() + 86400000)) - x1, 2);
+            return `<rect x="${x1.toFixed(1)}" y="${y}" width="${width.toFixed(1)}" height="${barHeight}" rx="2" fill="${color}"><title>${tooltip}</title></rect>`;
+        };
+        const bars = rows.map((m, i) => {
+            const y = top + i * ROW;
+            // Milestone names come from the sheet: escaped, as all chart text from data
+            const name = Html.escape(m.name);
+            const label = Html.escape(m.name.length > 22 ? `${m.name.slice(0, 21)}…` : m.name);
+            const planned = I18n.t('charts.planned', {
+                name: m.name,
+                from: format(m.plannedStartObj || m.plannedEndObj),
+                to: format(m.plannedEndObj || m.plannedStartObj)
+            });
+            const actual = I18n.t('charts.actual', {
+                name: m.name,
+                from: m.actualFrom ? format(m.actualFrom) : '',
+                to: m.actualEndObj ? format(m.actualEndObj) : I18n.t('milestones.inProgress'),
+                status: I18n.label('milestoneStatus', m.status),
+                progress: Math.round(m.progress)
+            });
+            return `
+                <text x="0" y="${y + 18}" font-size="12" fill="${this.COLORS.line}"><title>${name}</title>${label}</text>
+                ${bar(m.plannedStartObj, m.plannedEndObj, y + 5, 8, this.COLORS.planned, Html.escape(planned))}
+                ${bar(m.actualFrom, m.actualTo, y + 15, 10, STATUS_COLORS[m.status] || this.COLORS.other, Html.escape(actual))}
+            `;
+        }).join('');
+
+        const todayMarker = today >= start && today <= end ? `
+            <line x1="${x(today).toFixed(1)}" x2="${x(today).toFixed(1)}" y1="${top - 4}" y2="${height - 8}"
+                  stroke="${this.COLORS.budget}" stroke-width="1.5" stroke-dasharray="4 3"/>
+            <text x="${(x(today) - 3).toFixed(1)}" y="${height - 1}" text-anchor="end" font-size="11" fill="${this.COLORS.budget}">${I18n.t('milestones.today')}</text>
+        ` : '';
+
+        return this.svg(`
+            ${ticks}
+            ${bars}
+            ${todayMarker}
+        `, I18n.t('charts.gantt'), height);
+    },
+
+    // ========== HELPERS ==========
+
+    plotArea() {
+        const { top, right, bottom, left } = this.PADDING;
+        return {
+            left,
+            right: this.WIDTH - right,
+            top,
+            bottom: this.HEIGHT - bottom,
+            width: this.WIDTH - left - right,
+            height: this.HEIGHT - top - bottom
+        };
+    },
+
+    svg(content, label, height = this.HEIGHT) {
+        return `<svg class="chart-svg" viewBox="0 0 ${this.WIDTH} ${height}" role="img" aria-label="${label}" xmlns="http://www.w3.org/2000/svg">${content}</svg>`;
+    },
+
+    empty() {
+        return `<p class="text-muted chart-empty">${I18n.t('charts.empty')}</p>`;
+    },
+
+    /**
+     * Round an axis maximum up to a value whose quarters are round numbers.
+     */
+    niceMax(value) {
+        if (!(value > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 1.2, 1.6, 2, 2.4, 3, 4, 5, 6, 8, 10].find(s => s * magnitude >= value);
+        return step * magnitude;
+    },
+
+    /**
+     * Horizontal grid lines with currency labels, four intervals up to max.
+     */
+    yAxis(plot, max) {
+        return [0, 1, 2, 3, 4].map(i => {
+            const value = (max / 4) * i;
+            const y = plot.bottom - (plot.height / 4) * i;
+            return `
+                <line x1="${plot.left}" x2="${plot.right}" y1="${y}" y2="${y}" stroke="${this.COLORS.grid}"/>
+                <text x="${plot.left - 8}" y="${y + 4}" text-anchor="end" font-size="11" fill="${this.COLORS.axis}">${DataService.formatCurrencyShort(value)}</text>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Month labels under each slot, thinned out so they never overlap.
+     */
+    xLabels(plot, dates, slot) {
+        const every = Math.ceil(48 / slot);
+        return dates.map((date, i) => {
+            if (i % every !== 0) return '';
+            const x = plot.left + slot * i + slot / 2;
+            return `<text x="${x.toFixed(1)}" y="${plot.bottom + 18}" text-anchor="middle" font-size="11" fill="${this.COLORS.axis}">${this.monthLabel(date)}</text>`;
+        }).join('');
+    },
+
+    monthLabel(date, long = false) {
+        return I18n.formatDate(date, { month: long ? 'long' : 'short', year: long ? 'numeric' : '2-digit' });
+    }
+};
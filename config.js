@@ -0,0 +1,12 @@
+/**
+ * Deployment Configuration
+ * Per-deployment settings. Edit this file (not the modules) when deploying
+ * the dashboard somewhere else.
+ */
+
+const AppConfig = {
+    // Path of the CSV proxy served by server.js, on this origin: the dashboard's
+    // Content-Security-Policy (connect-src 'self') and the server, which sends no
+    // CORS headers, don't allow a proxy on another origin.
+    proxyBase: '/api/csv'
+};
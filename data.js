@@ -1,11 +1,12 @@
 /**
  * Data Module
- * Handles fetching CSVs from Google Sheets and parsing them into usable structures.
+ * Handles fetching CSVs from Google Sheets (through the server's proxy) and parsing them into usable structures.
+ * Other kinds of data sources are loaded by the adapters in sources.js.
  */
 
 const DataService = {
     cache: {},
-    cacheTimestamp: null,
+    cacheTimestamps: {},
     CACHE_TTL: 5 * 60 * 1000, // 5 minutes
 
     /**
@@ -86,11 +87,11 @@ const DataService = {
     },
 
     /**
-     * Format a number as Mexican currency.
+     * Format a number as Mexican pesos, with the separators of the active language (see i18n.js).
      */
     formatCurrency(num) {
-        if (num === null || num === undefined || isNaN(num)) return '$0.00 MXN';
-        return '$' + num.toLocaleString('en-US', {
+        if (num === null || num === undefined || isNaN(num)) num = 0;
+        return '$' + I18n.formatNumber(num, {
             minimumFractionDigits: 2,
             maximumFractionDigits: 2
         }) + ' MXN';
@@ -102,86 +103,112 @@ const DataService = {
     formatCurrencyShort(num) {
         if (num === null || num === undefined || isNaN(num)) return '$0';
         if (Math.abs(num) >= 1000000) {
-            return '$' + (num / 1000000).toFixed(2) + 'M';
+            return '$' + I18n.formatNumber(num / 1000000, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) + 'M';
         }
         if (Math.abs(num) >= 1000) {
-            return '$' + (num / 1000).toFixed(0) + 'K';
+            return '$' + I18n.formatNumber(num / 1000, { maximumFractionDigits: 0 }) + 'K';
         }
-        return '$' + num.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+        return '$' + I18n.formatNumber(num, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
     },
 
     /**
      * Format a percentage.
      */
     formatPercent(num) {
-        if (num === null || num === undefined || isNaN(num)) return '0.0%';
-        return num.toFixed(1) + '%';
+        if (num === null || num === undefined || isNaN(num)) num = 0;
+        return I18n.formatNumber(num, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) + '%';
     },
 
     /**
-     * Fetch a single CSV from URL using allorigins CORS proxy.
-     * Uses the /get endpoint which returns JSON with base64-encoded content.
+     * Fetch a single CSV through the reporting server's sheet proxy (AppConfig.proxyBase).
+     * The proxy only serves sheets configured for the logged-in projects.
      */
     async fetchCSV(url) {
-        const proxyUrl = 'https://api.allorigins.win/get?url=' + encodeURIComponent(url);
-        const response = await fetch(proxyUrl);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        const json = await response.json();
-
-        // allorigins returns { contents: "data:text/csv;base64,..." } or plain text
-        let csvText = json.contents;
-        if (csvText.startsWith('data:')) {
-            // Extract base64 content after the comma
-            const base64Data = csvText.split(',')[1];
-            csvText = atob(base64Data);
-        }
-
+        const proxyUrl = AppConfig.proxyBase + '?url=' + encodeURIComponent(url);
+        const response = await Api.fetch(proxyUrl);
+        const csvText = await response.text();
         return this.parseCSV(csvText);
     },
 
     /**
-     * Fetch all data for a project.
+     * Fetch a project's CAPITAL sheet, scoped by the server to what the session's
+     * role may see (see server/capital.js).
+     */
+    async fetchCapital(project) {
+        const response = await Api.fetch('/api/capital?project=' + encodeURIComponent(project.key));
+        return this.parseCSV(await response.text());
+    },
+
+    /**
+     * Fetch all data for a project from its configured data source (see sources.js).
      * Uses cache if available and not expired.
      */
     async fetchAllData(project) {
         const now = Date.now();
-        if (this.cache[project.key] && this.cacheTimestamp && (now - this.cacheTimestamp) < this.CACHE_TTL) {
+        const cachedAt = this.cacheTimestamps[project.key];
+        if (this.cache[project.key] && cachedAt && (now - cachedAt) < this.CACHE_TTL) {
             return this.cache[project.key];
         }
 
-        const [budget, desglose, capital] = await Promise.all([
-            this.fetchCSV(project.sheets.budget),
-            this.fetchCSV(project.sheets.desglose),
-            this.fetchCSV(project.sheets.capital)
-        ]);
-
         const parsed = {
-            budget: this.parseBudget(budget),
-            expenses: this.parseExpenses(desglose),
-            capital: this.parseCapital(capital),
+            ...(await DataSources.load(project)),
             fetchedAt: new Date()
         };
 
         this.cache[project.key] = parsed;
-        this.cacheTimestamp = now;
+        this.cacheTimestamps[project.key] = now;
+        // Keep a copy on the device for offline use; failing to save must not fail the load
+        DataStore.put('latest', project.key, parsed)
+            .catch(err => console.warn('Could not save data for offline use:', err));
+        // Awaited so the snapshot list includes today once this resolves
+        await Snapshots.save(project, parsed)
+            .catch(err => console.warn('Could not save snapshot:', err));
         return parsed;
     },
 
+    /**
+     * The last data successfully fetched for a project on this device, or null.
+     */
+    async loadSavedData(project) {
+        try {
+            return (await DataStore.get('latest', project.key)) || null;
+        } catch (err) {
+            console.warn('Could not read saved data:', err);
+            return null;
+        }
+    },
+
+    /**
+     * Run the sheet parsers over raw rows:
+     * { budget, desglose, capital, ventas, hitos } -> { budget, expenses, capital, sales, milestones }.
+     * The VENTAS and HITOS sheets are optional; without them `sales` and `milestones` are empty.
+     * `schemaIssues` lists every label or cell of the schema that was not found (see schema.js).
+     */
+    parseAll(rows, schema = SheetSchema.DEFAULT) {
+        return {
+            budget: this.parseBudget(rows.budget || [], schema.budget),
+            expenses: this.parseExpenses(rows.desglose || [], schema.desglose),
+            capital: this.parseCapital(rows.capital || [], schema.capital),
+            sales: this.parseSales(rows.ventas || [], schema.ventas),
+            milestones: this.parseMilestones(rows.hitos || [], schema.hitos),
+            schemaIssues: SheetSchema.validate(rows, schema)
+        };
+    },
+
     /**
      * Clear cache to force fresh data on next fetch.
      */
     clearCache() {
         this.cache = {};
-        this.cacheTimestamp = null;
+        this.cacheTimestamps = {};
     },
 
     /**
      * Parse the BUDGET sheet.
-     * Row indices are 0-based here (row 5 in sheet = index 4).
+     * Rows are located by their label in the schema's label column (column B by default),
+     * which keeps parsing resilient to row insertions/deletions in the spreadsheet.
      */
-    parseBudget(rows) {
+    parseBudget(rows, schema = SheetSchema.DEFAULT.budget) {
         const data = {
             houses: [],
             hardCosts: {},
@@ -189,74 +216,44 @@ const DataService = {
             terreno: {}
         };
 
-        // Use a smart row finder: search for key labels in column B (index 1)
-        // This makes parsing resilient to row insertions/deletions in the spreadsheet.
-        const findRow = (label) => rows.findIndex(r => r && r[1] && r[1].trim().toLowerCase().startsWith(label.toLowerCase()));
-        const findRowFrom = (label, startIdx) => {
-            for (let i = startIdx; i < rows.length; i++) {
-                if (rows[i] && rows[i][1] && rows[i][1].trim().toLowerCase().startsWith(label.toLowerCase())) return i;
-            }
-            return -1;
-        };
-
-        // Houses - look for "Casa 1" and "Casa 2" rows
-        const casa1Idx = findRow('Casa 1');
-        const casa2Idx = findRow('Casa 2');
-        for (const idx of [casa1Idx, casa2Idx]) {
-            if (idx >= 0 && rows[idx]) {
-                data.houses.push({
-                    name: (rows[idx][1] || '').trim(),
-                    sqm: this.parseNumber(rows[idx][5]),        // col F
-                    pricePerSqm: this.parseNumber(rows[idx][7]), // col H
-                    totalCommercial: this.parseNumber(rows[idx][9]), // col J
-                    netIncome: this.parseNumber(rows[idx][10])     // col K
-                });
-            }
-        }
-
-        // Hard Costs - find "Total de Hard Cost" row
-        const totalHardIdx = findRow('Total de Hard Cost');
-        if (totalHardIdx >= 0) {
-            data.hardCosts.total = this.parseNumber(rows[totalHardIdx][10]);
-        }
-        // Construction detail
-        const constrIdx = findRow('Construcción');
-        if (constrIdx >= 0) {
-            data.hardCosts.construction = this.parseNumber(rows[constrIdx][10]);
+        const cell = (idx, column) => rows[idx][SheetSchema.columnIndex(column)];
+        const findRow = (label, section) => SheetSchema.findRow(rows, schema.labelColumn, label, section);
+
+        // Houses (units): any number of rows, see SheetSchema.findUnitRows
+        const houseCols = schema.houses.columns;
+        for (const { idx, label } of SheetSchema.findUnitRows(rows, schema).units) {
+            data.houses.push({
+                name: (cell(idx, schema.labelColumn) || label).trim(),
+                sqm: this.parseNumber(cell(idx, houseCols.sqm)),
+                pricePerSqm: this.parseNumber(cell(idx, houseCols.pricePerSqm)),
+                totalCommercial: this.parseNumber(cell(idx, houseCols.totalCommercial)),
+                netIncome: this.parseNumber(cell(idx, houseCols.netIncome))
+            });
         }
 
-        // Soft Costs - find each subcategory
-        const softLabels = ['Fee Administracion', 'Arquitectura', 'Trámites / Permisos', 'Legal / Fiscal', 'Ingenierías / Estudios', 'IVA Soft Cost'];
-        data.softCosts.items = [];
-        for (const label of softLabels) {
-            const idx = findRow(label);
-            if (idx >= 0 && rows[idx]) {
-                data.softCosts.items.push({
-                    name: (rows[idx][1] || label).trim(),
-                    amount: this.parseNumber(rows[idx][10])
-                });
+        // Hard Costs, Soft Costs, Terreno: line items, named fields and total
+        for (const key of ['hardCosts', 'softCosts', 'terreno']) {
+            const section = schema[key];
+            if (section.items && section.items.length) {
+                data[key].items = [];
+                for (const label of section.items) {
+                    const idx = findRow(label, section.section);
+                    if (idx >= 0) {
+                        data[key].items.push({
+                            name: (cell(idx, schema.labelColumn) || label).trim(),
+                            amount: this.parseNumber(cell(idx, schema.amountColumn))
+                        });
+                    }
+                }
             }
-        }
-        const totalSoftIdx = findRow('Total de Soft Cost');
-        if (totalSoftIdx >= 0) {
-            data.softCosts.total = this.parseNumber(rows[totalSoftIdx][10]);
-        }
-
-        // Terreno - find each subcategory
-        data.terreno.items = [];
-        const terrenoLabels = ['Lote 1', 'Lote 2', 'ISAI'];
-        for (const label of terrenoLabels) {
-            const idx = findRow(label);
-            if (idx >= 0 && rows[idx]) {
-                data.terreno.items.push({
-                    name: (rows[idx][1] || label).trim(),
-                    amount: this.parseNumber(rows[idx][10])
-                });
+            for (const [field, label] of Object.entries(section.fields || {})) {
+                const idx = findRow(label, section.section);
+                if (idx >= 0) data[key][field] = this.parseNumber(cell(idx, schema.amountColumn));
+            }
+            const totalIdx = section.totalLabel ? findRow(section.totalLabel, section.section) : -1;
+            if (totalIdx >= 0) {
+                data[key].total = this.parseNumber(cell(totalIdx, schema.amountColumn));
             }
-        }
-        const totalTerrenoIdx = findRow('Valor de Terreno');
-        if (totalTerrenoIdx >= 0) {
-            data.terreno.total = this.parseNumber(rows[totalTerrenoIdx][10]);
         }
 
         return data;
@@ -264,19 +261,23 @@ const DataService = {
 
     /**
      * Parse the DESGLOSE COSTOS sheet.
-     * Skip header row (index 0). Columns: A=Date, B=Category, C=Subcategory, D=Detail(skip), E=Amount
+     * Skips the header row(s). Default columns: A=Date, B=Category, C=Subcategory, D=Detail(skip), E=Amount
      */
-    parseExpenses(rows) {
+    parseExpenses(rows, schema = SheetSchema.DEFAULT.desglose) {
         const expenses = [];
-        // Skip header row
-        for (let i = 1; i < rows.length; i++) {
+        const col = {};
+        for (const [field, letter] of Object.entries(schema.columns)) {
+            col[field] = SheetSchema.columnIndex(letter);
+        }
+
+        for (let i = schema.headerRows; i < rows.length; i++) {
             const row = rows[i];
-            if (!row || row.length < 5) continue;
+            if (!row || row.length <= col.amount) continue;
 
-            const dateStr = (row[0] || '').trim();
-            const category = (row[1] || '').trim();
-            const subcategory = (row[2] || '').trim();
-            const amount = this.parseNumber(row[4]); // col E (index 4)
+            const dateStr = (row[col.date] || '').trim();
+            const category = (row[col.category] || '').trim();
+            const subcategory = (row[col.subcategory] || '').trim();
+            const amount = this.parseNumber(row[col.amount]);
 
             if (!category && !amount) continue; // skip empty rows
 
@@ -313,8 +314,10 @@ const DataService = {
 
     /**
      * Parse the CAPITAL sheet.
+     * Figures are read from the schema's anchors (fixed rows by default) in the value column;
+     * each indicator also keeps the label written next to it in the sheet.
      */
-    parseCapital(rows) {
+    parseCapital(rows, schema = SheetSchema.DEFAULT.capital) {
         const data = {
             uses: {},
             investors: [],
@@ -322,65 +325,159 @@ const DataService = {
             capitalIndicators: {}
         };
 
-        // Uses of Capital (rows 2-4 = indices 1-3)
-        if (rows[1]) {
-            data.uses.hardCosts = { amount: this.parseNumber(rows[1][2]), pct: this.parsePercent(rows[1][3]) };
-        }
-        if (rows[2]) {
-            data.uses.softCosts = { amount: this.parseNumber(rows[2][2]), pct: this.parsePercent(rows[2][3]) };
-        }
-        if (rows[3]) {
-            data.uses.terreno = { amount: this.parseNumber(rows[3][2]), pct: this.parsePercent(rows[3][3]) };
+        const cell = (idx, column) => rows[idx][SheetSchema.columnIndex(column)];
+        const anchorRow = (anchor) => SheetSchema.anchorRow(rows, anchor, schema.labelColumn);
+
+        // Uses of Capital
+        for (const [key, anchor] of Object.entries(schema.uses)) {
+            const idx = anchorRow(anchor);
+            if (idx >= 0) {
+                data.uses[key] = {
+                    amount: this.parseNumber(cell(idx, schema.valueColumn)),
+                    pct: this.parsePercent(cell(idx, schema.pctColumn))
+                };
+            }
         }
 
-        // Investors (rows 7+ = indices 6+)
-        // Read until we hit an empty row or the next section header (row 12 = index 11)
-        for (let i = 6; i < 11 && i < rows.length; i++) {
+        // Investors: read until an empty name or the end of the block
+        const { start, end } = SheetSchema.investorBounds(rows, schema);
+        for (let i = start; i < end && i < rows.length; i++) {
             const row = rows[i];
-            if (!row || !row[0] || row[0].trim() === '') break;
+            const name = row && cell(i, schema.investors.nameColumn);
+            if (!name || name.trim() === '') break;
+            const date = schema.investors.dateColumn ? (cell(i, schema.investors.dateColumn) || '').trim() : '';
             data.investors.push({
-                name: row[0].trim(),
-                amount: this.parseNumber(row[2]) // col C
+                name: name.trim(),
+                amount: this.parseNumber(cell(i, schema.investors.amountColumn)),
+                date,
+                dateObj: this.parseDate(date)
             });
         }
 
-        // Project Indicators (rows 13-16 = indices 12-15)
-        if (rows[12]) {
-            data.projectIndicators.totalIncome = this.parseNumber(rows[12][2]);
-            data.projectIndicators.totalIncomeLabel = (rows[12][0] || 'Ingresos Totales').trim();
-        }
-        if (rows[13]) {
-            data.projectIndicators.projectCost = this.parseNumber(rows[13][2]);
-            data.projectIndicators.projectCostLabel = (rows[13][0] || 'Costo del Proyecto').trim();
-        }
-        if (rows[14]) {
-            data.projectIndicators.profit = this.parseNumber(rows[14][2]);
-            data.projectIndicators.profitLabel = (rows[14][0] || 'Utilidad').trim();
-        }
-        if (rows[15]) {
-            data.projectIndicators.margin = this.parsePercent(rows[15][2]);
-            data.projectIndicators.marginLabel = (rows[15][0] || 'Margen de Utilidad').trim();
+        // Project and Capital Indicators
+        for (const group of ['projectIndicators', 'capitalIndicators']) {
+            for (const [key, anchor] of Object.entries(schema[group])) {
+                const idx = anchorRow(anchor);
+                if (idx < 0) continue;
+                const value = cell(idx, schema.valueColumn);
+                data[group][key] = anchor.type === 'percent' ? this.parsePercent(value) : this.parseNumber(value);
+                data[group][`${key}Label`] = (cell(idx, schema.labelColumn) || anchor.defaultLabel || key).trim();
+            }
         }
 
-        // Capital Indicators (rows 19-22 = indices 18-21)
-        if (rows[18]) {
-            data.capitalIndicators.capitalContributed = this.parseNumber(rows[18][2]);
-            data.capitalIndicators.capitalContributedLabel = (rows[18][0] || 'Capital Aportado').trim();
-        }
-        if (rows[19]) {
-            data.capitalIndicators.totalReturn = this.parseNumber(rows[19][2]);
-            data.capitalIndicators.totalReturnLabel = (rows[19][0] || 'Retorno Total').trim();
-        }
-        if (rows[20]) {
-            data.capitalIndicators.roi = this.parsePercent(rows[20][2]);
-            data.capitalIndicators.roiLabel = (rows[20][0] || 'ROI').trim();
+        return data;
+    },
+
+    /**
+     * Find an investor's position in the CAPITAL sheet by name
+     * (case- and accent-insensitive).
+     * Ownership is the investor's share of all contributions; the projected return
+     * is that share of the sheet's total return. Returns null if not found.
+     */
+    calculateInvestorPosition(capital, investorName) {
+        const normalize = (str) => String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+        const investor = capital.investors.find(inv => normalize(inv.name) === normalize(investorName));
+        if (!investor) return null;
+
+        const totalContributed = capital.investors.reduce((sum, inv) => sum + inv.amount, 0);
+        const ownership = totalContributed > 0 ? (investor.amount / totalContributed) * 100 : 0;
+        return {
+            name: investor.name,
+            amount: investor.amount,
+            ownership,
+            projectedReturn: (capital.capitalIndicators.totalReturn || 0) * ownership / 100
+        };
+    },
+
+    // ========== SALES ==========
+
+    SALE_STATUSES: {
+        disponible: 'Disponible',
+        apartada: 'Apartada',
+        vendida: 'Vendida',
+        escriturada: 'Escriturada'
+    },
+
+    /**
+     * Parse the VENTAS sheet: one row per scheduled or received payment, grouped
+     * by house. The house's status, buyer, agreed price and closing date are taken
+     * from the first of its rows that has them; a house with no payments yet has a
+     * single row with the payment columns empty.
+     * Returns [{ house, status, buyer, price, closeDate, closeDateObj, payments }]
+     * with payments as [{ concept, dueDate, dueDateObj, amount, paidDate, paidDateObj, paidAmount }].
+     */
+    parseSales(rows, schema = SheetSchema.DEFAULT.ventas) {
+        const col = {};
+        for (const [field, letter] of Object.entries(schema.columns)) {
+            col[field] = SheetSchema.columnIndex(letter);
         }
-        if (rows[21]) {
-            data.capitalIndicators.capitalMultiple = this.parseNumber(rows[21][2]);
-            data.capitalIndicators.capitalMultipleLabel = (rows[21][0] || 'Múltiplo de Capital').trim();
+
+        const sales = new Map();
+        for (let i = schema.headerRows; i < rows.length; i++) {
+            const row = rows[i];
+            const cell = (field) => ((row && row[col[field]]) || '').trim();
+            const house = cell('house');
+            if (!house) continue;
+
+            if (!sales.has(house)) {
+                sales.set(house, { house, status: '', buyer: '', price: 0, closeDate: '', payments: [] });
+            }
+            const sale = sales.get(house);
+            if (!sale.status) sale.status = cell('status');
+            if (!sale.buyer) sale.buyer = cell('buyer');
+            if (!sale.price) sale.price = this.parseNumber(cell('price'));
+            if (!sale.closeDate) sale.closeDate = cell('closeDate');
+
+            const payment = {
+                concept: cell('concept'),
+                dueDate: cell('dueDate'),
+                amount: this.parseNumber(cell('amount')),
+                paidDate: cell('paidDate'),
+                paidAmount: this.parseNumber(cell('paidAmount'))
+            };
+            if (payment.concept || payment.amount || payment.paidAmount) sale.payments.push(payment);
         }
 
-        return data;
+        return [...sales.values()].map(sale => this.normalizeSale(sale));
+    },
+
+    /**
+     * Fill in a sale's derived fields; also used for sales given as JSON
+     * ({ house, status, buyer, price, closeDate, payments: [...] }).
+     */
+    normalizeSale(sale) {
+        const number = (value) => typeof value === 'number' ? value : this.parseNumber(value);
+        return {
+            house: String(sale.house || '').trim(),
+            status: this.normalizeSaleStatus(sale.status),
+            buyer: sale.buyer || '',
+            price: number(sale.price),
+            closeDate: sale.closeDate || '',
+            closeDateObj: this.parseDate(sale.closeDate),
+            payments: (sale.payments || []).map(p => ({
+                concept: p.concept || '',
+                dueDate: p.dueDate || '',
+                dueDateObj: this.parseDate(p.dueDate),
+                amount: number(p.amount),
+                paidDate: p.paidDate || '',
+                paidDateObj: this.parseDate(p.paidDate),
+                paidAmount: number(p.paidAmount)
+            }))
+        };
+    },
+
+    /**
+     * Map a status as typed in the sheet to a SALE_STATUSES key ("Reservada" and
+     * "Vendido" count as apartada and vendida). An empty status means disponible;
+     * anything unrecognized is returned as typed, for DataQuality to flag.
+     */
+    normalizeSaleStatus(status) {
+        const s = String(status || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+        if (!s || s.startsWith('disponib')) return 'disponible';
+        if (s.startsWith('apartad') || s.startsWith('reservad')) return 'apartada';
+        if (s.startsWith('vendid')) return 'vendida';
+        if (s.startsWith('escritur')) return 'escriturada';
+        return String(status).trim();
     },
 
     /**
@@ -399,6 +496,15 @@ const DataService = {
         return cat.trim();
     },
 
+    CATEGORIES: ['Hard Cost', 'Soft Cost', 'Terreno'],
+
+    /**
+     * Whether a category from the sheet maps to one of CATEGORIES.
+     */
+    isKnownCategory(cat) {
+        return this.CATEGORIES.includes(this.normalizeCategory(cat));
+    },
+
     calculateExpenseSummary(expenses) {
         const summary = {
             total: 0,
@@ -423,5 +529,240 @@ const DataService = {
         }
 
         return summary;
+    },
+
+    /**
+     * Group expenses by calendar month: [{ month: 'YYYY-MM', date, byCategory, total }],
+     * oldest first, with empty months between the first and last one filled with zeros.
+     * Expenses without a readable date are left out.
+     */
+    calculateMonthlySpend(expenses) {
+        const monthKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+        const dated = expenses.filter(exp => exp.dateObj);
+        if (!dated.length) return [];
+
+        const times = dated.map(exp => exp.dateObj.getTime());
+        const first = new Date(Math.min(...times));
+        const last = new Date(Math.max(...times));
+        const months = new Map();
+        for (let d = new Date(first.getFullYear(), first.getMonth(), 1); d <= last; d.setMonth(d.getMonth() + 1)) {
+            months.set(monthKey(d), { month: monthKey(d), date: new Date(d), byCategory: {}, total: 0 });
+        }
+
+        for (const exp of dated) {
+            const entry = months.get(monthKey(exp.dateObj));
+            const cat = this.normalizeCategory(exp.category);
+            entry.byCategory[cat] = (entry.byCategory[cat] || 0) + exp.amount;
+            entry.total += exp.amount;
+        }
+        return [...months.values()];
+    },
+
+    /**
+     * Headline figures for a project: total budget, spent to date, progress and ROI.
+     * Progress follows the project's progress config (see progress.js; by default
+     * 80% Hard Cost + 20% Soft Cost), `progressDetail` tells how it was calculated.
+     */
+    calculateProjectKPIs(budget, expSummary, capital, { progress = Progress.DEFAULTS, milestones = [] } = {}) {
+        const totalBudget = (budget.hardCosts.total || 0) +
+                            (budget.softCosts.total || 0) +
+                            (budget.terreno.total || 0);
+        const progressDetail = Progress.calculate(progress, { budget, expSummary, milestones });
+
+        return {
+            totalBudget,
+            totalSpent: expSummary.total,
+            progress: progressDetail.value,
+            progressDetail,
+            roi: capital.capitalIndicators.roi || 0
+        };
+    },
+
+    /**
+     * Totals over a project's units: count, m², commercial value and net income,
+     * and the average price per m² weighted by surface.
+     */
+    calculateUnitTotals(houses) {
+        const sum = (field) => houses.reduce((total, h) => total + (h[field] || 0), 0);
+        const sqm = sum('sqm');
+        return {
+            count: houses.length,
+            sqm,
+            totalCommercial: sum('totalCommercial'),
+            netIncome: sum('netIncome'),
+            avgPricePerSqm: sqm > 0 ? houses.reduce((total, h) => total + (h.pricePerSqm || 0) * (h.sqm || 0), 0) / sqm : 0
+        };
+    },
+
+    /**
+     * Sales pipeline per house, matched to the VENTAS sheet by house name
+     * (case- and accent-insensitive).
+     * Revenue figures:
+     *   listRevenue       sum of the houses' list price (house.totalCommercial)
+     *   committedRevenue  agreed price of the houses apartadas, vendidas or escrituradas
+     *   projectedRevenue  committed revenue plus the list price of the houses still available
+     *   realizedRevenue   payments received
+     * Sales for a house that is not in the BUDGET sheet are listed as units without a list price.
+     */
+    calculateSalesSummary(houses, sales) {
+        const normalize = (str) => String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+        const unmatched = [...sales];
+        const take = (name) => {
+            const idx = unmatched.findIndex(sale => normalize(sale.house) === normalize(name));
+            return idx >= 0 ? unmatched.splice(idx, 1)[0] : null;
+        };
+
+        const unit = (name, listPrice, sale) => {
+            const status = sale ? sale.status : 'disponible';
+            const committed = ['apartada', 'vendida', 'escriturada'].includes(status);
+            const price = committed && sale.price ? sale.price : listPrice;
+            const received = sale ? sale.payments.reduce((sum, p) => sum + p.paidAmount, 0) : 0;
+            return {
+                name,
+                status,
+                committed,
+                listPrice,
+                price,
+                received,
+                pending: committed ? Math.max(price - received, 0) : 0,
+                sale
+            };
+        };
+
+        const units = houses.map(house => unit(house.name, house.totalCommercial || 0, take(house.name)));
+        for (const sale of unmatched) units.push(unit(sale.house, 0, sale));
+
+        const sum = (list, field) => list.reduce((total, u) => total + u[field], 0);
+        const committed = units.filter(u => u.committed);
+        const byStatus = {};
+        for (const u of units) byStatus[u.status] = (byStatus[u.status] || 0) + 1;
+
+        return {
+            units,
+            byStatus,
+            listRevenue: sum(units, 'listPrice'),
+            committedRevenue: sum(committed, 'price'),
+            projectedRevenue: sum(units, 'price'),
+            realizedRevenue: sum(units, 'received'),
+            pendingRevenue: sum(committed, 'pending')
+        };
+    },
+
+    // ========== MILESTONES ==========
+
+    MILESTONE_STATUSES: {
+        completado: 'Completado',
+        'en-curso': 'En curso',
+        retrasado: 'Retrasado',
+        pendiente: 'Pendiente'
+    },
+
+    /**
+     * Parse the optional HITOS sheet: one row per milestone, in schedule order.
+     * Returns [{ name, plannedStart, plannedEnd, actualStart, actualEnd (with *Obj dates), progress, weight, folder }].
+     */
+    parseMilestones(rows, schema = SheetSchema.DEFAULT.hitos) {
+        const col = {};
+        for (const [field, letter] of Object.entries(schema.columns)) {
+            col[field] = SheetSchema.columnIndex(letter);
+        }
+
+        const milestones = [];
+        for (let i = schema.headerRows; i < rows.length; i++) {
+            const row = rows[i];
+            const cell = (field) => ((row && row[col[field]]) || '').trim();
+            if (!cell('name')) continue;
+            milestones.push(this.normalizeMilestone({
+                name: cell('name'),
+                plannedStart: cell('plannedStart'),
+                plannedEnd: cell('plannedEnd'),
+                actualStart: cell('actualStart'),
+                actualEnd: cell('actualEnd'),
+                progress: cell('progress'),
+                weight: cell('weight'),
+                folder: cell('folder')
+            }));
+        }
+        return milestones;
+    },
+
+    /**
+     * Fill in a milestone's derived fields; also used for milestones given as JSON.
+     * Progress is a percentage (0-100, "45%" or 0.45 both read as 45); a milestone
+     * with an actual end date is complete. Weight defaults to 1.
+     */
+    normalizeMilestone(m) {
+        const date = (value) => value ? String(value) : '';
+        const percent = typeof m.progress === 'number'
+            ? (m.progress <= 1 && m.progress > 0 ? m.progress * 100 : m.progress)
+            : this.parsePercent(m.progress);
+        const milestone = {
+            name: String(m.name || '').trim(),
+            plannedStart: date(m.plannedStart),
+            plannedEnd: date(m.plannedEnd),
+            actualStart: date(m.actualStart),
+            actualEnd: date(m.actualEnd),
+            weight: typeof m.weight === 'number' ? m.weight : this.parseNumber(m.weight) || 1,
+            folder: String(m.folder || '').trim()
+        };
+        for (const field of ['plannedStart', 'plannedEnd', 'actualStart', 'actualEnd']) {
+            milestone[`${field}Obj`] = this.parseDate(milestone[field]);
+        }
+        milestone.progress = milestone.actualEndObj ? 100 : Math.min(Math.max(percent || 0, 0), 100);
+        return milestone;
+    },
+
+    /**
+     * Milestones with their status, the window they span, the spend dated within
+     * that window (null until started) and the gallery photos that belong to them:
+     * those in a gallery folder named like the milestone (or its `folder`), else those
+     * taken within the window. Also the physical progress, the milestones' progress
+     * weighted by their `weight`.
+     *
+     * The window runs from the actual start (else the planned one) to the actual end;
+     * for a milestone under way, to `today`; for one not started, to its planned end.
+     */
+    calculateMilestones(milestones, expenses, photos = [], today = new Date()) {
+        const normalize = (str) => String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+        const photoDate = (photo) => photo.takenAtObj || photo.createdAtObj;
+        const inWindow = (date, start, end) => date && start && date >= start && (!end || date <= new Date(end.getTime() + 86399999));
+
+        const items = milestones.map(m => {
+            const complete = m.progress >= 100;
+            const started = !!m.actualStartObj || m.progress > 0;
+            let status = complete ? 'completado' : started ? 'en-curso' : 'pendiente';
+            const late = !complete && ((m.plannedEndObj && today > m.plannedEndObj) || (!started && m.plannedStartObj && today > m.plannedStartObj));
+            if (late) status = 'retrasado';
+
+            const start = m.actualStartObj || m.plannedStartObj;
+            const end = m.actualEndObj || (started && !complete ? today : m.plannedEndObj);
+            const finish = m.actualEndObj || (complete ? null : today);
+            const delayDays = m.plannedEndObj && finish && finish > m.plannedEndObj
+                ? Math.floor((finish - m.plannedEndObj) / 86400000)
+                : 0;
+
+            // Nothing has happened yet in the window of a milestone not started
+            const folder = normalize(m.folder || m.name);
+            const inFolder = photos.filter(p => p.folder && p.folder.split('/').some(part => normalize(part) === folder));
+            const matched = inFolder.length || !started ? inFolder : photos.filter(p => inWindow(photoDate(p), start, end));
+
+            return {
+                ...m,
+                status,
+                delayDays,
+                windowStart: start,
+                windowEnd: end,
+                spent: started
+                    ? expenses.filter(exp => inWindow(exp.dateObj, start, end)).reduce((sum, exp) => sum + exp.amount, 0)
+                    : null,
+                photos: [...matched].sort((a, b) => (photoDate(a) || 0) - (photoDate(b) || 0))
+            };
+        });
+
+        const totalWeight = items.reduce((sum, m) => sum + m.weight, 0);
+        return {
+            milestones: items,
+            progress: totalWeight > 0 ? items.reduce((sum, m) => sum + m.progress * m.weight, 0) / totalWeight : 0
+        };
     }
 };
@@ -0,0 +1,114 @@
+/**
+ * Export Module
+ * The tables behind the Gastos and Presupuesto sections as plain data, written
+ * out as CSV (one file per table) or as an XLSX workbook (one sheet per table,
+ * see XLSX.write). Tables have the shape XLSX.write takes:
+ *   { name, columns: [{ label, type, width }], rows: [{ cells, total }] }
+ */
+
+const Export = {
+    /**
+     * Expense ledger, newest first (undated expenses last), with the normalized
+     * category and a total row, labelled in the current locale.
+     */
+    expensesTable(expenses) {
+        const sorted = [...expenses].sort((a, b) => {
+            if (!a.dateObj && !b.dateObj) return 0;
+            if (!a.dateObj) return 1;
+            if (!b.dateObj) return -1;
+            return b.dateObj - a.dateObj;
+        });
+        return {
+            name: I18n.t('export.expenses'),
+            columns: [
+                { label: I18n.t('expenses.date'), type: 'date', width: 12 },
+                { label: I18n.t('expenses.category'), width: 14 },
+                { label: I18n.t('expenses.subcategory'), width: 32 },
+                { label: I18n.t('expenses.amount'), type: 'currency', width: 20 }
+            ],
+            rows: [
+                ...sorted.map(exp => ({
+                    cells: [exp.dateObj || exp.date, I18n.category(DataService.normalizeCategory(exp.category)), exp.subcategory, exp.amount]
+                })),
+                { cells: [I18n.t('common.total'), '', '', sorted.reduce((sum, exp) => sum + exp.amount, 0)], total: true }
+            ]
+        };
+    },
+
+    /**
+     * Budget vs executed per budget line, with a subtotal per category and a grand total.
+     */
+    budgetTable(budget, expSummary, forecast) {
+        const line = (category, name, budgetAmount, spent, projected, total = false) => ({
+            cells: [
+                category && I18n.category(category),
+                name,
+                budgetAmount,
+                spent,
+                budgetAmount > 0 ? (spent / budgetAmount) * 100 : null,
+                budgetAmount - spent,
+                projected
+            ],
+            total
+        });
+
+        const rows = [];
+        for (const { key, category } of Forecast.SECTIONS) {
+            const section = budget[key];
+            for (const item of section.items || []) {
+                const itemForecast = forecast.items.find(i => i.category === category && i.name === item.name);
+                rows.push(line(category, item.name, item.amount, expSummary.bySubcategory[`${category}|${item.name}`] || 0,
+                    itemForecast ? itemForecast.projected : item.amount));
+            }
+            rows.push(line(category, I18n.t('budget.categoryTotal', { name: I18n.category(category) }), section.total || 0, expSummary.byCategory[category] || 0,
+                forecast.categories[category].projected, true));
+        }
+        rows.push(line('', I18n.t('common.total'), forecast.total.budget, expSummary.total, forecast.total.projected, true));
+
+        return {
+            name: I18n.t('export.budget'),
+            columns: [
+                { label: I18n.t('expenses.category'), width: 12 },
+                { label: I18n.t('export.line'), width: 32 },
+                { label: I18n.t('export.budget'), type: 'currency', width: 20 },
+                { label: I18n.t('budget.executed'), type: 'currency', width: 20 },
+                { label: I18n.t('export.executedPct'), type: 'percent', width: 12 },
+                { label: I18n.t('budget.remaining'), type: 'currency', width: 20 },
+                { label: I18n.t('export.projection'), type: 'currency', width: 20 }
+            ],
+            rows
+        };
+    },
+
+    /**
+     * CSV text for a table (RFC 4180, UTF-8 with a BOM so Excel reads the accents).
+     * Numbers are written unformatted with a dot decimal, percentages in percentage
+     * points and dates as YYYY-MM-DD, so the file re-imports cleanly.
+     * Any other value is text from the sheets: one starting like a formula gets a
+     * leading ' so the spreadsheet shows it instead of running it.
+     */
+    toCSV(table) {
+        const quote = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const text = (value) => /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+        const format = (value, type) => {
+            if (value === null || value === undefined) return '';
+            if (value instanceof Date) return Snapshots.dayOf(value);
+            if (typeof value === 'number' && type && type !== 'text') {
+                return type === 'currency' ? value.toFixed(2) : String(Number(value.toFixed(4)));
+            }
+            return quote(text(String(value)));
+        };
+        const lines = [
+            table.columns.map(col => quote(col.label)).join(','),
+            ...table.rows.map(row => table.columns.map((col, i) => format(row.cells[i], col.type)).join(','))
+        ];
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * File name for an export: "Gastos-ARBOLEDAS-2026-10-19.csv".
+     */
+    fileName(prefix, project, extension, date = new Date()) {
+        return `${prefix}-${project.key}-${Snapshots.dayOf(date)}.${extension}`;
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * Finance Module
+ * Time-value helpers shared by the distribution waterfall and the cash-flow views.
+ */
+
+const Finance = {
+    DAYS_PER_YEAR: 365,
+
+    /**
+     * Years between two dates (actual/365).
+     */
+    yearsBetween(from, to) {
+        return (to - from) / (this.DAYS_PER_YEAR * 86400000);
+    },
+
+    /**
+     * Net present value at an annual rate of dated cash flows [{ date, amount }],
+     * discounted to the first flow's date.
+     */
+    xnpv(rate, flows) {
+        const start = flows[0].date;
+        return flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, this.yearsBetween(start, f.date)), 0);
+    },
+
+    /**
+     * Internal rate of return (annual, as a fraction) of dated cash flows
+     * [{ date, amount }], like Excel's XIRR. Contributions are negative and
+     * distributions positive. Returns null when the flows have no sign change
+     * or no rate is found.
+     */
+    xirr(flows) {
+        const sorted = flows.filter(f => f.amount && f.date).sort((a, b) => a.date - b.date);
+        if (!sorted.some(f => f.amount < 0) || !sorted.some(f => f.amount > 0)) return null;
+
+        // Newton's method from 10%, falling back to bisection when it does not converge
+        let rate = 0.1;
+        for (let i = 0; i < 50; i++) {
+            const npv = this.xnpv(rate, sorted);
+            const derivative = sorted.reduce((sum, f) => {
+                const t = this.yearsBetween(sorted[0].date, f.date);
+                return sum - t * f.amount / Math.pow(1 + rate, t + 1);
+            }, 0);
+            if (!derivative) break;
+            const next = rate - npv / derivative;
+            if (!isFinite(next) || next <= -1) break;
+            if (Math.abs(next - rate) < 1e-9) return next;
+            rate = next;
+        }
+
+        let low = -0.9999;
+        let high = 10;
+        let npvLow = this.xnpv(low, sorted);
+        if (npvLow * this.xnpv(high, sorted) > 0) return null;
+        for (let i = 0; i < 200; i++) {
+            const mid = (low + high) / 2;
+            const npvMid = this.xnpv(mid, sorted);
+            if (Math.abs(npvMid) < 1e-6 || high - low < 1e-10) return mid;
+            if (npvLow * npvMid < 0) {
+                high = mid;
+            } else {
+                low = mid;
+                npvLow = npvMid;
+            }
+        }
+        return (low + high) / 2;
+    }
+};
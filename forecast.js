@@ -0,0 +1,197 @@
+/**
+ * Forecast Module
+ * Cost-to-complete projection from the expense ledger.
+ *
+ * Method:
+ *   - Burn rate: average monthly spend over the last WINDOW_DAYS up to the latest
+ *     expense date (the ledger's "as of" date), per category and per budget line.
+ *   - Completion: taken from the construction milestones (HITOS) when there are
+ *     any, so a line spending faster than the works advance shows up before it
+ *     runs over: the latest planned end of the unfinished milestones, or, once
+ *     that date has passed, the time elapsed since the works started stretched by
+ *     the physical progress still missing. Without milestones Hard Cost drives the
+ *     schedule: months to complete are its remaining budget over its burn rate
+ *     (Hard + Soft Cost's if Hard Cost has no recent spend), so Hard Cost itself
+ *     cannot be projected over budget before it is.
+ *   - Projected final cost of a category or line: what is spent plus its burn rate
+ *     over the months to complete, never less than its budget (the remaining scope
+ *     is assumed to be spent). Terreno is paid in lump sums rather than burned, so
+ *     it is not extrapolated: its projection is the larger of spent and budget.
+ *   - Projected profit and ROI: the sheet's figures minus the projected overrun.
+ *     ROI is taken as profit over contributed capital.
+ */
+
+const Forecast = {
+    WINDOW_DAYS: 90,
+    DAYS_PER_MONTH: 30.44,
+    // Lines within this share of their budget at completion are not flagged
+    ALERT_MARGIN: 0.02,
+
+    SECTIONS: [
+        { key: 'hardCosts', category: 'Hard Cost' },
+        { key: 'softCosts', category: 'Soft Cost' },
+        { key: 'terreno', category: 'Terreno', lumpSum: true }
+    ],
+
+    /**
+     * Forecast for parsed data. Returns:
+     *   asOf, monthsToComplete, completionDate   (null when nothing was spent recently)
+     *   schedule    what the months to complete come from: 'plan' | 'progress' | 'spending'
+     *   categories  { 'Hard Cost': { budget, spent, burnRate, projected, overrun }, ... }
+     *   items       [{ category, name, budget, spent, burnRate, projected, overrun, exceeded }]
+     *   total       { budget, spent, projected, overrun }
+     *   alerts      [{ severity: 'error' | 'warning', category, name, overrun, message }]
+     *   profit, roi { sheet, projected }
+     */
+    calculate(budget, expenses, capital, milestones = []) {
+        const dated = expenses.filter(exp => exp.dateObj);
+        const asOf = dated.length ? new Date(Math.max(...dated.map(exp => exp.dateObj.getTime()))) : null;
+        const windowStart = asOf ? new Date(asOf.getTime() - this.WINDOW_DAYS * 86400000) : null;
+        const recent = asOf ? dated.filter(exp => exp.dateObj > windowStart) : [];
+        const windowMonths = this.WINDOW_DAYS / this.DAYS_PER_MONTH;
+
+        const spentWhere = (list, category, subcategory) => list
+            .filter(exp => DataService.normalizeCategory(exp.category) === category &&
+                (subcategory === undefined || exp.subcategory === subcategory))
+            .reduce((sum, exp) => sum + exp.amount, 0);
+        const measure = (budgetAmount, { category, lumpSum }, subcategory) => ({
+            budget: budgetAmount,
+            spent: spentWhere(expenses, category, subcategory),
+            burnRate: lumpSum ? 0 : spentWhere(recent, category, subcategory) / windowMonths
+        });
+
+        const categories = {};
+        for (const section of this.SECTIONS) {
+            categories[section.category] = measure(budget[section.key].total || 0, section);
+        }
+        const all = Object.values(categories);
+
+        // Schedule: the milestones', else Hard Cost remaining over its burn rate, else Hard + Soft Cost's
+        const remaining = (c) => Math.max(c.budget - c.spent, 0);
+        const hard = categories['Hard Cost'];
+        const soft = categories['Soft Cost'];
+        let monthsToComplete = null;
+        let schedule = null;
+        const planned = asOf && all.some(c => c.burnRate > 0) ? this.schedule(milestones, asOf, dated) : null;
+        if (planned) {
+            ({ months: monthsToComplete, basis: schedule } = planned);
+        } else if (hard.burnRate > 0) {
+            monthsToComplete = remaining(hard) / hard.burnRate;
+            schedule = 'spending';
+        } else if (soft.burnRate > 0) {
+            monthsToComplete = (remaining(hard) + remaining(soft)) / soft.burnRate;
+            schedule = 'spending';
+        }
+
+        const project = (m) => {
+            const trend = m.spent + m.burnRate * (monthsToComplete || 0);
+            m.projected = Math.max(m.budget, trend);
+            m.overrun = m.projected - m.budget;
+            return m;
+        };
+        Object.values(categories).forEach(project);
+
+        const items = [];
+        for (const section of this.SECTIONS) {
+            for (const item of budget[section.key].items || []) {
+                const m = project(measure(item.amount, section, item.name));
+                items.push({ category: section.category, name: item.name, ...m, exceeded: m.spent > m.budget });
+            }
+        }
+
+        const total = {
+            budget: all.reduce((sum, c) => sum + c.budget, 0),
+            spent: all.reduce((sum, c) => sum + c.spent, 0),
+            projected: all.reduce((sum, c) => sum + c.projected, 0)
+        };
+        total.overrun = total.projected - total.budget;
+
+        const pi = capital.projectIndicators;
+        const ci = capital.capitalIndicators;
+        const profit = { sheet: pi.profit || 0, projected: (pi.profit || 0) - total.overrun };
+        const roi = {
+            sheet: ci.roi || 0,
+            projected: ci.capitalContributed > 0
+                ? (ci.roi || 0) - (total.overrun / ci.capitalContributed) * 100
+                : ci.roi || 0
+        };
+
+        return {
+            asOf,
+            monthsToComplete,
+            schedule,
+            completionDate: asOf && monthsToComplete !== null
+                ? new Date(asOf.getTime() + monthsToComplete * this.DAYS_PER_MONTH * 86400000)
+                : null,
+            categories,
+            items,
+            total,
+            alerts: this.alerts(categories, items),
+            profit,
+            roi
+        };
+    },
+
+    /**
+     * Months from `asOf` to the end of the works per the milestones, or null without
+     * milestones to tell: { months, basis: 'plan' | 'progress' }.
+     */
+    schedule(milestones, asOf, dated) {
+        if (!milestones.length) return null;
+        const month = this.DAYS_PER_MONTH * 86400000;
+        const { progress } = DataService.calculateMilestones(milestones, [], [], asOf);
+        if (progress >= 100) return { months: 0, basis: 'progress' };
+
+        const ends = milestones.filter(m => m.progress < 100 && m.plannedEndObj).map(m => m.plannedEndObj.getTime());
+        const end = ends.length ? Math.max(...ends) : null;
+        if (end && end > asOf.getTime()) return { months: (end - asOf.getTime()) / month, basis: 'plan' };
+
+        // Late or undated: at the pace the works have advanced so far
+        const starts = milestones.map(m => m.actualStartObj || m.plannedStartObj).filter(Boolean)
+            .concat(dated.map(exp => exp.dateObj))
+            .map(date => date.getTime());
+        const elapsed = (asOf.getTime() - Math.min(...starts)) / month;
+        if (progress <= 0 || !(elapsed > 0)) return null;
+        return { months: elapsed * (100 - progress) / progress, basis: 'progress' };
+    },
+
+    /**
+     * Lines already over budget (error) and lines on track to exceed it (warning),
+     * biggest overruns first.
+     */
+    alerts(categories, items) {
+        const alerts = [];
+        const lines = [
+            ...items,
+            ...this.SECTIONS.map(({ category }) => ({ ...categories[category], category, isCategory: true }))
+        ];
+        for (const line of lines) {
+            if (line.budget <= 0) continue;
+            const label = line.isCategory ? I18n.t('budget.categoryTotal', { name: I18n.category(line.category) }) : line.name;
+            if (line.spent > line.budget) {
+                alerts.push({
+                    severity: 'error',
+                    category: line.category,
+                    name: label,
+                    overrun: line.projected - line.budget,
+                    message: I18n.t('forecast.exceeded', {
+                        overrun: DataService.formatCurrency(line.spent - line.budget),
+                        projected: DataService.formatCurrency(line.projected)
+                    })
+                });
+            } else if (line.overrun > line.budget * this.ALERT_MARGIN) {
+                alerts.push({
+                    severity: 'warning',
+                    category: line.category,
+                    name: label,
+                    overrun: line.overrun,
+                    message: I18n.t('forecast.onTrack', {
+                        projected: DataService.formatCurrency(line.projected),
+                        overrun: DataService.formatCurrency(line.overrun)
+                    })
+                });
+            }
+        }
+        return alerts.sort((a, b) => b.overrun - a.overrun);
+    }
+};
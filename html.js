@@ -0,0 +1,61 @@
+/**
+ * HTML Module
+ * Markup built from data. Spreadsheet text (labels, names, categories, notes) is
+ * untrusted: anyone who can edit a sheet controls it. Renderers build markup with
+ * the `Html.html` tagged template, which escapes every interpolated value unless it
+ * is markup itself (another `Html.html` result, or `Html.raw` for trusted markup
+ * such as the charts' SVG), so nothing from the data can open a tag or leave an
+ * attribute:
+ *
+ *   el.innerHTML = Html.html`<tr><td>${name}</td>${cells.map(c => Html.html`<td>${c}</td>`)}</tr>`;
+ *
+ * Arrays are concatenated; null, undefined and false render nothing. Results
+ * convert to strings, so they can be assigned to innerHTML directly.
+ */
+
+const Html = {
+    SAFE: Symbol('Html.safe'),
+
+    ESCAPES: { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' },
+
+    /**
+     * Escape text for use in element content or a quoted attribute value.
+     */
+    escape(value) {
+        return String(value ?? '').replace(/[&<>"']/g, ch => this.ESCAPES[ch]);
+    },
+
+    /**
+     * Tagged template: the literal parts are kept, interpolated values escaped.
+     */
+    html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, i) => {
+            markup += this.stringify(value) + strings[i + 1];
+        });
+        return this.raw(markup);
+    },
+
+    /**
+     * Mark markup the app built itself as safe to insert. Never pass it data.
+     */
+    raw(markup) {
+        return { [this.SAFE]: true, markup: String(markup), toString() { return this.markup; } };
+    },
+
+    stringify(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (Array.isArray(value)) return value.map(item => this.stringify(item)).join('');
+        if (value[this.SAFE]) return value.markup;
+        return this.escape(value);
+    },
+
+    /**
+     * A URL for href/src attributes: http(s) and relative URLs pass, anything else
+     * (javascript:, data:...) becomes an empty string.
+     */
+    url(value) {
+        const url = String(value ?? '').trim();
+        return /^(https?:\/\/|\/|\.\/|\?)/i.test(url) || (url && !/^[a-z][a-z0-9+.-]*:/i.test(url)) ? url : '';
+    }
+};
@@ -0,0 +1,1482 @@
+/**
+ * I18n Module
+ * Message catalogs for the dashboard's languages and locale-aware formatting.
+ *
+ *   I18n.t('sales.committedUnits', { sold: 3, total: 8 })
+ *
+ * Messages are looked up by dotted key; `{name}` placeholders take the params.
+ * A message given as { one, other } is a plural, picked by `params.count`.
+ * Missing messages fall back to Spanish, then to the key itself.
+ *
+ * Static markup is translated with attributes read by apply():
+ * data-i18n (text), data-i18n-placeholder, data-i18n-title, data-i18n-aria-label
+ * and data-i18n-alt. Everything rendered from JS calls t() and is rendered again
+ * when the language changes (see App.setLocale and Admin.setLocale).
+ *
+ * Sheet contents (item names, investor names) are not translated, and neither are
+ * the values typed in the sheets ("Hard Cost", "Vendida"...): only how the dashboard
+ * shows them. The CAPITAL sheet's labels give way to the catalog's outside Spanish
+ * (see sheetLabel).
+ */
+
+const I18n = {
+    DEFAULT_LOCALE: 'es',
+    STORAGE_KEY: 'locale',
+
+    LOCALES: {
+        es: { name: 'Español', intl: 'es-MX' },
+        en: { name: 'English', intl: 'en-US' }
+    },
+
+    locale: 'es',
+
+    messages: {
+        es: {
+            app: {
+                title: 'Reporting Inversionistas'
+            },
+            locale: {
+                label: 'Idioma'
+            },
+            login: {
+                subtitle: 'Ingresa tu usuario y contraseña, o solo la contraseña del proyecto',
+                username: 'Usuario',
+                optional: '(opcional)',
+                usernamePlaceholder: 'Tu usuario de inversionista',
+                password: 'Contraseña',
+                passwordPlaceholder: 'Ingresa la contraseña',
+                showPassword: 'Mostrar contraseña',
+                invalid: 'Usuario o contraseña incorrectos. Intenta de nuevo.',
+                submit: 'Acceder al proyecto',
+                cancel: 'Volver al tablero',
+                passwordRequired: 'Por favor ingresa una contraseña.',
+                failed: 'No se pudo iniciar sesión: {message}',
+                noProjects: 'Tu cuenta no tiene proyectos asignados.',
+                tooMany: 'Demasiados intentos. Espera {wait} antes de intentar de nuevo.',
+                locked: 'Demasiados intentos fallidos. El acceso está bloqueado; intenta de nuevo en {wait}.',
+                minutes: { one: '{count} minuto', other: '{count} minutos' },
+                seconds: { one: '{count} segundo', other: '{count} segundos' },
+                expired: 'Tu sesión expiró. Inicia sesión de nuevo para continuar.'
+            },
+            header: {
+                loading: 'Cargando datos...',
+                updated: 'Datos actualizados: {date}',
+                switchProject: 'Cambiar de proyecto',
+                addProject: '+ Agregar proyecto…',
+                refresh: 'Actualizar datos',
+                print: 'Imprimir reporte',
+                download: 'Descargar reporte',
+                admin: 'Administrar proyectos',
+                logout: 'Cerrar sesión',
+                logoutShort: 'Salir'
+            },
+            nav: {
+                portafolio: 'Portafolio',
+                resumen: 'Resumen',
+                presupuesto: 'Presupuesto',
+                financieros: 'Financieros',
+                casas: 'Casas',
+                ventas: 'Ventas',
+                avance: 'Avance',
+                galeria: 'Galería',
+                gastos: 'Gastos'
+            },
+            state: {
+                loading: 'Cargando datos del proyecto...',
+                errorTitle: 'Error al cargar los datos',
+                errorDetail: 'No se pudieron obtener los datos del proyecto. Error: {message}. Verifica tu conexión e intenta de nuevo.',
+                retry: 'Reintentar',
+                savedData: 'No se pudieron actualizar los datos; mostrando datos al {date}.',
+                offline: 'Sin conexión: mostrando datos al {date}. Se actualizarán al recuperar la conexión.'
+            },
+            common: {
+                total: 'Total',
+                totalCount: 'Total ({count})',
+                ofBudget: '{percent} del presupuesto',
+                spentAmount: 'Gastado: {amount}',
+                budgetAmount: 'Presupuesto: {amount}',
+                countOf: '{count} de {total}'
+            },
+            categories: {
+                'Hard Cost': 'Costos Directos',
+                'Soft Cost': 'Costos Indirectos',
+                'Terreno': 'Terreno'
+            },
+            kpi: {
+                totalInvestment: 'Inversión Total',
+                totalBudget: 'Presupuesto Total',
+                spentToDate: 'Gastado a la Fecha',
+                progress: 'Avance General',
+                roi: 'ROI Proyectado'
+            },
+            compare: {
+                with: 'Comparar con',
+                none: 'Sin comparación',
+                until: 'hasta',
+                current: 'Datos actuales',
+                currentLower: 'datos actuales',
+                hint: 'Se guarda una copia de los datos por día; podrás comparar periodos a partir de la segunda.',
+                periodChanges: 'Cambios del Periodo',
+                spentInPeriod: 'Gastado en el Periodo',
+                points: '{value} pts',
+                spentByCategory: 'Gasto del periodo por categoría',
+                budgetChanges: 'Cambios en el Presupuesto',
+                budgetUnchanged: 'El presupuesto no cambió en el periodo.',
+                revisedUp: {
+                    one: '{count} partida revisada al alza por {amount}.',
+                    other: '{count} partidas revisadas al alza por {amount}.'
+                },
+                section: 'Sección',
+                line: 'Partida',
+                before: 'Antes',
+                now: 'Ahora',
+                change: 'Cambio',
+                upward: 'Al alza'
+            },
+            quality: {
+                title: 'Calidad de Datos',
+                ok: 'Sin problemas',
+                errors: { one: '{count} error', other: '{count} errores' },
+                warnings: { one: '{count} aviso', other: '{count} avisos' },
+                allGood: 'Los totales cuadran entre hojas y todos los gastos tienen fecha, categoría y monto válidos.',
+                alert: {
+                    one: 'Se detectó {count} error en los datos.',
+                    other: 'Se detectaron {count} errores en los datos.'
+                },
+                alertNote: 'Algunas cifras pueden aparecer en cero o no cuadrar.',
+                alertLink: 'Ver Calidad de Datos',
+                area: {
+                    format: 'Formato {sheet}',
+                    budget: 'Presupuesto',
+                    capitalVsBudget: 'Capital vs Presupuesto',
+                    investors: 'Inversionistas',
+                    expenses: 'Gastos',
+                    sales: 'Ventas',
+                    milestones: 'Hitos'
+                },
+                subtotals: 'Las partidas de {name} suman {sum}, pero el total del presupuesto es {total} (diferencia {difference}).',
+                capitalUse: 'Uso de capital en {name}: {amount} en la hoja CAPITAL contra {total} en BUDGET.',
+                investorsSum: 'Las aportaciones de los inversionistas suman {sum}, pero el capital aportado es {contributed}.',
+                empty: '(vacía)',
+                more: '{list} y {count} más',
+                badDates: {
+                    one: '{count} gasto con fecha ilegible; no aparece al filtrar por fecha: {list}.',
+                    other: '{count} gastos con fecha ilegible; no aparecen al filtrar por fecha: {list}.'
+                },
+                unknownCategory: {
+                    one: '{count} gasto con categoría "{category}", que no es Hard Cost, Soft Cost ni Terreno; no cuenta en el avance por categoría.',
+                    other: '{count} gastos con categoría "{category}", que no es Hard Cost, Soft Cost ni Terreno; no cuentan en el avance por categoría.'
+                },
+                zeroAmounts: {
+                    one: '{count} gasto con monto en cero o ilegible: {list}.',
+                    other: '{count} gastos con monto en cero o ilegible: {list}.'
+                },
+                unknownStatus: '{name}: estado "{status}" desconocido (usa Disponible, Apartada, Vendida o Escriturada).',
+                saleNotInBudget: '{name} aparece en la hoja de ventas pero no entre las casas del presupuesto.',
+                noAgreedPrice: '{name} está {status} sin precio pactado; se usa el precio de lista.',
+                overpaid: '{name}: los pagos recibidos ({received}) exceden el precio ({price}).',
+                badMilestoneDates: {
+                    one: '{name}: fecha ilegible {dates}; el hito puede no aparecer en la línea de tiempo.',
+                    other: '{name}: fechas ilegibles {dates}; el hito puede no aparecer en la línea de tiempo.'
+                },
+                endsEarly: '{name}: la fecha de fin es anterior a la de inicio.'
+            },
+            portfolio: {
+                title: 'Portafolio de Proyectos',
+                loading: 'Cargando proyectos...',
+                project: 'Proyecto',
+                progress: 'Avance Ponderado',
+                loadError: 'No se pudieron cargar los datos: {message}',
+                total: 'Total portafolio ({count})'
+            },
+            summary: {
+                categoryProgress: 'Avance por Categoría',
+                capitalDistribution: 'Distribución del Capital'
+            },
+            budget: {
+                title: 'Presupuesto vs Ejecutado',
+                hardTitle: 'Costos Directos (Construcción)',
+                totalSummary: 'Resumen Total',
+                executed: 'Ejecutado',
+                remaining: 'Restante',
+                toExecute: '{percent} por ejecutar',
+                executedVsBudget: 'Ejecutado vs Presupuestado',
+                executedAmount: 'Ejecutado: {amount}',
+                projection: 'Proyección al cierre: {amount}',
+                overBudget: '{amount} sobre presupuesto',
+                exceeded: 'Excedido',
+                projectedToExceed: 'Proyecta exceder',
+                budgetShort: 'Pres: {amount}',
+                spentShort: 'Gast: {amount}',
+                categoryTotal: 'Total {name}'
+            },
+            forecast: {
+                title: 'Pronóstico al Cierre',
+                noData: 'No hay gastos recientes con fecha para estimar el ritmo de gasto.',
+                completion: 'Término Estimado',
+                monthsLeft: {
+                    plan: '{months} meses según el plan de obra',
+                    progress: '{months} meses al avance de obra actual',
+                    spending: '{months} meses al ritmo actual'
+                },
+                finalCost: 'Costo Final Proyectado',
+                withinBudget: 'Dentro del presupuesto',
+                burnRate: 'Ritmo de Gasto',
+                perMonth: '{amount}/mes',
+                window: 'Últimos {days} días al {date}',
+                ok: 'Ninguna partida va en camino de exceder su presupuesto.',
+                exceeded: 'Ya excede su presupuesto por {overrun}; al ritmo actual cerraría en {projected}.',
+                onTrack: 'Al ritmo actual cerraría en {projected}, {overrun} sobre su presupuesto.'
+            },
+            export: {
+                csv: 'Exportar CSV',
+                xlsx: 'Exportar Excel',
+                budgetCsvTitle: 'Presupuesto vs ejecutado por partida',
+                budgetXlsxTitle: 'Libro con las hojas Presupuesto y Gastos',
+                expensesCsvTitle: 'Gastos con los filtros actuales',
+                expensesXlsxTitle: 'Libro con las hojas Gastos y Presupuesto',
+                expenses: 'Gastos',
+                budget: 'Presupuesto',
+                report: 'Reporte',
+                line: 'Partida',
+                executedPct: '% Ejecutado',
+                projection: 'Proyección al cierre'
+            },
+            financials: {
+                title: 'Indicadores Financieros',
+                project: 'Indicadores del Proyecto',
+                capital: 'Indicadores de Capital',
+                totalIncome: 'Ingresos Totales',
+                projectCost: 'Costo del Proyecto',
+                profit: 'Utilidad',
+                margin: 'Margen de Utilidad',
+                projectedProfit: 'Utilidad proyectada',
+                capitalContributed: 'Capital Aportado',
+                totalReturn: 'Retorno Total',
+                roi: 'ROI',
+                projectedRoi: 'ROI proyectado',
+                capitalMultiple: 'Múltiplo de Capital',
+                projectedNote: 'con el costo proyectado al ritmo de gasto actual'
+            },
+            cashflow: {
+                title: 'Flujo de Efectivo',
+                chartTitle: 'Flujo Mensual y Acumulado',
+                netInflow: 'Entrada neta',
+                netOutflow: 'Salida neta',
+                projected: 'Proyectado',
+                cumulative: 'Acumulado',
+                monthly: 'Flujo mensual',
+                needsDates: 'Se necesitan gastos con fecha para construir el flujo de efectivo.',
+                differs: 'difiere',
+                flow: 'Flujo de efectivo',
+                value: 'Valor',
+                sheet: 'Hoja de capital',
+                irr: 'TIR del proyecto',
+                irrNote: 'anual, según el calendario de flujos',
+                roiNote: 'total, sin plazo',
+                profitNote: 'ventas menos costos',
+                multiple: 'Múltiplo',
+                multipleNote: 'ventas sobre costos',
+                peak: 'Requerimiento máximo de capital',
+                peakNote: 'en {month}',
+                payback: 'Mes de recuperación',
+                paybackNote: 'el flujo acumulado vuelve a cero',
+                noPayback: 'No se recupera',
+                minBalance: 'Saldo de caja mínimo',
+                minBalanceNote: 'con las aportaciones en su fecha',
+                shortfall: 'Con las aportaciones en sus fechas la caja quedaría en {amount}: hace falta adelantar o aumentar capital.',
+                undated: {
+                    one: '{count} gasto sin fecha se cuenta en el mes del último gasto registrado.',
+                    other: '{count} gastos sin fecha se cuentan en el mes del último gasto registrado.'
+                },
+                month: 'Mes',
+                costs: 'Costos',
+                sales: 'Ventas',
+                net: 'Neto',
+                contributions: 'Aportaciones',
+                balance: 'Saldo de caja',
+                projectedShort: '(proy.)'
+            },
+            waterfall: {
+                title: 'Cascada de Distribuciones',
+                basis: 'Utilidad a distribuir',
+                sheet: 'Según la hoja de capital',
+                projected: 'Proyectada al ritmo de gasto',
+                custom: 'Otro monto',
+                amount: 'Monto (MXN)',
+                noDate: 'sin fecha',
+                dates: 'Inversión: {investment} · Distribución: {distribution}',
+                years: '({years} años)',
+                noIrr: '— sin fechas no se calcula la TIR',
+                noInvestors: 'No se encontraron aportaciones de inversionistas en la hoja de capital.',
+                tier: 'Nivel',
+                distributed: 'Distribuido',
+                investors: 'Inversionistas',
+                multiple: 'Múltiplo de los inversionistas',
+                irr: 'TIR de los inversionistas',
+                sponsor: 'Desarrollador',
+                tiers: {
+                    capital: 'Retorno de capital',
+                    preferred: 'Retorno preferente ({rate} anual)',
+                    catchUp: 'Catch-up del {sponsor} ({rate})',
+                    profit: 'Utilidad{split}',
+                    excess: 'Excedente{split}',
+                    untilIrr: 'Hasta TIR {irr}{split}'
+                },
+                terms: {
+                    preferredCompound: 'Retorno preferente {rate} anual compuesto',
+                    preferredSimple: 'Retorno preferente {rate} anual simple',
+                    noPreferred: 'Sin retorno preferente',
+                    catchUp: 'catch-up {rate}',
+                    noPromote: 'sin promote del {sponsor}: la utilidad se reparte a prorrata',
+                    untilIrr: '{split} hasta TIR {irr}',
+                    then: ', luego ',
+                    splits: '{tiers} (inversionistas/{sponsor})'
+                }
+            },
+            investors: {
+                title: 'Inversionistas',
+                mine: 'Mi Inversión',
+                none: 'No se encontraron datos de inversionistas.',
+                investor: 'Inversionista',
+                contribution: 'Aportación',
+                ownership: 'Participación',
+                projectedDistribution: 'Distribución Proyectada',
+                irr: 'TIR',
+                notFound: 'No se encontró a "{name}" en la hoja de capital. Contacta al administrador del proyecto.',
+                projectedReturn: 'Retorno Proyectado',
+                waterfallDistribution: 'Distribución según la cascada',
+                waterfallNote: 'con la utilidad seleccionada en Cascada de Distribuciones'
+            },
+            view: {
+                label: 'Vista',
+                cards: 'Tarjetas',
+                table: 'Tabla'
+            },
+            houses: {
+                title: 'Información de las Casas',
+                none: 'No se encontraron datos de las casas.',
+                units: 'Unidades',
+                totalArea: 'Superficie Total',
+                avgPrice: 'Precio Promedio por m²',
+                weighted: 'Ponderado por superficie',
+                totalValue: 'Valor Comercial Total',
+                netIncomeAmount: 'Ingreso neto: {amount}',
+                unit: 'Unidad',
+                area: 'Superficie',
+                pricePerSqm: 'Precio por m²',
+                salePrice: 'Precio de Venta',
+                netIncome: 'Ingreso Neto',
+                average: '{amount} prom.'
+            },
+            sales: {
+                title: 'Estado de Ventas',
+                noHouses: 'No se encontraron casas en el presupuesto.',
+                listPrice: 'Precio de lista',
+                noListPrice: 'Sin precio en el presupuesto',
+                agreedPrice: 'Precio pactado',
+                vsList: '{diff} vs lista',
+                buyer: 'Comprador',
+                pending: 'Pendiente',
+                deedDate: 'Fecha de escrituración',
+                closeDate: 'Fecha estimada de cierre',
+                tbd: 'Por definir',
+                collected: 'Cobrado',
+                status: 'Estado',
+                listPriceColumn: 'Precio de Lista',
+                agreedPriceColumn: 'Precio Pactado',
+                toCollect: 'Por Cobrar',
+                committedCount: { one: '{count} comprometida', other: '{count} comprometidas' },
+                projectedRevenue: 'Ingreso Proyectado',
+                vsListPrices: '{diff} vs precios de lista',
+                atListPrices: 'A precios de lista',
+                committed: 'Comprometido',
+                committedUnits: '{sold} de {total} casas apartadas o vendidas',
+                ofProjected: '{percent} del ingreso proyectado',
+                fromCommitted: 'De las casas comprometidas',
+                realizedVsProjected: 'Ingreso realizado vs proyectado',
+                committedToCollect: 'Comprometido por cobrar',
+                noSalesData: 'Este proyecto no tiene datos de ventas configurados; todas las casas se muestran como disponibles a precio de lista.',
+                concept: 'Concepto',
+                due: 'Vence',
+                received: 'Recibido',
+                payment: 'Pago',
+                paidOn: 'Pagado el {date}'
+            },
+            saleStatus: {
+                disponible: 'Disponible',
+                apartada: 'Apartada',
+                vendida: 'Vendida',
+                escriturada: 'Escriturada'
+            },
+            paymentState: {
+                paid: 'Pagado',
+                partial: 'Parcial',
+                overdue: 'Vencido',
+                pending: 'Pendiente'
+            },
+            milestones: {
+                title: 'Avance de Obra',
+                timeline: 'Línea de Tiempo',
+                planned: 'Planeado',
+                today: 'Hoy',
+                none: 'Este proyecto no tiene hitos de obra. Agrega una hoja HITOS (hito, inicio y fin planeados, inicio y fin reales, % de avance) para ver el avance físico junto al financiero.',
+                noDates: 'Sin fechas',
+                physical: 'Avance Físico',
+                financial: 'Avance Financiero',
+                gap: 'Diferencia',
+                spendAhead: 'El gasto va adelante de la obra',
+                workAhead: 'La obra va al parejo o adelante del gasto',
+                completed: 'Hitos Completados',
+                statusCounts: '{inProgress} en curso · {delayed} retrasado(s)',
+                inProgress: 'en curso',
+                notStarted: 'Sin iniciar',
+                actual: 'Real',
+                delay: { one: '{count} día de retraso', other: '{count} días de retraso' },
+                progress: 'Avance',
+                periodSpend: 'Gasto en el periodo',
+                ofSpend: '{amount} ({percent} del gasto)',
+                photo: 'Foto de avance'
+            },
+            milestoneStatus: {
+                completado: 'Completado',
+                'en-curso': 'En curso',
+                retrasado: 'Retrasado',
+                pendiente: 'Pendiente'
+            },
+            progressStrategy: {
+                weighted: 'Ponderado por categoría',
+                'budget-share': 'Proporcional al presupuesto',
+                physical: 'Avance físico'
+            },
+            progress: {
+                physical: 'Avance físico: promedio del avance de los {count} hitos de obra (hoja HITOS), ponderado por su peso: {parts}.',
+                budgetShare: 'Gasto total sobre presupuesto total ({spent} de {budget}); cada categoría pesa según su parte del presupuesto: {parts}.',
+                weighted: 'Gastado sobre presupuesto por categoría, ponderado: {parts}.',
+                fallback: 'Sin hitos de obra para medir el avance físico.',
+                noWeights: 'sin categorías con peso'
+            },
+            gallery: {
+                title: 'Galería de Avance de Obra',
+                group: 'Agrupar fotos',
+                byDate: 'Por fecha',
+                byStage: 'Por etapa',
+                loading: 'Cargando fotos del proyecto...',
+                none: 'No se encontraron fotos del proyecto.',
+                empty: 'No hay fotos en la carpeta del proyecto todavía.',
+                loadError: 'No se pudieron cargar las fotos: {message}',
+                driveNote: 'Las fotos se pueden ver directamente en Google Drive:',
+                openDrive: 'Abrir carpeta de fotos en Google Drive',
+                photos: { one: '{count} foto', other: '{count} fotos' },
+                general: 'General',
+                undated: 'Sin fecha'
+            },
+            lightbox: {
+                close: 'Cerrar',
+                prev: 'Anterior',
+                next: 'Siguiente',
+                position: '{index} de {total}'
+            },
+            expenses: {
+                title: 'Historial de Gastos',
+                category: 'Categoría',
+                subcategory: 'Subcategoría',
+                from: 'Desde',
+                to: 'Hasta',
+                all: 'Todas',
+                clear: 'Limpiar filtros',
+                monthly: 'Gasto Mensual',
+                cumulativeVsBudget: 'Gasto Acumulado vs Presupuesto',
+                budget: 'Presupuesto',
+                date: 'Fecha',
+                amount: 'Monto',
+                filteredTotal: 'Total filtrado',
+                none: 'No se encontraron gastos con los filtros seleccionados.',
+                range: '{from} a {to}',
+                since: 'desde {date}',
+                until: 'hasta {date}',
+                budgetOf: 'Presupuesto {category}',
+                budgetTotal: 'Presupuesto total',
+                undated: {
+                    one: '{count} gasto sin fecha legible ({amount}) no aparece en las gráficas.',
+                    other: '{count} gastos sin fecha legible ({amount}) no aparecen en las gráficas.'
+                }
+            },
+            charts: {
+                monthly: 'Gasto mensual por categoría',
+                cumulative: 'Gasto acumulado contra presupuesto',
+                cashFlow: 'Flujo de efectivo mensual y acumulado',
+                gantt: 'Línea de tiempo de hitos de obra',
+                empty: 'No hay gastos con fecha para graficar con los filtros actuales.',
+                noMilestoneDates: 'Los hitos no tienen fechas para graficar.',
+                cashFlowTooltip: '{month}{projected}: neto {net}, acumulado {cumulative}',
+                projected: ' (proyectado)',
+                planned: '{name} · planeado: {from} – {to}',
+                actual: '{name} · real: {from} – {to} · {status} · {progress}%'
+            },
+            report: {
+                title: 'Reporte para Inversionistas',
+                error: 'No se pudo generar el reporte. Intenta de nuevo.',
+                dataAsOf: 'Datos al {date}',
+                generated: 'Generado',
+                preparedFor: 'Preparado para',
+                view: 'Vista',
+                adminView: 'Administrador (incluye a todos los inversionistas)',
+                use: 'Uso',
+                shareOfTotal: '% del total',
+                deviation: 'Desviación proyectada',
+                projection: 'Proyección',
+                overrunAlerts: 'Alertas de Sobrecosto',
+                projectedProfit: 'Utilidad proyectada (ritmo de gasto actual)',
+                projectedRoi: 'ROI proyectado (ritmo de gasto actual)',
+                notFound: 'No se encontró a "{name}" en la hoja de capital.',
+                filters: 'Filtros: {filters}',
+                allExpenses: 'Todos los gastos registrados.',
+                ledgerTotal: { one: 'Total ({count} gasto)', other: 'Total ({count} gastos)' },
+                page: 'Página {page} de {count}',
+                noData: 'Sin datos'
+            },
+            admin: {
+                title: 'Administración · Reporting Inversionistas',
+                heading: 'Administración de proyectos',
+                subheading: 'Proyectos, contraseñas y fuentes de datos',
+                back: 'Tablero',
+                backTitle: 'Volver al tablero',
+                deniedTitle: 'Acceso restringido',
+                denied: 'Inicia sesión en el tablero con una cuenta de administrador para gestionar proyectos.',
+                goToDashboard: 'Ir al tablero',
+                expired: 'Tu sesión expiró. Inicia sesión de nuevo en el tablero.',
+                loadFailed: 'No se pudieron cargar los proyectos: {message}',
+                projects: 'Proyectos',
+                newProject: '+ Nuevo proyecto',
+                noProjects: 'Todavía no hay proyectos. Crea el primero con "Nuevo proyecto".',
+                key: 'Clave',
+                name: 'Nombre',
+                source: 'Fuente de datos',
+                photos: 'Fotos',
+                status: 'Estado',
+                noFolder: 'Sin carpeta',
+                active: 'Activo',
+                archived: 'Archivado',
+                activity: 'Actividad',
+                edit: 'Editar',
+                archive: 'Archivar',
+                restore: 'Restaurar',
+                sources: {
+                    file: 'Archivo subido',
+                    json: 'JSON',
+                    sheets: 'Google Sheets ({sheets})',
+                    noSheets: 'sin hojas'
+                },
+                confirmArchive: '¿Archivar "{name}"? Nadie podrá abrirlo hasta que lo restaures; su configuración se conserva.',
+                wasArchived: '{name} se archivó.',
+                wasRestored: '{name} está activo de nuevo.',
+                updateFailed: 'No se pudo actualizar el proyecto: {message}',
+                roles: {
+                    viewer: 'Contraseña del proyecto',
+                    investor: 'Inversionista',
+                    admin: 'Administrador'
+                }
+            },
+            adminActivity: {
+                title: 'Actividad de {name}',
+                close: 'Cerrar',
+                privacy: 'Solo se registra quién entra, qué secciones abre y qué descarga; no se guardan direcciones IP ni datos del navegador, y los accesos con la contraseña del proyecto son anónimos.',
+                loading: 'Cargando la actividad…',
+                failed: 'No se pudo cargar la actividad: {message}',
+                none: 'Nadie ha abierto este proyecto todavía.',
+                since: 'Desde el {date}.',
+                user: 'Usuario',
+                lastAccess: 'Último acceso',
+                accesses: 'Accesos',
+                views: 'Secciones vistas',
+                topSection: 'Sección más vista',
+                exports: 'Descargas',
+                sections: 'Secciones más vistas',
+                noSections: 'Todavía no hay secciones vistas.',
+                sectionViews: { one: '{count} vista', other: '{count} vistas' },
+                sectionUsers: { one: '{count} usuario', other: '{count} usuarios' }
+            },
+            adminEditor: {
+                newProject: 'Nuevo proyecto',
+                editProject: 'Editar {name}',
+                keyPlaceholder: 'p. ej. ARBOLEDAS',
+                namePlaceholder: 'p. ej. Casa Arboledas',
+                password: 'Contraseña del proyecto',
+                passwordPlaceholder: 'Al menos 8 caracteres',
+                sheets: 'Hojas de Google Sheets',
+                sheetsFormat: '(publicadas como CSV)',
+                fileSource: 'Este proyecto carga sus datos de un archivo subido; las hojas son opcionales.',
+                jsonSource: 'Este proyecto carga sus datos de un endpoint JSON; las hojas son opcionales.',
+                drive: 'Carpeta de fotos en Google Drive',
+                save: 'Guardar proyecto',
+                cancel: 'Cancelar',
+                saved: 'Se guardaron los cambios de {name}.',
+                created: 'Se creó {name} ({key}).',
+                changePassword: 'Cambiar contraseña del proyecto',
+                passwordNote: 'Las sesiones abiertas con la contraseña anterior siguen activas hasta que expiren.',
+                newPassword: 'Nueva contraseña',
+                submitPassword: 'Cambiar contraseña',
+                passwordChanged: 'Se cambió la contraseña de {name}.',
+                test: 'Probar',
+                enterUrl: 'Ingresa la URL de la hoja para probarla.',
+                fetching: 'Descargando la hoja…',
+                rows: { one: '{count} fila', other: '{count} filas' },
+                structureOk: 'La hoja tiene la estructura esperada.',
+                houses: { one: '{count} casa', other: '{count} casas' },
+                expenses: { one: '{count} gasto', other: '{count} gastos' },
+                total: 'Total {amount}',
+                undated: '{count} sin fecha',
+                investors: { one: '{count} inversionista', other: '{count} inversionistas' },
+                contributed: 'Aportado {amount}',
+                sales: { one: '{count} venta', other: '{count} ventas' },
+                milestones: { one: '{count} hito', other: '{count} hitos' }
+            },
+            schema: {
+                labelNotFound: 'No se encontró la etiqueta "{label}" en la columna {column}.',
+                labelNotFoundInSection: 'No se encontró la etiqueta "{label}" en la columna {column} dentro de la sección {section}.',
+                notNumeric: 'La celda {cell} ("{label}") está vacía o no es numérica.',
+                fieldNotNumeric: 'La celda {cell} ({field}) está vacía o no es numérica.',
+                noUnitsMatching: 'No se encontraron unidades cuya etiqueta coincida con /{pattern}/ en la columna {column}.',
+                noUnitsMatchingInSection: 'No se encontraron unidades cuya etiqueta coincida con /{pattern}/ en la columna {column} dentro de la sección {section}.',
+                noUnits: 'No se encontraron unidades con valor comercial en la columna {column}.',
+                noUnitsInSection: 'No se encontraron unidades con valor comercial en la columna {column} dentro de la sección {section}.',
+                columnUnreached: 'Ninguna fila llega a la columna {column}.',
+                noExpenses: 'La hoja no tiene gastos después del encabezado.',
+                emptyColumn: 'La columna {column} ({field}) está vacía en todas las filas.',
+                rowMissing: 'No existe la fila {row} ({field}).',
+                noInvestors: 'No se encontraron inversionistas a partir de la celda {cell}.'
+            },
+            dataSources: {
+                unknownType: 'Tipo de fuente de datos desconocido: "{type}".',
+                unsupportedFile: 'Formato de archivo no soportado: "{name}" (usa .xlsx o .csv).',
+                missingFile: 'Falta el archivo para "{key}" en la fuente de datos.',
+                fileNeedsFiles: 'La fuente de datos de tipo "file" necesita "file" o "files".',
+                missingTab: 'No se encontró la pestaña de "{key}" en el archivo ({tabs}).',
+                jsonNeedsUrl: 'La fuente de datos de tipo "json" necesita "url".'
+            },
+            errors: {
+                INVALID_JSON: 'El cuerpo de la solicitud no es JSON válido.',
+                INVALID_BODY: 'El cuerpo de la solicitud debe ser un objeto JSON.',
+                BODY_TOO_LARGE: 'El cuerpo de la solicitud es demasiado grande.',
+                BAD_REQUEST: 'La ruta solicitada no es válida.',
+                NOT_FOUND: 'Recurso no encontrado.',
+                METHOD_NOT_ALLOWED: 'Método no permitido.',
+                INTERNAL_ERROR: 'Error interno del servidor.',
+                UNAUTHORIZED: 'Sesión inválida o expirada.',
+                MISSING_PASSWORD: 'Por favor ingresa una contraseña.',
+                INVALID_CREDENTIALS: 'Usuario o contraseña incorrectos. Intenta de nuevo.',
+                NO_PROJECTS: 'Tu cuenta no tiene proyectos asignados.',
+                TOO_MANY_ATTEMPTS: 'Demasiados intentos. Espera un momento antes de intentar de nuevo.',
+                LOGIN_LOCKED: 'Demasiados intentos fallidos. El acceso está bloqueado por un tiempo.',
+                FORBIDDEN: 'No tienes acceso a este proyecto.',
+                ADMIN_ONLY: 'Solo los administradores pueden hacer esto.',
+                MISSING_URL: 'Falta el parámetro "url".',
+                NOT_WHITELISTED: 'La URL solicitada no es una hoja configurada para este proyecto.',
+                NO_CAPITAL_SHEET: 'El proyecto no tiene configurada la hoja CAPITAL.',
+                CAPITAL_NOT_SCOPED: 'Este proyecto carga el capital desde un libro XLSX, que solo pueden abrir los administradores.',
+                INVALID_JSON_SOURCE: 'La fuente de datos no devolvió un JSON válido.',
+                UPSTREAM_TIMEOUT: 'La fuente de datos tardó demasiado en responder.',
+                UPSTREAM_UNREACHABLE: 'No se pudo contactar la fuente de datos.',
+                UPSTREAM_ERROR: 'La fuente de datos respondió con HTTP {status}.',
+                INVALID_FILE_NAME: 'Nombre de archivo inválido (usa .xlsx, .csv o .json).',
+                FILE_NOT_FOUND: 'No se encontró el archivo de datos del proyecto.',
+                GALLERY_NOT_CONFIGURED: 'La galería de este proyecto no está configurada en el servidor.',
+                INVALID_PHOTO_ID: 'Identificador de foto inválido.',
+                INVALID_SIGNATURE: 'El enlace de la foto no es válido o ya expiró.',
+                PHOTO_NOT_FOUND: 'No se encontró la foto.',
+                DRIVE_TIMEOUT: 'Google Drive tardó demasiado en responder.',
+                DRIVE_UNREACHABLE: 'No se pudo contactar Google Drive.',
+                DRIVE_ERROR: 'Google Drive respondió con HTTP {status}. Revisa que la carpeta sea pública.',
+                PROJECT_NOT_FOUND: 'Proyecto no encontrado.',
+                PROJECT_EXISTS: 'Ya existe un proyecto con la clave {key}.',
+                INVALID_KEY: 'La clave del proyecto debe tener de 2 a 40 letras, números, "-" o "_".',
+                MISSING_NAME: 'El proyecto necesita un nombre.',
+                MISSING_SHEET: 'Falta la URL de la hoja {sheet}.',
+                INVALID_SHEET_URL: 'La URL de {sheet} no es una hoja de Google Sheets publicada como CSV.',
+                NOT_A_SHEET_URL: 'La URL no es una hoja de Google Sheets publicada como CSV (…/pub?output=csv).',
+                INVALID_DRIVE_FOLDER: 'La carpeta debe ser un enlace de Google Drive (…/drive/folders/<id>).',
+                WEAK_PASSWORD: 'La contraseña debe tener al menos {min} caracteres.',
+                PASSWORD_IN_USE: 'Esa contraseña ya abre otro proyecto; elige una distinta.'
+            }
+        },
+
+        en: {
+            app: {
+                title: 'Investor Reporting'
+            },
+            locale: {
+                label: 'Language'
+            },
+            login: {
+                subtitle: 'Enter your username and password, or just the project password',
+                username: 'Username',
+                optional: '(optional)',
+                usernamePlaceholder: 'Your investor username',
+                password: 'Password',
+                passwordPlaceholder: 'Enter the password',
+                showPassword: 'Show password',
+                invalid: 'Wrong username or password. Please try again.',
+                submit: 'Open project',
+                cancel: 'Back to the dashboard',
+                passwordRequired: 'Please enter a password.',
+                failed: 'Could not log in: {message}',
+                noProjects: 'Your account has no projects assigned.',
+                tooMany: 'Too many attempts. Wait {wait} before trying again.',
+                locked: 'Too many failed attempts. Access is locked; try again in {wait}.',
+                minutes: { one: '{count} minute', other: '{count} minutes' },
+                seconds: { one: '{count} second', other: '{count} seconds' },
+                expired: 'Your session expired. Log in again to continue.'
+            },
+            header: {
+                loading: 'Loading data...',
+                updated: 'Data updated: {date}',
+                switchProject: 'Switch project',
+                addProject: '+ Add project…',
+                refresh: 'Refresh data',
+                print: 'Print report',
+                download: 'Download report',
+                admin: 'Manage projects',
+                logout: 'Log out',
+                logoutShort: 'Log out'
+            },
+            nav: {
+                portafolio: 'Portfolio',
+                resumen: 'Summary',
+                presupuesto: 'Budget',
+                financieros: 'Financials',
+                casas: 'Houses',
+                ventas: 'Sales',
+                avance: 'Progress',
+                galeria: 'Gallery',
+                gastos: 'Expenses'
+            },
+            state: {
+                loading: 'Loading project data...',
+                errorTitle: 'Could not load the data',
+                errorDetail: 'The project data could not be retrieved. Error: {message}. Check your connection and try again.',
+                retry: 'Retry',
+                savedData: 'The data could not be updated; showing data as of {date}.',
+                offline: 'Offline: showing data as of {date}. It will update when the connection is back.'
+            },
+            common: {
+                total: 'Total',
+                totalCount: 'Total ({count})',
+                ofBudget: '{percent} of the budget',
+                spentAmount: 'Spent: {amount}',
+                budgetAmount: 'Budget: {amount}',
+                countOf: '{count} of {total}'
+            },
+            categories: {
+                'Hard Cost': 'Hard Costs',
+                'Soft Cost': 'Soft Costs',
+                'Terreno': 'Land'
+            },
+            kpi: {
+                totalInvestment: 'Total Investment',
+                totalBudget: 'Total Budget',
+                spentToDate: 'Spent to Date',
+                progress: 'Overall Progress',
+                roi: 'Projected ROI'
+            },
+            compare: {
+                with: 'Compare with',
+                none: 'No comparison',
+                until: 'to',
+                current: 'Current data',
+                currentLower: 'current data',
+                hint: 'A copy of the data is saved each day; you can compare periods from the second one on.',
+                periodChanges: 'Changes in the Period',
+                spentInPeriod: 'Spent in the Period',
+                points: '{value} pts',
+                spentByCategory: 'Spend in the period by category',
+                budgetChanges: 'Budget Changes',
+                budgetUnchanged: 'The budget did not change in the period.',
+                revisedUp: {
+                    one: '{count} line item revised upward by {amount}.',
+                    other: '{count} line items revised upward by {amount}.'
+                },
+                section: 'Section',
+                line: 'Line item',
+                before: 'Before',
+                now: 'Now',
+                change: 'Change',
+                upward: 'Revised up'
+            },
+            quality: {
+                title: 'Data Quality',
+                ok: 'No issues',
+                errors: { one: '{count} error', other: '{count} errors' },
+                warnings: { one: '{count} warning', other: '{count} warnings' },
+                allGood: 'The totals match across sheets and every expense has a valid date, category and amount.',
+                alert: {
+                    one: '{count} error was found in the data.',
+                    other: '{count} errors were found in the data.'
+                },
+                alertNote: 'Some figures may show as zero or not add up.',
+                alertLink: 'See Data Quality',
+                area: {
+                    format: '{sheet} format',
+                    budget: 'Budget',
+                    capitalVsBudget: 'Capital vs Budget',
+                    investors: 'Investors',
+                    expenses: 'Expenses',
+                    sales: 'Sales',
+                    milestones: 'Milestones'
+                },
+                subtotals: 'The {name} line items add up to {sum}, but the budget total is {total} (difference {difference}).',
+                capitalUse: 'Capital use for {name}: {amount} in the CAPITAL sheet against {total} in BUDGET.',
+                investorsSum: 'The investors\' contributions add up to {sum}, but the capital contributed is {contributed}.',
+                empty: '(empty)',
+                more: '{list} and {count} more',
+                badDates: {
+                    one: '{count} expense with an unreadable date; it is left out when filtering by date: {list}.',
+                    other: '{count} expenses with unreadable dates; they are left out when filtering by date: {list}.'
+                },
+                unknownCategory: {
+                    one: '{count} expense with category "{category}", which is not Hard Cost, Soft Cost or Terreno; it does not count in the progress by category.',
+                    other: '{count} expenses with category "{category}", which is not Hard Cost, Soft Cost or Terreno; they do not count in the progress by category.'
+                },
+                zeroAmounts: {
+                    one: '{count} expense with a zero or unreadable amount: {list}.',
+                    other: '{count} expenses with a zero or unreadable amount: {list}.'
+                },
+                unknownStatus: '{name}: unknown status "{status}" (use Disponible, Apartada, Vendida or Escriturada).',
+                saleNotInBudget: '{name} is in the sales sheet but not among the budget\'s houses.',
+                noAgreedPrice: '{name} is {status} with no agreed price; the list price is used.',
+                overpaid: '{name}: the payments received ({received}) exceed the price ({price}).',
+                badMilestoneDates: {
+                    one: '{name}: unreadable date {dates}; the milestone may not show on the timeline.',
+                    other: '{name}: unreadable dates {dates}; the milestone may not show on the timeline.'
+                },
+                endsEarly: '{name}: the end date is before the start date.'
+            },
+            portfolio: {
+                title: 'Project Portfolio',
+                loading: 'Loading projects...',
+                project: 'Project',
+                progress: 'Weighted Progress',
+                loadError: 'The data could not be loaded: {message}',
+                total: 'Portfolio total ({count})'
+            },
+            summary: {
+                categoryProgress: 'Progress by Category',
+                capitalDistribution: 'Capital Distribution'
+            },
+            budget: {
+                title: 'Budget vs Actual',
+                hardTitle: 'Hard Costs (Construction)',
+                totalSummary: 'Total Summary',
+                executed: 'Actual',
+                remaining: 'Remaining',
+                toExecute: '{percent} left to spend',
+                executedVsBudget: 'Actual vs Budgeted',
+                executedAmount: 'Actual: {amount}',
+                projection: 'Projected at completion: {amount}',
+                overBudget: '{amount} over budget',
+                exceeded: 'Over budget',
+                projectedToExceed: 'Projected to exceed',
+                budgetShort: 'Budget: {amount}',
+                spentShort: 'Spent: {amount}',
+                categoryTotal: 'Total {name}'
+            },
+            forecast: {
+                title: 'Forecast at Completion',
+                noData: 'There are no recent dated expenses to estimate the spending rate.',
+                completion: 'Estimated Completion',
+                monthsLeft: {
+                    plan: '{months} months per the construction plan',
+                    progress: '{months} months at the current pace of the works',
+                    spending: '{months} months at the current rate'
+                },
+                finalCost: 'Projected Final Cost',
+                withinBudget: 'Within budget',
+                burnRate: 'Spending Rate',
+                perMonth: '{amount}/month',
+                window: 'Last {days} days to {date}',
+                ok: 'No line item is on track to exceed its budget.',
+                exceeded: 'Already over its budget by {overrun}; at the current rate it would close at {projected}.',
+                onTrack: 'At the current rate it would close at {projected}, {overrun} over its budget.'
+            },
+            export: {
+                csv: 'Export CSV',
+                xlsx: 'Export Excel',
+                budgetCsvTitle: 'Budget vs actual per line item',
+                budgetXlsxTitle: 'Workbook with the Budget and Expenses sheets',
+                expensesCsvTitle: 'Expenses with the current filters',
+                expensesXlsxTitle: 'Workbook with the Expenses and Budget sheets',
+                expenses: 'Expenses',
+                budget: 'Budget',
+                report: 'Report',
+                line: 'Line item',
+                executedPct: '% Spent',
+                projection: 'Projected at completion'
+            },
+            financials: {
+                title: 'Financial Indicators',
+                project: 'Project Indicators',
+                capital: 'Capital Indicators',
+                totalIncome: 'Total Income',
+                projectCost: 'Project Cost',
+                profit: 'Profit',
+                margin: 'Profit Margin',
+                projectedProfit: 'Projected profit',
+                capitalContributed: 'Capital Contributed',
+                totalReturn: 'Total Return',
+                roi: 'ROI',
+                projectedRoi: 'Projected ROI',
+                capitalMultiple: 'Capital Multiple',
+                projectedNote: 'with the cost projected at the current spending rate'
+            },
+            cashflow: {
+                title: 'Cash Flow',
+                chartTitle: 'Monthly and Cumulative Flow',
+                netInflow: 'Net inflow',
+                netOutflow: 'Net outflow',
+                projected: 'Projected',
+                cumulative: 'Cumulative',
+                monthly: 'Monthly flow',
+                needsDates: 'Dated expenses are needed to build the cash flow.',
+                differs: 'differs',
+                flow: 'Cash flow',
+                value: 'Value',
+                sheet: 'Capital sheet',
+                irr: 'Project IRR',
+                irrNote: 'annual, from the timing of the flows',
+                roiNote: 'total, regardless of timing',
+                profitNote: 'sales minus costs',
+                multiple: 'Multiple',
+                multipleNote: 'sales over costs',
+                peak: 'Peak capital requirement',
+                peakNote: 'in {month}',
+                payback: 'Payback month',
+                paybackNote: 'the cumulative flow is back to zero',
+                noPayback: 'Not recovered',
+                minBalance: 'Minimum cash balance',
+                minBalanceNote: 'with the contributions on their dates',
+                shortfall: 'With the contributions on their dates the cash balance would fall to {amount}: capital must come in earlier or increase.',
+                undated: {
+                    one: '{count} undated expense is counted in the month of the latest recorded expense.',
+                    other: '{count} undated expenses are counted in the month of the latest recorded expense.'
+                },
+                month: 'Month',
+                costs: 'Costs',
+                sales: 'Sales',
+                net: 'Net',
+                contributions: 'Contributions',
+                balance: 'Cash balance',
+                projectedShort: '(proj.)'
+            },
+            waterfall: {
+                title: 'Distribution Waterfall',
+                basis: 'Profit to distribute',
+                sheet: 'Per the capital sheet',
+                projected: 'Projected at the spending rate',
+                custom: 'Other amount',
+                amount: 'Amount (MXN)',
+                noDate: 'no date',
+                dates: 'Investment: {investment} · Distribution: {distribution}',
+                years: '({years} years)',
+                noIrr: '— the IRR needs both dates',
+                noInvestors: 'No investor contributions were found in the capital sheet.',
+                tier: 'Tier',
+                distributed: 'Distributed',
+                investors: 'Investors',
+                multiple: 'Investors\' multiple',
+                irr: 'Investors\' IRR',
+                sponsor: 'Developer',
+                tiers: {
+                    capital: 'Return of capital',
+                    preferred: 'Preferred return ({rate} annual)',
+                    catchUp: '{sponsor} catch-up ({rate})',
+                    profit: 'Profit{split}',
+                    excess: 'Excess{split}',
+                    untilIrr: 'Up to {irr} IRR{split}'
+                },
+                terms: {
+                    preferredCompound: '{rate} annual preferred return, compounded',
+                    preferredSimple: '{rate} annual preferred return, simple',
+                    noPreferred: 'No preferred return',
+                    catchUp: 'catch-up {rate}',
+                    noPromote: 'no {sponsor} promote: the profit is split pro rata',
+                    untilIrr: '{split} up to {irr} IRR',
+                    then: ', then ',
+                    splits: '{tiers} (investors/{sponsor})'
+                }
+            },
+            investors: {
+                title: 'Investors',
+                mine: 'My Investment',
+                none: 'No investor data was found.',
+                investor: 'Investor',
+                contribution: 'Contribution',
+                ownership: 'Ownership',
+                projectedDistribution: 'Projected Distribution',
+                irr: 'IRR',
+                notFound: '"{name}" was not found in the capital sheet. Contact the project administrator.',
+                projectedReturn: 'Projected Return',
+                waterfallDistribution: 'Distribution per the waterfall',
+                waterfallNote: 'with the profit selected in Distribution Waterfall'
+            },
+            view: {
+                label: 'View',
+                cards: 'Cards',
+                table: 'Table'
+            },
+            houses: {
+                title: 'House Information',
+                none: 'No house data was found.',
+                units: 'Units',
+                totalArea: 'Total Area',
+                avgPrice: 'Average Price per m²',
+                weighted: 'Weighted by area',
+                totalValue: 'Total Market Value',
+                netIncomeAmount: 'Net income: {amount}',
+                unit: 'Unit',
+                area: 'Area',
+                pricePerSqm: 'Price per m²',
+                salePrice: 'Sale Price',
+                netIncome: 'Net Income',
+                average: '{amount} avg.'
+            },
+            sales: {
+                title: 'Sales Status',
+                noHouses: 'No houses were found in the budget.',
+                listPrice: 'List price',
+                noListPrice: 'No price in the budget',
+                agreedPrice: 'Agreed price',
+                vsList: '{diff} vs list',
+                buyer: 'Buyer',
+                pending: 'Pending',
+                deedDate: 'Deed date',
+                closeDate: 'Estimated closing date',
+                tbd: 'To be defined',
+                collected: 'Collected',
+                status: 'Status',
+                listPriceColumn: 'List Price',
+                agreedPriceColumn: 'Agreed Price',
+                toCollect: 'To Collect',
+                committedCount: { one: '{count} committed', other: '{count} committed' },
+                projectedRevenue: 'Projected Revenue',
+                vsListPrices: '{diff} vs list prices',
+                atListPrices: 'At list prices',
+                committed: 'Committed',
+                committedUnits: '{sold} of {total} houses reserved or sold',
+                ofProjected: '{percent} of projected revenue',
+                fromCommitted: 'From the committed houses',
+                realizedVsProjected: 'Realized vs projected revenue',
+                committedToCollect: 'Committed, to collect',
+                noSalesData: 'This project has no sales data configured; every house is shown as available at its list price.',
+                concept: 'Item',
+                due: 'Due',
+                received: 'Received',
+                payment: 'Payment',
+                paidOn: 'Paid on {date}'
+            },
+            saleStatus: {
+                disponible: 'Available',
+                apartada: 'Reserved',
+                vendida: 'Sold',
+                escriturada: 'Deeded'
+            },
+            paymentState: {
+                paid: 'Paid',
+                partial: 'Partial',
+                overdue: 'Overdue',
+                pending: 'Pending'
+            },
+            milestones: {
+                title: 'Construction Progress',
+                timeline: 'Timeline',
+                planned: 'Planned',
+                today: 'Today',
+                none: 'This project has no construction milestones. Add a HITOS sheet (milestone, planned start and end, actual start and end, % complete) to see physical progress next to financial progress.',
+                noDates: 'No dates',
+                physical: 'Physical Progress',
+                financial: 'Financial Progress',
+                gap: 'Difference',
+                spendAhead: 'Spending is ahead of construction',
+                workAhead: 'Construction is level with or ahead of spending',
+                completed: 'Milestones Completed',
+                statusCounts: '{inProgress} in progress · {delayed} delayed',
+                inProgress: 'in progress',
+                notStarted: 'Not started',
+                actual: 'Actual',
+                delay: { one: '{count} day late', other: '{count} days late' },
+                progress: 'Progress',
+                periodSpend: 'Spend in the period',
+                ofSpend: '{amount} ({percent} of spend)',
+                photo: 'Progress photo'
+            },
+            milestoneStatus: {
+                completado: 'Completed',
+                'en-curso': 'In progress',
+                retrasado: 'Delayed',
+                pendiente: 'Pending'
+            },
+            progressStrategy: {
+                weighted: 'Weighted by category',
+                'budget-share': 'Proportional to budget',
+                physical: 'Physical progress'
+            },
+            progress: {
+                physical: 'Physical progress: average progress of the {count} construction milestones (HITOS sheet), weighted by their weight: {parts}.',
+                budgetShare: 'Total spend over total budget ({spent} of {budget}); each category weighs its share of the budget: {parts}.',
+                weighted: 'Spent over budget per category, weighted: {parts}.',
+                fallback: 'No construction milestones to measure physical progress.',
+                noWeights: 'no weighted categories'
+            },
+            gallery: {
+                title: 'Construction Progress Gallery',
+                group: 'Group photos',
+                byDate: 'By date',
+                byStage: 'By stage',
+                loading: 'Loading project photos...',
+                none: 'No project photos were found.',
+                empty: 'There are no photos in the project folder yet.',
+                loadError: 'The photos could not be loaded: {message}',
+                driveNote: 'The photos can be viewed directly in Google Drive:',
+                openDrive: 'Open the photo folder in Google Drive',
+                photos: { one: '{count} photo', other: '{count} photos' },
+                general: 'General',
+                undated: 'Undated'
+            },
+            lightbox: {
+                close: 'Close',
+                prev: 'Previous',
+                next: 'Next',
+                position: '{index} of {total}'
+            },
+            expenses: {
+                title: 'Expense History',
+                category: 'Category',
+                subcategory: 'Subcategory',
+                from: 'From',
+                to: 'To',
+                all: 'All',
+                clear: 'Clear filters',
+                monthly: 'Monthly Spend',
+                cumulativeVsBudget: 'Cumulative Spend vs Budget',
+                budget: 'Budget',
+                date: 'Date',
+                amount: 'Amount',
+                filteredTotal: 'Filtered total',
+                none: 'No expenses match the selected filters.',
+                range: '{from} to {to}',
+                since: 'from {date}',
+                until: 'until {date}',
+                budgetOf: '{category} budget',
+                budgetTotal: 'Total budget',
+                undated: {
+                    one: '{count} expense without a readable date ({amount}) is left out of the charts.',
+                    other: '{count} expenses without a readable date ({amount}) are left out of the charts.'
+                }
+            },
+            charts: {
+                monthly: 'Monthly spend by category',
+                cumulative: 'Cumulative spend against budget',
+                cashFlow: 'Monthly and cumulative cash flow',
+                gantt: 'Construction milestone timeline',
+                empty: 'There are no dated expenses to chart with the current filters.',
+                noMilestoneDates: 'The milestones have no dates to chart.',
+                cashFlowTooltip: '{month}{projected}: net {net}, cumulative {cumulative}',
+                projected: ' (projected)',
+                planned: '{name} · planned: {from} – {to}',
+                actual: '{name} · actual: {from} – {to} · {status} · {progress}%'
+            },
+            report: {
+                title: 'Investor Report',
+                error: 'The report could not be generated. Please try again.',
+                dataAsOf: 'Data as of {date}',
+                generated: 'Generated',
+                preparedFor: 'Prepared for',
+                view: 'View',
+                adminView: 'Administrator (includes every investor)',
+                use: 'Use',
+                shareOfTotal: '% of total',
+                deviation: 'Projected deviation',
+                projection: 'Projection',
+                overrunAlerts: 'Overrun Alerts',
+                projectedProfit: 'Projected profit (current spending rate)',
+                projectedRoi: 'Projected ROI (current spending rate)',
+                notFound: '"{name}" was not found in the capital sheet.',
+                filters: 'Filters: {filters}',
+                allExpenses: 'Every recorded expense.',
+                ledgerTotal: { one: 'Total ({count} expense)', other: 'Total ({count} expenses)' },
+                page: 'Page {page} of {count}',
+                noData: 'No data'
+            },
+            admin: {
+                title: 'Administration · Investor Reporting',
+                heading: 'Project administration',
+                subheading: 'Projects, passwords and data sources',
+                back: 'Dashboard',
+                backTitle: 'Back to the dashboard',
+                deniedTitle: 'Restricted access',
+                denied: 'Log in to the dashboard with an administrator account to manage projects.',
+                goToDashboard: 'Go to the dashboard',
+                expired: 'Your session expired. Log in to the dashboard again.',
+                loadFailed: 'The projects could not be loaded: {message}',
+                projects: 'Projects',
+                newProject: '+ New project',
+                noProjects: 'There are no projects yet. Create the first one with "New project".',
+                key: 'Key',
+                name: 'Name',
+                source: 'Data source',
+                photos: 'Photos',
+                status: 'Status',
+                noFolder: 'No folder',
+                active: 'Active',
+                archived: 'Archived',
+                activity: 'Activity',
+                edit: 'Edit',
+                archive: 'Archive',
+                restore: 'Restore',
+                sources: {
+                    file: 'Uploaded file',
+                    json: 'JSON',
+                    sheets: 'Google Sheets ({sheets})',
+                    noSheets: 'no sheets'
+                },
+                confirmArchive: 'Archive "{name}"? Nobody can open it until you restore it; its configuration is kept.',
+                wasArchived: '{name} was archived.',
+                wasRestored: '{name} is active again.',
+                updateFailed: 'The project could not be updated: {message}',
+                roles: {
+                    viewer: 'Project password',
+                    investor: 'Investor',
+                    admin: 'Administrator'
+                }
+            },
+            adminActivity: {
+                title: 'Activity in {name}',
+                close: 'Close',
+                privacy: 'Only who comes in, which sections they open and what they download is recorded; no IP addresses or browser data are kept, and logins with the project password are anonymous.',
+                loading: 'Loading the activity…',
+                failed: 'The activity could not be loaded: {message}',
+                none: 'Nobody has opened this project yet.',
+                since: 'Since {date}.',
+                user: 'User',
+                lastAccess: 'Last access',
+                accesses: 'Logins',
+                views: 'Sections viewed',
+                topSection: 'Most viewed section',
+                exports: 'Downloads',
+                sections: 'Most viewed sections',
+                noSections: 'No sections have been viewed yet.',
+                sectionViews: { one: '{count} view', other: '{count} views' },
+                sectionUsers: { one: '{count} user', other: '{count} users' }
+            },
+            adminEditor: {
+                newProject: 'New project',
+                editProject: 'Edit {name}',
+                keyPlaceholder: 'e.g. ARBOLEDAS',
+                namePlaceholder: 'e.g. Casa Arboledas',
+                password: 'Project password',
+                passwordPlaceholder: 'At least 8 characters',
+                sheets: 'Google Sheets',
+                sheetsFormat: '(published as CSV)',
+                fileSource: 'This project loads its data from an uploaded file; the sheets are optional.',
+                jsonSource: 'This project loads its data from a JSON endpoint; the sheets are optional.',
+                drive: 'Google Drive photo folder',
+                save: 'Save project',
+                cancel: 'Cancel',
+                saved: 'The changes to {name} were saved.',
+                created: '{name} ({key}) was created.',
+                changePassword: 'Change the project password',
+                passwordNote: 'Sessions opened with the previous password stay active until they expire.',
+                newPassword: 'New password',
+                submitPassword: 'Change password',
+                passwordChanged: 'The password of {name} was changed.',
+                test: 'Test',
+                enterUrl: 'Enter the sheet URL to test it.',
+                fetching: 'Downloading the sheet…',
+                rows: { one: '{count} row', other: '{count} rows' },
+                structureOk: 'The sheet has the expected structure.',
+                houses: { one: '{count} house', other: '{count} houses' },
+                expenses: { one: '{count} expense', other: '{count} expenses' },
+                total: 'Total {amount}',
+                undated: '{count} undated',
+                investors: { one: '{count} investor', other: '{count} investors' },
+                contributed: 'Contributed {amount}',
+                sales: { one: '{count} sale', other: '{count} sales' },
+                milestones: { one: '{count} milestone', other: '{count} milestones' }
+            },
+            schema: {
+                labelNotFound: 'The label "{label}" was not found in column {column}.',
+                labelNotFoundInSection: 'The label "{label}" was not found in column {column} within the section {section}.',
+                notNumeric: 'Cell {cell} ("{label}") is empty or not numeric.',
+                fieldNotNumeric: 'Cell {cell} ({field}) is empty or not numeric.',
+                noUnitsMatching: 'No units with a label matching /{pattern}/ were found in column {column}.',
+                noUnitsMatchingInSection: 'No units with a label matching /{pattern}/ were found in column {column} within the section {section}.',
+                noUnits: 'No units with a commercial value were found in column {column}.',
+                noUnitsInSection: 'No units with a commercial value were found in column {column} within the section {section}.',
+                columnUnreached: 'No row reaches column {column}.',
+                noExpenses: 'The sheet has no expenses after the header.',
+                emptyColumn: 'Column {column} ({field}) is empty in every row.',
+                rowMissing: 'Row {row} ({field}) does not exist.',
+                noInvestors: 'No investors were found from cell {cell} on.'
+            },
+            dataSources: {
+                unknownType: 'Unknown data source type: "{type}".',
+                unsupportedFile: 'Unsupported file format: "{name}" (use .xlsx or .csv).',
+                missingFile: 'The data source has no file for "{key}".',
+                fileNeedsFiles: 'A data source of type "file" needs "file" or "files".',
+                missingTab: 'The "{key}" tab was not found in the file ({tabs}).',
+                jsonNeedsUrl: 'A data source of type "json" needs "url".'
+            },
+            errors: {
+                INVALID_JSON: 'The request body is not valid JSON.',
+                INVALID_BODY: 'The request body must be a JSON object.',
+                BODY_TOO_LARGE: 'The request body is too large.',
+                BAD_REQUEST: 'The requested path is not valid.',
+                NOT_FOUND: 'Not found.',
+                METHOD_NOT_ALLOWED: 'Method not allowed.',
+                INTERNAL_ERROR: 'Internal server error.',
+                UNAUTHORIZED: 'Invalid or expired session.',
+                MISSING_PASSWORD: 'Please enter a password.',
+                INVALID_CREDENTIALS: 'Wrong username or password. Please try again.',
+                NO_PROJECTS: 'Your account has no projects assigned.',
+                TOO_MANY_ATTEMPTS: 'Too many attempts. Wait a moment before trying again.',
+                LOGIN_LOCKED: 'Too many failed attempts. Access is locked for a while.',
+                FORBIDDEN: 'You don\'t have access to this project.',
+                ADMIN_ONLY: 'Only administrators can do this.',
+                MISSING_URL: 'The "url" parameter is missing.',
+                NOT_WHITELISTED: 'The requested URL is not a sheet configured for this project.',
+                NO_CAPITAL_SHEET: 'The project has no CAPITAL sheet configured.',
+                CAPITAL_NOT_SCOPED: 'This project loads its capital from an XLSX workbook, which only administrators can open.',
+                INVALID_JSON_SOURCE: 'The data source did not return valid JSON.',
+                UPSTREAM_TIMEOUT: 'The data source took too long to respond.',
+                UPSTREAM_UNREACHABLE: 'Could not reach the data source.',
+                UPSTREAM_ERROR: 'The data source responded with HTTP {status}.',
+                INVALID_FILE_NAME: 'Invalid file name (use .xlsx, .csv or .json).',
+                FILE_NOT_FOUND: 'The project\'s data file was not found.',
+                GALLERY_NOT_CONFIGURED: 'This project\'s gallery is not configured on the server.',
+                INVALID_PHOTO_ID: 'Invalid photo ID.',
+                INVALID_SIGNATURE: 'The photo link is invalid or has expired.',
+                PHOTO_NOT_FOUND: 'Photo not found.',
+                DRIVE_TIMEOUT: 'Google Drive took too long to respond.',
+                DRIVE_UNREACHABLE: 'Could not reach Google Drive.',
+                DRIVE_ERROR: 'Google Drive responded with HTTP {status}. Check that the folder is public.',
+                PROJECT_NOT_FOUND: 'Project not found.',
+                PROJECT_EXISTS: 'A project with key {key} already exists.',
+                INVALID_KEY: 'The project key must have 2 to 40 letters, digits, "-" or "_".',
+                MISSING_NAME: 'The project needs a name.',
+                MISSING_SHEET: 'The {sheet} sheet URL is missing.',
+                INVALID_SHEET_URL: 'The {sheet} URL is not a Google Sheet published as CSV.',
+                NOT_A_SHEET_URL: 'The URL is not a Google Sheet published as CSV (…/pub?output=csv).',
+                INVALID_DRIVE_FOLDER: 'The folder must be a Google Drive link (…/drive/folders/<id>).',
+                WEAK_PASSWORD: 'The password must have at least {min} characters.',
+                PASSWORD_IN_USE: 'That password already opens another project; choose a different one.'
+            }
+        }
+    },
+
+    /**
+     * Pick the language: the one chosen on this device, else the browser's if we
+     * have it, else Spanish.
+     */
+    init() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.STORAGE_KEY);
+        } catch (e) {
+            // Storage unavailable (private mode): the browser's language decides
+        }
+        const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+        this.locale = this.LOCALES[saved] ? saved : this.LOCALES[browser] ? browser : this.DEFAULT_LOCALE;
+        document.documentElement.lang = this.locale;
+        this.apply(document);
+    },
+
+    /**
+     * Switch the language, remember it on this device and translate the static markup.
+     * Returns false for an unknown locale.
+     */
+    setLocale(locale) {
+        if (!this.LOCALES[locale]) return false;
+        this.locale = locale;
+        try {
+            localStorage.setItem(this.STORAGE_KEY, locale);
+        } catch (e) {
+            // Not remembered, but still applied
+        }
+        document.documentElement.lang = locale;
+        this.apply(document);
+        return true;
+    },
+
+    /**
+     * The message for `key` with its `{placeholders}` filled from params.
+     */
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key) ?? this.lookup(this.DEFAULT_LOCALE, key);
+        if (message === undefined) return key;
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this.intl()).select(params.count);
+            message = message[form] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+    },
+
+    lookup(locale, key) {
+        return key.split('.').reduce((node, part) => node && typeof node === 'object' ? node[part] : undefined, this.messages[locale]);
+    },
+
+    /**
+     * Display name of a value from a fixed set (a status, a category...), or the
+     * value itself when it has none.
+     */
+    label(group, value) {
+        const message = this.lookup(this.locale, `${group}.${value}`) ?? this.lookup(this.DEFAULT_LOCALE, `${group}.${value}`);
+        return typeof message === 'string' ? message : value;
+    },
+
+    /**
+     * Display name of an expense category ('Hard Cost', 'Soft Cost', 'Terreno').
+     */
+    category(category) {
+        return this.label('categories', category);
+    },
+
+    /**
+     * A label from the CAPITAL sheet, which is written in Spanish: shown as is in
+     * Spanish, replaced by the catalog's `key` in other languages (and when it is empty).
+     */
+    sheetLabel(label, key) {
+        return label && this.locale === this.DEFAULT_LOCALE ? label : this.t(key);
+    },
+
+    /**
+     * The Intl locale tag for formatting: 'es-MX' or 'en-US'.
+     */
+    intl() {
+        return this.LOCALES[this.locale].intl;
+    },
+
+    formatDate(date, options) {
+        return date.toLocaleDateString(this.intl(), options);
+    },
+
+    formatDateTime(date, options) {
+        return date.toLocaleString(this.intl(), options);
+    },
+
+    formatNumber(value, options) {
+        return value.toLocaleString(this.intl(), options);
+    },
+
+    /**
+     * Translate the static markup under `root` (see the data-i18n attributes above).
+     */
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        for (const attr of ['placeholder', 'title', 'aria-label', 'alt']) {
+            root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+                el.setAttribute(attr, this.t(el.getAttribute(`data-i18n-${attr}`)));
+            });
+        }
+    }
+};
@@ -0,0 +1,223 @@
+/**
+ * PDF Module
+ * Minimal PDF 1.4 writer for documents generated in the browser: Letter-size pages,
+ * the standard Helvetica and Helvetica-Bold fonts (not embedded, WinAnsi encoding,
+ * which covers Spanish text), text, lines and filled rectangles.
+ * Coordinates are points from the top-left corner of the page.
+ */
+
+const Pdf = {
+    PAGE_WIDTH: 612,
+    PAGE_HEIGHT: 792,
+
+    FONTS: {
+        regular: { name: 'F1', baseFont: 'Helvetica' },
+        bold: { name: 'F2', baseFont: 'Helvetica-Bold' }
+    },
+
+    // Glyph widths (1/1000 em) for WinAnsi codes 32-255, from the Adobe core font metrics
+    WIDTHS: {
+        regular: [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584, 0,
+            556, 0, 222, 556, 333, 1000, 556, 556, 333, 1000, 667, 333, 1000, 0, 611, 0,
+            0, 222, 222, 333, 333, 350, 556, 1000, 333, 1000, 500, 333, 944, 0, 500, 500,
+            278, 333, 556, 556, 556, 556, 260, 556, 333, 737, 370, 556, 584, 333, 737, 333,
+            400, 584, 333, 333, 333, 556, 537, 278, 333, 333, 365, 556, 834, 834, 834, 611,
+            667, 667, 667, 667, 667, 667, 1000, 722, 667, 667, 667, 667, 278, 278, 278, 278,
+            722, 722, 778, 778, 778, 778, 778, 584, 778, 722, 722, 722, 722, 667, 667, 611,
+            556, 556, 556, 556, 556, 556, 889, 500, 556, 556, 556, 556, 278, 278, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 584, 611, 556, 556, 556, 556, 500, 556, 500
+        ],
+        bold: [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+            975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+            333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584, 0,
+            556, 0, 278, 556, 500, 1000, 556, 556, 333, 1000, 667, 333, 1000, 0, 611, 0,
+            0, 278, 278, 500, 500, 350, 556, 1000, 333, 1000, 556, 333, 944, 0, 500, 556,
+            278, 333, 556, 556, 556, 556, 280, 556, 333, 737, 370, 556, 584, 333, 737, 333,
+            400, 584, 333, 333, 333, 611, 556, 278, 333, 333, 365, 556, 834, 834, 834, 611,
+            722, 722, 722, 722, 722, 722, 1000, 722, 667, 667, 667, 667, 278, 278, 278, 278,
+            722, 722, 778, 778, 778, 778, 778, 584, 778, 722, 722, 722, 722, 667, 667, 611,
+            556, 556, 556, 556, 556, 556, 889, 556, 556, 556, 556, 556, 278, 278, 278, 278,
+            611, 611, 611, 611, 611, 611, 611, 584, 611, 611, 611, 611, 611, 556, 611, 556
+        ]
+    },
+
+    // Unicode code points outside Latin-1 that WinAnsi places in 128-159
+    WIN_ANSI: {
+        0x20ac: 128, 0x201a: 130, 0x0192: 131, 0x201e: 132, 0x2026: 133, 0x2020: 134, 0x2021: 135,
+        0x02c6: 136, 0x2030: 137, 0x0160: 138, 0x2039: 139, 0x0152: 140, 0x017d: 142, 0x2018: 145,
+        0x2019: 146, 0x201c: 147, 0x201d: 148, 0x2022: 149, 0x2013: 150, 0x2014: 151, 0x02dc: 152,
+        0x2122: 153, 0x0161: 154, 0x203a: 155, 0x0153: 156, 0x017e: 158, 0x0178: 159,
+        // Narrow and thin spaces (used by toLocaleString) and the minus sign
+        0x202f: 32, 0x2009: 32, 0x2212: 45
+    },
+
+    /**
+     * Start an empty document. Draw with the returned object's methods, then call output().
+     */
+    create({ title = '' } = {}) {
+        const pages = [];
+        let current = null;
+        const pdf = this;
+
+        return {
+            get pageCount() {
+                return pages.length;
+            },
+
+            addPage() {
+                current = [];
+                pages.push(current);
+                return pages.length - 1;
+            },
+
+            /**
+             * Draw on an earlier page (e.g. to add footers once the page count is known).
+             */
+            usePage(index) {
+                current = pages[index];
+            },
+
+            /**
+             * Text with its baseline at y. Options: size, font ('regular' | 'bold'), color,
+             * align ('left' | 'right' | 'center', relative to x), maxWidth (truncates with an ellipsis).
+             */
+            text(str, x, y, { size = 10, font = 'regular', color = '#1a202c', align = 'left', maxWidth = null } = {}) {
+                let bytes = pdf.encode(String(str));
+                if (maxWidth && pdf.bytesWidth(bytes, size, font) > maxWidth) {
+                    const ellipsis = String.fromCharCode(133);
+                    while (bytes.length && pdf.bytesWidth(bytes + ellipsis, size, font) > maxWidth) {
+                        bytes = bytes.slice(0, -1);
+                    }
+                    bytes += ellipsis;
+                }
+                const width = pdf.bytesWidth(bytes, size, font);
+                const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+                current.push(`BT /${pdf.FONTS[font].name} ${size} Tf ${pdf.color(color)} rg ` +
+                    `1 0 0 1 ${pdf.num(left)} ${pdf.num(pdf.PAGE_HEIGHT - y)} Tm (${pdf.escape(bytes)}) Tj ET`);
+                return width;
+            },
+
+            rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+                const ops = [];
+                if (fill) ops.push(`${pdf.color(fill)} rg`);
+                if (stroke) ops.push(`${pdf.color(stroke)} RG ${lineWidth} w`);
+                ops.push(`${pdf.num(x)} ${pdf.num(pdf.PAGE_HEIGHT - y - height)} ${pdf.num(width)} ${pdf.num(height)} re`);
+                ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+                current.push(ops.join(' '));
+            },
+
+            line(x1, y1, x2, y2, { color = '#e2e8f0', width = 1 } = {}) {
+                current.push(`${pdf.color(color)} RG ${width} w ${pdf.num(x1)} ${pdf.num(pdf.PAGE_HEIGHT - y1)} m ` +
+                    `${pdf.num(x2)} ${pdf.num(pdf.PAGE_HEIGHT - y2)} l S`);
+            },
+
+            textWidth(str, size = 10, font = 'regular') {
+                return pdf.bytesWidth(pdf.encode(String(str)), size, font);
+            },
+
+            /**
+             * Serialize the document. Returns a Uint8Array.
+             */
+            output() {
+                return pdf.serialize(pages, title);
+            }
+        };
+    },
+
+    // ========== ENCODING ==========
+
+    /**
+     * Unicode string to WinAnsi bytes (as a binary string); unsupported characters become "?".
+     */
+    encode(str) {
+        let out = '';
+        for (const ch of str) {
+            const code = ch.codePointAt(0);
+            if (code === 0x0a || code === 0x09) {
+                out += ' ';
+            } else if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) {
+                out += String.fromCharCode(code === 160 ? 32 : code);
+            } else if (this.WIN_ANSI[code]) {
+                out += String.fromCharCode(this.WIN_ANSI[code]);
+            } else if (code >= 32) {
+                out += '?';
+            }
+        }
+        return out;
+    },
+
+    escape(bytes) {
+        return bytes.replace(/[\\()]/g, '\\$&');
+    },
+
+    bytesWidth(bytes, size, font) {
+        const widths = this.WIDTHS[font];
+        let total = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            total += widths[bytes.charCodeAt(i) - 32] || 0;
+        }
+        return (total * size) / 1000;
+    },
+
+    color(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => this.num(c / 255)).join(' ');
+    },
+
+    num(n) {
+        return String(Math.round(n * 100) / 100);
+    },
+
+    // ========== SERIALIZATION ==========
+
+    /**
+     * Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its
+     * content stream per page. All content is single-byte, so string length is byte length.
+     */
+    serialize(pages, title) {
+        const objects = [];
+        const pageIds = pages.map((_, i) => 6 + i * 2);
+        const pad = (n) => String(n).padStart(2, '0');
+        const now = new Date();
+        const date = `D:${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /${this.FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`;
+        objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /${this.FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`;
+        objects[5] = `<< /Title (${this.escape(this.encode(title))}) /Producer (Reporting Inversionistas) /CreationDate (${date}) >>`;
+        pages.forEach((ops, i) => {
+            const content = ops.join('\n');
+            objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.PAGE_WIDTH} ${this.PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+            objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+        });
+
+        let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = out.length;
+            out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        const xref = out.length;
+        out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(out.length);
+        for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+        return bytes;
+    }
+};
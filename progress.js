@@ -0,0 +1,127 @@
+/**
+ * Progress Module
+ * How the "Avance General" KPI is measured. A project picks a strategy with its
+ * `progress` config, a strategy name or an object:
+ *
+ *   { strategy: 'weighted', weights: { 'Hard Cost': 80, 'Soft Cost': 20 } }
+ *       spent over budget per category, averaged with the given weights (the default;
+ *       categories left out weigh 0, weights need not add up to 100)
+ *   { strategy: 'budget-share' }
+ *       every category weighted by its share of the budget: total spent over total budget
+ *   { strategy: 'physical' }
+ *       percent complete of the construction milestones (HITOS sheet), weighted by
+ *       their `weight` (see DataService.calculateMilestones); without milestones the
+ *       default strategy is used instead
+ *
+ * Percentages are not capped: a category over budget counts above 100%.
+ */
+
+const Progress = {
+    DEFAULTS: {
+        strategy: 'weighted',
+        weights: { 'Hard Cost': 80, 'Soft Cost': 20 }
+    },
+
+    // Shown with I18n.label('progressStrategy', strategy)
+    STRATEGIES: ['weighted', 'budget-share', 'physical'],
+
+    BUDGET_KEYS: {
+        'Hard Cost': 'hardCosts',
+        'Soft Cost': 'softCosts',
+        'Terreno': 'terreno'
+    },
+
+    /**
+     * The project's progress config over the defaults. Unknown strategies fall back
+     * to the default one.
+     */
+    config(project) {
+        const config = project && project.progress;
+        const given = typeof config === 'string' ? { strategy: config } : config || {};
+        const terms = { ...this.DEFAULTS, ...given };
+        if (!this.STRATEGIES.includes(terms.strategy)) {
+            console.warn(`Unknown progress strategy "${terms.strategy}", using "${this.DEFAULTS.strategy}".`);
+            terms.strategy = this.DEFAULTS.strategy;
+        }
+        return terms;
+    },
+
+    /**
+     * Progress for parsed figures. Returns:
+     *   value      percentage
+     *   strategy   the strategy applied (the default one when `physical` has no milestones)
+     *   fallback   true when `physical` had to fall back
+     *   parts      [{ label, progress, weight }] what was averaged (weights in %)
+     *   spent, budget   totals used by `budget-share`
+     */
+    calculate(config, { budget, expSummary, milestones = [] }) {
+        if (config.strategy === 'physical') {
+            if (milestones.length) {
+                const { milestones: items, progress } = DataService.calculateMilestones(milestones, []);
+                const totalWeight = items.reduce((sum, m) => sum + m.weight, 0);
+                return {
+                    value: progress,
+                    strategy: 'physical',
+                    fallback: false,
+                    parts: items.map(m => ({ label: m.name, progress: m.progress, weight: totalWeight > 0 ? (m.weight / totalWeight) * 100 : 0 }))
+                };
+            }
+            return { ...this.calculate(this.DEFAULTS, { budget, expSummary }), fallback: true };
+        }
+
+        const categories = DataService.CATEGORIES.map(category => {
+            const budgetAmount = budget[this.BUDGET_KEYS[category]].total || 0;
+            const spent = expSummary.byCategory[category] || 0;
+            return { label: category, budget: budgetAmount, spent, progress: budgetAmount > 0 ? (spent / budgetAmount) * 100 : 0 };
+        });
+
+        if (config.strategy === 'budget-share') {
+            const totalBudget = categories.reduce((sum, c) => sum + c.budget, 0);
+            const spent = categories.reduce((sum, c) => sum + c.spent, 0);
+            return {
+                value: totalBudget > 0 ? (spent / totalBudget) * 100 : 0,
+                strategy: 'budget-share',
+                fallback: false,
+                parts: categories.map(c => ({ label: c.label, progress: c.progress, weight: totalBudget > 0 ? (c.budget / totalBudget) * 100 : 0 })),
+                spent,
+                budget: totalBudget
+            };
+        }
+
+        const weights = config.weights || this.DEFAULTS.weights;
+        const totalWeight = categories.reduce((sum, c) => sum + (Number(weights[c.label]) || 0), 0);
+        const parts = categories
+            .map(c => ({ label: c.label, progress: c.progress, weight: totalWeight > 0 ? ((Number(weights[c.label]) || 0) / totalWeight) * 100 : 0 }))
+            .filter(p => p.weight > 0);
+        return {
+            value: parts.reduce((sum, p) => sum + p.progress * p.weight / 100, 0),
+            strategy: 'weighted',
+            fallback: false,
+            parts
+        };
+    },
+
+    /**
+     * How a result was calculated, in one paragraph for the KPI's tooltip.
+     * Part labels are categories, except for milestone names under `physical`.
+     */
+    describe(result) {
+        const pct = (value) => DataService.formatPercent(value);
+        const label = (p) => result.strategy === 'physical' ? p.label : I18n.category(p.label);
+        const parts = result.parts.map(p => `${label(p)} ${pct(p.progress)} × ${pct(p.weight)}`).join(', ');
+        switch (result.strategy) {
+            case 'physical':
+                return I18n.t('progress.physical', { count: result.parts.length, parts });
+            case 'budget-share':
+                return I18n.t('progress.budgetShare', {
+                    spent: DataService.formatCurrency(result.spent),
+                    budget: DataService.formatCurrency(result.budget),
+                    parts
+                });
+            default: {
+                const text = I18n.t('progress.weighted', { parts: parts || I18n.t('progress.noWeights') });
+                return result.fallback ? `${I18n.t('progress.fallback')} ${text}` : text;
+            }
+        }
+    }
+};
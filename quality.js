@@ -0,0 +1,239 @@
+/**
+ * Data Quality Module
+ * Validation pass run after DataService.fetchAllData. The parsers fall back to 0
+ * on missing or unreadable values, so broken sheets would otherwise go unnoticed;
+ * this checks that the figures reconcile with each other and flags what does not.
+ */
+
+const DataQuality = {
+    // Differences up to this amount (MXN) are treated as rounding
+    TOLERANCE: 1,
+
+    /**
+     * Run every check over fetched data.
+     * Returns a list of { severity: 'error' | 'warning', area, message }.
+     */
+    check(data) {
+        return [
+            ...this.checkSchema(data.schemaIssues || []),
+            ...this.checkBudgetSubtotals(data.budget),
+            ...this.checkCapitalUses(data.budget, data.capital),
+            ...this.checkInvestors(data.capital),
+            ...this.checkExpenses(data.expenses),
+            ...this.checkSales(data.budget, data.sales || []),
+            ...this.checkMilestones(data.milestones || [])
+        ];
+    },
+
+    differs(a, b) {
+        return Math.abs(a - b) > this.TOLERANCE;
+    },
+
+    checkSchema(schemaIssues) {
+        return schemaIssues.map(issue => ({
+            severity: 'error',
+            area: I18n.t('quality.area.format', { sheet: issue.sheet }),
+            // Issues saved before they kept their key (see SheetSchema.issue) only have the message
+            message: issue.key ? I18n.t(issue.key, issue.params) : issue.message
+        }));
+    },
+
+    /**
+     * Line items of Soft Costs and Terreno should add up to their section total.
+     */
+    checkBudgetSubtotals(budget) {
+        const issues = [];
+        const sections = [
+            { key: 'softCosts', category: 'Soft Cost' },
+            { key: 'terreno', category: 'Terreno' }
+        ];
+        for (const { key, category } of sections) {
+            const section = budget[key];
+            if (!section.items || !section.items.length || section.total === undefined) continue;
+            const itemsSum = section.items.reduce((sum, item) => sum + item.amount, 0);
+            if (this.differs(itemsSum, section.total)) {
+                issues.push({
+                    severity: 'error',
+                    area: I18n.t('quality.area.budget'),
+                    message: I18n.t('quality.subtotals', {
+                        name: I18n.category(category),
+                        sum: DataService.formatCurrency(itemsSum),
+                        total: DataService.formatCurrency(section.total),
+                        difference: DataService.formatCurrency(Math.abs(itemsSum - section.total))
+                    })
+                });
+            }
+        }
+        return issues;
+    },
+
+    /**
+     * Uses of capital in the CAPITAL sheet should match the BUDGET totals.
+     */
+    checkCapitalUses(budget, capital) {
+        const issues = [];
+        const pairs = [
+            { key: 'hardCosts', category: 'Hard Cost' },
+            { key: 'softCosts', category: 'Soft Cost' },
+            { key: 'terreno', category: 'Terreno' }
+        ];
+        for (const { key, category } of pairs) {
+            const use = capital.uses[key];
+            const total = budget[key].total;
+            if (!use || total === undefined) continue;
+            if (this.differs(use.amount, total)) {
+                issues.push({
+                    severity: 'warning',
+                    area: I18n.t('quality.area.capitalVsBudget'),
+                    message: I18n.t('quality.capitalUse', {
+                        name: I18n.category(category),
+                        amount: DataService.formatCurrency(use.amount),
+                        total: DataService.formatCurrency(total)
+                    })
+                });
+            }
+        }
+        return issues;
+    },
+
+    /**
+     * The investors' contributions should add up to the capital contributed.
+     */
+    checkInvestors(capital) {
+        const contributed = capital.capitalIndicators.capitalContributed;
+        if (contributed === undefined || !capital.investors.length) return [];
+        const investorsSum = capital.investors.reduce((sum, inv) => sum + inv.amount, 0);
+        if (!this.differs(investorsSum, contributed)) return [];
+        return [{
+            severity: 'error',
+            area: I18n.t('quality.area.investors'),
+            message: I18n.t('quality.investorsSum', {
+                sum: DataService.formatCurrency(investorsSum),
+                contributed: DataService.formatCurrency(contributed)
+            })
+        }];
+    },
+
+    /**
+     * Expenses with unreadable dates, unknown categories or no amount.
+     * Expenses are reported by their position in the ledger (#1 is the first), grouped per problem.
+     */
+    checkExpenses(expenses) {
+        const badDates = [];
+        const unknownCategories = new Map(); // category -> count
+        const zeroAmounts = [];
+
+        expenses.forEach((exp, i) => {
+            const label = `#${i + 1}`;
+            if (!exp.dateObj) badDates.push(exp.date ? `${label} ("${exp.date}")` : `${label} ${I18n.t('quality.empty')}`);
+            if (!DataService.isKnownCategory(exp.category)) {
+                const cat = exp.category || I18n.t('quality.empty');
+                unknownCategories.set(cat, (unknownCategories.get(cat) || 0) + 1);
+            }
+            if (!exp.amount) zeroAmounts.push(label);
+        });
+
+        const issues = [];
+        const list = (items) => items.length > 10
+            ? I18n.t('quality.more', { list: items.slice(0, 10).join(', '), count: items.length - 10 })
+            : items.join(', ');
+        const area = I18n.t('quality.area.expenses');
+        if (badDates.length) {
+            issues.push({
+                severity: 'warning',
+                area,
+                message: I18n.t('quality.badDates', { count: badDates.length, list: list(badDates) })
+            });
+        }
+        for (const [category, count] of unknownCategories) {
+            issues.push({
+                severity: 'error',
+                area,
+                message: I18n.t('quality.unknownCategory', { count, category })
+            });
+        }
+        if (zeroAmounts.length) {
+            issues.push({
+                severity: 'warning',
+                area,
+                message: I18n.t('quality.zeroAmounts', { count: zeroAmounts.length, list: list(zeroAmounts) })
+            });
+        }
+        return issues;
+    },
+
+    /**
+     * Sales with an unknown status, for a house that is not in the BUDGET sheet,
+     * committed without an agreed price, or paid beyond their price.
+     */
+    checkSales(budget, sales) {
+        const issues = [];
+        const summary = DataService.calculateSalesSummary(budget.houses, sales);
+        const area = I18n.t('quality.area.sales');
+        for (const unit of summary.units) {
+            if (!unit.sale) continue;
+            if (!DataService.SALE_STATUSES[unit.status]) {
+                issues.push({
+                    severity: 'error',
+                    area,
+                    message: I18n.t('quality.unknownStatus', { name: unit.name, status: unit.status })
+                });
+            }
+            if (!unit.listPrice) {
+                issues.push({
+                    severity: 'warning',
+                    area,
+                    message: I18n.t('quality.saleNotInBudget', { name: unit.name })
+                });
+            }
+            if (unit.committed && !unit.sale.price) {
+                issues.push({
+                    severity: 'warning',
+                    area,
+                    message: I18n.t('quality.noAgreedPrice', { name: unit.name, status: I18n.label('saleStatus', unit.status).toLowerCase() })
+                });
+            }
+            if (unit.received - unit.price > this.TOLERANCE) {
+                issues.push({
+                    severity: 'error',
+                    area,
+                    message: I18n.t('quality.overpaid', {
+                        name: unit.name,
+                        received: DataService.formatCurrency(unit.received),
+                        price: DataService.formatCurrency(unit.price)
+                    })
+                });
+            }
+        }
+        return issues;
+    },
+
+    /**
+     * Milestones with unreadable dates or ending before they start.
+     */
+    checkMilestones(milestones) {
+        const issues = [];
+        const area = I18n.t('quality.area.milestones');
+        for (const m of milestones) {
+            const unreadable = ['plannedStart', 'plannedEnd', 'actualStart', 'actualEnd']
+                .filter(field => m[field] && !m[`${field}Obj`])
+                .map(field => `"${m[field]}"`);
+            if (unreadable.length) {
+                issues.push({
+                    severity: 'warning',
+                    area,
+                    message: I18n.t('quality.badMilestoneDates', { count: unreadable.length, name: m.name, dates: unreadable.join(', ') })
+                });
+            }
+            const endsEarly = (start, end) => m[start] && m[end] && m[end] < m[start];
+            if (endsEarly('plannedStartObj', 'plannedEndObj') || endsEarly('actualStartObj', 'actualEndObj')) {
+                issues.push({
+                    severity: 'error',
+                    area,
+                    message: I18n.t('quality.endsEarly', { name: m.name })
+                });
+            }
+        }
+        return issues;
+    }
+};
@@ -0,0 +1,453 @@
+/**
+ * Report Module
+ * Builds the downloadable investor report (PDF, see pdf.js) from the data on screen:
+ * cover, Resumen KPIs, budget vs executed, financial indicators, investors (following
+ * the same role rules as the dashboard), houses and the filtered expense ledger.
+ * Every section starts on a new page; every page carries the data date.
+ */
+
+const Report = {
+    MARGIN: 48,
+    TOP: 72,
+    BOTTOM: 740,
+    ROW_HEIGHT: 18,
+
+    COLORS: {
+        primary: '#1a365d',
+        primaryLight: '#e8edf5',
+        text: '#1a202c',
+        muted: '#718096',
+        border: '#e2e8f0',
+        barBg: '#edf2f7',
+        success: '#38a169',
+        danger: '#e53e3e',
+        'Hard Cost': '#3182ce',
+        'Soft Cost': '#6b46c1',
+        'Terreno': '#dd6b20'
+    },
+
+    /**
+     * Build the report. Returns the PDF as a Uint8Array.
+     *   project       the active project (name, role, investor)
+     *   data          DataService.fetchAllData result
+     *   expenses      the ledger rows to include (the Gastos filters applied)
+     *   filtersLabel  description of the active filters, or '' for none
+     */
+    build({ project, data, expenses, filtersLabel }) {
+        const { budget, capital, fetchedAt } = data;
+        const expSummary = DataService.calculateExpenseSummary(data.expenses);
+        const forecast = Forecast.calculate(budget, data.expenses, capital, data.milestones || []);
+        const r = {
+            doc: Pdf.create({ title: `${I18n.t('report.title')} - ${project.name}` }),
+            y: 0,
+            project,
+            width: Pdf.PAGE_WIDTH - this.MARGIN * 2
+        };
+
+        this.renderCover(r, fetchedAt);
+        this.renderSummary(r, budget, expSummary, capital, data.milestones || []);
+        this.renderBudget(r, budget, expSummary, forecast);
+        this.renderIndicators(r, capital, forecast);
+        if (project.role === 'admin' || project.role === 'investor') {
+            this.renderInvestors(r, capital);
+        }
+        this.renderHouses(r, budget);
+        this.renderLedger(r, expenses, filtersLabel);
+        this.renderPageFrames(r, fetchedAt);
+
+        return r.doc.output();
+    },
+
+    /**
+     * File name for a project's report: "Reporte-ARBOLEDAS-2026-10-19.pdf" ("Report-…" in English).
+     */
+    fileName(project, date = new Date()) {
+        return `${I18n.t('export.report')}-${project.key}-${Snapshots.dayOf(date)}.pdf`;
+    },
+
+    // ========== SECTIONS ==========
+
+    renderCover(r, fetchedAt) {
+        const { doc, project } = r;
+        const c = this.COLORS;
+        doc.addPage();
+        doc.rect(0, 0, Pdf.PAGE_WIDTH, 300, { fill: c.primary });
+        doc.text(I18n.t('report.title').toUpperCase(), this.MARGIN, 120, { size: 12, font: 'bold', color: '#bee3f8' });
+        doc.text(project.name, this.MARGIN, 168, { size: 32, font: 'bold', color: '#ffffff', maxWidth: r.width });
+        doc.text(I18n.t('report.dataAsOf', { date: this.formatDateTime(fetchedAt) }), this.MARGIN, 200, { size: 12, color: '#e8edf5' });
+
+        let y = 360;
+        const line = (label, value) => {
+            doc.text(label, this.MARGIN, y, { size: 10, color: c.muted });
+            doc.text(value, this.MARGIN + 140, y, { size: 11, font: 'bold', color: c.text, maxWidth: r.width - 140 });
+            y += 24;
+        };
+        line(I18n.t('report.generated'), this.formatDateTime(new Date()));
+        if (project.role === 'investor' && project.investor) line(I18n.t('report.preparedFor'), project.investor);
+        if (project.role === 'admin') line(I18n.t('report.view'), I18n.t('report.adminView'));
+    },
+
+    renderSummary(r, budget, expSummary, capital, milestones) {
+        const kpis = DataService.calculateProjectKPIs(budget, expSummary, capital, {
+            progress: Progress.config(r.project),
+            milestones
+        });
+        this.startSection(r, I18n.t('nav.resumen'));
+
+        this.kpiBoxes(r, [
+            { label: I18n.t('kpi.totalInvestment'), value: DataService.formatCurrencyShort(kpis.totalBudget) },
+            { label: I18n.t('kpi.spentToDate'), value: DataService.formatCurrencyShort(kpis.totalSpent) },
+            { label: I18n.t('kpi.progress'), value: DataService.formatPercent(kpis.progress) },
+            { label: I18n.t('kpi.roi'), value: DataService.formatPercent(kpis.roi) }
+        ]);
+        this.paragraph(r, `${I18n.t('kpi.progress')}: ${Progress.describe(kpis.progressDetail)}`, { color: this.COLORS.muted, size: 8 });
+
+        this.subheading(r, I18n.t('summary.categoryProgress'));
+        for (const { key, category } of Forecast.SECTIONS) {
+            this.progressBar(r, I18n.category(category), budget[key].total || 0, expSummary.byCategory[category] || 0, this.COLORS[category]);
+        }
+
+        this.subheading(r, I18n.t('summary.capitalDistribution'));
+        const uses = capital.uses;
+        const total = Forecast.SECTIONS.reduce((sum, { key }) => sum + (uses[key]?.amount || 0), 0);
+        this.table(r, [
+            { label: I18n.t('report.use'), width: 0.5 },
+            { label: I18n.t('expenses.amount'), width: 0.3, align: 'right' },
+            { label: I18n.t('report.shareOfTotal'), width: 0.2, align: 'right' }
+        ], Forecast.SECTIONS.map(({ key, category }) => [
+            I18n.category(category),
+            DataService.formatCurrency(uses[key]?.amount || 0),
+            DataService.formatPercent(total > 0 ? ((uses[key]?.amount || 0) / total) * 100 : 0)
+        ]), { footer: [I18n.t('common.total'), DataService.formatCurrency(total), DataService.formatPercent(100)] });
+    },
+
+    renderBudget(r, budget, expSummary, forecast) {
+        this.startSection(r, I18n.t('budget.title'));
+
+        if (forecast.completionDate) {
+            const { total } = forecast;
+            this.keyValues(r, [
+                [I18n.t('forecast.completion'), I18n.formatDate(forecast.completionDate, { year: 'numeric', month: 'long' })],
+                [I18n.t('forecast.finalCost'), DataService.formatCurrency(total.projected)],
+                [I18n.t('report.deviation'), total.overrun > 0
+                    ? I18n.t('budget.overBudget', { amount: DataService.formatCurrency(total.overrun) })
+                    : I18n.t('forecast.withinBudget')]
+            ]);
+            r.y += 8;
+        }
+
+        const columns = [
+            { label: I18n.t('export.line'), width: 0.34 },
+            { label: I18n.t('export.budget'), width: 0.18, align: 'right' },
+            { label: I18n.t('budget.executed'), width: 0.18, align: 'right' },
+            { label: '%', width: 0.1, align: 'right' },
+            { label: I18n.t('report.projection'), width: 0.2, align: 'right' }
+        ];
+        const row = (name, budgetAmount, spent, projected) => [
+            name,
+            DataService.formatCurrency(budgetAmount),
+            DataService.formatCurrency(spent),
+            DataService.formatPercent(budgetAmount > 0 ? (spent / budgetAmount) * 100 : 0),
+            DataService.formatCurrency(projected)
+        ];
+
+        for (const { key, category } of Forecast.SECTIONS) {
+            const section = budget[key];
+            const categoryForecast = forecast.categories[category];
+            const name = I18n.category(category);
+            this.subheading(r, name, this.COLORS[category]);
+            const rows = (section.items || []).map(item => {
+                const itemForecast = forecast.items.find(i => i.category === category && i.name === item.name);
+                return row(item.name, item.amount, expSummary.bySubcategory[`${category}|${item.name}`] || 0, itemForecast ? itemForecast.projected : item.amount);
+            });
+            this.table(r, columns, rows, {
+                footer: row(I18n.t('budget.categoryTotal', { name }), section.total || 0, expSummary.byCategory[category] || 0, categoryForecast.projected)
+            });
+        }
+
+        if (forecast.alerts.length) {
+            this.subheading(r, I18n.t('report.overrunAlerts'), this.COLORS.danger);
+            for (const alert of forecast.alerts) {
+                this.paragraph(r, `${alert.name} (${I18n.category(alert.category)}): ${alert.message}`, { color: alert.severity === 'error' ? this.COLORS.danger : this.COLORS.text });
+            }
+        }
+    },
+
+    renderIndicators(r, capital, forecast) {
+        const pi = capital.projectIndicators;
+        const ci = capital.capitalIndicators;
+        this.startSection(r, I18n.t('financials.title'));
+
+        this.subheading(r, I18n.t('financials.project'));
+        this.keyValues(r, [
+            [I18n.sheetLabel(pi.totalIncomeLabel, 'financials.totalIncome'), DataService.formatCurrency(pi.totalIncome || 0)],
+            [I18n.sheetLabel(pi.projectCostLabel, 'financials.projectCost'), DataService.formatCurrency(pi.projectCost || 0)],
+            [I18n.sheetLabel(pi.profitLabel, 'financials.profit'), DataService.formatCurrency(pi.profit || 0)],
+            [I18n.sheetLabel(pi.marginLabel, 'financials.margin'), DataService.formatPercent(pi.margin || 0)],
+            [I18n.t('report.projectedProfit'), DataService.formatCurrency(forecast.profit.projected)]
+        ]);
+
+        this.subheading(r, I18n.t('financials.capital'));
+        this.keyValues(r, [
+            [I18n.sheetLabel(ci.capitalContributedLabel, 'financials.capitalContributed'), DataService.formatCurrency(ci.capitalContributed || 0)],
+            [I18n.sheetLabel(ci.totalReturnLabel, 'financials.totalReturn'), DataService.formatCurrency(ci.totalReturn || 0)],
+            [I18n.sheetLabel(ci.roiLabel, 'financials.roi'), DataService.formatPercent(ci.roi || 0)],
+            [I18n.sheetLabel(ci.capitalMultipleLabel, 'financials.capitalMultiple'), `${I18n.formatNumber(ci.capitalMultiple || 0, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}x`],
+            [I18n.t('report.projectedRoi'), DataService.formatPercent(forecast.roi.projected)]
+        ]);
+    },
+
+    /**
+     * Admins get every investor; investors only their own position.
+     */
+    renderInvestors(r, capital) {
+        const { project } = r;
+        this.startSection(r, I18n.t(project.role === 'admin' ? 'investors.title' : 'investors.mine'));
+
+        if (project.role === 'investor') {
+            const position = DataService.calculateInvestorPosition(capital, project.investor);
+            if (!position) {
+                this.paragraph(r, I18n.t('report.notFound', { name: project.investor }));
+                return;
+            }
+            this.keyValues(r, [
+                [I18n.t('investors.investor'), position.name],
+                [I18n.t('investors.contribution'), DataService.formatCurrency(position.amount)],
+                [I18n.t('investors.ownership'), DataService.formatPercent(position.ownership)],
+                [I18n.t('investors.projectedReturn'), DataService.formatCurrency(position.projectedReturn)]
+            ]);
+            return;
+        }
+
+        if (!capital.investors.length) {
+            this.paragraph(r, I18n.t('investors.none'));
+            return;
+        }
+        const positions = capital.investors.map(inv => DataService.calculateInvestorPosition(capital, inv.name));
+        this.table(r, [
+            { label: I18n.t('investors.investor'), width: 0.4 },
+            { label: I18n.t('investors.contribution'), width: 0.22, align: 'right' },
+            { label: I18n.t('investors.ownership'), width: 0.16, align: 'right' },
+            { label: I18n.t('investors.projectedReturn'), width: 0.22, align: 'right' }
+        ], positions.map(p => [
+            p.name,
+            DataService.formatCurrency(p.amount),
+            DataService.formatPercent(p.ownership),
+            DataService.formatCurrency(p.projectedReturn)
+        ]), {
+            footer: [
+                I18n.t('common.total'),
+                DataService.formatCurrency(positions.reduce((sum, p) => sum + p.amount, 0)),
+                DataService.formatPercent(100),
+                DataService.formatCurrency(positions.reduce((sum, p) => sum + p.projectedReturn, 0))
+            ]
+        });
+    },
+
+    renderHouses(r, budget) {
+        this.startSection(r, I18n.t('nav.casas'));
+        if (!budget.houses.length) {
+            this.paragraph(r, I18n.t('houses.none'));
+            return;
+        }
+        const totals = DataService.calculateUnitTotals(budget.houses);
+        this.table(r, [
+            { label: I18n.t('houses.unit'), width: 0.16 },
+            { label: I18n.t('houses.area'), width: 0.13, align: 'right' },
+            { label: I18n.t('houses.pricePerSqm'), width: 0.25, align: 'right' },
+            { label: I18n.t('houses.salePrice'), width: 0.23, align: 'right' },
+            { label: I18n.t('houses.netIncome'), width: 0.23, align: 'right' }
+        ], budget.houses.map(house => [
+            house.name,
+            `${I18n.formatNumber(house.sqm)} m²`,
+            DataService.formatCurrency(house.pricePerSqm),
+            DataService.formatCurrency(house.totalCommercial),
+            DataService.formatCurrency(house.netIncome)
+        ]), {
+            footer: [
+                I18n.t('common.totalCount', { count: totals.count }),
+                `${I18n.formatNumber(totals.sqm)} m²`,
+                I18n.t('houses.average', { amount: DataService.formatCurrency(totals.avgPricePerSqm) }),
+                DataService.formatCurrency(totals.totalCommercial),
+                DataService.formatCurrency(totals.netIncome)
+            ]
+        });
+    },
+
+    renderLedger(r, expenses, filtersLabel) {
+        this.startSection(r, I18n.t('expenses.title'));
+        this.paragraph(r, filtersLabel ? I18n.t('report.filters', { filters: filtersLabel }) : I18n.t('report.allExpenses'), { color: this.COLORS.muted });
+
+        const sorted = [...expenses].sort((a, b) => (b.dateObj || 0) - (a.dateObj || 0));
+        const total = sorted.reduce((sum, exp) => sum + exp.amount, 0);
+        this.table(r, [
+            { label: I18n.t('expenses.date'), width: 0.18 },
+            { label: I18n.t('expenses.category'), width: 0.18 },
+            { label: I18n.t('expenses.subcategory'), width: 0.4 },
+            { label: I18n.t('expenses.amount'), width: 0.24, align: 'right' }
+        ], sorted.map(exp => [
+            exp.dateObj ? I18n.formatDate(exp.dateObj, { year: 'numeric', month: 'short', day: 'numeric' }) : exp.date || '-',
+            I18n.category(DataService.normalizeCategory(exp.category)),
+            exp.subcategory,
+            DataService.formatCurrency(exp.amount)
+        ]), { footer: [I18n.t('report.ledgerTotal', { count: sorted.length }), '', '', DataService.formatCurrency(total)] });
+    },
+
+    /**
+     * Header (all but the cover) and footer with the data date and page numbers.
+     */
+    renderPageFrames(r, fetchedAt) {
+        const { doc, project } = r;
+        const c = this.COLORS;
+        const right = Pdf.PAGE_WIDTH - this.MARGIN;
+        const footerY = Pdf.PAGE_HEIGHT - 28;
+        for (let i = 0; i < doc.pageCount; i++) {
+            doc.usePage(i);
+            if (i > 0) {
+                doc.text(project.name, this.MARGIN, 36, { size: 10, font: 'bold', color: c.primary, maxWidth: r.width / 2 });
+                doc.text(I18n.t('report.title'), right, 36, { size: 9, color: c.muted, align: 'right' });
+                doc.line(this.MARGIN, 44, right, 44, { color: c.primary, width: 1.5 });
+            }
+            doc.line(this.MARGIN, footerY - 12, right, footerY - 12, { color: c.border });
+            doc.text(I18n.t('report.dataAsOf', { date: this.formatDateTime(fetchedAt) }), this.MARGIN, footerY, { size: 8, color: c.muted });
+            doc.text(I18n.t('report.page', { page: i + 1, count: doc.pageCount }), right, footerY, { size: 8, color: c.muted, align: 'right' });
+        }
+    },
+
+    // ========== LAYOUT HELPERS ==========
+
+    startSection(r, title) {
+        r.doc.addPage();
+        r.y = this.TOP;
+        r.doc.text(title, this.MARGIN, r.y + 14, { size: 18, font: 'bold', color: this.COLORS.primary });
+        r.y += 36;
+    },
+
+    /**
+     * Move to a new page if the next `height` points do not fit on this one.
+     * Returns true when a page was added.
+     */
+    ensureSpace(r, height) {
+        if (r.y + height <= this.BOTTOM) return false;
+        r.doc.addPage();
+        r.y = this.TOP;
+        return true;
+    },
+
+    subheading(r, text, color = this.COLORS.text) {
+        this.ensureSpace(r, 40);
+        r.y += 6;
+        r.doc.text(text, this.MARGIN, r.y + 10, { size: 12, font: 'bold', color });
+        r.y += 20;
+    },
+
+    paragraph(r, text, { color = this.COLORS.text, size = 9 } = {}) {
+        // Greedy word wrap to the content width
+        const words = String(text).split(/\s+/);
+        const lines = [];
+        let current = '';
+        for (const word of words) {
+            const candidate = current ? `${current} ${word}` : word;
+            if (current && r.doc.textWidth(candidate, size) > r.width) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        }
+        if (current) lines.push(current);
+        for (const line of lines) {
+            this.ensureSpace(r, size + 5);
+            r.doc.text(line, this.MARGIN, r.y + size, { size, color });
+            r.y += size + 5;
+        }
+        r.y += 4;
+    },
+
+    kpiBoxes(r, items) {
+        const gap = 12;
+        const width = (r.width - gap * (items.length - 1)) / items.length;
+        const height = 56;
+        this.ensureSpace(r, height + 12);
+        items.forEach((item, i) => {
+            const x = this.MARGIN + i * (width + gap);
+            r.doc.rect(x, r.y, width, height, { fill: this.COLORS.primaryLight });
+            r.doc.text(item.label, x + 10, r.y + 18, { size: 8, color: this.COLORS.muted, maxWidth: width - 20 });
+            r.doc.text(item.value, x + 10, r.y + 42, { size: 16, font: 'bold', color: this.COLORS.primary, maxWidth: width - 20 });
+        });
+        r.y += height + 16;
+    },
+
+    progressBar(r, label, budgetAmount, spent, color) {
+        const pct = budgetAmount > 0 ? (spent / budgetAmount) * 100 : 0;
+        const right = this.MARGIN + r.width;
+        this.ensureSpace(r, 40);
+        r.doc.text(label, this.MARGIN, r.y + 10, { size: 10, font: 'bold' });
+        r.doc.text(DataService.formatPercent(pct), right, r.y + 10, { size: 10, font: 'bold', align: 'right' });
+        r.doc.rect(this.MARGIN, r.y + 16, r.width, 6, { fill: this.COLORS.barBg });
+        r.doc.rect(this.MARGIN, r.y + 16, r.width * Math.min(pct, 100) / 100, 6, { fill: pct > 100 ? this.COLORS.danger : color });
+        r.doc.text(I18n.t('common.spentAmount', { amount: DataService.formatCurrency(spent) }), this.MARGIN, r.y + 33, { size: 8, color: this.COLORS.muted });
+        r.doc.text(I18n.t('common.budgetAmount', { amount: DataService.formatCurrency(budgetAmount) }), right, r.y + 33, { size: 8, color: this.COLORS.muted, align: 'right' });
+        r.y += 44;
+    },
+
+    keyValues(r, pairs) {
+        const right = this.MARGIN + r.width;
+        for (const [label, value] of pairs) {
+            this.ensureSpace(r, this.ROW_HEIGHT + 4);
+            r.doc.text(label, this.MARGIN, r.y + 13, { size: 10, color: this.COLORS.muted, maxWidth: r.width * 0.6 });
+            r.doc.text(value, right, r.y + 13, { size: 10, font: 'bold', align: 'right', maxWidth: r.width * 0.4 });
+            r.y += this.ROW_HEIGHT + 4;
+            r.doc.line(this.MARGIN, r.y, right, r.y, { color: this.COLORS.border, width: 0.5 });
+        }
+        r.y += 8;
+    },
+
+    /**
+     * Table with a header row that repeats on every page it spans.
+     * columns: [{ label, width (share of the content width), align }]; rows: arrays of strings.
+     */
+    table(r, columns, rows, { footer = null } = {}) {
+        const { doc } = r;
+        const c = this.COLORS;
+        const pad = 6;
+        const xs = [];
+        let x = this.MARGIN;
+        for (const col of columns) {
+            xs.push(x);
+            x += col.width * r.width;
+        }
+
+        const drawRow = (cells, { font = 'regular', fill = null, color = c.text, size = 9 } = {}) => {
+            if (fill) doc.rect(this.MARGIN, r.y, r.width, this.ROW_HEIGHT, { fill });
+            columns.forEach((col, i) => {
+                const width = col.width * r.width - pad * 2;
+                const textX = col.align === 'right' ? xs[i] + col.width * r.width - pad : xs[i] + pad;
+                doc.text(cells[i] ?? '', textX, r.y + 12.5, { size, font, color, align: col.align || 'left', maxWidth: width });
+            });
+            r.y += this.ROW_HEIGHT;
+        };
+        const drawHeader = () => drawRow(columns.map(col => col.label.toUpperCase()), { font: 'bold', fill: c.primaryLight, color: c.primary, size: 7.5 });
+
+        this.ensureSpace(r, this.ROW_HEIGHT * 3);
+        drawHeader();
+        if (!rows.length) {
+            drawRow([I18n.t('report.noData')]);
+        }
+        for (const row of rows) {
+            if (this.ensureSpace(r, this.ROW_HEIGHT)) drawHeader();
+            drawRow(row);
+            doc.line(this.MARGIN, r.y, this.MARGIN + r.width, r.y, { color: c.border, width: 0.5 });
+        }
+        if (footer) {
+            if (this.ensureSpace(r, this.ROW_HEIGHT)) drawHeader();
+            doc.line(this.MARGIN, r.y, this.MARGIN + r.width, r.y, { color: c.primary, width: 1 });
+            drawRow(footer, { font: 'bold' });
+        }
+        r.y += 12;
+    },
+
+    formatDateTime(date) {
+        return I18n.formatDateTime(date, { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+};
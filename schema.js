@@ -0,0 +1,374 @@
+/**
+ * Sheet Schema Module
+ * Declarative description of where each figure lives in the BUDGET, DESGLOSE COSTOS
+ * and CAPITAL sheets (and the optional VENTAS and HITOS sheets). The parsers in data.js read it instead of hard-coded indices,
+ * and validate() reports every expected label or cell that could not be found.
+ *
+ * A project can override any part of DEFAULT with a partial `schema` in its config;
+ * objects are merged, arrays and scalar values replace the default.
+ *
+ * Conventions:
+ *   - Columns are sheet letters ('A', 'K', 'AA').
+ *   - Rows are 1-based sheet row numbers, as shown in Google Sheets.
+ *   - Labels match the start of a cell, case-insensitively.
+ *   - An anchor is { row: 13 } or { label: 'Utilidad' } (searched in the label column).
+ *   - A section is { start: 'label', end: 'label' }; searches are limited to the rows
+ *     after `start` and before `end`. Either bound may be omitted.
+ */
+
+const SheetSchema = {
+    DEFAULT: {
+        budget: {
+            labelColumn: 'B',
+            amountColumn: 'K',
+            // Units (houses, apartments, lots): the rows with these labels if any are given,
+            // else every row within `section` whose label matches `pattern` (any label when
+            // pattern is null) and whose commercial value is numeric. Rows labelled "Total..."
+            // are never units.
+            houses: {
+                labels: [],
+                pattern: '^casa\\s*\\d',
+                section: null,
+                columns: { sqm: 'F', pricePerSqm: 'H', totalCommercial: 'J', netIncome: 'K' }
+            },
+            hardCosts: {
+                section: null,
+                items: [],
+                fields: { construction: 'Construcción' },
+                totalLabel: 'Total de Hard Cost'
+            },
+            softCosts: {
+                section: null,
+                items: ['Fee Administracion', 'Arquitectura', 'Trámites / Permisos', 'Legal / Fiscal', 'Ingenierías / Estudios', 'IVA Soft Cost'],
+                fields: {},
+                totalLabel: 'Total de Soft Cost'
+            },
+            terreno: {
+                section: null,
+                items: ['Lote 1', 'Lote 2', 'ISAI'],
+                fields: {},
+                totalLabel: 'Valor de Terreno'
+            }
+        },
+        desglose: {
+            headerRows: 1,
+            columns: { date: 'A', category: 'B', subcategory: 'C', amount: 'E' }
+        },
+        // Optional VENTAS sheet: one row per payment (see DataService.parseSales)
+        ventas: {
+            headerRows: 1,
+            columns: {
+                house: 'A', status: 'B', buyer: 'C', price: 'D', closeDate: 'E',
+                concept: 'F', dueDate: 'G', amount: 'H', paidDate: 'I', paidAmount: 'J'
+            }
+        },
+        // Optional HITOS sheet: one row per construction milestone (see DataService.parseMilestones)
+        hitos: {
+            headerRows: 1,
+            columns: {
+                name: 'A', plannedStart: 'B', plannedEnd: 'C', actualStart: 'D', actualEnd: 'E',
+                progress: 'F', weight: 'G', folder: 'H'
+            }
+        },
+        capital: {
+            labelColumn: 'A',
+            valueColumn: 'C',
+            pctColumn: 'D',
+            uses: {
+                hardCosts: { row: 2 },
+                softCosts: { row: 3 },
+                terreno: { row: 4 }
+            },
+            // Investor rows: from startRow (or the row after startLabel) until an empty
+            // name, endRow (inclusive) or the row labelled endLabel. dateColumn, when
+            // set, holds the date each contribution was called (see cashflow.js)
+            investors: { startRow: 7, endRow: 11, nameColumn: 'A', amountColumn: 'C', dateColumn: null },
+            projectIndicators: {
+                totalIncome: { row: 13, defaultLabel: 'Ingresos Totales' },
+                projectCost: { row: 14, defaultLabel: 'Costo del Proyecto' },
+                profit: { row: 15, defaultLabel: 'Utilidad' },
+                margin: { row: 16, defaultLabel: 'Margen de Utilidad', type: 'percent' }
+            },
+            capitalIndicators: {
+                capitalContributed: { row: 19, defaultLabel: 'Capital Aportado' },
+                totalReturn: { row: 20, defaultLabel: 'Retorno Total' },
+                roi: { row: 21, defaultLabel: 'ROI', type: 'percent' },
+                capitalMultiple: { row: 22, defaultLabel: 'Múltiplo de Capital' }
+            }
+        }
+    },
+
+    /**
+     * The effective schema for a project: DEFAULT with the project's overrides applied.
+     */
+    resolve(project) {
+        return this.merge(this.DEFAULT, (project && project.schema) || {});
+    },
+
+    merge(base, override) {
+        const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+        if (!isObject(base) || !isObject(override)) return override === undefined ? base : override;
+        const result = { ...base };
+        for (const key of Object.keys(override)) {
+            result[key] = this.merge(base[key], override[key]);
+        }
+        return result;
+    },
+
+    /**
+     * Column letters to a 0-based index ("A" -> 0, "K" -> 10, "AA" -> 26).
+     */
+    columnIndex(letters) {
+        let index = 0;
+        for (const ch of String(letters).toUpperCase()) {
+            index = index * 26 + (ch.charCodeAt(0) - 64);
+        }
+        return index - 1;
+    },
+
+    /**
+     * A1-style reference for a 0-based row index and a column letter.
+     */
+    cellRef(rowIdx, column) {
+        return `${String(column).toUpperCase()}${rowIdx + 1}`;
+    },
+
+    /**
+     * Find the first row whose label cell starts with `label`, within an optional section.
+     * Returns the 0-based row index or -1.
+     */
+    findRow(rows, labelColumn, label, section = null) {
+        const col = this.columnIndex(labelColumn);
+        const { start, end } = this.sectionBounds(rows, labelColumn, section);
+        const wanted = String(label).toLowerCase();
+        for (let i = start; i < end; i++) {
+            const cell = rows[i] && rows[i][col];
+            if (cell && cell.trim().toLowerCase().startsWith(wanted)) return i;
+        }
+        return -1;
+    },
+
+    /**
+     * Rows of the BUDGET sheet holding units, per the `houses` schema (see DEFAULT).
+     * Returns [{ idx, label }] in sheet order; `label` is the configured label or the cell text.
+     * `flagged` lists the rows matching the pattern whose commercial value is not numeric.
+     */
+    findUnitRows(rows, schema) {
+        const houses = schema.houses;
+        if (houses.labels && houses.labels.length) {
+            return {
+                units: houses.labels
+                    .map(label => ({ idx: this.findRow(rows, schema.labelColumn, label, houses.section), label }))
+                    .filter(unit => unit.idx >= 0),
+                flagged: []
+            };
+        }
+
+        const labelIdx = this.columnIndex(schema.labelColumn);
+        const valueIdx = this.columnIndex(houses.columns.totalCommercial);
+        const pattern = houses.pattern ? new RegExp(houses.pattern, 'i') : null;
+        const { start, end } = this.sectionBounds(rows, schema.labelColumn, houses.section);
+        const units = [];
+        const flagged = [];
+        for (let i = start; i < end; i++) {
+            const label = ((rows[i] && rows[i][labelIdx]) || '').trim();
+            if (!label || /^total/i.test(label) || (pattern && !pattern.test(label))) continue;
+            if (this.isNumericCell(rows[i][valueIdx])) {
+                units.push({ idx: i, label });
+            } else if (pattern) {
+                flagged.push({ idx: i, label });
+            }
+        }
+        return { units, flagged };
+    },
+
+    /**
+     * Row range [start, end) covered by a section. Missing bounds mean the sheet edges.
+     */
+    sectionBounds(rows, labelColumn, section) {
+        let start = 0;
+        let end = rows.length;
+        if (section && section.start) {
+            const idx = this.findRow(rows, labelColumn, section.start);
+            start = idx >= 0 ? idx + 1 : rows.length;
+        }
+        if (section && section.end) {
+            const col = this.columnIndex(labelColumn);
+            const wanted = String(section.end).toLowerCase();
+            for (let i = start; i < rows.length; i++) {
+                const cell = rows[i] && rows[i][col];
+                if (cell && cell.trim().toLowerCase().startsWith(wanted)) {
+                    end = i;
+                    break;
+                }
+            }
+        }
+        return { start, end };
+    },
+
+    /**
+     * Resolve an anchor ({ row } or { label }) to a 0-based row index, or -1.
+     */
+    anchorRow(rows, anchor, labelColumn) {
+        if (!anchor) return -1;
+        if (anchor.label) return this.findRow(rows, labelColumn, anchor.label, anchor.section);
+        const idx = anchor.row - 1;
+        return idx >= 0 && idx < rows.length && rows[idx] ? idx : -1;
+    },
+
+    /**
+     * Whether a cell holds something parseNumber/parsePercent can read
+     * ("-" is an accounting zero).
+     */
+    isNumericCell(str) {
+        if (str === undefined || str === null) return false;
+        const cleaned = String(str).replace(/[$\s,%]|MXN/gi, '');
+        return cleaned === '-' || (cleaned !== '' && !isNaN(Number(cleaned)));
+    },
+
+    // ========== VALIDATION ==========
+
+    /**
+     * Check raw rows ({ budget, desglose, capital }) against a schema.
+     * Returns a list of { sheet, field, message } describing every missing label or cell
+     * (see issue() for the message).
+     */
+    validate(rows, schema) {
+        return [
+            ...this.validateBudget(rows.budget || [], schema.budget),
+            ...this.validateDesglose(rows.desglose || [], schema.desglose),
+            ...this.validateCapital(rows.capital || [], schema.capital)
+        ];
+    },
+
+    validateBudget(rows, schema) {
+        const issues = [];
+        const add = (field, key, params) => issues.push(this.issue('BUDGET', field, key, params));
+        const amountIdx = this.columnIndex(schema.amountColumn);
+
+        const checkLabel = (field, label, section, column = schema.amountColumn) => {
+            const idx = this.findRow(rows, schema.labelColumn, label, section);
+            if (idx < 0) {
+                add(field, section ? 'labelNotFoundInSection' : 'labelNotFound', {
+                    label, column: schema.labelColumn, section: section && this.describeSection(section)
+                });
+            } else if (!this.isNumericCell(rows[idx][this.columnIndex(column)])) {
+                add(field, 'notNumeric', { cell: this.cellRef(idx, column), label });
+            }
+        };
+
+        const houses = schema.houses;
+        if (houses.labels && houses.labels.length) {
+            for (const label of houses.labels) {
+                checkLabel('houses', label, houses.section, houses.columns.totalCommercial);
+            }
+        } else {
+            const { units, flagged } = this.findUnitRows(rows, schema);
+            for (const { idx, label } of flagged) {
+                add('houses', 'notNumeric', { cell: this.cellRef(idx, houses.columns.totalCommercial), label });
+            }
+            if (!units.length && !flagged.length) {
+                const key = (houses.pattern ? 'noUnitsMatching' : 'noUnits') + (houses.section ? 'InSection' : '');
+                add('houses', key, {
+                    pattern: houses.pattern, column: schema.labelColumn, section: houses.section && this.describeSection(houses.section)
+                });
+            }
+        }
+        for (const key of ['hardCosts', 'softCosts', 'terreno']) {
+            const section = schema[key];
+            for (const label of section.items || []) checkLabel(`${key}.items`, label, section.section);
+            for (const [field, label] of Object.entries(section.fields || {})) checkLabel(`${key}.${field}`, label, section.section);
+            if (section.totalLabel) checkLabel(`${key}.total`, section.totalLabel, section.section);
+        }
+        if (!rows.some(r => r && r.length > amountIdx)) {
+            add('amountColumn', 'columnUnreached', { column: schema.amountColumn });
+        }
+        return issues;
+    },
+
+    validateDesglose(rows, schema) {
+        const issues = [];
+        const dataRows = rows.slice(schema.headerRows).filter(r => r && r.some(cell => cell && cell.trim()));
+        if (!dataRows.length) {
+            issues.push(this.issue('DESGLOSE COSTOS', 'rows', 'noExpenses'));
+            return issues;
+        }
+        for (const [field, column] of Object.entries(schema.columns)) {
+            const idx = this.columnIndex(column);
+            if (!dataRows.some(r => r[idx] && r[idx].trim())) {
+                issues.push(this.issue('DESGLOSE COSTOS', field, 'emptyColumn', { column, field }));
+            }
+        }
+        return issues;
+    },
+
+    validateCapital(rows, schema) {
+        const issues = [];
+        const add = (field, key, params) => issues.push(this.issue('CAPITAL', field, key, params));
+
+        const checkAnchor = (field, anchor, column) => {
+            const idx = this.anchorRow(rows, anchor, schema.labelColumn);
+            const name = anchor.defaultLabel || field;
+            if (idx < 0) {
+                if (anchor.label) {
+                    add(field, 'labelNotFound', { label: anchor.label, column: schema.labelColumn });
+                } else {
+                    add(field, 'rowMissing', { row: anchor.row, field: name });
+                }
+            } else if (!this.isNumericCell(rows[idx][this.columnIndex(column)])) {
+                add(field, 'fieldNotNumeric', { cell: this.cellRef(idx, column), field: name });
+            }
+        };
+
+        for (const [key, anchor] of Object.entries(schema.uses)) {
+            checkAnchor(`uses.${key}`, anchor, schema.valueColumn);
+        }
+        for (const group of ['projectIndicators', 'capitalIndicators']) {
+            for (const [key, anchor] of Object.entries(schema[group])) {
+                checkAnchor(`${group}.${key}`, anchor, schema.valueColumn);
+            }
+        }
+
+        const { start } = this.investorBounds(rows, schema);
+        const nameIdx = this.columnIndex(schema.investors.nameColumn);
+        if (!rows[start] || !rows[start][nameIdx] || !rows[start][nameIdx].trim()) {
+            add('investors', 'noInvestors', { cell: this.cellRef(start, schema.investors.nameColumn) });
+        }
+        return issues;
+    },
+
+    /**
+     * Row range [start, end) of the investors block.
+     */
+    investorBounds(rows, schema) {
+        const inv = schema.investors;
+        let start = inv.startRow ? inv.startRow - 1 : 0;
+        if (inv.startLabel) {
+            const idx = this.findRow(rows, schema.labelColumn, inv.startLabel);
+            start = idx >= 0 ? idx + 1 : rows.length;
+        }
+        let end = inv.endRow ? Math.min(inv.endRow, rows.length) : rows.length;
+        if (inv.endLabel) {
+            const idx = this.findRow(rows, schema.labelColumn, inv.endLabel, { start: inv.startLabel || null });
+            if (idx >= 0) end = Math.min(end, idx);
+        }
+        return { start, end };
+    },
+
+    /**
+     * An issue found by validate(). Its message is the catalog's `schema.<key>` in the
+     * current language; `key` and `params` are kept so it can be shown again in
+     * another one (see DataQuality.checkSchema).
+     */
+    issue(sheet, field, key, params = {}) {
+        return { sheet, field, key: `schema.${key}`, params, message: I18n.t(`schema.${key}`, params) };
+    },
+
+    /**
+     * A section as `"start" → "end"`, with … for a missing bound.
+     */
+    describeSection(section) {
+        const bound = (label) => label ? `"${label}"` : '…';
+        return `${bound(section.start)} → ${bound(section.end)}`;
+    }
+};
@@ -0,0 +1,341 @@
+/**
+ * Reporting Server
+ * Serves the static dashboard, the authentication API, the Google Sheets CSV proxy,
+ * the projects' uploaded data files and their photo galleries, and the admin
+ * console's API (server/admin.js). CAPITAL data is scoped to the caller's role
+ * whatever the data source (server/capital.js).
+ *
+ *   node server.js                               start on PORT (default 8080)
+ *   node server.js hash-password <pwd>           print a project password hash
+ *   node server.js hash-password --user <pwd>    print a user account password hash
+ *
+ * Hashes go into server/data/projects.json: `passwordHash` of a project, or of
+ * an entry in `users` ({ username, passwordHash, role, investors }).
+ *
+ * Set SESSION_SECRET in production so session tokens survive restarts.
+ * Sessions expire after 30 minutes idle or 12 hours (see server/auth.js); login
+ * attempts are throttled (server/throttle.js) and logged to server/data/audit/
+ * (server/audit.js, AUDIT_FILE overrides the path). What investors open and export
+ * is logged per project to server/data/activity/ for the admin console (server/activity.js).
+ * PROXY_CACHE_TTL (seconds, default 60) controls how long sheet CSVs are cached.
+ * GOOGLE_API_KEY lets the gallery list the projects' Drive folders (see server/gallery.js);
+ * GALLERY_CACHE_TTL (seconds, default 300) controls how long those listings are cached.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const Activity = require('./server/activity');
+const Admin = require('./server/admin');
+const Audit = require('./server/audit');
+const Auth = require('./server/auth');
+const CsvProxy = require('./server/proxy');
+const Files = require('./server/files');
+const Gallery = require('./server/gallery');
+const Http = require('./server/http');
+const Projects = require('./server/projects');
+const Throttle = require('./server/throttle');
+
+const { HttpError } = Http;
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const STATIC_ROOT = __dirname;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// Same policy as the <meta> in index.html, plus what only a header can set
+// (frame-ancestors). No inline scripts or handlers: sheet text can't run as code.
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+    "font-src 'self' https://fonts.gstatic.com",
+    "img-src 'self' data: blob: https:",
+    "connect-src 'self'",
+    "worker-src 'self'",
+    "manifest-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+// ========== SESSION ==========
+
+/**
+ * Resolve the session behind a request's bearer token, or throw 401.
+ * Grants for projects that no longer exist are dropped.
+ */
+function requireSession(req) {
+    const claims = readSession(req);
+    if (!claims) {
+        throw new HttpError(401, 'UNAUTHORIZED', 'Sesión inválida o expirada.');
+    }
+    return claims;
+}
+
+function readSession(req) {
+    const claims = Auth.verifyToken(Auth.getBearerToken(req));
+    if (!claims || !Array.isArray(claims.grants)) return null;
+    const grants = claims.grants.filter(g => Projects.get(g.project));
+    return grants.length ? { ...claims, grants } : null;
+}
+
+const ROLE_RANK = { viewer: 0, investor: 1, admin: 2 };
+
+/**
+ * Merge new grants into existing ones. For a project present in both,
+ * the new grant wins unless it would lower the role.
+ */
+function mergeGrants(existing, added) {
+    const byProject = new Map(existing.map(g => [g.project, g]));
+    for (const grant of added) {
+        const previous = byProject.get(grant.project);
+        if (!previous || ROLE_RANK[grant.role] >= ROLE_RANK[previous.role]) {
+            byProject.set(grant.project, grant);
+        }
+    }
+    return [...byProject.values()];
+}
+
+function publicProjects(grants) {
+    return grants.map(g => Projects.toPublic(g.project, g));
+}
+
+// ========== API HANDLERS ==========
+
+/**
+ * Log in either with a personal account (username + password) or with the
+ * shared project password (password only, viewer role).
+ * When the request already carries a valid session, the new projects are added
+ * to it instead of replacing it, so one session can span several projects.
+ * Failed attempts are throttled (see server/throttle.js) and every attempt is
+ * written to the audit log (see server/audit.js).
+ */
+async function handleLogin(req, res) {
+    const body = await Http.readJson(req);
+    const username = typeof body.username === 'string' ? body.username.trim() : '';
+    const password = typeof body.password === 'string' ? body.password.trim() : '';
+    if (!password) {
+        throw new HttpError(400, 'MISSING_PASSWORD', 'Por favor ingresa una contraseña.');
+    }
+
+    const method = username ? 'user' : 'project';
+    const user = username ? Projects.findUser(username) : null;
+    const userProjects = user ? Projects.grantsForUser(user).map(g => g.project) : [];
+    const keys = Throttle.keys(req, username);
+
+    // Reserved before the (slow) password check so parallel attempts are counted
+    const blocked = Throttle.reserve(keys);
+    if (blocked) {
+        Audit.record(req, { outcome: blocked.locked ? 'locked' : 'throttled', method, username: username || null, projects: userProjects });
+        throw tooManyAttempts(blocked);
+    }
+
+    let added;
+    try {
+        added = username
+            ? await loginUser(user, password)
+            : await loginProject(password.toUpperCase());
+    } catch (err) {
+        Throttle.release(keys);
+        if (err instanceof HttpError) {
+            Audit.record(req, { outcome: 'failure', method, username, projects: userProjects, reason: err.code });
+        }
+        throw err;
+    }
+    if (!added) {
+        Audit.record(req, { outcome: 'failure', method, username: username || null, projects: userProjects, reason: 'INVALID_CREDENTIALS' });
+        const block = Throttle.fail(keys);
+        if (block && block.locked) throw tooManyAttempts(block);
+        throw new HttpError(401, 'INVALID_CREDENTIALS', 'Usuario o contraseña incorrectos. Intenta de nuevo.');
+    }
+
+    Throttle.succeed(keys);
+    Audit.record(req, { outcome: 'success', method, username: username || null, projects: added.map(g => g.project) });
+    Activity.record(added.map(g => ({ project: g.project, user: g.username || null, role: g.role, type: 'login' })));
+
+    const current = readSession(req);
+    const grants = mergeGrants(current ? current.grants : [], added);
+    const active = grants.find(g => g.project === added[0].project);
+    // Adding a project to a session doesn't extend how long the session lasts
+    const { token, expiresAt } = Auth.issueToken({ grants }, current ? current.auth : undefined);
+    Http.sendJson(res, 200, {
+        token,
+        expiresAt,
+        project: Projects.toPublic(active.project, active),
+        projects: publicProjects(grants)
+    });
+}
+
+/**
+ * 429 for a throttled or locked login, telling how long to wait.
+ */
+function tooManyAttempts({ locked, retryAfter }) {
+    const seconds = Math.ceil(retryAfter / 1000);
+    const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutos` : `${seconds} segundos`;
+    return locked
+        ? new HttpError(429, 'LOGIN_LOCKED', `Demasiados intentos fallidos. El acceso está bloqueado; intenta de nuevo en ${wait}.`, { 'Retry-After': String(seconds) })
+        : new HttpError(429, 'TOO_MANY_ATTEMPTS', `Demasiados intentos. Espera ${wait} antes de intentar de nuevo.`, { 'Retry-After': String(seconds) });
+}
+
+async function loginUser(user, password) {
+    if (!user || !(await Auth.verifyPassword(password, user.passwordHash))) return null;
+    const grants = Projects.grantsForUser(user);
+    if (!grants.length) {
+        throw new HttpError(403, 'NO_PROJECTS', 'Tu cuenta no tiene proyectos asignados.');
+    }
+    return grants.map(grant => ({ ...grant, username: user.username }));
+}
+
+async function loginProject(password) {
+    for (const key of Projects.keys()) {
+        if (await Auth.verifyPassword(password, Projects.get(key).passwordHash)) {
+            return [{ project: key, role: 'viewer', investor: null, username: null }];
+        }
+    }
+    return null;
+}
+
+/**
+ * The session's projects, with a renewed token: calling this is how the dashboard
+ * keeps an active session from expiring while idle.
+ */
+async function handleSession(req, res) {
+    const claims = requireSession(req);
+    // Admins also get the projects created since they logged in
+    const grants = mergeGrants(claims.grants, adminGrants(claims.grants));
+    const { token, expiresAt } = Auth.renewToken({ ...claims, grants });
+    Http.sendJson(res, 200, { token, expiresAt, projects: publicProjects(grants) });
+}
+
+function adminGrants(grants) {
+    const admin = grants.find(g => g.role === 'admin' && g.username);
+    const user = admin && Projects.findUser(admin.username);
+    if (!user || user.role !== 'admin') return [];
+    return Projects.grantsForUser(user).map(grant => ({ ...grant, username: user.username }));
+}
+
+/**
+ * GET /api/audit?project=<key>: login attempts for a project, for its admins,
+ * including failed project passwords that matched no project (see server/audit.js).
+ */
+async function handleAudit(req, res, url) {
+    const claims = requireSession(req);
+    const project = url.searchParams.get('project');
+    if (!claims.grants.some(g => g.project === project && g.role === 'admin')) {
+        throw new HttpError(403, 'ADMIN_ONLY', 'Solo los administradores del proyecto pueden ver sus accesos.');
+    }
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 200, 1000);
+    Http.sendJson(res, 200, { entries: await Audit.read({ project, limit }) });
+}
+
+async function handleLogout(req, res) {
+    // Tokens are stateless; the client simply discards its copy.
+    res.writeHead(204);
+    res.end();
+}
+
+const routes = {
+    'POST /api/login': handleLogin,
+    'GET /api/session': handleSession,
+    'POST /api/logout': handleLogout,
+    'GET /api/audit': handleAudit,
+    'POST /api/activity': (req, res, url) => Activity.handleRecord(req, res, url, requireSession(req)),
+    'GET /api/activity/summary': (req, res, url) => Activity.handleSummary(req, res, url, requireSession(req)),
+    'GET /api/admin/projects': (req, res, url) => Admin.handleList(req, res, url, requireSession(req)),
+    'POST /api/admin/projects': (req, res, url) => Admin.handleCreate(req, res, url, requireSession(req)),
+    'PUT /api/admin/projects': (req, res, url) => Admin.handleUpdate(req, res, url, requireSession(req)),
+    'POST /api/admin/projects/archive': (req, res, url) => Admin.handleArchive(req, res, url, requireSession(req)),
+    'POST /api/admin/projects/password': (req, res, url) => Admin.handlePassword(req, res, url, requireSession(req)),
+    'POST /api/admin/test-fetch': (req, res, url) => Admin.handleTestFetch(req, res, url, requireSession(req)),
+    'GET /api/csv': (req, res, url) => CsvProxy.handle(req, res, url, requireSession(req)),
+    'GET /api/capital': (req, res, url) => CsvProxy.handleCapital(req, res, url, requireSession(req)),
+    'GET /api/files': (req, res, url) => Files.handle(req, res, url, requireSession(req)),
+    'GET /api/gallery': (req, res, url) => Gallery.handle(req, res, url, requireSession(req)),
+    // Signed URLs used as <img> sources, which cannot send the session token
+    'GET /api/gallery/photo': (req, res, url) => Gallery.handlePhoto(req, res, url)
+};
+
+// ========== STATIC FILES ==========
+
+function serveStatic(req, res, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (e) {
+        return Http.sendError(res, 400, 'BAD_REQUEST', 'La ruta solicitada no es válida.');
+    }
+    const relative = path.normalize(decoded).replace(/^([/\\])+/, '') || 'index.html';
+    const ext = path.extname(relative).toLowerCase();
+    const filePath = path.join(STATIC_ROOT, relative);
+
+    // Only whitelisted file types from the app directory; never server code, data or dotfiles.
+    const blocked = relative.startsWith('server') || relative.split(path.sep).some(part => part.startsWith('.'));
+    if (blocked || !MIME_TYPES[ext] || !filePath.startsWith(STATIC_ROOT + path.sep)) {
+        return Http.sendError(res, 404, 'NOT_FOUND', 'Recurso no encontrado.');
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) return Http.sendError(res, 404, 'NOT_FOUND', 'Recurso no encontrado.');
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[ext],
+            'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(content);
+    });
+}
+
+// ========== SERVER ==========
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+
+    try {
+        if (pathname.startsWith('/api/')) {
+            const handler = routes[`${req.method} ${pathname}`];
+            if (!handler) throw new HttpError(404, 'NOT_FOUND', 'Ruta no encontrada.');
+            await handler(req, res, url);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(req, res, pathname);
+        } else {
+            throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Método no permitido.');
+        }
+    } catch (err) {
+        if (!(err instanceof HttpError)) console.error('Unhandled error:', err);
+        const status = err instanceof HttpError ? err.status : 500;
+        const code = err instanceof HttpError ? err.code : 'INTERNAL_ERROR';
+        const message = err instanceof HttpError ? err.message : 'Error interno del servidor.';
+        if (!res.headersSent) {
+            Http.sendError(res, status, code, message, err instanceof HttpError ? err.headers : {}, err instanceof HttpError ? err.params : null);
+        }
+    }
+}
+
+if (process.argv[2] === 'hash-password') {
+    const isUser = process.argv[3] === '--user';
+    const password = process.argv[isUser ? 4 : 3];
+    if (!password) {
+        console.error('Usage: node server.js hash-password [--user] <password>');
+        process.exit(1);
+    }
+    // Project passwords are case-insensitive, so they are stored upper-cased.
+    const plain = password.trim();
+    Auth.hashPassword(isUser ? plain : plain.toUpperCase()).then(hash => console.log(hash));
+} else {
+    http.createServer(handleRequest).listen(PORT, () => {
+        console.log(`Reporting server running at http://localhost:${PORT}`);
+    });
+}
@@ -0,0 +1,181 @@
+/**
+ * Activity Log
+ * Self-hosted record of how the dashboard is used, for the admins' activity view:
+ * who opens each project, which sections they read, what they export. Nothing is
+ * sent to third parties.
+ *
+ * Kept deliberately small: an entry is { at, project, user, role, type, section, kind }
+ * with the account's username (null for the shared project password, so those
+ * visitors stay anonymous), no IP address and no browser details. Entries go to
+ * one JSON Lines file per month in server/data/activity/ (ACTIVITY_DIR overrides it);
+ * months older than RETENTION_MONTHS (ACTIVITY_RETENTION_MONTHS, default 12) are deleted.
+ *
+ * Types: login (recorded by the server), open, view, refresh and export (sent by the
+ * dashboard, see activity.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Http = require('./http');
+const Projects = require('./projects');
+
+const { HttpError } = Http;
+
+const ACTIVITY_DIR = process.env.ACTIVITY_DIR || path.join(__dirname, 'data', 'activity');
+const RETENTION_MONTHS = parseInt(process.env.ACTIVITY_RETENTION_MONTHS, 10) || 12;
+const MAX_BATCH = 50;
+
+const CLIENT_TYPES = ['open', 'view', 'refresh', 'export'];
+const EXPORT_KINDS = ['csv', 'xlsx', 'pdf', 'print'];
+
+const monthOf = (date) => date.toISOString().slice(0, 7);
+
+const Activity = {
+    prunedMonth: null,
+
+    /**
+     * Append entries (already validated) to the current month's file.
+     * Failing to write is logged, never thrown: the log must not break the dashboard.
+     */
+    record(entries) {
+        if (!entries.length) return;
+        const now = new Date();
+        const lines = entries.map(entry => JSON.stringify({ at: now.toISOString(), ...entry })).join('\n') + '\n';
+        fs.promises.mkdir(ACTIVITY_DIR, { recursive: true })
+            .then(() => fs.promises.appendFile(path.join(ACTIVITY_DIR, `${monthOf(now)}.jsonl`), lines))
+            .then(() => this.prune(now))
+            .catch(err => console.error('Could not write the activity log:', err.message));
+    },
+
+    /**
+     * Delete the month files past the retention period, once per month.
+     */
+    async prune(now = new Date()) {
+        if (this.prunedMonth === monthOf(now)) return;
+        this.prunedMonth = monthOf(now);
+        const oldest = monthOf(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - RETENTION_MONTHS + 1, 1)));
+        for (const file of await this.files()) {
+            if (file.slice(0, 7) < oldest) await fs.promises.unlink(path.join(ACTIVITY_DIR, file));
+        }
+    },
+
+    async files() {
+        try {
+            return (await fs.promises.readdir(ACTIVITY_DIR)).filter(file => /^\d{4}-\d{2}\.jsonl$/.test(file)).sort();
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    },
+
+    /**
+     * POST /api/activity { events: [{ project, type, section?, kind? }] }
+     * Events for projects outside the session, or that don't look like the dashboard's, are dropped.
+     */
+    async handleRecord(req, res, url, session) {
+        const body = await Http.readJson(req);
+        const events = Array.isArray(body.events) ? body.events.slice(0, MAX_BATCH) : [];
+        const entries = [];
+        for (const event of events) {
+            if (!event || typeof event !== 'object') continue;
+            const grant = session.grants.find(g => g.project === event.project);
+            if (!grant || !CLIENT_TYPES.includes(event.type)) continue;
+            const entry = { project: grant.project, user: grant.username || null, role: grant.role, type: event.type };
+            if (typeof event.section === 'string' && /^[a-z-]{1,30}$/.test(event.section)) {
+                entry.section = event.section;
+            } else if (event.type === 'view') {
+                continue;
+            }
+            if (event.type === 'export') {
+                if (!EXPORT_KINDS.includes(event.kind)) continue;
+                entry.kind = event.kind;
+            }
+            entries.push(entry);
+        }
+        this.record(entries);
+        res.writeHead(204);
+        res.end();
+    },
+
+    /**
+     * GET /api/activity/summary?project=<key>, for the project's admins.
+     */
+    async handleSummary(req, res, url, session) {
+        const project = url.searchParams.get('project');
+        if (!session.grants.some(g => g.project === project && g.role === 'admin')) {
+            throw new HttpError(403, 'ADMIN_ONLY', 'Solo los administradores del proyecto pueden ver su actividad.');
+        }
+        Http.sendJson(res, 200, await this.summary(project));
+    },
+
+    /**
+     * Per-user and per-section totals for a project over the retained months:
+     *   users     [{ user, investor, role, lastAccess, accesses, views, exports, topSection }]
+     *             newest access first; visitors with the project password are one row (user null)
+     *   sections  [{ section, views, users }] most viewed first
+     *   since     date of the oldest entry
+     */
+    async summary(project) {
+        const users = new Map();
+        const sections = new Map();
+        let since = null;
+
+        for (const file of await this.files()) {
+            const content = await fs.promises.readFile(path.join(ACTIVITY_DIR, file), 'utf8');
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    continue; // a line cut short by a crash
+                }
+                if (entry.project !== project) continue;
+                if (!since || entry.at < since) since = entry.at;
+
+                const key = entry.user || '';
+                if (!users.has(key)) {
+                    users.set(key, { user: entry.user, role: entry.role, lastAccess: null, accesses: 0, views: 0, exports: 0, bySection: {} });
+                }
+                const user = users.get(key);
+                if (!user.lastAccess || entry.at > user.lastAccess) user.lastAccess = entry.at;
+                if (entry.type === 'login' || entry.type === 'open') user.accesses++;
+                if (entry.type === 'export') user.exports++;
+                // The section shown when the data loads counts as a view too
+                if ((entry.type === 'view' || entry.type === 'open') && entry.section) {
+                    user.views++;
+                    user.bySection[entry.section] = (user.bySection[entry.section] || 0) + 1;
+                    const section = sections.get(entry.section) || { section: entry.section, views: 0, users: new Set() };
+                    section.views++;
+                    section.users.add(key);
+                    sections.set(entry.section, section);
+                }
+            }
+        }
+
+        return {
+            since,
+            users: [...users.values()]
+                .map(({ bySection, ...user }) => ({
+                    ...user,
+                    investor: this.investorName(user.user, project),
+                    topSection: Object.entries(bySection).sort((a, b) => b[1] - a[1])[0]?.[0] || null
+                }))
+                .sort((a, b) => b.lastAccess.localeCompare(a.lastAccess)),
+            sections: [...sections.values()]
+                .map(s => ({ section: s.section, views: s.views, users: s.users.size }))
+                .sort((a, b) => b.views - a.views)
+        };
+    },
+
+    /**
+     * The investor name an account has in a project's CAPITAL sheet, if any.
+     */
+    investorName(username, project) {
+        const account = username && Projects.findUser(username);
+        return (account && account.investors && account.investors[project]) || null;
+    }
+};
+
+module.exports = Activity;
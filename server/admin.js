@@ -0,0 +1,204 @@
+/**
+ * Admin API
+ * Backs the admin console (admin.html): create, edit and archive projects, rotate
+ * their passwords and test-fetch their sheets before saving. Changes are written
+ * to the project store (server/data/projects.json, see server/projects.js).
+ *
+ * Only sessions opened with a personal account whose role is `admin` may call it.
+ *
+ *   GET  /api/admin/projects                        every project, archived included
+ *   POST /api/admin/projects                        { key, name, password, sheets, driveFolder }
+ *   PUT  /api/admin/projects?project=<key>          { name, sheets, driveFolder }
+ *   POST /api/admin/projects/archive?project=<key>  { archived }
+ *   POST /api/admin/projects/password?project=<key> { password }
+ *   POST /api/admin/test-fetch                      { url } -> { body } the sheet's CSV
+ */
+
+const Auth = require('./auth');
+const CsvProxy = require('./proxy');
+const Gallery = require('./gallery');
+const Http = require('./http');
+const Projects = require('./projects');
+
+const { HttpError } = Http;
+
+const SHEETS = ['budget', 'desglose', 'capital', 'ventas', 'hitos'];
+const REQUIRED_SHEETS = ['budget', 'desglose', 'capital'];
+const MIN_PASSWORD_LENGTH = 8;
+
+const Admin = {
+    /**
+     * The admin account behind a session, or 403.
+     */
+    requireAdmin(session) {
+        const usernames = [...new Set(session.grants.map(g => g.username).filter(Boolean))];
+        const admin = usernames.map(name => Projects.findUser(name)).find(user => user && user.role === 'admin');
+        if (!admin) {
+            throw new HttpError(403, 'ADMIN_ONLY', 'Solo los administradores pueden gestionar proyectos.');
+        }
+        return admin;
+    },
+
+    /**
+     * A project as the console sees it: everything but the password hash.
+     */
+    toAdmin(key) {
+        const { passwordHash, ...project } = Projects.find(key);
+        return { key, ...project, archived: !!project.archived, hasPassword: !!passwordHash };
+    },
+
+    async handleList(req, res, url, session) {
+        this.requireAdmin(session);
+        Http.sendJson(res, 200, { projects: Projects.allKeys().map(key => this.toAdmin(key)) });
+    },
+
+    async handleCreate(req, res, url, session) {
+        this.requireAdmin(session);
+        const body = await Http.readJson(req);
+        const key = String(body.key || '').trim().toUpperCase();
+        if (!/^[A-Z0-9][A-Z0-9_-]{1,39}$/.test(key)) {
+            throw new HttpError(400, 'INVALID_KEY', 'La clave del proyecto debe tener de 2 a 40 letras, números, "-" o "_".');
+        }
+        if (Projects.find(key)) {
+            throw new HttpError(409, 'PROJECT_EXISTS', `Ya existe un proyecto con la clave ${key}.`, {}, { key });
+        }
+        const password = await this.validatePassword(body.password);
+        Projects.put(key, {
+            name: this.validateName(body.name),
+            passwordHash: await Auth.hashPassword(password),
+            sheets: this.validateSheets(body.sheets),
+            driveFolder: this.validateDriveFolder(body.driveFolder)
+        });
+        await Projects.save();
+        Http.sendJson(res, 201, { project: this.toAdmin(key) });
+    },
+
+    async handleUpdate(req, res, url, session) {
+        this.requireAdmin(session);
+        const key = this.projectKey(url);
+        const body = await Http.readJson(req);
+        const project = { ...Projects.find(key) };
+        if (body.name !== undefined) project.name = this.validateName(body.name);
+        if (body.sheets !== undefined) {
+            // Projects loading from files or JSON don't need their sheets
+            const usesSheets = !project.dataSource || !project.dataSource.type || project.dataSource.type === 'sheets';
+            project.sheets = this.validateSheets(body.sheets, usesSheets);
+        }
+        if (body.driveFolder !== undefined) project.driveFolder = this.validateDriveFolder(body.driveFolder);
+        Projects.put(key, project);
+        await Projects.save();
+        Gallery.cache.delete(key);
+        Http.sendJson(res, 200, { project: this.toAdmin(key) });
+    },
+
+    async handleArchive(req, res, url, session) {
+        this.requireAdmin(session);
+        const key = this.projectKey(url);
+        const body = await Http.readJson(req);
+        const project = { ...Projects.find(key) };
+        if (body.archived) {
+            project.archived = true;
+        } else {
+            delete project.archived;
+        }
+        Projects.put(key, project);
+        await Projects.save();
+        Http.sendJson(res, 200, { project: this.toAdmin(key) });
+    },
+
+    /**
+     * Replace the shared project password. Sessions already open with the old one
+     * stay valid until they expire.
+     */
+    async handlePassword(req, res, url, session) {
+        this.requireAdmin(session);
+        const key = this.projectKey(url);
+        const body = await Http.readJson(req);
+        const password = await this.validatePassword(body.password, key);
+        Projects.put(key, { ...Projects.find(key), passwordHash: await Auth.hashPassword(password) });
+        await Projects.save();
+        Http.sendJson(res, 200, { project: this.toAdmin(key) });
+    },
+
+    /**
+     * Fetch a sheet URL fresh from Google so the console can preview how it parses,
+     * whether or not it is saved in a project yet.
+     */
+    async handleTestFetch(req, res, url, session) {
+        this.requireAdmin(session);
+        const body = await Http.readJson(req);
+        const sheetUrl = String(body.url || '').trim();
+        if (!CsvProxy.isSheetsCsvUrl(sheetUrl)) {
+            throw new HttpError(400, 'NOT_A_SHEET_URL', 'La URL no es una hoja de Google Sheets publicada como CSV (…/pub?output=csv).');
+        }
+        CsvProxy.cache.delete(sheetUrl);
+        const entry = await CsvProxy.load(sheetUrl);
+        Http.sendJson(res, 200, { body: entry.body });
+    },
+
+    // ========== VALIDATION ==========
+
+    projectKey(url) {
+        const key = url.searchParams.get('project');
+        if (!key || !Projects.find(key)) {
+            throw new HttpError(404, 'PROJECT_NOT_FOUND', 'Proyecto no encontrado.');
+        }
+        return key;
+    },
+
+    validateName(name) {
+        const value = String(name || '').trim();
+        if (!value) throw new HttpError(400, 'MISSING_NAME', 'El proyecto necesita un nombre.');
+        return value;
+    },
+
+    /**
+     * Sheet URLs by sheet; the three main sheets are required (unless `required` is
+     * false), VENTAS and HITOS optional.
+     */
+    validateSheets(sheets, required = true) {
+        const given = sheets && typeof sheets === 'object' ? sheets : {};
+        const result = {};
+        for (const sheet of SHEETS) {
+            const value = String(given[sheet] || '').trim();
+            if (!value) {
+                if (required && REQUIRED_SHEETS.includes(sheet)) {
+                    throw new HttpError(400, 'MISSING_SHEET', `Falta la URL de la hoja ${sheet.toUpperCase()}.`, {}, { sheet: sheet.toUpperCase() });
+                }
+                continue;
+            }
+            if (!CsvProxy.isSheetsCsvUrl(value)) {
+                throw new HttpError(400, 'INVALID_SHEET_URL', `La URL de ${sheet.toUpperCase()} no es una hoja de Google Sheets publicada como CSV.`, {}, { sheet: sheet.toUpperCase() });
+            }
+            result[sheet] = value;
+        }
+        return result;
+    },
+
+    validateDriveFolder(folder) {
+        const value = String(folder || '').trim();
+        if (value && !(value.startsWith('https://drive.google.com/') && Gallery.extractFolderId(value))) {
+            throw new HttpError(400, 'INVALID_DRIVE_FOLDER', 'La carpeta debe ser un enlace de Google Drive (…/drive/folders/<id>).');
+        }
+        return value;
+    },
+
+    /**
+     * Project passwords are case-insensitive (stored upper-cased) and must not open
+     * another project: a login tries them all and opens the first that matches.
+     */
+    async validatePassword(password, exceptKey = null) {
+        const value = String(password || '').trim().toUpperCase();
+        if (value.length < MIN_PASSWORD_LENGTH) {
+            throw new HttpError(400, 'WEAK_PASSWORD', `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`, {}, { min: MIN_PASSWORD_LENGTH });
+        }
+        for (const key of Projects.allKeys()) {
+            if (key !== exceptKey && await Auth.verifyPassword(value, Projects.find(key).passwordHash)) {
+                throw new HttpError(409, 'PASSWORD_IN_USE', 'Esa contraseña ya abre otro proyecto; elige una distinta.');
+            }
+        }
+        return value;
+    }
+};
+
+module.exports = Admin;
@@ -0,0 +1,74 @@
+/**
+ * Login Audit Log
+ * Appends one JSON line per login attempt to server/data/audit/logins.jsonl
+ * (AUDIT_FILE overrides it). The file is not part of the repository.
+ *
+ * Entry: { at, outcome, method, username, projects, ip, userAgent, reason }
+ *   outcome   'success' | 'failure' | 'throttled' | 'locked'
+ *   method    'user' (personal account) | 'project' (shared project password)
+ *   projects  keys the attempt concerns: the projects opened on success, the
+ *             account's projects on a failed personal login, [] when a project
+ *             password matched none (or the username does not exist)
+ *
+ * A password that matched no project doesn't say which one it was aimed at, so
+ * those unscoped attempts are listed for every project (see read()).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_FILE = process.env.AUDIT_FILE || path.join(__dirname, 'data', 'audit', 'logins.jsonl');
+
+const Audit = {
+    AUDIT_FILE,
+
+    /**
+     * Append an entry. Failing to write is logged, never thrown: an unwritable
+     * log must not block logins.
+     */
+    record(req, entry) {
+        const line = JSON.stringify({
+            at: new Date().toISOString(),
+            ...entry,
+            ip: req.socket.remoteAddress || null,
+            userAgent: req.headers['user-agent'] || null
+        });
+        fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true })
+            .then(() => fs.promises.appendFile(AUDIT_FILE, line + '\n'))
+            .catch(err => console.error('Could not write the audit log:', err.message));
+    },
+
+    /**
+     * Entries for one project (or all of them), newest first. A project's list
+     * includes the unscoped attempts, flagged `unscoped: true`: they may have been
+     * guesses at its password.
+     */
+    async read({ project = null, limit = 200 } = {}) {
+        let content;
+        try {
+            content = await fs.promises.readFile(AUDIT_FILE, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        const entries = [];
+        for (const line of content.split('\n').reverse()) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                const projects = entry.projects || [];
+                if (!project || projects.includes(project)) {
+                    entries.push(entry);
+                } else if (!projects.length && entry.outcome !== 'success') {
+                    entries.push({ ...entry, unscoped: true });
+                }
+            } catch (e) {
+                // Skip a line cut short by a crash
+            }
+            if (entries.length >= limit) break;
+        }
+        return entries;
+    }
+};
+
+module.exports = Audit;
@@ -0,0 +1,124 @@
+/**
+ * Server Auth Module
+ * Password hashing (scrypt) and signed session tokens (HMAC-SHA256).
+ * Uses only Node built-ins so the server runs without npm dependencies.
+ *
+ * A session ends after IDLE_TTL without renewal or SESSION_TTL after login,
+ * whichever comes first: tokens carry the login time (`auth`) and expire IDLE_TTL
+ * after they are issued, never past auth + SESSION_TTL. renewToken() pushes the
+ * idle deadline back; the dashboard renews while the user is active.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const IDLE_TTL = 30 * 60 * 1000; // 30 minutes
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+// Tokens are signed with SESSION_SECRET. Without it, a random secret is used,
+// which means every server restart logs everybody out.
+const SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET not set: using a random secret, sessions will not survive a restart.');
+}
+
+const base64url = (buf) => Buffer.from(buf).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+const Auth = {
+    /**
+     * Hash a password. Output format: "scrypt$<salt>$<hash>" (base64).
+     */
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+    },
+
+    /**
+     * Check a password against a stored hash in constant time.
+     */
+    async verifyPassword(password, stored) {
+        if (!stored || typeof stored !== 'string') return false;
+        const [scheme, saltB64, hashB64] = stored.split('$');
+        if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+        const expected = Buffer.from(hashB64, 'base64');
+        const actual = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    },
+
+    /**
+     * Issue a signed token carrying the given claims, for a session that started
+     * at `auth` (now for a new login). Returns { token, expiresAt }.
+     */
+    issueToken(claims, auth = Date.now()) {
+        const now = Date.now();
+        const { iat, exp, ...rest } = claims;
+        const expiresAt = Math.min(now + IDLE_TTL, auth + SESSION_TTL);
+        const payload = base64url(JSON.stringify({ ...rest, auth, iat: now, exp: expiresAt }));
+        return { token: `${payload}.${sign(payload)}`, expiresAt };
+    },
+
+    /**
+     * A fresh token for verified claims: same session, new idle deadline.
+     */
+    renewToken(claims) {
+        return this.issueToken(claims, claims.auth || claims.iat);
+    },
+
+    /**
+     * Verify a token's signature and expiry.
+     * Returns its claims, or null if the token is invalid or expired.
+     */
+    verifyToken(token) {
+        if (!token || typeof token !== 'string') return null;
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!claims.exp || claims.exp < Date.now()) return null;
+            return claims;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Signature for a value that expires after `ttl` ms, for URLs that cannot carry
+     * the bearer token (an <img> src). Returns { exp, sig }.
+     */
+    signValue(value, ttl = SESSION_TTL) {
+        const exp = Date.now() + ttl;
+        return { exp, sig: sign(`${value}.${exp}`) };
+    },
+
+    /**
+     * Check a signature from signValue(); false once it has expired.
+     */
+    verifySignedValue(value, exp, sig) {
+        if (!sig || typeof sig !== 'string' || !(Number(exp) > Date.now())) return false;
+        const expected = Buffer.from(sign(`${value}.${exp}`));
+        const actual = Buffer.from(sig);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+
+    /**
+     * Extract the bearer token from a request's Authorization header.
+     */
+    getBearerToken(req) {
+        const header = req.headers['authorization'] || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        return match ? match[1].trim() : null;
+    }
+};
+
+module.exports = Auth;
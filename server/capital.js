@@ -0,0 +1,171 @@
+/**
+ * Investor-scoped CAPITAL data
+ * The CAPITAL sheet lists every investor's contribution, so only admins get it
+ * whole. For everybody else the investors block is rewritten: an investor's own
+ * row comes first, and every other contribution is folded into one
+ * "Otros inversionistas" row per date (one row when the sheet has no dates).
+ * Totals, ownership, the waterfall and the cash flow's capital calls still add
+ * up, but no other investor's name or amount leaves the server.
+ *
+ * Every data source is scoped on its way out:
+ *   - published sheets: GET /api/capital (CsvProxy.handleCapital), since the
+ *     CAPITAL sheet's URL is only given to admins (see Projects.toPublic);
+ *   - a JSON data source: through the proxy (CsvProxy.handle) or, when uploaded,
+ *     through /api/files, both with scopeJson;
+ *   - an uploaded CAPITAL file: through /api/files (scopeFile). A CSV is scoped;
+ *     an XLSX workbook can't be rewritten here and is refused to non-admins.
+ *
+ * Rows are located with the dashboard's own CSV parser and sheet schema (data.js,
+ * schema.js), loaded here unchanged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const Http = require('./http');
+
+const { HttpError } = Http;
+
+const OTHERS_LABEL = 'Otros inversionistas';
+
+const { SheetSchema, DataService } = (() => {
+    const context = vm.createContext({});
+    for (const file of ['schema.js', 'data.js']) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    }
+    return vm.runInContext('({ SheetSchema, DataService })', context);
+})();
+
+const normalize = (str) => String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+const Capital = {
+    OTHERS_LABEL,
+
+    /**
+     * The CSV with its investors block reduced to `investor`'s own row (none for
+     * null) followed by the other contributions, summed per date.
+     */
+    scope(csv, project, investor) {
+        const rows = this.scopeRows(DataService.parseCSV(csv), project, investor);
+        return rows.map(row => row.map(cell => this.quote(cell)).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Same as scope, on the sheet's rows (rewritten in place and returned).
+     */
+    scopeRows(rows, project, investor) {
+        const schema = SheetSchema.resolve(project).capital;
+        const inv = schema.investors;
+        const col = {
+            name: SheetSchema.columnIndex(inv.nameColumn),
+            amount: SheetSchema.columnIndex(inv.amountColumn),
+            date: inv.dateColumn ? SheetSchema.columnIndex(inv.dateColumn) : -1
+        };
+
+        // Same extent as DataService.parseCapital: until an empty name or the end of the block
+        const { start, end } = SheetSchema.investorBounds(rows, schema);
+        let last = start;
+        while (last < end && last < rows.length && rows[last] && (rows[last][col.name] || '').trim()) last++;
+
+        const own = [];
+        const others = new Map(); // date -> amount
+        for (let i = start; i < last; i++) {
+            const row = rows[i];
+            if (investor && normalize(row[col.name]) === normalize(investor)) {
+                own.push(row);
+                continue;
+            }
+            const date = col.date >= 0 ? (row[col.date] || '').trim() : '';
+            others.set(date, (others.get(date) || 0) + DataService.parseNumber(row[col.amount]));
+        }
+
+        const width = Math.max(col.name, col.amount, col.date) + 1;
+        const line = (name, amount, date) => {
+            const row = new Array(width).fill('');
+            row[col.name] = name;
+            row[col.amount] = amount;
+            if (col.date >= 0) row[col.date] = date;
+            return row;
+        };
+        const block = [
+            ...own.map(row => line(row[col.name], row[col.amount], col.date >= 0 ? row[col.date] : '')),
+            ...[...others].map(([date, amount]) => line(OTHERS_LABEL, String(amount), date))
+        ];
+        for (let i = start; i < last; i++) {
+            rows[i] = block[i - start] || [];
+        }
+        return rows;
+    },
+
+    /**
+     * A JSON data source (see sources.js) scoped like the sheet: raw `capital` rows
+     * go through scopeRows, a parsed `capital.investors` list is folded the same way.
+     */
+    scopeJson(body, project, investor) {
+        let json;
+        try {
+            json = JSON.parse(body);
+        } catch (err) {
+            throw new HttpError(502, 'INVALID_JSON_SOURCE', 'La fuente de datos no devolvió un JSON válido.');
+        }
+        if (Array.isArray(json.capital)) {
+            const rows = json.capital.map(row => (Array.isArray(row) ? row : []).map(cell => String(cell ?? '')));
+            json.capital = this.scopeRows(rows, project, investor);
+        } else if (json.capital && Array.isArray(json.capital.investors)) {
+            const own = [];
+            const others = new Map(); // date -> amount
+            for (const inv of json.capital.investors) {
+                if (investor && normalize(inv.name) === normalize(investor)) {
+                    own.push(inv);
+                    continue;
+                }
+                const date = String(inv.date || '').trim();
+                const amount = typeof inv.amount === 'number' ? inv.amount : DataService.parseNumber(String(inv.amount ?? ''));
+                others.set(date, (others.get(date) || 0) + amount);
+            }
+            json.capital.investors = [
+                ...own,
+                ...[...others].map(([date, amount]) => ({ name: OTHERS_LABEL, amount, date }))
+            ];
+        }
+        return JSON.stringify(json);
+    },
+
+    /**
+     * An uploaded file of project `key` (see server/files.js) as `investor` may
+     * read it: the CAPITAL file or the JSON data source scoped, anything else
+     * unchanged. `content` is a Buffer; the result is a Buffer or a string.
+     */
+    scopeFile(key, project, name, content, investor) {
+        const source = project.dataSource || {};
+        if (source.type === 'file' && name === (source.files ? source.files.capital : source.file)) {
+            if (!/\.csv$/i.test(name)) {
+                throw new HttpError(403, 'CAPITAL_NOT_SCOPED', 'Este proyecto carga el capital desde un libro XLSX, que solo pueden abrir los administradores.');
+            }
+            return this.scope(content.toString('utf8'), project, investor);
+        }
+        if (source.type === 'json' && this.isFileUrl(source.url, key, name)) {
+            return this.scopeJson(content.toString('utf8'), project, investor);
+        }
+        return content;
+    },
+
+    /**
+     * Whether a data source URL is /api/files for the given project file.
+     */
+    isFileUrl(url, projectKey, name) {
+        if (!url || /^https?:\/\//i.test(url)) return false;
+        const parsed = new URL(url, 'http://localhost');
+        return parsed.pathname === '/api/files' &&
+            parsed.searchParams.get('project') === projectKey &&
+            parsed.searchParams.get('name') === name;
+    },
+
+    quote(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+};
+
+module.exports = Capital;
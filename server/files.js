@@ -0,0 +1,68 @@
+/**
+ * Project Files
+ * Serves XLSX/CSV files uploaded for a project (the "file" data source in sources.js)
+ * and JSON files such as the project's `salesFile`.
+ * Files live in server/data/files/<PROJECT_KEY>/ and are only served to sessions
+ * that include that project. Non-admins get the CAPITAL data in them scoped to
+ * their investor, or not at all (see server/capital.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Capital = require('./capital');
+const Http = require('./http');
+const Projects = require('./projects');
+
+const { HttpError } = Http;
+
+const FILES_DIR = process.env.FILES_DIR || path.join(__dirname, 'data', 'files');
+
+const CONTENT_TYPES = {
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.csv': 'text/csv; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+const Files = {
+    FILES_DIR,
+
+    /**
+     * Absolute path of a project's file. Rejects anything but a plain .xlsx/.csv/.json file name.
+     */
+    resolve(projectKey, name) {
+        if (!name || name !== path.basename(name) || name.startsWith('.') || !CONTENT_TYPES[path.extname(name).toLowerCase()]) {
+            throw new HttpError(400, 'INVALID_FILE_NAME', 'Nombre de archivo inválido (usa .xlsx, .csv o .json).');
+        }
+        return path.join(FILES_DIR, projectKey, name);
+    },
+
+    /**
+     * GET /api/files?project=<key>&name=<file>
+     */
+    async handle(req, res, requestUrl, session) {
+        const projectKey = requestUrl.searchParams.get('project');
+        const grant = session.grants.find(g => g.project === projectKey);
+        const project = grant && Projects.get(projectKey);
+        if (!project) {
+            throw new HttpError(403, 'FORBIDDEN', 'No tienes acceso a este proyecto.');
+        }
+        const name = requestUrl.searchParams.get('name');
+        const filePath = this.resolve(projectKey, name);
+
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath);
+        } catch (err) {
+            throw new HttpError(404, 'FILE_NOT_FOUND', 'No se encontró el archivo de datos del proyecto.');
+        }
+        if (grant.role !== 'admin') content = Capital.scopeFile(projectKey, project, name, content, grant.investor);
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()],
+            'Cache-Control': 'private, no-cache'
+        });
+        res.end(content);
+    }
+};
+
+module.exports = Files;
@@ -0,0 +1,342 @@
+/**
+ * Project Gallery
+ * Lists a project's progress photos for the Galería section, with names, capture
+ * dates and the subfolder (stage) each one is in. Two backends:
+ *
+ *   local  server/data/gallery/<PROJECT_KEY>/ (GALLERY_DIR), used when it exists;
+ *          a stand-in for Drive in development and demos. Capture dates come from
+ *          the JPEG's EXIF data, else a date in the file name, else none.
+ *   drive  the project's `driveFolder`, through the Drive API with GOOGLE_API_KEY.
+ *          The folder must be shared with "anyone with the link".
+ *
+ * GET /api/gallery?project=<key> responds with
+ *   { source, folderUrl, photos: [{ id, name, folder, takenAt, createdAt, width, height, thumbnail, full }] }
+ * takenAt/createdAt are local ISO date-times ("2025-03-14T10:20:00") or null.
+ * Listings are cached in memory for GALLERY_CACHE_TTL seconds (default 300). Local
+ * photos are served by GET /api/gallery/photo with a signed, expiring URL, since an
+ * <img> cannot send the session token.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Auth = require('./auth');
+const Http = require('./http');
+const Projects = require('./projects');
+
+const { HttpError } = Http;
+
+const GALLERY_DIR = process.env.GALLERY_DIR || path.join(__dirname, 'data', 'gallery');
+const CACHE_TTL = (parseInt(process.env.GALLERY_CACHE_TTL, 10) || 300) * 1000;
+const UPSTREAM_TIMEOUT = 15 * 1000;
+const DRIVE_API = 'https://www.googleapis.com/drive/v3/files';
+const DRIVE_FOLDER_TYPE = 'application/vnd.google-apps.folder';
+// Subfolder levels listed below the project folder
+const MAX_DEPTH = 3;
+// Bytes read from a local photo to find its EXIF date and size
+const HEADER_BYTES = 256 * 1024;
+
+const IMAGE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+
+const Gallery = {
+    cache: new Map(), // project key -> { listing, storedAt }
+
+    /**
+     * GET /api/gallery?project=<key>
+     */
+    async handle(req, res, requestUrl, session) {
+        const projectKey = requestUrl.searchParams.get('project');
+        if (!Projects.isGranted(session.grants, projectKey)) {
+            throw new HttpError(403, 'FORBIDDEN', 'No tienes acceso a este proyecto.');
+        }
+        const listing = await this.load(projectKey);
+        Http.sendJson(res, 200, {
+            ...listing,
+            photos: listing.source === 'local' ? listing.photos.map(photo => this.signPhoto(projectKey, photo)) : listing.photos
+        });
+    },
+
+    /**
+     * GET /api/gallery/photo?project=<key>&id=<id>&exp=<ms>&sig=<signature>
+     * Serves a local photo. Authorized by the signature instead of the session.
+     */
+    async handlePhoto(req, res, requestUrl) {
+        const projectKey = requestUrl.searchParams.get('project') || '';
+        const id = requestUrl.searchParams.get('id') || '';
+        const { exp, sig } = Object.fromEntries(requestUrl.searchParams);
+        if (!Auth.verifySignedValue(`${projectKey}/${id}`, exp, sig)) {
+            throw new HttpError(403, 'INVALID_SIGNATURE', 'El enlace de la foto no es válido o ya expiró.');
+        }
+
+        const filePath = this.localPath(projectKey, id);
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath);
+        } catch (err) {
+            throw new HttpError(404, 'PHOTO_NOT_FOUND', 'No se encontró la foto.');
+        }
+        res.writeHead(200, {
+            'Content-Type': IMAGE_TYPES[path.extname(filePath).toLowerCase()],
+            'Cache-Control': 'private, max-age=3600'
+        });
+        res.end(content);
+    },
+
+    /**
+     * The project's listing, from the cache while fresh.
+     */
+    async load(projectKey) {
+        const cached = this.cache.get(projectKey);
+        if (cached && Date.now() - cached.storedAt < CACHE_TTL) return cached.listing;
+
+        const project = Projects.get(projectKey);
+        const folderUrl = project.driveFolder || '';
+        let listing;
+        if (await this.hasLocalFolder(projectKey)) {
+            listing = { source: 'local', folderUrl, photos: await this.listLocal(projectKey) };
+        } else if (this.extractFolderId(folderUrl) && process.env.GOOGLE_API_KEY) {
+            listing = { source: 'drive', folderUrl, photos: await this.listDrive(this.extractFolderId(folderUrl)) };
+        } else {
+            throw new HttpError(404, 'GALLERY_NOT_CONFIGURED', 'La galería de este proyecto no está configurada en el servidor.');
+        }
+        listing.photos.sort((a, b) => (a.takenAt || a.createdAt || '').localeCompare(b.takenAt || b.createdAt || ''));
+        this.cache.set(projectKey, { listing, storedAt: Date.now() });
+        return listing;
+    },
+
+    extractFolderId(url) {
+        const match = String(url || '').match(/folders\/([a-zA-Z0-9_-]+)/);
+        return match ? match[1] : null;
+    },
+
+    // ========== GOOGLE DRIVE ==========
+
+    /**
+     * Images in a Drive folder and its subfolders (up to MAX_DEPTH levels).
+     */
+    async listDrive(folderId, folder = null, depth = 0) {
+        const photos = [];
+        for (const file of await this.driveChildren(folderId)) {
+            if (file.mimeType === DRIVE_FOLDER_TYPE) {
+                if (depth < MAX_DEPTH) {
+                    photos.push(...await this.listDrive(file.id, folder ? `${folder}/${file.name}` : file.name, depth + 1));
+                }
+                continue;
+            }
+            if (!/^image\//.test(file.mimeType)) continue;
+            const meta = file.imageMediaMetadata || {};
+            photos.push({
+                id: file.id,
+                name: file.name,
+                folder,
+                takenAt: this.parseExifDate(meta.time) || this.dateFromName(file.name),
+                createdAt: file.createdTime ? this.toLocalIso(new Date(file.createdTime)) : null,
+                width: meta.width || null,
+                height: meta.height || null,
+                thumbnail: `https://drive.google.com/thumbnail?id=${file.id}&sz=w800`,
+                full: `https://drive.google.com/thumbnail?id=${file.id}&sz=w1600`
+            });
+        }
+        return photos;
+    },
+
+    /**
+     * Every file directly in a Drive folder, following the API's pagination.
+     */
+    async driveChildren(folderId) {
+        const files = [];
+        let pageToken = '';
+        do {
+            const url = new URL(DRIVE_API);
+            url.searchParams.set('q', `'${folderId}' in parents and trashed = false`);
+            url.searchParams.set('fields', 'nextPageToken, files(id, name, mimeType, createdTime, imageMediaMetadata(time, width, height))');
+            url.searchParams.set('pageSize', '1000');
+            url.searchParams.set('key', process.env.GOOGLE_API_KEY);
+            if (pageToken) url.searchParams.set('pageToken', pageToken);
+
+            let response;
+            try {
+                response = await fetch(url, { signal: AbortSignal.timeout(UPSTREAM_TIMEOUT) });
+            } catch (err) {
+                const timedOut = err.name === 'TimeoutError';
+                throw new HttpError(
+                    timedOut ? 504 : 502,
+                    timedOut ? 'DRIVE_TIMEOUT' : 'DRIVE_UNREACHABLE',
+                    timedOut ? 'Google Drive tardó demasiado en responder.' : 'No se pudo contactar Google Drive.'
+                );
+            }
+            if (!response.ok) {
+                throw new HttpError(502, 'DRIVE_ERROR', `Google Drive respondió con HTTP ${response.status}. Revisa que la carpeta sea pública.`, {}, { status: response.status });
+            }
+            const body = await response.json();
+            files.push(...(body.files || []));
+            pageToken = body.nextPageToken || '';
+        } while (pageToken);
+        return files;
+    },
+
+    // ========== LOCAL FOLDER ==========
+
+    async hasLocalFolder(projectKey) {
+        try {
+            return (await fs.promises.stat(path.join(GALLERY_DIR, projectKey))).isDirectory();
+        } catch (err) {
+            return false;
+        }
+    },
+
+    /**
+     * Images in the project's local folder and its subfolders. Ids are the paths
+     * relative to the project folder.
+     */
+    async listLocal(projectKey, relative = '', depth = 0) {
+        const dir = path.join(GALLERY_DIR, projectKey, relative);
+        const photos = [];
+        for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+            const id = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (depth < MAX_DEPTH) photos.push(...await this.listLocal(projectKey, id, depth + 1));
+                continue;
+            }
+            if (!entry.isFile() || !IMAGE_TYPES[path.extname(entry.name).toLowerCase()]) continue;
+
+            const filePath = path.join(dir, entry.name);
+            const stats = await fs.promises.stat(filePath);
+            const meta = await this.readImageMeta(filePath);
+            photos.push({
+                id,
+                name: entry.name,
+                folder: relative || null,
+                takenAt: meta.takenAt || this.dateFromName(entry.name),
+                createdAt: this.toLocalIso(stats.mtime),
+                width: meta.width,
+                height: meta.height
+            });
+        }
+        return photos;
+    },
+
+    /**
+     * Absolute path of a local photo. Rejects ids that leave the project folder.
+     */
+    localPath(projectKey, id) {
+        if (!Projects.get(projectKey)) {
+            throw new HttpError(404, 'PHOTO_NOT_FOUND', 'No se encontró la foto.');
+        }
+        const root = path.join(GALLERY_DIR, projectKey);
+        const filePath = path.resolve(root, id);
+        const parts = id.split('/');
+        if (!filePath.startsWith(root + path.sep) || parts.some(part => !part || part.startsWith('.')) ||
+            !IMAGE_TYPES[path.extname(filePath).toLowerCase()]) {
+            throw new HttpError(400, 'INVALID_PHOTO_ID', 'Identificador de foto inválido.');
+        }
+        return filePath;
+    },
+
+    /**
+     * A local photo with its signed URL (the same one for thumbnail and full size).
+     */
+    signPhoto(projectKey, photo) {
+        const { exp, sig } = Auth.signValue(`${projectKey}/${photo.id}`);
+        const url = `/api/gallery/photo?project=${encodeURIComponent(projectKey)}&id=${encodeURIComponent(photo.id)}&exp=${exp}&sig=${sig}`;
+        return { ...photo, thumbnail: url, full: url };
+    },
+
+    /**
+     * Capture date and pixel size of a local photo, read from the start of the
+     * file: EXIF DateTimeOriginal (else DateTime) and the JPEG frame header.
+     * Other formats only get nulls.
+     */
+    async readImageMeta(filePath) {
+        const meta = { takenAt: null, width: null, height: null };
+        const handle = await fs.promises.open(filePath, 'r');
+        let buf;
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+            buf = buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+        if (buf.length < 4 || buf.readUInt16BE(0) !== 0xFFD8) return meta;
+
+        let offset = 2;
+        while (offset + 4 <= buf.length && buf[offset] === 0xFF) {
+            const marker = buf[offset + 1];
+            const length = buf.readUInt16BE(offset + 2);
+            const start = offset + 4;
+            if (marker === 0xE1 && buf.toString('latin1', start, start + 6) === 'Exif\0\0') {
+                meta.takenAt = this.parseExifDate(this.readExifDate(buf, start + 6));
+            } else if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker) && start + 5 <= buf.length) {
+                meta.height = buf.readUInt16BE(start + 1);
+                meta.width = buf.readUInt16BE(start + 3);
+                break;
+            } else if (marker === 0xDA) {
+                break;
+            }
+            offset = start + length - 2;
+        }
+        return meta;
+    },
+
+    /**
+     * The EXIF date string ("2025:03:14 10:20:00") of the TIFF block at `tiff`, or null.
+     */
+    readExifDate(buf, tiff) {
+        if (tiff + 8 > buf.length) return null;
+        const little = buf.toString('latin1', tiff, tiff + 2) === 'II';
+        const u16 = (at) => little ? buf.readUInt16LE(at) : buf.readUInt16BE(at);
+        const u32 = (at) => little ? buf.readUInt32LE(at) : buf.readUInt32BE(at);
+        const entries = (ifd) => {
+            const at = tiff + ifd;
+            if (at + 2 > buf.length) return [];
+            const list = [];
+            for (let i = 0; i < u16(at); i++) {
+                const entry = at + 2 + i * 12;
+                if (entry + 12 > buf.length) break;
+                list.push({ tag: u16(entry), count: u32(entry + 4), value: u32(entry + 8) });
+            }
+            return list;
+        };
+        const ascii = (entry) => {
+            const at = tiff + entry.value;
+            return at + entry.count <= buf.length ? buf.toString('latin1', at, at + entry.count).replace(/\0+$/, '') : null;
+        };
+
+        const ifd0 = entries(u32(tiff + 4));
+        const exifPointer = ifd0.find(e => e.tag === 0x8769);
+        const original = exifPointer && entries(exifPointer.value).find(e => e.tag === 0x9003);
+        const modified = ifd0.find(e => e.tag === 0x0132);
+        return original ? ascii(original) : modified ? ascii(modified) : null;
+    },
+
+    /**
+     * "2025:03:14 10:20:00" (EXIF) as "2025-03-14T10:20:00", or null.
+     */
+    parseExifDate(value) {
+        const match = String(value || '').match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+        if (!match || match[1] === '0000') return null;
+        return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    },
+
+    /**
+     * A date in a file name such as "IMG_20250314_102000.jpg" or "2025-03-14 losa.jpg".
+     */
+    dateFromName(name) {
+        const match = String(name).match(/(20\d{2})[-_.]?(0[1-9]|1[0-2])[-_.]?(0[1-9]|[12]\d|3[01])/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}T00:00:00` : null;
+    },
+
+    toLocalIso(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+};
+
+module.exports = Gallery;
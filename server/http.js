@@ -0,0 +1,78 @@
+/**
+ * HTTP Helpers
+ * Small request/response utilities shared by the API handlers.
+ * Errors are always returned as { error: { code, message, params } }: the dashboard
+ * shows its own translation of `code` (filled in with `params`, when the message
+ * has variable parts) and `message` is the Spanish text for anything else.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024; // 1 MB
+
+/**
+ * Error carrying an HTTP status and a stable machine-readable code.
+ * Throw it from a handler and the router turns it into a JSON error response
+ * (with `headers` added, e.g. Retry-After, and the message's `params`).
+ */
+class HttpError extends Error {
+    constructor(status, code, message, headers = {}, params = null) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.headers = headers;
+        this.params = params;
+    }
+}
+
+const Http = {
+    HttpError,
+
+    sendJson(res, status, body, headers = {}) {
+        const payload = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store',
+            ...headers
+        });
+        res.end(payload);
+    },
+
+    sendError(res, status, code, message, headers = {}, params = null) {
+        this.sendJson(res, status, { error: params ? { code, message, params } : { code, message } }, headers);
+    },
+
+    /**
+     * Read and parse a JSON request body. Only objects are accepted (an empty body
+     * reads as {}), so handlers can read fields without checking the type first.
+     */
+    readJson(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new HttpError(413, 'BODY_TOO_LARGE', 'El cuerpo de la solicitud es demasiado grande.'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                if (!chunks.length) return resolve({});
+                let body;
+                try {
+                    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (e) {
+                    return reject(new HttpError(400, 'INVALID_JSON', 'El cuerpo de la solicitud no es JSON válido.'));
+                }
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    return reject(new HttpError(400, 'INVALID_BODY', 'El cuerpo de la solicitud debe ser un objeto JSON.'));
+                }
+                resolve(body);
+            });
+            req.on('error', reject);
+        });
+    }
+};
+
+module.exports = Http;
@@ -0,0 +1,140 @@
+/**
+ * Project Store
+ * Loads project configuration (hashed credentials, sheet URLs, Drive folder)
+ * and user accounts from server/data/projects.json. Nothing in here is sent
+ * to the browser except through toPublic(), after a successful login, and to
+ * admins through the admin console (see server/admin.js), which also edits it.
+ *
+ * Archived projects (`archived: true`) stay in the file but are invisible to
+ * get() and keys(): nobody can log in to them and sessions drop them.
+ *
+ * Roles:
+ *   viewer   - logged in with the shared project password; aggregate figures only
+ *   investor - personal account mapped to an investor name in the CAPITAL sheet
+ *   admin    - personal account that sees every project and the full investors grid
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STORE_PATH = process.env.PROJECTS_FILE || path.join(__dirname, 'data', 'projects.json');
+
+const Projects = {
+    store: null,
+
+    /**
+     * Read the store from disk (cached after the first read).
+     */
+    load() {
+        if (!this.store) {
+            this.store = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+            if (!this.store.projects) this.store.projects = {};
+            if (!this.store.users) this.store.users = [];
+        }
+        return this.store;
+    },
+
+    /**
+     * Write the store back to disk. Written to a temporary file first and renamed,
+     * so a crash mid-write never leaves a truncated store.
+     */
+    async save() {
+        const tmp = `${STORE_PATH}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(this.load(), null, 4) + '\n');
+        await fs.promises.rename(tmp, STORE_PATH);
+    },
+
+    /**
+     * Get a project's full (private) configuration by key. Null for archived projects.
+     */
+    get(key) {
+        const project = this.find(key);
+        return project && !project.archived ? project : null;
+    },
+
+    /**
+     * Get a project's configuration by key, archived or not.
+     */
+    find(key) {
+        const projects = this.load().projects;
+        return Object.prototype.hasOwnProperty.call(projects, key) ? projects[key] : null;
+    },
+
+    /**
+     * List the keys of all active projects.
+     */
+    keys() {
+        return Object.keys(this.load().projects).filter(key => this.get(key));
+    },
+
+    /**
+     * List every project key, archived ones included.
+     */
+    allKeys() {
+        return Object.keys(this.load().projects);
+    },
+
+    /**
+     * Add or replace a project's configuration. Call save() to persist it.
+     */
+    put(key, project) {
+        this.load().projects[key] = project;
+    },
+
+    /**
+     * Whether a session's grants include the given project.
+     */
+    isGranted(grants, key) {
+        return grants.some(g => g.project === key) && !!this.get(key);
+    },
+
+    /**
+     * Find a user account by username (case-insensitive).
+     */
+    findUser(username) {
+        const wanted = String(username || '').trim().toLowerCase();
+        if (!wanted) return null;
+        return this.load().users.find(u => u.username.toLowerCase() === wanted) || null;
+    },
+
+    /**
+     * Projects a user account can open, as [{ project, role, investor }].
+     * Admins get every project; investors only those mapping them to an investor name.
+     */
+    grantsForUser(user) {
+        if (user.role === 'admin') {
+            return this.keys().map(project => ({ project, role: 'admin', investor: null }));
+        }
+        return Object.entries(user.investors || {})
+            .filter(([project]) => this.get(project))
+            .map(([project, investor]) => ({ project, role: 'investor', investor }));
+    },
+
+    /**
+     * The part of a project's configuration the dashboard needs once logged in,
+     * plus the caller's role in it. Credentials never leave the server, and neither
+     * does the CAPITAL sheet's URL unless the caller is an admin: the dashboard reads
+     * that sheet through /api/capital (see server/capital.js).
+     */
+    toPublic(key, grant = {}) {
+        const project = this.get(key);
+        if (!project) return null;
+        const { capital, ...sheets } = project.sheets || {};
+        return {
+            key,
+            name: project.name,
+            sheets: grant.role === 'admin' ? { ...sheets, capital } : sheets,
+            dataSource: project.dataSource || { type: 'sheets' },
+            schema: project.schema || null,
+            driveFolder: project.driveFolder || '',
+            salesFile: project.salesFile || null,
+            waterfall: project.waterfall || null,
+            progress: project.progress || null,
+            role: grant.role || 'viewer',
+            username: grant.username || null,
+            investor: grant.investor || null
+        };
+    }
+};
+
+module.exports = Projects;
@@ -0,0 +1,202 @@
+/**
+ * CSV Proxy
+ * Fetches published Google Sheets CSVs on behalf of the dashboard, replacing the
+ * public allorigins.win proxy. Only sheet URLs configured for a project in the
+ * caller's session are proxied, plus the project's JSON data source URL if it
+ * has one (see sources.js). The CAPITAL sheet is served by handleCapital, and a
+ * JSON data source is scoped for non-admins (see server/capital.js).
+ *
+ * Responses are cached in memory. Once an entry is older than CACHE_TTL it is
+ * revalidated upstream with If-None-Match / If-Modified-Since; if the upstream
+ * is down, the stale copy is served. Clients get an ETag and Last-Modified and
+ * can revalidate with the same headers.
+ */
+
+const crypto = require('crypto');
+
+const Capital = require('./capital');
+const Http = require('./http');
+const Projects = require('./projects');
+
+const { HttpError } = Http;
+
+const CACHE_TTL = (parseInt(process.env.PROXY_CACHE_TTL, 10) || 60) * 1000;
+const UPSTREAM_TIMEOUT = 15 * 1000;
+
+const CsvProxy = {
+    cache: new Map(), // url -> { body, etag, upstreamEtag, lastModified, contentType, storedAt }
+
+    /**
+     * Published Google Sheets CSV export URLs only.
+     */
+    isSheetsCsvUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return false;
+        }
+        return parsed.protocol === 'https:' &&
+            parsed.hostname === 'docs.google.com' &&
+            parsed.pathname.startsWith('/spreadsheets/') &&
+            parsed.searchParams.get('output') === 'csv';
+    },
+
+    /**
+     * Whether the URL is one of the sheets (or the JSON data source) configured
+     * for a project in the session. The CAPITAL sheet is only whitelisted for the
+     * project's admins; everybody else reads it through /api/capital.
+     */
+    isWhitelisted(url, grants) {
+        return grants.some(grant => {
+            const project = Projects.get(grant.project);
+            if (!project) return false;
+            const sheets = Object.entries(project.sheets || {})
+                .filter(([name]) => name !== 'capital' || grant.role === 'admin')
+                .map(([, sheet]) => sheet);
+            if (this.isSheetsCsvUrl(url) && sheets.includes(url)) return true;
+            const source = project.dataSource || {};
+            return source.type === 'json' && source.url === url && url.startsWith('https://');
+        });
+    },
+
+    /**
+     * GET /api/csv?url=<sheet url>
+     */
+    async handle(req, res, requestUrl, session) {
+        const url = requestUrl.searchParams.get('url');
+        if (!url) {
+            throw new HttpError(400, 'MISSING_URL', 'Falta el parámetro "url".');
+        }
+        if (!this.isWhitelisted(url, session.grants)) {
+            throw new HttpError(403, 'NOT_WHITELISTED', 'La URL solicitada no es una hoja configurada para este proyecto.');
+        }
+
+        let entry = await this.load(url);
+        const source = this.jsonSourceGrant(url, session.grants);
+        if (source && source.grant.role !== 'admin') {
+            const body = Capital.scopeJson(entry.body, source.project, source.grant.investor);
+            entry = { ...entry, body, etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"` };
+        }
+
+        const headers = {
+            'Content-Type': entry.contentType,
+            'Cache-Control': 'private, no-cache',
+            'ETag': entry.etag,
+            'X-Cache': entry.status
+        };
+        if (entry.lastModified) headers['Last-Modified'] = entry.lastModified;
+
+        if (this.isNotModified(req, entry)) {
+            res.writeHead(304, headers);
+            return res.end();
+        }
+        res.writeHead(200, headers);
+        res.end(entry.body);
+    },
+
+    /**
+     * The grant (and its project) through which the URL is a JSON data source,
+     * preferring an admin grant; null when it is not one.
+     */
+    jsonSourceGrant(url, grants) {
+        let found = null;
+        for (const grant of grants) {
+            const project = Projects.get(grant.project);
+            const source = (project && project.dataSource) || {};
+            if (source.type !== 'json' || source.url !== url) continue;
+            if (!found || grant.role === 'admin') found = { grant, project };
+        }
+        return found;
+    },
+
+    /**
+     * GET /api/capital?project=<key>: the CAPITAL sheet as CSV, whole for admins
+     * and scoped to the caller's investor for everybody else.
+     */
+    async handleCapital(req, res, url, session) {
+        const key = url.searchParams.get('project');
+        const grant = session.grants.find(g => g.project === key);
+        const project = grant && Projects.get(key);
+        if (!project) {
+            throw new HttpError(403, 'FORBIDDEN', 'No tienes acceso a este proyecto.');
+        }
+        if (!project.sheets || !project.sheets.capital) {
+            throw new HttpError(404, 'NO_CAPITAL_SHEET', 'El proyecto no tiene configurada la hoja CAPITAL.');
+        }
+        const entry = await this.load(project.sheets.capital);
+        const body = grant.role === 'admin' ? entry.body : Capital.scope(entry.body, project, grant.investor);
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Cache-Control': 'private, no-store'
+        });
+        res.end(body);
+    },
+
+    /**
+     * Return a cache entry for the URL, fetching or revalidating it upstream when needed.
+     * The returned entry has a `status`: HIT, MISS, REVALIDATED or STALE.
+     */
+    async load(url) {
+        const cached = this.cache.get(url);
+        if (cached && Date.now() - cached.storedAt < CACHE_TTL) {
+            return { ...cached, status: 'HIT' };
+        }
+
+        const headers = {};
+        if (cached && cached.upstreamEtag) headers['If-None-Match'] = cached.upstreamEtag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        let response;
+        try {
+            response = await fetch(url, { headers, signal: AbortSignal.timeout(UPSTREAM_TIMEOUT) });
+        } catch (err) {
+            if (cached) return { ...cached, status: 'STALE' };
+            const timedOut = err.name === 'TimeoutError';
+            throw new HttpError(
+                timedOut ? 504 : 502,
+                timedOut ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_UNREACHABLE',
+                timedOut ? 'La fuente de datos tardó demasiado en responder.' : 'No se pudo contactar la fuente de datos.'
+            );
+        }
+
+        if (response.status === 304 && cached) {
+            cached.storedAt = Date.now();
+            return { ...cached, status: 'REVALIDATED' };
+        }
+        if (!response.ok) {
+            if (cached) return { ...cached, status: 'STALE' };
+            throw new HttpError(502, 'UPSTREAM_ERROR', `La fuente de datos respondió con HTTP ${response.status}.`, {}, { status: response.status });
+        }
+
+        const body = await response.text();
+        const upstreamEtag = response.headers.get('etag');
+        const entry = {
+            body,
+            upstreamEtag,
+            // Google does not always send validators: fall back to a content hash.
+            etag: upstreamEtag || `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+            lastModified: response.headers.get('last-modified'),
+            contentType: /json/i.test(response.headers.get('content-type') || '')
+                ? 'application/json; charset=utf-8'
+                : 'text/csv; charset=utf-8',
+            storedAt: Date.now()
+        };
+        this.cache.set(url, entry);
+        return { ...entry, status: 'MISS' };
+    },
+
+    isNotModified(req, entry) {
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (ifNoneMatch) {
+            return ifNoneMatch.split(',').map(tag => tag.trim()).includes(entry.etag);
+        }
+        const ifModifiedSince = req.headers['if-modified-since'];
+        if (ifModifiedSince && entry.lastModified) {
+            return Date.parse(entry.lastModified) <= Date.parse(ifModifiedSince);
+        }
+        return false;
+    }
+};
+
+module.exports = CsvProxy;
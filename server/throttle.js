@@ -0,0 +1,162 @@
+/**
+ * Login Throttle
+ * Slows down password guessing. Failed logins are counted per client address and,
+ * for personal accounts, per username:
+ *
+ *   - the first FREE_ATTEMPTS failures cost nothing;
+ *   - after that each failure doubles the wait before the next attempt
+ *     (BASE_DELAY, 2 × BASE_DELAY, ... up to MAX_DELAY);
+ *   - LOCKOUT_AFTER failures lock the address or account for LOCKOUT_DURATION.
+ *
+ * An attempt counts as a failure while its password is being verified (see reserve),
+ * so parallel guesses can't all start before the first of them fails.
+ *
+ * A successful login clears its account's counter but not the address's: that one
+ * only decays, or a valid login of one's own could reset the lockout between
+ * guesses at someone else's password. Counters without failures for FORGET_AFTER
+ * are dropped. State lives in memory, so a restart clears it.
+ */
+
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY = 2 * 1000;
+const MAX_DELAY = 60 * 1000;
+const LOCKOUT_AFTER = 10;
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+const FORGET_AFTER = 60 * 60 * 1000;
+const PRUNE_ABOVE = 10000; // entries kept before stale ones are swept
+
+const Throttle = {
+    entries: new Map(), // key -> { failures, pending, lastFailure, blockedUntil, locked }
+
+    /**
+     * Counter keys for a login attempt: the client address, plus the account when
+     * a username is given (so spreading guesses over addresses doesn't help either).
+     */
+    keys(req, username = '') {
+        const keys = [`ip:${req.socket.remoteAddress || 'unknown'}`];
+        if (username) keys.push(`user:${username.toLowerCase()}`);
+        return keys;
+    },
+
+    /**
+     * Whether the keys may attempt a login now. Returns null when they may, or
+     * { locked, retryAfter } (ms) for the longest wait among them.
+     */
+    check(keys, now = Date.now()) {
+        let blocked = null;
+        for (const key of keys) {
+            const entry = this.get(key, now);
+            if (!entry || entry.blockedUntil <= now) continue;
+            const retryAfter = entry.blockedUntil - now;
+            if (!blocked || retryAfter > blocked.retryAfter) {
+                blocked = { locked: entry.locked, retryAfter };
+            }
+        }
+        return blocked;
+    },
+
+    /**
+     * Start an attempt: like check, but attempts still being verified count as
+     * failures, and when the keys may go ahead this one is counted as pending until
+     * it is settled with fail, succeed or release.
+     */
+    reserve(keys, now = Date.now()) {
+        let blocked = this.check(keys, now);
+        for (const key of keys) {
+            const entry = this.get(key, now);
+            if (!entry || !entry.pending) continue;
+            const failures = entry.failures + entry.pending;
+            const wait = this.delay(failures);
+            if (wait && (!blocked || wait > blocked.retryAfter)) {
+                blocked = { locked: failures >= LOCKOUT_AFTER, retryAfter: wait };
+            }
+        }
+        if (blocked) return blocked;
+
+        this.prune(now);
+        for (const key of keys) {
+            const entry = this.get(key, now) || { failures: 0, pending: 0, lastFailure: now, blockedUntil: 0, locked: false };
+            entry.pending++;
+            this.entries.set(key, entry);
+        }
+        return null;
+    },
+
+    /**
+     * Count a failed attempt against every key. Returns the resulting block, if any.
+     */
+    fail(keys, now = Date.now()) {
+        this.prune(now);
+        for (const key of keys) {
+            const entry = this.get(key, now) || { failures: 0, pending: 0, blockedUntil: 0, locked: false };
+            entry.pending = Math.max(entry.pending - 1, 0);
+            entry.failures++;
+            entry.lastFailure = now;
+            if (entry.failures >= LOCKOUT_AFTER) {
+                entry.locked = true;
+                entry.blockedUntil = now + LOCKOUT_DURATION;
+            } else if (entry.failures > FREE_ATTEMPTS) {
+                entry.blockedUntil = now + this.delay(entry.failures);
+            }
+            this.entries.set(key, entry);
+        }
+        return this.check(keys, now);
+    },
+
+    /**
+     * Clear the account's counter after a successful login. Address counters are
+     * left to decay (see above).
+     */
+    succeed(keys) {
+        this.release(keys.filter(key => key.startsWith('ip:')));
+        keys.filter(key => !key.startsWith('ip:')).forEach(key => this.entries.delete(key));
+    },
+
+    /**
+     * Settle a reserved attempt that was neither a failure nor a success (e.g. the
+     * request was malformed), dropping counters left without failures.
+     */
+    release(keys) {
+        for (const key of keys) {
+            const entry = this.entries.get(key);
+            if (!entry) continue;
+            entry.pending = Math.max(entry.pending - 1, 0);
+            if (!entry.failures && !entry.pending) this.entries.delete(key);
+        }
+    },
+
+    /**
+     * Wait imposed after a number of failures, 0 while they are free.
+     */
+    delay(failures) {
+        if (failures >= LOCKOUT_AFTER) return LOCKOUT_DURATION;
+        if (failures > FREE_ATTEMPTS) return Math.min(BASE_DELAY * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY);
+        return 0;
+    },
+
+    /**
+     * Sweep stale counters once there are more than PRUNE_ABOVE.
+     */
+    prune(now) {
+        if (this.entries.size > PRUNE_ABOVE) {
+            [...this.entries.keys()].forEach(key => this.get(key, now));
+        }
+    },
+
+    /**
+     * A key's counter, dropping it once it is stale: a lockout has run out, or
+     * there were no failures for FORGET_AFTER.
+     */
+    get(key, now) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        const expired = entry.locked ? entry.blockedUntil <= now : now - entry.lastFailure > FORGET_AFTER;
+        if (expired) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+};
+
+module.exports = Throttle;
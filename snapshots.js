@@ -0,0 +1,126 @@
+/**
+ * Snapshots Module
+ * Dated copies of the figures a comparison needs (budget, expense totals, capital
+ * indicators and milestones), kept on this device in IndexedDB (see store.js) so
+ * two points in time can be compared. No expense ledger or investor rows are kept:
+ * snapshots outlive the session, and an admin's data lists every investor.
+ * One snapshot per project and day: a later fetch on the same day replaces it.
+ */
+
+const Snapshots = {
+    STORE: 'snapshots',
+
+    /**
+     * Local calendar day of a date, "YYYY-MM-DD".
+     */
+    dayOf(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Save fetched data as the project's snapshot for the day it was fetched.
+     */
+    async save(project, data) {
+        const { budget, expenses, capital, milestones, fetchedAt } = data;
+        const { total, byCategory } = DataService.calculateExpenseSummary(expenses);
+        const date = this.dayOf(fetchedAt);
+        await DataStore.put(this.STORE, `${project.key}|${date}`, {
+            id: `${project.key}|${date}`,
+            projectKey: project.key,
+            date,
+            fetchedAt,
+            budget,
+            expSummary: { total, byCategory },
+            capital: { capitalIndicators: capital.capitalIndicators },
+            milestones: milestones || []
+        });
+    },
+
+    /**
+     * Expense totals of a snapshot, or of fetched data (which has the expenses).
+     */
+    summaryOf(data) {
+        return data.expSummary || DataService.calculateExpenseSummary(data.expenses);
+    },
+
+    /**
+     * A project's snapshots, newest first.
+     */
+    async list(projectKey) {
+        const range = IDBKeyRange.bound(`${projectKey}|`, `${projectKey}|\uffff`);
+        const snapshots = await DataStore.getAll(this.STORE, range);
+        return snapshots.sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    // ========== COMPARISON ==========
+
+    /**
+     * Changes from one snapshot (or fetched data) to another:
+     *   kpis             { totalBudget, totalSpent, progress, roi } as { from, to, delta }
+     *                    (progress and roi deltas are percentage points)
+     *   spentByCategory  [{ category, from, to, delta }] spent to date per category
+     *   budgetLines      budget lines whose amount changed (see compareBudget)
+     * Progress is measured the same way on both sides, with the project's progress config.
+     */
+    compare(from, to, progress = Progress.DEFAULTS) {
+        const change = (a, b) => ({ from: a, to: b, delta: b - a });
+        const summaryFrom = this.summaryOf(from);
+        const summaryTo = this.summaryOf(to);
+        const kpisFrom = DataService.calculateProjectKPIs(from.budget, summaryFrom, from.capital, { progress, milestones: from.milestones || [] });
+        const kpisTo = DataService.calculateProjectKPIs(to.budget, summaryTo, to.capital, { progress, milestones: to.milestones || [] });
+
+        const kpis = {};
+        for (const key of ['totalBudget', 'totalSpent', 'progress', 'roi']) {
+            kpis[key] = change(kpisFrom[key], kpisTo[key]);
+        }
+
+        return {
+            kpis,
+            spentByCategory: DataService.CATEGORIES.map(category => ({
+                category,
+                ...change(summaryFrom.byCategory[category] || 0, summaryTo.byCategory[category] || 0)
+            })),
+            budgetLines: this.compareBudget(from.budget, to.budget)
+        };
+    },
+
+    /**
+     * Budget lines whose amount changed, per section: line items (matched by name),
+     * named fields and the section total. A line present in only one of the budgets
+     * counts as 0 in the other.
+     * Returns [{ section, name, isTotal, from, to, delta }]; delta > 0 means revised upward.
+     */
+    compareBudget(from, to) {
+        const sections = [
+            { key: 'hardCosts', category: 'Hard Cost' },
+            { key: 'softCosts', category: 'Soft Cost' },
+            { key: 'terreno', category: 'Terreno' }
+        ];
+        const lines = [];
+        const add = (section, name, a, b, isTotal = false) => {
+            if (Math.abs(b - a) >= 0.005) lines.push({ section, name, isTotal, from: a, to: b, delta: b - a });
+        };
+
+        for (const { key, category } of sections) {
+            const name = I18n.category(category);
+            const a = from[key] || {};
+            const b = to[key] || {};
+
+            const itemsA = new Map((a.items || []).map(item => [item.name, item.amount]));
+            const itemsB = new Map((b.items || []).map(item => [item.name, item.amount]));
+            for (const item of new Set([...itemsA.keys(), ...itemsB.keys()])) {
+                add(name, item, itemsA.get(item) || 0, itemsB.get(item) || 0);
+            }
+
+            const fieldLabels = SheetSchema.DEFAULT.budget[key].fields || {};
+            const fields = new Set([...Object.keys(a), ...Object.keys(b)].filter(f => f !== 'items' && f !== 'total'));
+            for (const field of fields) {
+                add(name, fieldLabels[field] || field, a[field] || 0, b[field] || 0);
+            }
+
+            add(name, I18n.t('budget.categoryTotal', { name }), a.total || 0, b.total || 0, true);
+        }
+        return lines;
+    }
+};
@@ -0,0 +1,218 @@
+/**
+ * Data Sources Module
+ * Adapters that load a project's data from wherever it lives. A project's
+ * `dataSource` config picks the adapter:
+ *
+ *   { type: 'sheets' }                                    published Google Sheets (project.sheets), the default
+ *   { type: 'file', file: 'x.xlsx', tabs: { budget, desglose, capital } }
+ *                                                         one uploaded workbook, tabs by name
+ *   { type: 'file', files: { budget, desglose, capital } } one uploaded XLSX/CSV file per sheet
+ *   { type: 'json', url: '...' }                          JSON endpoint (e.g. the accounting system)
+ *
+ * Every adapter resolves with { budget, expenses, capital, sales, milestones }, the
+ * structure produced by DataService.parseBudget / parseExpenses / parseCapital /
+ * parseSales / parseMilestones, plus the `schemaIssues` found while parsing (see schema.js).
+ * Sales come from an optional VENTAS sheet of the source (`sheets.ventas`, a "ventas" tab,
+ * `ventas` rows), or from the file named by the project's `salesFile` (JSON, XLSX or CSV),
+ * which takes precedence. Construction milestones come from an optional HITOS sheet
+ * (`sheets.hitos`, a "hitos" tab, `hitos` rows).
+ * The server scopes the CAPITAL data to the caller's investor (see server/capital.js);
+ * a workbook holding the CAPITAL tab can't be scoped, so only admins can load it.
+ */
+
+const DataSources = {
+    adapters: {},
+
+    /**
+     * Register an adapter: { async load(source, project) } resolving with { budget, expenses, capital, schemaIssues }.
+     */
+    register(type, adapter) {
+        this.adapters[type] = adapter;
+    },
+
+    /**
+     * The project's data source config, defaulting to its published sheets.
+     */
+    resolve(project) {
+        return project.dataSource && project.dataSource.type ? project.dataSource : { type: 'sheets' };
+    },
+
+    async load(project) {
+        const source = this.resolve(project);
+        const adapter = this.adapters[source.type];
+        if (!adapter) {
+            throw new Error(I18n.t('dataSources.unknownType', { type: source.type }));
+        }
+        const data = await adapter.load(source, project);
+        if (project.salesFile) {
+            data.sales = await this.loadSalesFile(project, project.salesFile);
+        }
+        return data;
+    },
+
+    /**
+     * Sales from an uploaded file: JSON as { sales: [...] } (see DataService.normalizeSale),
+     * or an XLSX/CSV laid out like the VENTAS sheet (its "ventas" tab, else the first).
+     */
+    async loadSalesFile(project, name) {
+        if (/\.json$/i.test(name)) {
+            const json = await (await Api.fetch(this.fileUrl(project, name))).json();
+            return (Array.isArray(json) ? json : json.sales || []).map(sale => DataService.normalizeSale(sale));
+        }
+        const workbook = await this.readFile(project, name);
+        const tab = workbook.sheetNames.find(n => /ventas|sales/i.test(n)) || workbook.sheetNames[0];
+        return DataService.parseSales(workbook.sheets[tab] || [], SheetSchema.resolve(project).ventas);
+    },
+
+    /**
+     * URL of a file uploaded for a project, served by the reporting server.
+     */
+    fileUrl(project, name) {
+        return `/api/files?project=${encodeURIComponent(project.key)}&name=${encodeURIComponent(name)}`;
+    },
+
+    /**
+     * Download an uploaded file and return its rows. XLSX files resolve with
+     * { sheetNames, sheets }; CSV files with a single sheet named after the file.
+     */
+    async readFile(project, name) {
+        const response = await Api.fetch(this.fileUrl(project, name));
+        if (/\.xlsx$/i.test(name)) {
+            return XLSX.read(await response.arrayBuffer());
+        }
+        if (/\.csv$/i.test(name)) {
+            return { sheetNames: [name], sheets: { [name]: DataService.parseCSV(await response.text()) } };
+        }
+        throw new Error(I18n.t('dataSources.unsupportedFile', { name }));
+    }
+};
+
+// ========== PUBLISHED GOOGLE SHEETS ==========
+
+DataSources.register('sheets', {
+    async load(source, project) {
+        const [budget, desglose, capital, ventas, hitos] = await Promise.all([
+            DataService.fetchCSV(project.sheets.budget),
+            DataService.fetchCSV(project.sheets.desglose),
+            DataService.fetchCapital(project),
+            project.sheets.ventas && !project.salesFile ? DataService.fetchCSV(project.sheets.ventas) : [],
+            project.sheets.hitos ? DataService.fetchCSV(project.sheets.hitos) : []
+        ]);
+        return DataService.parseAll({ budget, desglose, capital, ventas, hitos }, SheetSchema.resolve(project));
+    }
+});
+
+// ========== UPLOADED XLSX / CSV FILES ==========
+
+DataSources.register('file', {
+    // Tab name patterns used when the config does not name the tabs explicitly
+    DEFAULT_TABS: {
+        budget: /budget|presupuesto/i,
+        desglose: /desglose|gastos/i,
+        capital: /capital/i
+    },
+    // Optional tabs, used when present
+    OPTIONAL_TABS: {
+        ventas: /ventas|sales/i,
+        hitos: /hitos|milestones/i
+    },
+
+    async load(source, project) {
+        const rows = {};
+
+        if (source.files) {
+            // One file per sheet: use the first tab of each
+            await Promise.all(Object.keys(this.DEFAULT_TABS).map(async (key) => {
+                if (!source.files[key]) throw new Error(I18n.t('dataSources.missingFile', { key }));
+                const workbook = await DataSources.readFile(project, source.files[key]);
+                rows[key] = workbook.sheets[workbook.sheetNames[0]] || [];
+            }));
+            await Promise.all(Object.keys(this.OPTIONAL_TABS).filter(key => source.files[key]).map(async (key) => {
+                const workbook = await DataSources.readFile(project, source.files[key]);
+                rows[key] = workbook.sheets[workbook.sheetNames[0]] || [];
+            }));
+        } else if (source.file) {
+            const workbook = await DataSources.readFile(project, source.file);
+            for (const key of Object.keys(this.DEFAULT_TABS)) {
+                rows[key] = this.findTab(workbook, key, source.tabs || {});
+            }
+            for (const [key, pattern] of Object.entries(this.OPTIONAL_TABS)) {
+                const tab = (source.tabs || {})[key] || workbook.sheetNames.find(n => pattern.test(n));
+                if (tab) rows[key] = workbook.sheets[tab] || [];
+            }
+        } else {
+            throw new Error(I18n.t('dataSources.fileNeedsFiles'));
+        }
+
+        return DataService.parseAll(rows, SheetSchema.resolve(project));
+    },
+
+    findTab(workbook, key, tabs) {
+        const name = tabs[key] || workbook.sheetNames.find(n => this.DEFAULT_TABS[key].test(n));
+        if (!name || !workbook.sheets[name]) {
+            throw new Error(I18n.t('dataSources.missingTab', { key, tabs: workbook.sheetNames.join(', ') }));
+        }
+        return workbook.sheets[name];
+    }
+});
+
+// ========== JSON ENDPOINT ==========
+
+/**
+ * The endpoint returns either raw rows ({ budget: [[...]], desglose: [[...]], capital: [[...]], ventas: [[...]],
+ * hitos: [[...]] }), which go through the sheet parsers, or the parsed structure
+ * ({ budget, expenses, capital, sales, milestones }; see DataService.normalizeMilestone).
+ * External URLs go through the server proxy, which only allows the configured one.
+ */
+DataSources.register('json', {
+    async load(source, project) {
+        if (!source.url) throw new Error(I18n.t('dataSources.jsonNeedsUrl'));
+        const isExternal = /^https?:\/\//i.test(source.url);
+        const url = isExternal ? AppConfig.proxyBase + '?url=' + encodeURIComponent(source.url) : source.url;
+        const json = await (await Api.fetch(url)).json();
+
+        if (Array.isArray(json.budget)) {
+            const rows = {
+                budget: json.budget,
+                desglose: json.desglose || [],
+                capital: json.capital || [],
+                ventas: json.ventas || [],
+                hitos: json.hitos || []
+            };
+            return DataService.parseAll(rows, SheetSchema.resolve(project));
+        }
+        return this.normalize(json);
+    },
+
+    /**
+     * Fill in defaults so renderers can rely on the same shape as the sheet parsers.
+     */
+    normalize(json) {
+        const budget = json.budget || {};
+        const capital = json.capital || {};
+        return {
+            budget: {
+                houses: (budget.houses || []).map((house, i) => ({ name: `Casa ${i + 1}`, ...house })),
+                hardCosts: budget.hardCosts || {},
+                softCosts: { items: [], ...budget.softCosts },
+                terreno: { items: [], ...budget.terreno }
+            },
+            expenses: (json.expenses || []).map(exp => ({
+                date: exp.date || '',
+                dateObj: DataService.parseDate(exp.date),
+                category: exp.category || '',
+                subcategory: exp.subcategory || '',
+                amount: typeof exp.amount === 'number' ? exp.amount : DataService.parseNumber(exp.amount)
+            })),
+            capital: {
+                uses: capital.uses || {},
+                investors: (capital.investors || []).map(inv => ({ ...inv, dateObj: DataService.parseDate(inv.date) })),
+                projectIndicators: capital.projectIndicators || {},
+                capitalIndicators: capital.capitalIndicators || {}
+            },
+            sales: (json.sales || []).map(sale => DataService.normalizeSale(sale)),
+            milestones: (json.milestones || []).map(m => DataService.normalizeMilestone(m)),
+            schemaIssues: []
+        };
+    }
+});
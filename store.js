@@ -0,0 +1,72 @@
+/**
+ * Store Module
+ * IndexedDB persistence for data that has to survive reloads and work offline.
+ * The `latest` store keeps the last successful DataService.fetchAllData result
+ * of each project, keyed by project key; `snapshots` keeps the dated history
+ * (see snapshots.js). Dates survive the round trip (IndexedDB uses structured cloning).
+ */
+
+const DataStore = {
+    DB_NAME: 'reporting-inversionistas',
+    DB_VERSION: 3,
+    db: null,
+
+    /**
+     * Open the database once, creating the object stores on first use.
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('latest')) db.createObjectStore('latest');
+                    if (!db.objectStoreNames.contains('snapshots')) {
+                        db.createObjectStore('snapshots');
+                    } else if (event.oldVersion < 3) {
+                        // Snapshots before version 3 kept the whole capital sheet, investors included
+                        request.transaction.objectStore('snapshots').clear();
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let the next call retry if opening failed (e.g. private browsing)
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    },
+
+    /**
+     * Run one request against a store and resolve with its result.
+     */
+    async run(storeName, mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = makeRequest(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    },
+
+    /**
+     * Every value whose key falls in an IDBKeyRange, in key order.
+     */
+    getAll(storeName, range) {
+        return this.run(storeName, 'readonly', store => store.getAll(range));
+    },
+
+    put(storeName, key, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value, key));
+    },
+
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+};
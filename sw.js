@@ -0,0 +1,88 @@
+/**
+ * Service Worker
+ * Caches the app shell so the dashboard opens without a connection.
+ * Shell files are served from the cache and refreshed in the background
+ * (stale-while-revalidate); bump CACHE_NAME when the file list changes.
+ * API calls are never cached here: they carry the session token, and the app
+ * keeps its own copy of the last fetched data in IndexedDB (see store.js).
+ */
+
+const CACHE_NAME = 'reporting-shell-v13';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'config.js',
+    'i18n.js',
+    'html.js',
+    'data.js',
+    'schema.js',
+    'zip.js',
+    'xlsx.js',
+    'sources.js',
+    'quality.js',
+    'charts.js',
+    'forecast.js',
+    'progress.js',
+    'finance.js',
+    'waterfall.js',
+    'cashflow.js',
+    'store.js',
+    'snapshots.js',
+    'pdf.js',
+    'report.js',
+    'export.js',
+    'api.js',
+    'auth.js',
+    'activity.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+    // The admin console (admin.html) only works online and is never cached
+    if (/\/admin\.(html|js)$/.test(url.pathname)) {
+        return;
+    }
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            // Navigations (including ?query variants) all get the shell page
+            const key = request.mode === 'navigate' ? 'index.html' : request;
+            const cached = await cache.match(key, { ignoreSearch: request.mode === 'navigate' });
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(key, response.clone());
+                    return response;
+                });
+            if (cached) {
+                event.waitUntil(network.catch(() => {}));
+                return cached;
+            }
+            return network;
+        })
+    );
+});
@@ -0,0 +1,147 @@
+/**
+ * CAPITAL data leaves the server scoped to the caller's investor whatever the
+ * project's data source: uploaded CSV files and JSON sources are rewritten like
+ * the published sheet, and workbooks that can't be are refused to non-admins.
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Capital = require('../server/capital');
+const CsvProxy = require('../server/proxy');
+const Projects = require('../server/projects');
+const { startServer } = require('./helpers/server');
+
+// Password "Secreto123"
+const HASH = 'scrypt$0YoaF7gjRWdW+rq/RsPZ8w==$1glhlVngEqAHj8r2BdPRsY/6EcyuM0lsfZViKRso+WM3Y71H0miWtWM9iHq79+9qJ9DfT4GbKXEBrl+c3UhrVA==';
+
+// Investors from row 7: names in A, amounts in C
+const CAPITAL_ROWS = [
+    ['USO'], ['Hard Cost'], ['Soft Cost'], ['Terreno'], [''], ['INVERSIONISTAS'],
+    ['Ana López', '', '5000000'],
+    ['Luis Gómez', '', '3000000'],
+    ['Marta Ruiz', '', '2000000']
+];
+const CAPITAL_CSV = CAPITAL_ROWS.map(row => row.join(',')).join('\r\n');
+
+const PROJECT = { name: 'Demo', passwordHash: HASH };
+
+const fileUrl = (key, name) => `/api/files?project=${key}&name=${name}`;
+
+describe('scopeJson', () => {
+    test('folds other investors in raw capital rows', () => {
+        const json = JSON.parse(Capital.scopeJson(JSON.stringify({ budget: [], capital: CAPITAL_ROWS }), PROJECT, 'Luis Gómez'));
+        const block = json.capital.slice(6).filter(row => row[0]);
+        assert.deepEqual(block, [['Luis Gómez', '', '3000000'], [Capital.OTHERS_LABEL, '', '7000000']]);
+    });
+
+    test('folds other investors in a parsed investors list', () => {
+        const investors = [
+            { name: 'Ana López', amount: 5000000, date: '2025-01-10' },
+            { name: 'Luis Gómez', amount: 3000000, date: '2025-01-10' },
+            { name: 'Marta Ruiz', amount: '2,000,000', date: '2025-01-10' }
+        ];
+        const json = JSON.parse(Capital.scopeJson(JSON.stringify({ capital: { investors } }), PROJECT, null));
+        assert.deepEqual(json.capital.investors, [{ name: Capital.OTHERS_LABEL, amount: 10000000, date: '2025-01-10' }]);
+    });
+});
+
+describe('/api/csv', () => {
+    const URL_JSON = 'https://erp.example.com/datos.json';
+    const BODY = JSON.stringify({ budget: [], capital: CAPITAL_ROWS });
+
+    const request = async (grant) => {
+        const response = {};
+        const res = { writeHead: (status, headers) => Object.assign(response, { status, headers }), end: body => { response.body = body; } };
+        const url = new URL(`http://localhost/api/csv?url=${encodeURIComponent(URL_JSON)}`);
+        await CsvProxy.handle({ headers: {} }, res, url, { grants: [{ project: 'ERP', ...grant }] });
+        return response;
+    };
+
+    before(() => {
+        Projects.store = { projects: { ERP: { ...PROJECT, dataSource: { type: 'json', url: URL_JSON } } }, users: [] };
+        CsvProxy.load = async () => ({ body: BODY, etag: '"upstream"', contentType: 'application/json; charset=utf-8', status: 'HIT' });
+    });
+
+    test('scopes the JSON data source for investors and viewers', async () => {
+        const investor = await request({ role: 'investor', investor: 'Luis Gómez' });
+        assert.match(investor.body, /Luis Gómez/);
+        assert.doesNotMatch(investor.body, /Ana López|Marta Ruiz/);
+        assert.notEqual(investor.headers.ETag, '"upstream"');
+
+        const viewer = await request({ role: 'viewer' });
+        assert.doesNotMatch(viewer.body, /Ana López|Luis Gómez|Marta Ruiz/);
+    });
+
+    test('serves it whole to admins', async () => {
+        assert.equal((await request({ role: 'admin' })).body, BODY);
+    });
+});
+
+describe('/api/files', () => {
+    let server;
+
+    before(async () => {
+        const capitalJson = JSON.stringify({ budget: [], desglose: [], capital: CAPITAL_ROWS });
+        server = await startServer({
+            projects: {
+                CSV: { ...PROJECT, dataSource: { type: 'file', files: { budget: 'budget.csv', desglose: 'gastos.csv', capital: 'capital.csv' } } },
+                XLSX: { ...PROJECT, dataSource: { type: 'file', file: 'libro.xlsx' } },
+                JSON: { ...PROJECT, dataSource: { type: 'json', url: fileUrl('JSON', 'datos.json') } }
+            },
+            users: [
+                { username: 'ana', passwordHash: HASH, role: 'admin' },
+                { username: 'luis', passwordHash: HASH, role: 'investor', investors: { CSV: 'Luis Gómez', XLSX: 'Luis Gómez', JSON: 'Luis Gómez' } }
+            ]
+        }, {
+            files: {
+                'CSV/capital.csv': CAPITAL_CSV,
+                'CSV/budget.csv': 'Concepto\r\nAna López',
+                'XLSX/libro.xlsx': 'PK',
+                'JSON/datos.json': capitalJson
+            }
+        });
+    });
+
+    after(() => server.stop());
+
+    const tokens = {};
+    const get = async (username, url) => {
+        if (!tokens[username]) {
+            const res = await fetch(`${server.url}/api/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password: 'Secreto123' })
+            });
+            tokens[username] = (await res.json()).token;
+        }
+        return fetch(server.url + url, { headers: { Authorization: `Bearer ${tokens[username]}` } });
+    };
+
+    test('scopes the CAPITAL file for investors and serves it whole to admins', async () => {
+        const scoped = await (await get('luis', fileUrl('CSV', 'capital.csv'))).text();
+        assert.match(scoped, /Luis Gómez/);
+        assert.match(scoped, new RegExp(Capital.OTHERS_LABEL));
+        assert.doesNotMatch(scoped, /Ana López|Marta Ruiz/);
+
+        const whole = await (await get('ana', fileUrl('CSV', 'capital.csv'))).text();
+        assert.match(whole, /Ana López/);
+    });
+
+    test('leaves the other files alone', async () => {
+        assert.match(await (await get('luis', fileUrl('CSV', 'budget.csv'))).text(), /Ana López/);
+    });
+
+    test('refuses a workbook holding the CAPITAL tab to investors', async () => {
+        const res = await get('luis', fileUrl('XLSX', 'libro.xlsx'));
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).error.code, 'CAPITAL_NOT_SCOPED');
+        assert.equal((await get('ana', fileUrl('XLSX', 'libro.xlsx'))).status, 200);
+    });
+
+    test('scopes an uploaded JSON data source', async () => {
+        const text = await (await get('luis', fileUrl('JSON', 'datos.json'))).text();
+        assert.match(text, /Luis Gómez/);
+        assert.doesNotMatch(text, /Ana López|Marta Ruiz/);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Server errors reach the user in their language: every code the server sends
+ * has a message in each catalog, and Api turns a response into that message.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { loadScripts } = require('./helpers/browser');
+
+const ROOT = path.join(__dirname, '..');
+
+const { Api, I18n } = loadScripts(['config.js', 'i18n.js', 'api.js']);
+
+/**
+ * Codes in the server's HttpError and sendError calls.
+ */
+function serverCodes() {
+    const files = ['server.js', ...fs.readdirSync(path.join(ROOT, 'server')).map(name => path.join('server', name))];
+    const codes = new Set();
+    for (const file of files.filter(name => name.endsWith('.js'))) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        for (const match of source.matchAll(/(?:HttpError\(|sendError\(res, )\s*[^,]+,\s*([^,]+),/g)) {
+            for (const code of match[1].matchAll(/'([A-Z_]+)'/g)) codes.add(code[1]);
+        }
+    }
+    return [...codes];
+}
+
+test('every server error code has a message in every language', () => {
+    const codes = serverCodes();
+    assert.ok(codes.length > 30, codes.join(' '));
+    for (const locale of Object.keys(I18n.LOCALES)) {
+        const missing = codes.filter(code => typeof I18n.lookup(locale, `errors.${code}`) !== 'string');
+        assert.deepEqual(missing, [], `missing in ${locale}`);
+    }
+});
+
+test('Api shows the message of the current language, with its params', () => {
+    I18n.locale = 'en';
+    assert.equal(
+        Api.errorMessage({ code: 'WEAK_PASSWORD', message: 'La contraseña debe tener al menos 8 caracteres.', params: { min: 8 } }),
+        'The password must have at least 8 characters.'
+    );
+    assert.equal(Api.errorMessage({ code: 'FORBIDDEN', message: 'No tienes acceso a este proyecto.' }), 'You don\'t have access to this project.');
+});
+
+test('Api falls back to the server\'s message for unknown codes', () => {
+    assert.equal(Api.errorMessage({ code: 'SOMETHING_NEW', message: 'Algo nuevo.' }), 'Algo nuevo.');
+});
@@ -0,0 +1,202 @@
+/**
+ * Spreadsheet text reaches the page only as text: sheet cells carrying markup,
+ * attribute breakouts and javascript: URLs are parsed like any other cell and
+ * rendered escaped by Html.html and the section renderers.
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser');
+
+const PAYLOADS = {
+    img: '<img src=x onerror=alert(1)>',
+    script: '"><script>alert(1)</script>',
+    url: 'javascript:alert(1)',
+    quote: "' onmouseover='alert(1)' x='",
+    backtick: '` onmouseover=`alert(1)` x=`'
+};
+
+/**
+ * CSV text for rows of cells, quoted the way Google Sheets publishes them.
+ */
+const csv = (rows) => rows
+    .map(row => row.map(cell => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell).join(','))
+    .join('\r\n');
+
+// BUDGET: units by label in column B, commercial values in F/H/J/K
+const BUDGET = csv([
+    [''],
+    ['', 'Concepto'],
+    ['', `Casa 1 ${PAYLOADS.img}`, '', '', '', '250', '', '30000', '', '7500000', '7000000'],
+    ['', `Casa 2 ${PAYLOADS.script}`, '', '', '', '200', '', '31000', '', '6200000', '5900000'],
+    ['', `Casa 3 ${PAYLOADS.quote}`, '', '', '', '180', '', '32000', '', '5760000', '5500000']
+]);
+
+// DESGLOSE COSTOS: one expense per payload, in the subcategory; one in the category and date
+const DESGLOSE = csv([
+    ['Fecha', 'Categoría', 'Subcategoría', 'Detalle', 'Monto'],
+    ...Object.values(PAYLOADS).map((payload, i) => [`1/${i + 10}/2025`, 'Hard Cost', payload, '', '1000']),
+    [PAYLOADS.url, PAYLOADS.backtick, 'Construcción', '', '500']
+]);
+
+// CAPITAL: investors from row 7, names in A and amounts in C
+const CAPITAL = csv([
+    ['USO'], ['Hard Cost'], ['Soft Cost'], ['Terreno'], [''], ['INVERSIONISTAS'],
+    [PAYLOADS.img, '', '5,000,000'],
+    [PAYLOADS.quote, '', '3,000,000'],
+    [PAYLOADS.backtick, '', '2,000,000'],
+    [PAYLOADS.url, '', '1,000,000']
+]);
+
+/**
+ * Fails on anything in `markup` a browser would run: a script element, an event
+ * handler attribute, a javascript: link, or an attribute value that is not
+ * double-quoted (the only quoting Html.escape makes safe).
+ */
+function assertInert(markup) {
+    markup = String(markup);
+    const tags = markup.match(/<[a-z][^>]*>/gi) || [];
+    for (const tag of tags) {
+        const bare = tag.replace(/"[^"]*"/g, '""');
+        assert.doesNotMatch(tag, /^<script/i, `script element: ${tag}`);
+        assert.doesNotMatch(bare, /\son\w+\s*=/i, `event handler: ${tag}`);
+        assert.doesNotMatch(bare, /['`]/, `attribute outside double quotes: ${tag}`);
+        assert.doesNotMatch(tag, /\s(href|src)="\s*javascript:/i, `javascript: URL: ${tag}`);
+    }
+}
+
+/**
+ * Asserts `markup` is inert and shows each of `payloads` as escaped text.
+ */
+function assertShownEscaped(Html, markup, payloads) {
+    assertInert(markup);
+    for (const payload of payloads) {
+        assert.ok(String(markup).includes(Html.escape(payload)), `${JSON.stringify(payload)} is not shown`);
+    }
+}
+
+let scripts;
+let data;
+
+beforeEach(() => {
+    scripts = loadScripts([
+        'config.js', 'i18n.js', 'html.js', 'data.js', 'schema.js', 'quality.js', 'charts.js',
+        'forecast.js', 'progress.js', 'finance.js', 'waterfall.js', 'auth.js', 'app.js'
+    ]);
+    const { DataService } = scripts;
+    data = DataService.parseAll({
+        budget: DataService.parseCSV(BUDGET),
+        desglose: DataService.parseCSV(DESGLOSE),
+        capital: DataService.parseCSV(CAPITAL)
+    });
+});
+
+describe('CSV parsing', () => {
+    test('keeps payload cells verbatim', () => {
+        // Array.from: arrays from the scripts' context have another Array.prototype
+        assert.deepEqual(Array.from(data.budget.houses, house => house.name), [
+            `Casa 1 ${PAYLOADS.img}`, `Casa 2 ${PAYLOADS.script}`, `Casa 3 ${PAYLOADS.quote}`
+        ]);
+        assert.deepEqual(Array.from(data.capital.investors, inv => inv.name), [
+            PAYLOADS.img, PAYLOADS.quote, PAYLOADS.backtick, PAYLOADS.url
+        ]);
+        assert.deepEqual(Array.from(data.expenses.slice(0, 5), exp => exp.subcategory), Object.values(PAYLOADS));
+    });
+});
+
+describe('Html', () => {
+    test('escapes interpolated text in element content and attributes', () => {
+        const { Html } = scripts;
+        for (const payload of Object.values(PAYLOADS)) {
+            const markup = Html.html`<span title="${payload}" data-name="${payload}">${payload}</span>`;
+            assertShownEscaped(Html, markup, [payload]);
+            assert.equal(String(markup).match(/<[a-z]/gi).length, 1);
+        }
+    });
+
+    test('escapes every quote an attribute can be delimited with', () => {
+        const { Html } = scripts;
+        assert.equal(Html.escape(`<>&"'`), '&lt;&gt;&amp;&quot;&#39;');
+    });
+
+    test('escapes arrays and nested templates, and keeps only Html.raw markup', () => {
+        const { Html } = scripts;
+        const markup = Html.html`<ul>${Object.values(PAYLOADS).map(p => Html.html`<li>${p}</li>`)}</ul>${Html.raw('<hr>')}`;
+        assertShownEscaped(Html, markup, Object.values(PAYLOADS));
+        assert.ok(String(markup).endsWith('</ul><hr>'));
+    });
+
+    test('drops javascript: and other scripted URLs', () => {
+        const { Html } = scripts;
+        for (const url of [PAYLOADS.url, ' JavaScript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)']) {
+            assert.equal(Html.url(url), '');
+        }
+        assert.equal(Html.url('https://example.com/a.jpg'), 'https://example.com/a.jpg');
+        assert.equal(Html.url('/api/gallery/photo?id=1'), '/api/gallery/photo?id=1');
+        assertInert(Html.html`<a href="${Html.url(PAYLOADS.url)}">${PAYLOADS.url}</a>`);
+    });
+});
+
+describe('section renderers', () => {
+    test('Casas: unit names in cards and in the table', () => {
+        const { App, Html, document } = scripts;
+        const names = data.budget.houses.map(house => house.name);
+        for (const view of ['cards', 'table']) {
+            App.unitViews.houses = view;
+            App.renderHouses(data.budget);
+            assertShownEscaped(Html, document.getElementById('houses-grid').innerHTML, names);
+        }
+    });
+
+    test('Gastos: subcategories in the filter and the ledger', () => {
+        const { App, Html, document } = scripts;
+        App.renderExpensesTable(data.expenses);
+        assertShownEscaped(Html, document.getElementById('filter-subcategory').innerHTML, Object.values(PAYLOADS));
+
+        App.renderExpenseRows(data.expenses);
+        const rows = document.getElementById('expenses-tbody').innerHTML;
+        assertShownEscaped(Html, rows, Object.values(PAYLOADS));
+    });
+
+    test('Calidad de datos: unknown categories and unreadable dates', () => {
+        const { App, DataQuality, Html, document } = scripts;
+        App.renderDataQuality(DataQuality.check({ ...data, sales: [], milestones: [] }));
+        assertShownEscaped(Html, document.getElementById('quality-list').innerHTML, [PAYLOADS.backtick, PAYLOADS.url]);
+    });
+
+    test('Inversionistas: names in the admin table and in an investor\'s own position', () => {
+        const { App, Auth, Html, Waterfall, document } = scripts;
+        const waterfall = Waterfall.calculate({ investors: data.capital.investors, profit: 1000000 });
+        const names = data.capital.investors.map(inv => inv.name);
+
+        Auth.hasRole = (role) => role === 'admin';
+        App.renderInvestors(data.capital, waterfall);
+        assertShownEscaped(Html, document.getElementById('investors-list').innerHTML, names);
+
+        Auth.hasRole = (role) => role === 'investor';
+        for (const name of names) {
+            App.project = { investor: name };
+            App.renderInvestors(data.capital, waterfall);
+            assertShownEscaped(Html, document.getElementById('my-investment').innerHTML, [name]);
+        }
+
+        App.project = { investor: PAYLOADS.script };
+        App.renderMyInvestment(data.capital, waterfall);
+        assertShownEscaped(Html, document.getElementById('my-investment').innerHTML, [PAYLOADS.script]);
+    });
+
+    test('Galería: photo names, stages and thumbnail URLs', () => {
+        const { App, Html, document } = scripts;
+        App.photos = [
+            // Stages are Drive subfolders, shown with "/" as " › "
+            { id: '1', name: `${PAYLOADS.script}.jpg`, folder: PAYLOADS.img, thumbnail: PAYLOADS.url },
+            { id: '2', name: `${PAYLOADS.quote}.jpg`, folder: PAYLOADS.backtick, thumbnail: 'data:text/html,<script>alert(1)</script>' }
+        ];
+        App.galleryGrouping = 'stage';
+        App.renderGallery();
+        const markup = document.getElementById('gallery-albums').innerHTML;
+        assertShownEscaped(Html, markup, [PAYLOADS.img, PAYLOADS.script, PAYLOADS.quote, PAYLOADS.backtick]);
+        assert.equal((markup.match(/src=""/g) || []).length, 2);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Forecast.calculate: the schedule the projections run to, and overruns flagged
+ * before they happen.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser');
+
+const { Forecast, DataService } = loadScripts(['config.js', 'i18n.js', 'data.js', 'schema.js', 'forecast.js']);
+
+const BUDGET = {
+    hardCosts: { total: 1000000, items: [] },
+    softCosts: { total: 200000, items: [] },
+    terreno: { total: 0, items: [] }
+};
+const CAPITAL = { projectIndicators: { profit: 500000 }, capitalIndicators: { roi: 20, capitalContributed: 2500000 } };
+
+// Hard Cost: 100,000 a month from January to June 2025, 600,000 spent of 1,000,000
+const EXPENSES = DataService.parseExpenses([
+    ['Fecha', 'Categoría', 'Subcategoría', 'Detalle', 'Monto'],
+    ...[1, 2, 3, 4, 5, 6].map(month => [`${month}/15/2025`, 'Hard Cost', 'Construcción', '', '100000'])
+]);
+
+const milestone = (fields) => DataService.normalizeMilestone({ name: 'Obra', ...fields });
+
+const calculate = (milestones) => Forecast.calculate(BUDGET, EXPENSES, CAPITAL, milestones);
+
+describe('schedule', () => {
+    test('runs to the planned end of the unfinished milestones', () => {
+        const forecast = calculate([milestone({ plannedStart: '2025-01-01', plannedEnd: '2025-12-15', progress: '30%' })]);
+        assert.equal(forecast.schedule, 'plan');
+        assert.ok(Math.abs(forecast.monthsToComplete - 6) < 0.1, String(forecast.monthsToComplete));
+    });
+
+    test('extrapolates the physical progress once the planned end has passed', () => {
+        const forecast = calculate([milestone({ plannedStart: '2025-01-15', plannedEnd: '2025-03-31', progress: '50%' })]);
+        assert.equal(forecast.schedule, 'progress');
+        // Five months for the first half, five more for the rest
+        assert.ok(Math.abs(forecast.monthsToComplete - 5) < 0.1, String(forecast.monthsToComplete));
+    });
+
+    test('is over when the works are complete', () => {
+        const forecast = calculate([milestone({ plannedEnd: '2025-12-15', actualEnd: '2025-06-01' })]);
+        assert.equal(forecast.monthsToComplete, 0);
+    });
+
+    test('falls back to the Hard Cost burn rate without milestones', () => {
+        const forecast = calculate([]);
+        assert.equal(forecast.schedule, 'spending');
+        assert.equal(forecast.categories['Hard Cost'].projected, BUDGET.hardCosts.total);
+    });
+});
+
+describe('overruns', () => {
+    test('projects a Hard Cost overrun when spending outpaces the works', () => {
+        // 60% of the budget spent at 30% progress, with half the year to go
+        const forecast = calculate([milestone({ plannedStart: '2025-01-01', plannedEnd: '2025-12-15', progress: '30%' })]);
+        const hard = forecast.categories['Hard Cost'];
+        assert.ok(hard.spent < hard.budget);
+        assert.ok(hard.overrun > 0, String(hard.overrun));
+        const alert = forecast.alerts.find(a => a.category === 'Hard Cost');
+        assert.equal(alert.severity, 'warning');
+        assert.ok(forecast.profit.projected < CAPITAL.projectIndicators.profit);
+    });
+
+    test('projects none when the works keep pace with spending', () => {
+        const forecast = calculate([milestone({ plannedStart: '2025-01-01', plannedEnd: '2025-08-15', progress: '75%' })]);
+        assert.equal(forecast.categories['Hard Cost'].overrun, 0);
+        assert.equal(forecast.alerts.length, 0);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Browser scripts under Node
+ * Runs the dashboard's scripts (in index.html order) in a fresh VM context and
+ * returns their globals, with just enough of a DOM for the renderers: elements
+ * looked up by id keep what is assigned to innerHTML as a string, as the browser
+ * would, and list nothing for querySelectorAll.
+ *
+ *   const { App, Html } = loadScripts(['config.js', 'i18n.js', 'html.js', 'app.js']);
+ *   App.renderHouses(budget);
+ *   document.getElementById('houses-grid').innerHTML
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function createElement() {
+    const classes = new Set();
+    let markup = '';
+    return {
+        value: '',
+        textContent: '',
+        className: '',
+        dataset: {},
+        style: {},
+        get innerHTML() { return markup; },
+        set innerHTML(value) { markup = String(value); },
+        classList: {
+            add: (name) => classes.add(name),
+            remove: (name) => classes.delete(name),
+            toggle: (name, force = !classes.has(name)) => (force ? classes.add(name) : classes.delete(name), force),
+            contains: (name) => classes.has(name)
+        },
+        closest() { return this; },
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {}
+    };
+}
+
+function loadScripts(files) {
+    const elements = new Map();
+    const document = {
+        body: createElement(),
+        documentElement: createElement(),
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, createElement());
+            return elements.get(id);
+        },
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {}
+    };
+    const context = vm.createContext({ console, document, window: { addEventListener() {} }, navigator: { onLine: true } });
+    const names = [];
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        names.push(...[...source.matchAll(/^const (\w+) = /gm)].map(match => match[1]));
+        vm.runInContext(source, context, { filename: file });
+    }
+    return { document, ...vm.runInContext(`({ ${names.join(', ')} })`, context) };
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,81 @@
+/**
+ * The server in a child process
+ * Starts server.js on a free port with its data (projects, audit log, activity,
+ * files, galleries) in a fresh temporary directory, and stops it by its pid.
+ *
+ *   const server = await startServer({ projects: { DEMO: {...} }, users: [...] });
+ *   await fetch(`${server.url}/api/auth/login`, ...);
+ *   await server.stop();
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+/**
+ * `store`: the content of projects.json. `files`: { 'PROJECT/name': content }
+ * written to the data files directory.
+ */
+async function startServer(store, { files = {} } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reporting-test-'));
+    const dirs = { files: path.join(dir, 'files'), gallery: path.join(dir, 'gallery'), activity: path.join(dir, 'activity') };
+    Object.values(dirs).forEach(d => fs.mkdirSync(d));
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dirs.files, name)), { recursive: true });
+        fs.writeFileSync(path.join(dirs.files, name), content);
+    }
+    fs.writeFileSync(path.join(dir, 'projects.json'), JSON.stringify(store));
+
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            SESSION_SECRET: 'test-secret',
+            PROJECTS_FILE: path.join(dir, 'projects.json'),
+            AUDIT_FILE: path.join(dir, 'audit.jsonl'),
+            ACTIVITY_DIR: dirs.activity,
+            FILES_DIR: dirs.files,
+            GALLERY_DIR: dirs.gallery
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('server did not start')), 10000);
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('running at')) { clearTimeout(timer); resolve(); }
+        });
+        child.on('exit', code => { clearTimeout(timer); reject(new Error(`server exited with ${code}`)); });
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        stop() {
+            return new Promise(resolve => {
+                child.once('exit', () => {
+                    fs.rmSync(dir, { recursive: true, force: true });
+                    resolve();
+                });
+                process.kill(child.pid);
+            });
+        }
+    };
+}
+
+module.exports = { startServer };
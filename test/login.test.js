@@ -0,0 +1,42 @@
+/**
+ * Login throttling over HTTP: attempts that overlap while their passwords are being
+ * verified are counted like sequential ones.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+// Password "Secreto123"
+const HASH = 'scrypt$0YoaF7gjRWdW+rq/RsPZ8w==$1glhlVngEqAHj8r2BdPRsY/6EcyuM0lsfZViKRso+WM3Y71H0miWtWM9iHq79+9qJ9DfT4GbKXEBrl+c3UhrVA==';
+const SHEETS = { budget: 'https://docs.google.com/spreadsheets/d/e/x/pub?output=csv&gid=0' };
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        projects: { DEMO: { name: 'Demo', passwordHash: HASH, sheets: SHEETS } },
+        users: [{ username: 'luis', passwordHash: HASH, role: 'investor', investors: { DEMO: 'Luis' } }]
+    });
+});
+
+after(() => server.stop());
+
+const login = (username, password) => fetch(`${server.url}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+});
+
+test('concurrent failed logins are throttled after the free attempts', async () => {
+    const responses = await Promise.all(Array.from({ length: 30 }, () => login('luis', 'incorrecta')));
+    const statuses = responses.map(res => res.status);
+    // The same as one after another: three free failures, a fourth that starts the backoff
+    assert.equal(statuses.filter(status => status === 401).length, 4, statuses.join(' '));
+    assert.equal(statuses.filter(status => status === 429).length, 26);
+    assert.ok(responses.find(res => res.status === 429).headers.get('retry-after'));
+
+    // The correct password waits out the backoff too
+    assert.equal((await login('luis', 'Secreto123')).status, 429);
+});
@@ -0,0 +1,146 @@
+/**
+ * Progress.calculate: the "Avance General" KPI under each strategy.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser');
+
+const { Progress, DataService } = loadScripts(['config.js', 'i18n.js', 'data.js', 'schema.js', 'progress.js']);
+
+// Hard Cost 50% spent, Soft Cost 75%, Terreno 100%
+const BUDGET = {
+    hardCosts: { total: 1000000 },
+    softCosts: { total: 200000 },
+    terreno: { total: 800000 }
+};
+const EXP_SUMMARY = {
+    byCategory: { 'Hard Cost': 500000, 'Soft Cost': 150000, 'Terreno': 800000 }
+};
+
+// Objects from the scripts' context have other prototypes than this one's
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+const calculate = (config, figures = {}) => Progress.calculate(config, { budget: BUDGET, expSummary: EXP_SUMMARY, ...figures });
+
+describe('weighted', () => {
+    test('averages categories with the default weights', () => {
+        const result = calculate(Progress.DEFAULTS);
+        close(result.value, 0.8 * 50 + 0.2 * 75);
+        assert.equal(result.strategy, 'weighted');
+        assert.equal(result.fallback, false);
+        assert.deepEqual(plain(result.parts), [
+            { label: 'Hard Cost', progress: 50, weight: 80 },
+            { label: 'Soft Cost', progress: 75, weight: 20 }
+        ]);
+    });
+
+    test('uses custom weights', () => {
+        const result = calculate({ strategy: 'weighted', weights: { 'Hard Cost': 50, 'Soft Cost': 25, 'Terreno': 25 } });
+        close(result.value, 0.5 * 50 + 0.25 * 75 + 0.25 * 100);
+        assert.deepEqual(plain(result.parts).map(p => p.weight), [50, 25, 25]);
+    });
+
+    test('leaves out categories without a weight', () => {
+        const result = calculate({ strategy: 'weighted', weights: { 'Terreno': 100 } });
+        close(result.value, 100);
+        assert.deepEqual(plain(result.parts), [{ label: 'Terreno', progress: 100, weight: 100 }]);
+    });
+
+    test('ignores weights for unknown categories and non-numeric weights', () => {
+        const result = calculate({ strategy: 'weighted', weights: { 'Hard Cost': 60, 'Soft Cost': 'mucho', 'Otros': 40 } });
+        close(result.value, 50);
+        assert.deepEqual(plain(result.parts), [{ label: 'Hard Cost', progress: 50, weight: 100 }]);
+    });
+
+    test('counts a category missing from the sheets as 0% progress', () => {
+        const result = calculate(Progress.DEFAULTS, {
+            budget: { ...BUDGET, softCosts: {} },
+            expSummary: { byCategory: { 'Hard Cost': 500000 } }
+        });
+        close(result.value, 0.8 * 50);
+        assert.equal(result.parts[1].progress, 0);
+    });
+
+    test('scales weights that do not add up to 100', () => {
+        close(calculate({ strategy: 'weighted', weights: { 'Hard Cost': 0.8, 'Soft Cost': 0.2 } }).value, 0.8 * 50 + 0.2 * 75);
+        const result = calculate({ strategy: 'weighted', weights: { 'Hard Cost': 3, 'Soft Cost': 1 } });
+        close(result.value, 0.75 * 50 + 0.25 * 75);
+        assert.deepEqual(plain(result.parts).map(p => p.weight), [75, 25]);
+    });
+
+    test('is 0 when no category has a weight', () => {
+        const result = calculate({ strategy: 'weighted', weights: {} });
+        assert.equal(result.value, 0);
+        assert.equal(result.parts.length, 0);
+    });
+
+    test('does not cap a category over budget', () => {
+        const result = calculate({ strategy: 'weighted', weights: { 'Hard Cost': 100 } }, {
+            expSummary: { byCategory: { 'Hard Cost': 1500000 } }
+        });
+        close(result.value, 150);
+    });
+});
+
+describe('budget-share', () => {
+    test('divides total spent by total budget', () => {
+        const result = calculate({ strategy: 'budget-share' });
+        close(result.value, (500000 + 150000 + 800000) / 2000000 * 100);
+        assert.equal(result.strategy, 'budget-share');
+        assert.equal(result.spent, 1450000);
+        assert.equal(result.budget, 2000000);
+        assert.deepEqual(plain(result.parts), [
+            { label: 'Hard Cost', progress: 50, weight: 50 },
+            { label: 'Soft Cost', progress: 75, weight: 10 },
+            { label: 'Terreno', progress: 100, weight: 40 }
+        ]);
+    });
+
+    test('ignores configured weights', () => {
+        const result = calculate({ strategy: 'budget-share', weights: { 'Hard Cost': 100 } });
+        close(result.value, 72.5);
+    });
+
+    test('is 0 without a budget', () => {
+        const result = calculate({ strategy: 'budget-share' }, { budget: { hardCosts: {}, softCosts: {}, terreno: {} } });
+        assert.equal(result.value, 0);
+        assert.deepEqual(plain(result.parts).map(p => p.weight), [0, 0, 0]);
+    });
+});
+
+describe('physical', () => {
+    const milestones = [
+        { name: 'Cimentación', actualStart: '2025-01-10', actualEnd: '2025-03-01', weight: 3 },
+        { name: 'Estructura', actualStart: '2025-03-02', progress: '40%', weight: 1 },
+        { name: 'Acabados', progress: 0 }
+    ].map(m => DataService.normalizeMilestone(m));
+
+    test('weights milestone progress by milestone weight', () => {
+        const result = calculate({ strategy: 'physical' }, { milestones });
+        close(result.value, (3 * 100 + 1 * 40 + 1 * 0) / 5);
+        assert.equal(result.strategy, 'physical');
+        assert.equal(result.fallback, false);
+        assert.deepEqual(plain(result.parts), [
+            { label: 'Cimentación', progress: 100, weight: 60 },
+            { label: 'Estructura', progress: 40, weight: 20 },
+            { label: 'Acabados', progress: 0, weight: 20 }
+        ]);
+    });
+
+    test('falls back to the default weighted strategy without milestones', () => {
+        const result = calculate({ strategy: 'physical', weights: { 'Terreno': 100 } }, { milestones: [] });
+        close(result.value, 0.8 * 50 + 0.2 * 75);
+        assert.equal(result.strategy, 'weighted');
+        assert.equal(result.fallback, true);
+        assert.deepEqual(plain(result.parts).map(p => p.label), ['Hard Cost', 'Soft Cost']);
+    });
+
+    test('falls back when milestones are not given', () => {
+        const result = calculate({ strategy: 'physical' });
+        assert.equal(result.fallback, true);
+    });
+});
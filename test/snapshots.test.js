@@ -0,0 +1,56 @@
+/**
+ * Snapshots: what is kept on the device, and comparisons between a snapshot
+ * and freshly fetched data.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser');
+
+const { Snapshots, DataService, DataStore, Progress } = loadScripts([
+    'config.js', 'i18n.js', 'data.js', 'schema.js', 'progress.js', 'store.js', 'snapshots.js'
+]);
+
+const saved = new Map();
+DataStore.put = async (store, key, value) => { saved.set(key, value); };
+
+const BUDGET = {
+    hardCosts: { total: 1000000, items: [] },
+    softCosts: { total: 200000, items: [] },
+    terreno: { total: 0, items: [] }
+};
+
+const expenses = (amount) => DataService.parseExpenses([
+    ['Fecha', 'Categoría', 'Subcategoría', 'Detalle', 'Monto'],
+    ['1/15/2025', 'Hard Cost', 'Construcción', 'Losa', String(amount)],
+    ['1/20/2025', 'Soft Cost', 'Permisos', 'Licencia', '50000']
+]);
+
+const data = (amount, fetchedAt) => ({
+    budget: BUDGET,
+    expenses: expenses(amount),
+    capital: {
+        capitalIndicators: { roi: 18, capitalContributed: 2000000 },
+        investors: [{ name: 'Ana Pérez', amount: 1500000 }, { name: 'Luis Gómez', amount: 500000 }]
+    },
+    milestones: [],
+    fetchedAt
+});
+
+test('keeps totals only, without investors or the expense ledger', async () => {
+    await Snapshots.save({ key: 'DEMO' }, data(400000, new Date(2025, 0, 31)));
+    const snapshot = saved.get('DEMO|2025-01-31');
+    assert.deepEqual(Object.keys(snapshot.capital), ['capitalIndicators']);
+    assert.equal(snapshot.expenses, undefined);
+    assert.doesNotMatch(JSON.stringify(snapshot), /Ana Pérez|Luis Gómez|Losa|Licencia/);
+    assert.equal(snapshot.expSummary.total, 450000);
+});
+
+test('compares a snapshot with fetched data', async () => {
+    await Snapshots.save({ key: 'DEMO' }, data(400000, new Date(2025, 0, 31)));
+    const diff = Snapshots.compare(saved.get('DEMO|2025-01-31'), data(600000, new Date(2025, 1, 28)), Progress.DEFAULTS);
+    assert.equal(diff.kpis.totalSpent.delta, 200000);
+    assert.equal(diff.kpis.roi.delta, 0);
+    assert.equal(diff.spentByCategory.find(c => c.category === 'Hard Cost').delta, 200000);
+});
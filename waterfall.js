@@ -0,0 +1,206 @@
+/**
+ * Waterfall Module
+ * Splits the project's distributable cash between the investors and the
+ * developer (sponsor) following the project's `waterfall` terms:
+ *
+ *   {
+ *     preferredReturn: 8,            annual % on contributed capital (0 = none)
+ *     compounding: 'annual',         'annual' or 'simple'
+ *     catchUp: 0,                    % of each peso to the sponsor after the preferred
+ *                                    return until it holds its first-tier share of the
+ *                                    profit paid so far (0 = no catch-up)
+ *     tiers: [                       splits of what is left, in order; a tier with
+ *       { untilIrr: 15, investors: 80 },   `untilIrr` runs until the investors reach
+ *       { investors: 70 }                  that IRR, the last one takes the rest
+ *     ],
+ *     sponsor: 'Desarrollador',      name of the promote line (default: waterfall.sponsor
+ *                                    in the current locale)
+ *     investmentDate: 'YYYY-MM-DD',  when the capital went in (default: first expense)
+ *     distributionDate: 'YYYY-MM-DD' when it comes back (default: forecast completion)
+ *   }
+ *
+ * Without terms the profit is split pro rata (no preferred return, no promote).
+ * Tiers, in order:
+ *   1. Return of capital: 100% to the investors until their contributions are repaid.
+ *   2. Preferred return: 100% to the investors until they earn `preferredReturn`.
+ *   3. Catch-up (optional), see above.
+ *   4. Promote splits.
+ * Investors share every tier pro rata to their contribution, so they all get the
+ * same multiple and IRR; the capital is assumed to go in on one date and come back
+ * on another.
+ */
+
+const Waterfall = {
+    DEFAULTS: {
+        preferredReturn: 0,
+        compounding: 'annual',
+        catchUp: 0,
+        tiers: [{ investors: 100 }],
+        sponsor: null,
+        investmentDate: null,
+        distributionDate: null
+    },
+
+    /**
+     * The project's terms over the defaults.
+     */
+    terms(project) {
+        const config = (project && project.waterfall) || {};
+        const terms = { ...this.DEFAULTS, ...config };
+        if (!Array.isArray(terms.tiers) || !terms.tiers.length) terms.tiers = this.DEFAULTS.tiers;
+        if (!terms.sponsor) terms.sponsor = I18n.t('waterfall.sponsor');
+        return terms;
+    },
+
+    /**
+     * Investment and distribution dates: the configured ones, else the first capital
+     * call (or expense) and the forecast completion date (or the latest expense).
+     */
+    dates(terms, { expenses, capital }, forecast) {
+        const parse = (value) => {
+            const date = value ? new Date(`${value}T00:00:00`) : null;
+            return date && !isNaN(date) ? date : null;
+        };
+        const calls = capital.investors.filter(inv => inv.dateObj).map(inv => inv.dateObj.getTime());
+        const dated = calls.length ? calls : expenses.filter(exp => exp.dateObj).map(exp => exp.dateObj.getTime());
+        return {
+            investmentDate: parse(terms.investmentDate) || (dated.length ? new Date(Math.min(...dated)) : null),
+            distributionDate: parse(terms.distributionDate) || (forecast && (forecast.completionDate || forecast.asOf)) || null
+        };
+    },
+
+    /**
+     * Run the waterfall. Returns:
+     *   distributable, contributed, profit, years
+     *   tiers      [{ name, total, investors, sponsor }]   tiers that got nothing are kept
+     *   investors  [{ name, amount, ownership, distribution, profit, multiple, irr }]
+     *   totals     { investors, sponsor, multiple, irr }
+     * Percentages (ownership, irr) are in percentage points; irr is null without dates.
+     */
+    calculate({ investors, profit, terms = this.DEFAULTS, investmentDate = null, distributionDate = null }) {
+        const contributed = investors.reduce((sum, inv) => sum + inv.amount, 0);
+        const distributable = Math.max(contributed + profit, 0);
+        const years = investmentDate && distributionDate && distributionDate > investmentDate
+            ? Finance.yearsBetween(investmentDate, distributionDate)
+            : 0;
+
+        let remaining = distributable;
+        let toInvestors = 0;
+        let toSponsor = 0;
+        const tiers = [];
+        const pay = (name, amount, investorShare) => {
+            amount = Math.max(Math.min(amount, remaining), 0);
+            const investorsPart = amount * investorShare;
+            tiers.push({ name, total: amount, investors: investorsPart, sponsor: amount - investorsPart });
+            toInvestors += investorsPart;
+            toSponsor += amount - investorsPart;
+            remaining -= amount;
+        };
+
+        pay(I18n.t('waterfall.tiers.capital'), contributed, 1);
+
+        const rate = (terms.preferredReturn || 0) / 100;
+        if (rate > 0) {
+            const preferred = terms.compounding === 'simple'
+                ? contributed * rate * years
+                : contributed * (Math.pow(1 + rate, years) - 1);
+            pay(I18n.t('waterfall.tiers.preferred', { rate: this.formatPct(terms.preferredReturn) }), preferred, 1);
+        }
+
+        // Catch-up: sponsor gets c of each peso until it holds S of the profit paid,
+        // S being its share in the first split: c·T = S·(P + T)  =>  T = S·P / (c − S)
+        const catchUp = (terms.catchUp || 0) / 100;
+        const firstSponsorShare = 1 - (terms.tiers[0].investors ?? 100) / 100;
+        if (catchUp > 0 && firstSponsorShare > 0) {
+            const paidProfit = toInvestors - Math.min(contributed, toInvestors);
+            const amount = catchUp > firstSponsorShare
+                ? (firstSponsorShare * paidProfit) / (catchUp - firstSponsorShare)
+                : remaining;
+            pay(I18n.t('waterfall.tiers.catchUp', { sponsor: terms.sponsor, rate: this.formatPct(terms.catchUp) }), amount, 1 - catchUp);
+        }
+
+        terms.tiers.forEach((tier, i) => {
+            const share = (tier.investors ?? 100) / 100;
+            const split = share < 1 ? ` ${this.formatPct(tier.investors)} / ${this.formatPct(100 - tier.investors)}` : '';
+            const last = i === terms.tiers.length - 1 || tier.untilIrr === undefined || tier.untilIrr === null;
+            if (last) {
+                pay(I18n.t(i ? 'waterfall.tiers.excess' : 'waterfall.tiers.profit', { split }), remaining, share);
+                return;
+            }
+            // What the investors need in hand at distribution to reach the hurdle IRR
+            const target = contributed * Math.pow(1 + tier.untilIrr / 100, years);
+            const amount = share > 0 ? Math.max(target - toInvestors, 0) / share : 0;
+            pay(I18n.t('waterfall.tiers.untilIrr', { irr: this.formatPct(tier.untilIrr), split: split && ` ·${split}` }), amount, share);
+        });
+
+        const returnOf = (amount, distribution) => ({
+            multiple: amount > 0 ? distribution / amount : null,
+            irr: amount > 0 && years > 0
+                ? this.irr(amount, distribution, investmentDate, distributionDate)
+                : null
+        });
+
+        return {
+            distributable,
+            contributed,
+            profit,
+            years,
+            investmentDate,
+            distributionDate,
+            tiers,
+            investors: investors.map(inv => {
+                const ownership = contributed > 0 ? inv.amount / contributed : 0;
+                const distribution = toInvestors * ownership;
+                return {
+                    name: inv.name,
+                    amount: inv.amount,
+                    ownership: ownership * 100,
+                    distribution,
+                    profit: distribution - inv.amount,
+                    ...returnOf(inv.amount, distribution)
+                };
+            }),
+            totals: { investors: toInvestors, sponsor: toSponsor, ...returnOf(contributed, toInvestors) }
+        };
+    },
+
+    /**
+     * IRR in percentage points of one contribution and one distribution.
+     */
+    irr(amount, distribution, investmentDate, distributionDate) {
+        if (distribution <= 0) return -100;
+        const rate = Finance.xirr([
+            { date: investmentDate, amount: -amount },
+            { date: distributionDate, amount: distribution }
+        ]);
+        return rate === null ? null : rate * 100;
+    },
+
+    /**
+     * The terms as one line of text for the Financieros section and the report.
+     */
+    describe(terms) {
+        const parts = [];
+        const sponsor = terms.sponsor.toLowerCase();
+        parts.push(terms.preferredReturn > 0
+            ? I18n.t(terms.compounding === 'simple' ? 'waterfall.terms.preferredSimple' : 'waterfall.terms.preferredCompound',
+                { rate: this.formatPct(terms.preferredReturn) })
+            : I18n.t('waterfall.terms.noPreferred'));
+        if (terms.catchUp > 0) parts.push(I18n.t('waterfall.terms.catchUp', { rate: this.formatPct(terms.catchUp) }));
+        if (terms.tiers.every(tier => (tier.investors ?? 100) >= 100)) {
+            parts.push(I18n.t('waterfall.terms.noPromote', { sponsor }));
+            return parts.join(' · ');
+        }
+        const tiers = terms.tiers.map((tier, i) => {
+            const split = `${this.formatPct(tier.investors ?? 100)}/${this.formatPct(100 - (tier.investors ?? 100))}`;
+            const hasHurdle = i < terms.tiers.length - 1 && tier.untilIrr !== undefined && tier.untilIrr !== null;
+            return hasHurdle ? I18n.t('waterfall.terms.untilIrr', { split, irr: this.formatPct(tier.untilIrr) }) : split;
+        }).join(I18n.t('waterfall.terms.then'));
+        parts.push(I18n.t('waterfall.terms.splits', { tiers, sponsor }));
+        return parts.join(' · ');
+    },
+
+    formatPct(value) {
+        return `${I18n.formatNumber(Number(value), { maximumFractionDigits: 2 })}%`;
+    }
+};
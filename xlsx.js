@@ -0,0 +1,290 @@
+/**
+ * XLSX Module
+ * Reads XLSX workbooks into the same 2D arrays of strings that DataService.parseCSV
+ * produces, so the sheet parsers work unchanged on local exports.
+ * Percent- and date-formatted cells are rendered the way Google Sheets publishes
+ * them to CSV ("27.5%", "3/15/2024").
+ * Also writes simple workbooks (one table per sheet) for the dashboard's exports.
+ * Cell references are read with SheetSchema.columnIndex (schema.js loads first).
+ */
+
+const XLSX = {
+    // Built-in number formats (ECMA-376 18.8.30) that display dates
+    DATE_FORMAT_IDS: [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47],
+    PERCENT_FORMAT_IDS: [9, 10],
+
+    /**
+     * Read a workbook from an ArrayBuffer.
+     * Resolves with { sheetNames, sheets } where sheets maps each name to its rows.
+     */
+    async read(buffer) {
+        const zip = await Zip.read(buffer);
+        const parseXml = (text) => text ? new DOMParser().parseFromString(text, 'application/xml') : null;
+        const byTag = (node, tag) => node ? [...node.getElementsByTagNameNS('*', tag)] : [];
+
+        const workbook = parseXml(await zip.text('xl/workbook.xml'));
+        if (!workbook) throw new Error('El archivo no contiene un libro de Excel (xl/workbook.xml).');
+
+        const rels = parseXml(await zip.text('xl/_rels/workbook.xml.rels'));
+        const targets = {};
+        for (const rel of byTag(rels, 'Relationship')) {
+            const target = rel.getAttribute('Target');
+            targets[rel.getAttribute('Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
+
+        const sharedStrings = byTag(parseXml(await zip.text('xl/sharedStrings.xml')), 'si')
+            .map(si => byTag(si, 't').map(t => t.textContent).join(''));
+        const styleFormats = this.readStyleFormats(parseXml(await zip.text('xl/styles.xml')), byTag);
+
+        const sheetNames = [];
+        const sheets = {};
+        for (const sheet of byTag(workbook, 'sheet')) {
+            const name = sheet.getAttribute('name');
+            const relId = sheet.getAttribute('r:id') ||
+                sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+            const doc = parseXml(await zip.text(targets[relId]));
+            if (!doc) continue;
+            sheetNames.push(name);
+            sheets[name] = this.readRows(doc, sharedStrings, styleFormats, byTag);
+        }
+
+        return { sheetNames, sheets };
+    },
+
+    /**
+     * Map each cell style index to 'date', 'percent' or null.
+     */
+    readStyleFormats(styles, byTag) {
+        if (!styles) return [];
+        const customFormats = {};
+        for (const fmt of byTag(styles, 'numFmt')) {
+            customFormats[fmt.getAttribute('numFmtId')] = fmt.getAttribute('formatCode') || '';
+        }
+
+        const cellXfs = byTag(styles, 'cellXfs')[0];
+        return byTag(cellXfs, 'xf').map(xf => {
+            const id = parseInt(xf.getAttribute('numFmtId') || '0', 10);
+            if (this.DATE_FORMAT_IDS.includes(id)) return 'date';
+            if (this.PERCENT_FORMAT_IDS.includes(id)) return 'percent';
+            // Strip quoted literals and [color]/[locale] blocks before looking at the code
+            const code = (customFormats[id] || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+            if (code.includes('%')) return 'percent';
+            if (/[dmy]/i.test(code)) return 'date';
+            return null;
+        });
+    },
+
+    readRows(doc, sharedStrings, styleFormats, byTag) {
+        const rows = [];
+        for (const row of byTag(doc, 'row')) {
+            const rowIndex = parseInt(row.getAttribute('r'), 10) - 1;
+            const values = [];
+            for (const cell of byTag(row, 'c')) {
+                const ref = cell.getAttribute('r') || '';
+                const colIndex = SheetSchema.columnIndex(ref.replace(/\d+/g, ''));
+                values[colIndex] = this.cellText(cell, sharedStrings, styleFormats, byTag);
+            }
+            rows[rowIndex] = Array.from(values, v => v || '');
+        }
+        return Array.from(rows, r => r || []);
+    },
+
+    cellText(cell, sharedStrings, styleFormats, byTag) {
+        const type = cell.getAttribute('t');
+        const raw = byTag(cell, 'v')[0]?.textContent ?? '';
+
+        if (type === 's') return (sharedStrings[parseInt(raw, 10)] || '').trim();
+        if (type === 'inlineStr') return byTag(cell, 't').map(t => t.textContent).join('').trim();
+        if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+        if (type === 'str' || type === 'e') return raw.trim();
+        if (raw === '') return '';
+
+        const num = parseFloat(raw);
+        if (isNaN(num)) return raw;
+        const format = styleFormats[parseInt(cell.getAttribute('s') || '0', 10)];
+        if (format === 'percent') return `${Number((num * 100).toPrecision(12))}%`;
+        if (format === 'date') return this.serialToDateString(num);
+        return String(Number(num.toPrecision(15)));
+    },
+
+    /**
+     * Excel serial date (1900 system) to "M/D/YYYY".
+     */
+    serialToDateString(serial) {
+        const date = new Date(Math.round((serial - 25569) * 86400 * 1000));
+        return `${date.getUTCMonth() + 1}/${date.getUTCDate()}/${date.getUTCFullYear()}`;
+    },
+
+    // ========== WRITING ==========
+
+    // Cell styles written by write(): index into cellXfs, +4 for the bold (total) variant
+    WRITE_STYLES: { text: 0, number: 0, currency: 1, percent: 2, date: 3, header: 8 },
+
+    /**
+     * Build a workbook with one sheet per table. Returns the XLSX file as a Uint8Array.
+     * tables: [{ name, columns: [{ label, type, width }], rows: [{ cells, total }] }]
+     *   type   'text' (default), 'number', 'currency' (MXN), 'percent' (cells in
+     *          percentage points, 37.5 = 37.5%) or 'date' (Date cells)
+     *   total  rows written in bold
+     * Empty cells are null, undefined or ''.
+     */
+    write(tables) {
+        const taken = [];
+        const names = tables.map((table, i) => this.sheetName(table.name, i, taken));
+        const sheetFiles = tables.map((table, i) => ({
+            name: `xl/worksheets/sheet${i + 1}.xml`,
+            data: this.sheetXml(table)
+        }));
+
+        return Zip.write([
+            {
+                name: '[Content_Types].xml',
+                data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheetFiles.map(f => `<Override PartName="/${f.name}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    '<sheets>' +
+                    names.map((name, i) => `<sheet name="${this.escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                    '</sheets></workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheetFiles.map((f, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${tables.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                    '</Relationships>'
+            },
+            { name: 'xl/styles.xml', data: this.stylesXml() },
+            ...sheetFiles
+        ]);
+    },
+
+    /**
+     * Number formats (MXN currency, one-decimal percent, day/month/year dates),
+     * regular and bold fonts and the header fill, combined as WRITE_STYLES lists them.
+     */
+    stylesXml() {
+        const formats = [0, 164, 165, 166];
+        const xf = (numFmtId, fontId, fillId = 0) =>
+            `<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="0" xfId="0"` +
+            `${numFmtId ? ' applyNumberFormat="1"' : ''}${fontId ? ' applyFont="1"' : ''}${fillId ? ' applyFill="1"' : ''}/>`;
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="3">' +
+            '<numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00&quot; MXN&quot;"/>' +
+            '<numFmt numFmtId="165" formatCode="0.0%"/>' +
+            '<numFmt numFmtId="166" formatCode="dd/mm/yyyy"/>' +
+            '</numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+            '<fill><patternFill patternType="solid"><fgColor rgb="FFE8EDF5"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="9">' +
+            formats.map(id => xf(id, 0)).join('') +
+            formats.map(id => xf(id, 1)).join('') +
+            xf(0, 1, 2) +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    },
+
+    /**
+     * One table as a worksheet: a bold header row (frozen), then the rows.
+     */
+    sheetXml(table) {
+        const { columns, rows } = table;
+        const ref = (col, row) => `${this.columnLetters(col)}${row + 1}`;
+
+        const headerCells = columns.map((col, c) => this.cellXml(ref(c, 0), col.label, 'text', this.WRITE_STYLES.header));
+        const rowXml = [`<row r="1">${headerCells.join('')}</row>`];
+        rows.forEach((row, r) => {
+            const cells = columns.map((col, c) => {
+                const type = col.type || 'text';
+                const style = this.WRITE_STYLES[type] + (row.total ? 4 : 0);
+                return this.cellXml(ref(c, r + 1), row.cells[c], type, style);
+            });
+            rowXml.push(`<row r="${r + 2}">${cells.join('')}</row>`);
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<dimension ref="A1:${ref(Math.max(columns.length - 1, 0), rows.length)}"/>` +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            '<cols>' +
+            columns.map((col, c) => `<col min="${c + 1}" max="${c + 1}" width="${col.width || 16}" customWidth="1"/>`).join('') +
+            '</cols>' +
+            `<sheetData>${rowXml.join('')}</sheetData>` +
+            '</worksheet>';
+    },
+
+    cellXml(ref, value, type, style) {
+        const s = style ? ` s="${style}"` : '';
+        if (value === null || value === undefined || value === '') {
+            return style ? `<c r="${ref}"${s}/>` : '';
+        }
+        if (type === 'date' && value instanceof Date) {
+            return `<c r="${ref}"${s}><v>${this.dateToSerial(value)}</v></c>`;
+        }
+        if (type !== 'text' && typeof value === 'number' && isFinite(value)) {
+            return `<c r="${ref}"${s}><v>${type === 'percent' ? value / 100 : value}</v></c>`;
+        }
+        return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+    },
+
+    /**
+     * Sheet names: at most 31 characters, none of : \ / ? * [ ], unique.
+     */
+    sheetName(name, index, taken) {
+        const base = String(name || '').replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 26) || `Hoja ${index + 1}`;
+        let unique = base;
+        for (let n = 2; taken.includes(unique.toLowerCase()); n++) unique = `${base} (${n})`;
+        taken.push(unique.toLowerCase());
+        return unique;
+    },
+
+    escapeXml(value) {
+        return String(value)
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Local calendar date to an Excel serial date (1900 system).
+     */
+    dateToSerial(date) {
+        return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000 + 25569;
+    },
+
+    /**
+     * 0-based column index to letters (0 -> "A", 26 -> "AA").
+     */
+    columnLetters(index) {
+        let letters = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+        }
+        return letters;
+    }
+};
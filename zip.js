@@ -0,0 +1,162 @@
+/**
+ * Zip Module
+ * Minimal ZIP archive reader and writer, enough to open and produce XLSX workbooks
+ * in the browser. Deflated entries are inflated with the native DecompressionStream
+ * API; written entries are stored uncompressed.
+ */
+
+const Zip = {
+    crcTable: null,
+
+    /**
+     * Read a ZIP archive from an ArrayBuffer.
+     * Resolves with { names, file(name), text(name) } where file() resolves
+     * with the entry's bytes (Uint8Array) and text() with its UTF-8 content.
+     */
+    async read(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // End of central directory record: scan backwards past an optional comment
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('El archivo no es un ZIP/XLSX válido.');
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const entries = new Map();
+        const decoder = new TextDecoder();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Directorio central del ZIP dañado.');
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            entries.set(name, { method, compressedSize, localOffset });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        const file = async (name) => {
+            const entry = entries.get(name);
+            if (!entry) return null;
+            // Local header has its own name/extra lengths, which may differ from the central ones
+            const nameLength = view.getUint16(entry.localOffset + 26, true);
+            const extraLength = view.getUint16(entry.localOffset + 28, true);
+            const start = entry.localOffset + 30 + nameLength + extraLength;
+            const data = bytes.subarray(start, start + entry.compressedSize);
+
+            if (entry.method === 0) return data;
+            if (entry.method === 8) return this.inflate(data);
+            throw new Error(`Método de compresión ZIP no soportado (${entry.method}) en ${name}.`);
+        };
+
+        return {
+            names: [...entries.keys()],
+            file,
+            async text(name) {
+                const data = await file(name);
+                return data ? decoder.decode(data) : null;
+            }
+        };
+    },
+
+    /**
+     * Inflate raw DEFLATE data.
+     */
+    async inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    /**
+     * Write a ZIP archive of stored (uncompressed) entries.
+     * files: [{ name, data }] where data is a string (written as UTF-8) or a Uint8Array.
+     * Returns the archive as a Uint8Array.
+     */
+    write(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const entries = files.map(({ name, data }) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            return { name: encoder.encode(name), bytes, crc: this.crc32(bytes) };
+        });
+        const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.bytes.length, 0);
+        const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+        const out = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(out.buffer);
+
+        // Fields shared by the local header (from offset 4) and the central header (from offset 6):
+        // version needed, flags (bit 11: UTF-8 names), method 0, time, date, CRC, sizes, name length
+        const common = (at, e) => {
+            view.setUint16(at, 20, true);
+            view.setUint16(at + 2, 0x0800, true);
+            view.setUint16(at + 4, 0, true);
+            view.setUint16(at + 6, dosTime, true);
+            view.setUint16(at + 8, dosDate, true);
+            view.setUint32(at + 10, e.crc, true);
+            view.setUint32(at + 14, e.bytes.length, true);
+            view.setUint32(at + 18, e.bytes.length, true);
+            view.setUint16(at + 22, e.name.length, true);
+        };
+
+        let offset = 0;
+        for (const e of entries) {
+            e.offset = offset;
+            view.setUint32(offset, 0x04034b50, true);
+            common(offset + 4, e);
+            out.set(e.name, offset + 30);
+            out.set(e.bytes, offset + 30 + e.name.length);
+            offset += 30 + e.name.length + e.bytes.length;
+        }
+
+        const centralStart = offset;
+        for (const e of entries) {
+            view.setUint32(offset, 0x02014b50, true);
+            view.setUint16(offset + 4, 20, true);
+            common(offset + 6, e);
+            view.setUint32(offset + 42, e.offset, true);
+            out.set(e.name, offset + 46);
+            offset += 46 + e.name.length;
+        }
+
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, centralStart, true);
+        return out;
+    },
+
+    /**
+     * CRC-32 (IEEE 802.3) of a byte array, as ZIP entries require.
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+};